@@ -3,6 +3,23 @@ require('dotenv').config();
 const prompts = require('./prompts');
 const tools = require('./tools');
 
+/**
+ * Parse an environment variable holding JSON
+ * @param {string} name - Variable name
+ * @param {*} fallback - Value when unset or invalid
+ * @returns {*} Parsed value
+ */
+function parseJsonEnv(name, fallback) {
+  if (!process.env[name]) return fallback;
+
+  try {
+    return JSON.parse(process.env[name]);
+  } catch (error) {
+    console.warn(`Warning: ${name} is not valid JSON - ignoring it`);
+    return fallback;
+  }
+}
+
 // Configuration object
 const config = {
   // Server configuration
@@ -47,9 +64,251 @@ const config = {
     accountSid: process.env.TWILIO_ACCOUNT_SID,
     authToken: process.env.TWILIO_AUTH_TOKEN,
     whatsappNumber: process.env.TWILIO_WHATSAPP_NUMBER,
+    // Number used for SMS replies (defaults to the WhatsApp number without its prefix)
+    smsNumber: process.env.TWILIO_SMS_NUMBER || (process.env.TWILIO_WHATSAPP_NUMBER || '').replace('whatsapp:', '') || null,
+
+    // Public base URL - used for webhook validation and delivery status callbacks
+    baseUrl: process.env.TWILIO_BASE_URL || process.env.BASE_URL || null,
+    // Ask Twilio to report delivery status changes to /twilio/status (requires baseUrl)
+    statusCallbacks: process.env.TWILIO_STATUS_CALLBACKS !== 'false'
+  },
+
+  // Outbound WhatsApp formatting and delivery
+  whatsapp: {
+    maxMessageLength: parseInt(process.env.WHATSAPP_MAX_MESSAGE_LENGTH || '1600', 10), // Twilio WhatsApp body limit
+    numberParts: process.env.WHATSAPP_NUMBER_PARTS !== 'false', // Append "(1/3)" labels to split replies
+    confirmDelivery: process.env.WHATSAPP_CONFIRM_DELIVERY !== 'false', // Wait for each part to be sent before the next
+    confirmTimeoutMs: parseInt(process.env.WHATSAPP_CONFIRM_TIMEOUT_MS || '10000', 10),
+    confirmPollMs: parseInt(process.env.WHATSAPP_CONFIRM_POLL_MS || '500', 10),
+    // Re-send parts that Twilio reports as failed with a transient error code
+    retry: {
+      maxAttempts: parseInt(process.env.WHATSAPP_RETRY_MAX_ATTEMPTS || '2', 10), // Total sends per part, including the first
+      delayMs: parseInt(process.env.WHATSAPP_RETRY_DELAY_MS || '30000', 10),
+      // 30001 queue overflow, 30003 handset unreachable, 30008 unknown error, 63018 rate limit
+      retryableErrorCodes: (process.env.WHATSAPP_RETRYABLE_ERROR_CODES || '30001,30003,30008,63018')
+        .split(',').map(code => code.trim()).filter(Boolean)
+    },
+    // Free-form messages are only allowed within this many hours of the user's last inbound message
+    sessionWindow: {
+      enforce: process.env.WHATSAPP_ENFORCE_SESSION_WINDOW !== 'false',
+      hours: parseInt(process.env.WHATSAPP_SESSION_WINDOW_HOURS || '24', 10),
+      // Template sent instead of a reply once the window has closed (refused if it has no contentSid)
+      fallbackTemplate: process.env.WHATSAPP_WINDOW_FALLBACK_TEMPLATE || 'reply_pending'
+    },
+    // Approved content templates, by name
+    // variables lists the named values filling {{1}}, {{2}}... in order
+    templates: {
+      reply_pending: {
+        contentSid: process.env.WHATSAPP_TEMPLATE_REPLY_PENDING_SID || null,
+        description: 'Tells the user a reply is waiting and invites them to respond',
+        variables: ['firstName'],
+        defaults: { firstName: 'there' }
+      },
+      follow_up: {
+        contentSid: process.env.WHATSAPP_TEMPLATE_FOLLOW_UP_SID || null,
+        description: 'Proactive follow-up on an earlier conversation',
+        variables: ['firstName', 'topic'],
+        defaults: { firstName: 'there', topic: 'your recent enquiry' }
+      }
+    }
+  },
+
+  // Outbound SMS formatting
+  sms: {
+    // Each SMS reply stays within this many segments (160 GSM-7 / 70 Unicode characters for one)
+    maxSegments: parseInt(process.env.SMS_MAX_SEGMENTS || '3', 10),
+    numberParts: process.env.SMS_NUMBER_PARTS !== 'false',
+    confirmDelivery: process.env.SMS_CONFIRM_DELIVERY !== 'false', // Wait for each message to be sent before the next
+    confirmTimeoutMs: parseInt(process.env.SMS_CONFIRM_TIMEOUT_MS || '10000', 10),
+    confirmPollMs: parseInt(process.env.SMS_CONFIRM_POLL_MS || '500', 10),
+    // Re-send messages that Twilio reports as failed with a transient error code
+    retry: {
+      maxAttempts: parseInt(process.env.SMS_RETRY_MAX_ATTEMPTS || '2', 10), // Total sends per message, including the first
+      delayMs: parseInt(process.env.SMS_RETRY_DELAY_MS || '30000', 10),
+      // 30001 queue overflow, 30003 handset unreachable, 30008 unknown error
+      retryableErrorCodes: (process.env.SMS_RETRYABLE_ERROR_CODES || '30001,30003,30008')
+        .split(',').map(code => code.trim()).filter(Boolean)
+    }
+  },
+
+  // Telegram bot
+  telegram: {
+    botToken: process.env.TELEGRAM_BOT_TOKEN,
+    // Compared with the X-Telegram-Bot-Api-Secret-Token header (set as secret_token in setWebhook)
+    webhookSecret: process.env.TELEGRAM_WEBHOOK_SECRET || null,
+    apiBaseUrl: process.env.TELEGRAM_API_BASE_URL || 'https://api.telegram.org',
+    // 'botapi' sends through the Bot API; 'log' only logs replies (local development)
+    sender: process.env.TELEGRAM_SENDER || 'botapi',
+    maxMessageLength: parseInt(process.env.TELEGRAM_MAX_MESSAGE_LENGTH || '4096', 10), // Bot API text limit
+    requestTimeoutMs: parseInt(process.env.TELEGRAM_REQUEST_TIMEOUT_MS || '10000', 10),
+    welcomeMessage: process.env.TELEGRAM_WELCOME_MESSAGE ||
+      "Hi! Ask me anything. If we've chatted on WhatsApp before, share your phone number and I'll pick up where we left off."
+  },
+
+  // Opt-out handling for WhatsApp and SMS
+  consent: {
+    enabled: process.env.CONSENT_ENABLED !== 'false',
+    // A message consisting only of one of these keywords changes consent (case, accents and punctuation ignored)
+    optOutKeywords: (process.env.CONSENT_OPT_OUT_KEYWORDS ||
+      'STOP,STOPALL,UNSUBSCRIBE,CANCEL,END,QUIT,OPTOUT,OPT OUT,' + // English
+      'PARAR,BAJA,DETENER,CANCELAR,' + // Spanish / Portuguese
+      'ARRET,DESABONNER,DESINSCRIRE,' + // French
+      'STOPP,ABMELDEN,' + // German
+      'FERMA,ANNULLA,DISISCRIVITI,' + // Italian
+      'SAIR') // Portuguese
+      .split(',').map(keyword => keyword.trim()).filter(Boolean),
+    optInKeywords: (process.env.CONSENT_OPT_IN_KEYWORDS ||
+      'START,UNSTOP,SUBSCRIBE,YES,INICIAR,ALTA,COMMENCER,ANMELDEN,INIZIA')
+      .split(',').map(keyword => keyword.trim()).filter(Boolean),
+    // Channels on which the confirmation below is sent (Twilio already confirms standard SMS keywords)
+    confirmChannels: (process.env.CONSENT_CONFIRM_CHANNELS || 'whatsapp')
+      .split(',').map(channel => channel.trim()).filter(Boolean),
+    optOutReply: process.env.CONSENT_OPT_OUT_REPLY ||
+      "You've been unsubscribed and won't receive further messages from us. Reply START to resubscribe.",
+    optInReply: process.env.CONSENT_OPT_IN_REPLY ||
+      "You've been resubscribed. How can I help you today?"
+  },
+
+  // REST chat API for server-to-server integrations
+  api: {
+    // Client keys as comma-separated name:key pairs, e.g. "crm:3f9a...,mobile:b71c..."
+    keys: (process.env.API_KEYS || '')
+      .split(',')
+      .map(entry => entry.trim())
+      .filter(Boolean)
+      .map(entry => {
+        const separator = entry.indexOf(':');
+        return { name: entry.slice(0, separator).trim(), key: entry.slice(separator + 1).trim() };
+      })
+      .filter(client => client.name && client.key),
+    // Clients (by name) that may read usage and cost totals for every conversation
+    adminClients: (process.env.API_ADMIN_CLIENTS || '').split(',').map(name => name.trim()).filter(Boolean),
+    // Requests allowed per key in each window
+    rateLimitWindowMs: parseInt(process.env.API_RATE_LIMIT_WINDOW_MS || String(60 * 1000), 10),
+    rateLimitMax: parseInt(process.env.API_RATE_LIMIT_MAX || '60', 10),
+    maxMessageLength: parseInt(process.env.API_MAX_MESSAGE_LENGTH || '4000', 10),
+    maxUserIdLength: 200
+  },
 
-    // Add base URL for webhook validation (used in production)
-    baseUrl: process.env.BASE_URL || 'https://your-server-url.com'
+  // Inbound webhook idempotency (keyed on Twilio MessageSid)
+  webhooks: {
+    dedupeTtlHours: parseInt(process.env.WEBHOOK_DEDUPE_TTL_HOURS || '72', 10), // How long processed MessageSids are remembered
+    processingTimeoutMs: parseInt(process.env.WEBHOOK_PROCESSING_TIMEOUT_MS || String(5 * 60 * 1000), 10), // After this a 'processing' run counts as crashed
+    maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '3', 10),
+    resumeOnStartup: process.env.WEBHOOK_RESUME_ON_STARTUP !== 'false'
+  },
+
+  // Per-conversation turn queue
+  queue: {
+    // Messages arriving within this window are answered in one AI turn (0 disables coalescing)
+    coalesceWindowMs: parseInt(process.env.QUEUE_COALESCE_WINDOW_MS || '0', 10),
+    maxBatchSize: parseInt(process.env.QUEUE_MAX_BATCH_SIZE || '5', 10),
+    // 'local' for a single instance, 'mongo' to lock across instances
+    lockProvider: process.env.QUEUE_LOCK_PROVIDER || 'local',
+    lockTtlMs: parseInt(process.env.QUEUE_LOCK_TTL_MS || String(2 * 60 * 1000), 10),
+    lockWaitMs: parseInt(process.env.QUEUE_LOCK_WAIT_MS || String(60 * 1000), 10),
+    lockRetryMs: parseInt(process.env.QUEUE_LOCK_RETRY_MS || '250', 10)
+  },
+
+  // Chat turn limits per web session, conversation and phone number (token buckets + daily caps)
+  chatLimits: {
+    enabled: process.env.CHAT_LIMITS_ENABLED !== 'false',
+    // 'memory' for a single instance, 'mongo' to share counters across instances
+    store: process.env.CHAT_LIMIT_STORE || 'memory',
+    // Bucket size (burst) and refill rate (turns per minute) for each key
+    session: {
+      capacity: parseInt(process.env.CHAT_LIMIT_SESSION_BURST || '5', 10),
+      refillPerMinute: parseFloat(process.env.CHAT_LIMIT_SESSION_PER_MINUTE || '10')
+    },
+    conversation: {
+      capacity: parseInt(process.env.CHAT_LIMIT_CONVERSATION_BURST || '8', 10),
+      refillPerMinute: parseFloat(process.env.CHAT_LIMIT_CONVERSATION_PER_MINUTE || '12')
+    },
+    phone: {
+      capacity: parseInt(process.env.CHAT_LIMIT_PHONE_BURST || '8', 10),
+      refillPerMinute: parseFloat(process.env.CHAT_LIMIT_PHONE_PER_MINUTE || '12')
+    },
+    // Per web client IP, shared by every session from it - high enough for a clinic network behind one NAT
+    client: {
+      capacity: parseInt(process.env.CHAT_LIMIT_CLIENT_BURST || '30', 10),
+      refillPerMinute: parseFloat(process.env.CHAT_LIMIT_CLIENT_PER_MINUTE || '60'),
+      dailyMessages: parseInt(process.env.CHAT_LIMIT_CLIENT_DAILY_MESSAGES || '2000', 10),
+      dailyTokens: parseInt(process.env.CHAT_LIMIT_CLIENT_DAILY_TOKENS || '2000000', 10)
+    },
+    // Per conversation and per phone number, reset at midnight UTC (0 disables)
+    dailyMessages: parseInt(process.env.CHAT_LIMIT_DAILY_MESSAGES || '200', 10),
+    dailyTokens: parseInt(process.env.CHAT_LIMIT_DAILY_TOKENS || '200000', 10),
+    // On WhatsApp, SMS and Telegram, repeat the over-limit reply at most this often
+    noticeIntervalMs: parseInt(process.env.CHAT_LIMIT_NOTICE_INTERVAL_MS || String(10 * 60 * 1000), 10)
+  },
+
+  // Token and cost accounting
+  usage: {
+    // USD per million tokens; models match the longest name prefix (e.g. 'gpt-4o-mini' matches 'gpt-4o-mini-2024-07-18')
+    // USAGE_PRICES adds or overrides entries: {"my-model":{"input":0.5,"output":1.5}}
+    prices: {
+      'gpt-4.1-nano': { input: 0.10, cachedInput: 0.025, output: 0.40 },
+      'gpt-4.1-mini': { input: 0.40, cachedInput: 0.10, output: 1.60 },
+      'gpt-4.1': { input: 2.00, cachedInput: 0.50, output: 8.00 },
+      'gpt-4o-mini': { input: 0.15, cachedInput: 0.075, output: 0.60 },
+      'gpt-4o': { input: 2.50, cachedInput: 1.25, output: 10.00 },
+      ...parseJsonEnv('USAGE_PRICES', {})
+    },
+    // Budget ceilings in USD (0 = none): over the degrade ceiling, turns use degradedModel;
+    // over the limit, turns are answered with refusalMessage instead of calling the model
+    budgets: {
+      dailyDegradeUsd: parseFloat(process.env.USAGE_DAILY_DEGRADE_USD || '0'),
+      dailyLimitUsd: parseFloat(process.env.USAGE_DAILY_LIMIT_USD || '0'),
+      conversationDegradeUsd: parseFloat(process.env.USAGE_CONVERSATION_DEGRADE_USD || '0'),
+      conversationLimitUsd: parseFloat(process.env.USAGE_CONVERSATION_LIMIT_USD || '0'),
+      degradedModel: process.env.USAGE_DEGRADED_MODEL || 'gpt-4.1-nano-2025-04-14',
+      refusalMessage: process.env.USAGE_REFUSAL_MESSAGE ||
+        "I'm sorry, I can't answer any more questions right now. Please try again later, or contact us directly if it's urgent."
+    }
+  },
+
+  // Inbound media (WhatsApp attachments)
+  media: {
+    allowedImageTypes: (process.env.MEDIA_ALLOWED_IMAGE_TYPES || 'image/jpeg,image/png,image/webp,image/gif')
+      .split(',')
+      .map(type => type.trim().toLowerCase())
+      .filter(Boolean),
+    maxImageBytes: parseInt(process.env.MEDIA_MAX_IMAGE_BYTES || String(5 * 1024 * 1024), 10), // 5 MB
+    maxImagesPerMessage: parseInt(process.env.MEDIA_MAX_IMAGES_PER_MESSAGE || '4', 10),
+    allowedAudioTypes: (process.env.MEDIA_ALLOWED_AUDIO_TYPES || 'audio/ogg,audio/mpeg,audio/mp4,audio/aac,audio/amr')
+      .split(',')
+      .map(type => type.trim().toLowerCase())
+      .filter(Boolean),
+    maxAudioBytes: parseInt(process.env.MEDIA_MAX_AUDIO_BYTES || String(16 * 1024 * 1024), 10), // 16 MB (WhatsApp limit)
+    downloadTimeoutMs: parseInt(process.env.MEDIA_DOWNLOAD_TIMEOUT_MS || '15000', 10)
+  },
+
+  // Voice-note transcription
+  transcription: {
+    provider: process.env.TRANSCRIPTION_PROVIDER || 'openai', // 'openai' or 'stub'
+    model: process.env.OPENAI_TRANSCRIPTION_MODEL || 'whisper-1',
+    stubText: process.env.TRANSCRIPTION_STUB_TEXT || 'This is a transcribed voice note.'
+  },
+
+  // LLM provider for replies and summaries
+  llm: {
+    provider: process.env.LLM_PROVIDER || 'openai', // 'openai', 'openai-compatible' or 'mock'
+    // OpenAI-compatible backend (vLLM, Ollama, LM Studio...) - models are still named by OPENAI_MODEL / OPENAI_SUMMARY_MODEL
+    baseUrl: process.env.LLM_BASE_URL || 'http://localhost:11434/v1',
+    apiKey: process.env.LLM_API_KEY || '',
+    // Longest wait for a response (or, when streaming, for the next event) before retrying
+    timeoutMs: parseInt(process.env.LLM_TIMEOUT_MS || '60000', 10),
+    // Retries of 429s, 5xx, network errors and timeouts: exponential backoff with jitter, or the server's Retry-After
+    maxRetries: parseInt(process.env.LLM_MAX_RETRIES || '2', 10),
+    retryBaseDelayMs: parseInt(process.env.LLM_RETRY_BASE_DELAY_MS || '500', 10),
+    retryMaxDelayMs: parseInt(process.env.LLM_RETRY_MAX_DELAY_MS || '8000', 10),
+    // Stop calling a model after this many failures in a row, until the cooldown has passed
+    circuitBreaker: {
+      failureThreshold: parseInt(process.env.LLM_CIRCUIT_FAILURE_THRESHOLD || '5', 10),
+      cooldownMs: parseInt(process.env.LLM_CIRCUIT_COOLDOWN_MS || '30000', 10)
+    },
+    // JSON script of canned replies and tool calls for the mock provider (optional)
+    mockScript: process.env.LLM_MOCK_SCRIPT || ''
   },
 
   // OpenAI configuration
@@ -57,12 +316,80 @@ const config = {
     apiKey: process.env.OPENAI_API_KEY,
     // Ensure we're using a vision-capable model
     model: process.env.OPENAI_MODEL || 'gpt-4.1-nano-2025-04-14', // Vision-capable model 
-    summaryModel: process.env.OPENAI_SUMMARY_MODEL || 'gpt-4o-mini-2024-07-18'
+    summaryModel: process.env.OPENAI_SUMMARY_MODEL || 'gpt-4o-mini-2024-07-18',
+    // Models tried in order when the requested model keeps failing (comma-separated)
+    fallbackModels: (process.env.OPENAI_FALLBACK_MODELS || '')
+      .split(',')
+      .map(model => model.trim())
+      .filter(Boolean)
+  },
+
+  // Tool-calling loop limits (per user turn)
+  agent: {
+    maxSteps: parseInt(process.env.AGENT_MAX_STEPS || '5', 10), // Follow-up rounds before forcing an answer
+    maxToolCalls: parseInt(process.env.AGENT_MAX_TOOL_CALLS || '8', 10) // Total tool executions allowed
+  },
+
+  // WebSocket streaming configuration
+  streaming: {
+    // Stream replies by default; clients can still opt in/out per message with `stream`
+    enabled: process.env.ENABLE_STREAMING === 'true'
+  },
+
+  // Web chat history fetched with get_history
+  history: {
+    defaultPageSize: parseInt(process.env.HISTORY_PAGE_SIZE || '50', 10),
+    maxPageSize: parseInt(process.env.HISTORY_MAX_PAGE_SIZE || '100', 10)
+  },
+
+  // Resumable web chat sessions (resume tokens sent in connection_established)
+  sessionResume: {
+    // HMAC key for signing tokens - without it a random key is used and tokens stop working on restart
+    secret: process.env.SESSION_RESUME_SECRET || null,
+    ttlHours: parseInt(process.env.SESSION_RESUME_TTL_HOURS || '168', 10), // 7 days
+    maxTokenLength: 1024
+  },
+
+  // Web chat connection health (WebSocket heartbeats; idle and buffer limits also apply to SSE streams)
+  connections: {
+    heartbeatIntervalMs: parseInt(process.env.WS_HEARTBEAT_INTERVAL_MS || '30000', 10), // Sockets that miss a pong for a whole interval are terminated
+    idleTimeoutMs: parseInt(process.env.WS_IDLE_TIMEOUT_MS || String(30 * 60 * 1000), 10), // Close connections without client messages for this long (0 disables)
+    maxBufferedBytes: parseInt(process.env.WS_MAX_BUFFERED_BYTES || String(1024 * 1024), 10), // Above this, streaming frames are dropped
+    closeBufferedBytes: parseInt(process.env.WS_CLOSE_BUFFERED_BYTES || String(8 * 1024 * 1024), 10), // Above this, the connection is closed
+    sweepIntervalMs: parseInt(process.env.WS_SWEEP_INTERVAL_MS || '60000', 10) // How often closed sessions are cleaned up
+  },
+
+  // Server-Sent Events transport for web clients that cannot use WebSockets
+  sse: {
+    keepAliveIntervalMs: parseInt(process.env.SSE_KEEPALIVE_INTERVAL_MS || '15000', 10) // Comment sent to keep proxies from closing idle streams
   },
 
   // Conversation history configuration
   conversation: {
-    maxHistoryMessages: 10 // Default number of messages to include in history
+    maxHistoryMessages: parseInt(process.env.CONTEXT_MAX_HISTORY_MESSAGES || '50', 10) // Most messages sent as history; the token budget usually sends fewer
+  },
+
+  // Context sent to the model with each turn (see services/context-builder.js)
+  context: {
+    // auto: the previous response carries the conversation when the provider keeps state (OpenAI), history otherwise
+    // server / client: always one of them (server needs a provider that keeps state)
+    strategy: process.env.CONTEXT_STRATEGY || 'auto',
+    // Context window per model, in tokens; models match the longest name prefix
+    // CONTEXT_WINDOWS adds or overrides entries: {"llama3.1":131072}
+    windows: {
+      'gpt-4.1': 1047576,
+      'gpt-4o': 128000,
+      'gpt-4-turbo': 128000,
+      'gpt-3.5-turbo': 16385,
+      ...parseJsonEnv('CONTEXT_WINDOWS', {})
+    },
+    defaultWindow: parseInt(process.env.CONTEXT_DEFAULT_WINDOW || '8192', 10), // Models not in the table (e.g. self-hosted)
+    tokenizer: process.env.CONTEXT_TOKENIZER || 'o200k_base', // Encoding tokens are counted with: o200k_base (gpt-4o and later) or cl100k_base (gpt-4, gpt-3.5)
+    maxInputTokens: parseInt(process.env.CONTEXT_MAX_INPUT_TOKENS || '16000', 10), // Cap below the window to keep turns cheap (0 = window only)
+    reserveOutputTokens: parseInt(process.env.CONTEXT_RESERVE_OUTPUT_TOKENS || '2000', 10), // Left free for the reply
+    knowledgeTokens: parseInt(process.env.CONTEXT_KNOWLEDGE_TOKENS || '3000', 10), // Kept for knowledge base context added by tool calls
+    summaryTokens: parseInt(process.env.CONTEXT_SUMMARY_TOKENS || '1500', 10), // Longest conversation summary sent
+    serverStateMaxAgeDays: parseInt(process.env.CONTEXT_SERVER_STATE_MAX_AGE_DAYS || '25', 10) // Older responses are not continued (OpenAI keeps them 30 days)
   },
 
   // New summary configuration
@@ -70,6 +397,9 @@ const config = {
     minMessageCount: parseInt(process.env.SUMMARY_MIN_MESSAGE_COUNT || '5', 10),
     maxLength: parseInt(process.env.SUMMARY_MAX_LENGTH || '500', 10),
     recentMessageCount: parseInt(process.env.SUMMARY_RECENT_MESSAGE_COUNT || '20', 10), // NEW
+    updateEveryMessages: parseInt(process.env.SUMMARY_UPDATE_EVERY_MESSAGES || '20', 10), // Fold new messages into the summary once this many are not covered
+    maxInputTokens: parseInt(process.env.SUMMARY_MAX_INPUT_TOKENS || '12000', 10), // Longer transcripts are folded in batches
+    historyLimit: parseInt(process.env.SUMMARY_HISTORY_LIMIT || '10', 10), // Earlier summary versions kept per conversation
     enabled: process.env.ENABLE_SUMMARIES !== 'false' // Enable by default unless explicitly disabled
   },
 
@@ -83,7 +413,8 @@ function validateConfig() {
   const requiredVars = [
     'MONGODB_URI',
     'MONGODB_DATABASE_NAME',
-    'OPENAI_API_KEY'
+    // Only the OpenAI provider needs a key; self-hosted and mock providers run without one
+    ...(config.llm.provider === 'openai' ? ['OPENAI_API_KEY'] : [])
   ];
 
   const missing = requiredVars.filter(varName => !process.env[varName]);
@@ -0,0 +1,56 @@
+// models/consent.js
+const mongoose = require('mongoose');
+
+// Schema for consent changes, kept for audit
+const consentChangeSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: ['opted_in', 'opted_out'],
+    required: true
+  },
+  channel: {
+    type: String,
+    required: true
+  },
+  // Keyword that triggered the change (e.g. 'STOP'), or the source of a manual change
+  keyword: {
+    type: String,
+    default: null
+  },
+  conversationId: {
+    type: String,
+    default: null
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// Schema for messaging consent, keyed on the user's phone number
+const consentSchema = new mongoose.Schema({
+  // E.164 phone number, shared by WhatsApp and SMS
+  phone: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  status: {
+    type: String,
+    enum: ['opted_in', 'opted_out'],
+    default: 'opted_in'
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  },
+  history: {
+    type: [consentChangeSchema],
+    default: []
+  }
+});
+
+// Create the model
+const Consent = mongoose.model('Consent', consentSchema);
+
+module.exports = Consent;
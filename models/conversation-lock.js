@@ -0,0 +1,30 @@
+// models/conversation-lock.js
+const mongoose = require('mongoose');
+
+// Schema for cross-instance conversation locks
+const conversationLockSchema = new mongoose.Schema({
+  // Queue key (e.g. conversation ID)
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Random token identifying the holder, so only the holder can release
+  token: {
+    type: String,
+    required: true
+  },
+  // A lock past this date is treated as abandoned and may be taken over
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+// TTL index - MongoDB cleans up abandoned locks
+conversationLockSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Create the model
+const ConversationLock = mongoose.model('ConversationLock', conversationLockSchema);
+
+module.exports = ConversationLock;
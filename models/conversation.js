@@ -19,7 +19,7 @@ const messageSchema = new mongoose.Schema({
   },
   channel: {
     type: String,
-    enum: ['whatsapp', 'website'],
+    enum: ['whatsapp', 'website', 'sms', 'telegram', 'api'],
     required: true
   },
   metadata: {
@@ -33,7 +33,7 @@ const messageSchema = new mongoose.Schema({
 const identifierSchema = new mongoose.Schema({
   type: {
     type: String,
-    enum: ['whatsapp_phone', 'website_session', 'user_id', 'phone', 'email'],
+    enum: ['whatsapp_phone', 'sms_phone', 'telegram_chat', 'website_session', 'user_id', 'phone', 'email'],
     required: true
   },
   value: {
@@ -97,6 +97,11 @@ const summarySchema = new mongoose.Schema({
   modelUsed: {
     type: String,
     default: null
+  },
+  // Incremented each time new messages are folded in
+  version: {
+    type: Number,
+    default: 1
   }
 });
 
@@ -121,11 +126,36 @@ const conversationSchema = new mongoose.Schema({
     default: []
   },
   previousResponseId: String,
+  // Last message the previous response has seen, and when it was created (see services/context-builder.js)
+  previousResponseMessageId: String,
+  previousResponseAt: Date,
+  // How context reaches the model: previous response ID ('server') or history ('client')
+  contextStrategy: {
+    type: String,
+    enum: ['server', 'client', null],
+    default: null
+  },
+  // Time of the user's last inbound message, per channel (drives the WhatsApp 24-hour session window)
+  lastInboundAt: {
+    type: Map,
+    of: Date,
+    default: () => new Map()
+  },
   channel: {
     type: String,
-    enum: ['whatsapp', 'website'],
+    enum: ['whatsapp', 'website', 'sms', 'telegram', 'api'],
     required: true
   },
+  // Messaging consent for the user's phone number (copy of the Consent record)
+  consent: {
+    status: {
+      type: String,
+      enum: ['opted_in', 'opted_out'],
+      default: 'opted_in'
+    },
+    updatedAt: Date,
+    channel: String
+  },
   metadata: {
     type: Map,
     of: mongoose.Schema.Types.Mixed,
@@ -140,7 +170,7 @@ const conversationSchema = new mongoose.Schema({
     },
     method: {
       type: String,
-      enum: ['none', 'phone', 'name', 'email', 'user_id', 'whatsapp_phone'],
+      enum: ['none', 'phone', 'name', 'email', 'user_id', 'whatsapp_phone', 'sms_phone'],
       default: 'none'
     },
     confidence: {
@@ -156,6 +186,11 @@ const conversationSchema = new mongoose.Schema({
   summary: {
     type: summarySchema,
     default: null
+  },
+  // Earlier versions of the summary, oldest first (config.summary.historyLimit are kept)
+  summaryHistory: {
+    type: [summarySchema],
+    default: []
   }
 }, {
   timestamps: true
@@ -0,0 +1,113 @@
+// models/outbound-message.js
+const mongoose = require('mongoose');
+
+// Schema for status changes reported by the provider
+const statusChangeSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    required: true
+  },
+  errorCode: {
+    type: String,
+    default: null
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// Schema for messages sent through Twilio, keyed on the provider's message ID
+const outboundMessageSchema = new mongoose.Schema({
+  // Provider message ID (Twilio MessageSid)
+  sid: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  channel: {
+    type: String,
+    required: true
+  },
+  to: {
+    type: String,
+    required: true
+  },
+  // Conversation and assistant message this part belongs to (null for untracked sends)
+  conversationId: {
+    type: String,
+    default: null
+  },
+  messageId: {
+    type: String,
+    default: null
+  },
+  // Position of this part within a split reply (1-based)
+  part: {
+    type: Number,
+    default: 1
+  },
+  // Sent text, kept so a failed part can be re-sent
+  body: {
+    type: String,
+    default: ''
+  },
+  // Content template, when a template was sent instead of free-form text
+  contentSid: {
+    type: String,
+    default: null
+  },
+  contentVariables: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  // Latest delivery status (queued, sending, sent, delivered, read, failed, undelivered)
+  status: {
+    type: String,
+    default: 'queued'
+  },
+  statusHistory: {
+    type: [statusChangeSchema],
+    default: []
+  },
+  errorCode: {
+    type: String,
+    default: null
+  },
+  errorMessage: {
+    type: String,
+    default: null
+  },
+  // Send attempt number for this part (1 for the original send)
+  attempts: {
+    type: Number,
+    default: 1
+  },
+  // SID of the failed message this one re-sends, and of the message that re-sent this one
+  retryOf: {
+    type: String,
+    default: null
+  },
+  retriedBy: {
+    type: String,
+    default: null
+  },
+  // When the scheduled retry of this failed message is due (null if none is pending)
+  retryAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Index for rebuilding the delivery summary of an assistant message
+outboundMessageSchema.index({ messageId: 1, part: 1 });
+
+// Index for picking up retries that were pending when the server stopped
+outboundMessageSchema.index({ retryAt: 1 });
+
+// Create the model
+const OutboundMessage = mongoose.model('OutboundMessage', outboundMessageSchema);
+
+module.exports = OutboundMessage;
@@ -0,0 +1,32 @@
+// models/rate-limit-counter.js
+const mongoose = require('mongoose');
+
+// Schema for chat limit state shared between instances (the 'mongo' limit store)
+const rateLimitCounterSchema = new mongoose.Schema({
+  // Limit key (e.g. 'bucket:conversation:<id>', 'daily:tokens:phone:<number>:<date>')
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Token bucket: tokens left, and when they were last topped up (ms since epoch)
+  tokens: Number,
+  refilledAt: Number,
+  // Whether the last take from the bucket succeeded
+  allowed: Boolean,
+  // Counter value (daily caps, notice throttling)
+  value: Number,
+  // Documents are removed by MongoDB once this date has passed
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+// TTL index - MongoDB deletes idle buckets and past days' counters
+rateLimitCounterSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Create the model
+const RateLimitCounter = mongoose.model('RateLimitCounter', rateLimitCounterSchema);
+
+module.exports = RateLimitCounter;
@@ -0,0 +1,47 @@
+// models/resume-token.js
+const mongoose = require('mongoose');
+
+// Schema for web chat resume tokens - the signed token itself is only given to the client
+const resumeTokenSchema = new mongoose.Schema({
+  // Token ID (the `jti` signed into the token)
+  tokenId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // website_session identifier value the token re-attaches a socket to
+  identifierValue: {
+    type: String,
+    required: true,
+    index: true
+  },
+  // Set once the token can no longer be used
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  // rotated: exchanged for a new token on resume
+  // ended: the client ended the session
+  // reused: revoked because a rotated token from the same session was presented again
+  // revoked: revoked by the server (e.g. replaced before use)
+  revokedReason: {
+    type: String,
+    enum: ['rotated', 'ended', 'reused', 'revoked', null],
+    default: null
+  },
+  // Documents are removed by MongoDB once this date has passed
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// TTL index - MongoDB deletes the token when expiresAt is reached
+resumeTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Create the model
+const ResumeToken = mongoose.model('ResumeToken', resumeTokenSchema);
+
+module.exports = ResumeToken;
@@ -0,0 +1,40 @@
+// models/usage-total.js
+const mongoose = require('mongoose');
+
+// Schema for running totals of model usage and cost
+const usageTotalSchema = new mongoose.Schema({
+  // What the total covers: one conversation (all time), one channel on one day, or all usage on one day
+  scope: {
+    type: String,
+    enum: ['conversation', 'channel', 'day'],
+    required: true
+  },
+  // Conversation ID, channel name, or 'all' for day totals
+  key: {
+    type: String,
+    required: true
+  },
+  // UTC day (YYYY-MM-DD), or null for conversation totals
+  day: {
+    type: String,
+    default: null
+  },
+  // Counters, all $inc-ed on every update: model calls, turns answered and summaries generated
+  calls: Number,
+  turns: Number,
+  summaries: Number,
+  inputTokens: Number,
+  outputTokens: Number,
+  totalTokens: Number,
+  // Estimated cost from the price table (USD)
+  costUsd: Number,
+  updatedAt: Date
+});
+
+// One document per scope, key and day
+usageTotalSchema.index({ scope: 1, key: 1, day: 1 }, { unique: true });
+
+// Create the model
+const UsageTotal = mongoose.model('UsageTotal', usageTotalSchema);
+
+module.exports = UsageTotal;
@@ -0,0 +1,79 @@
+// models/webhook-event.js
+const mongoose = require('mongoose');
+
+// Schema for inbound webhook deliveries, keyed on the provider's message ID
+const webhookEventSchema = new mongoose.Schema({
+  // Provider message ID (Twilio MessageSid, or 'telegram:<update_id>')
+  messageSid: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  channel: {
+    type: String,
+    required: true
+  },
+  from: {
+    type: String,
+    required: true
+  },
+  // Processing state of this delivery
+  status: {
+    type: String,
+    enum: ['received', 'processing', 'replied', 'failed'],
+    default: 'received'
+  },
+  // Normalised message content, kept so an interrupted run can be resumed
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // Generated reply, kept so an interrupted run can send it without a new AI call
+  responseText: {
+    type: String,
+    default: null
+  },
+  // Conversation and assistant message holding the reply, for delivery tracking
+  conversationId: {
+    type: String,
+    default: null
+  },
+  responseMessageId: {
+    type: String,
+    default: null
+  },
+  // Other messages answered by the same reply (coalesced), completed when it is sent
+  coalescedMessageSids: {
+    type: [String],
+    default: []
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  // Number of times the provider has delivered this message (incremented on every delivery)
+  deliveries: Number,
+  lastError: {
+    type: String,
+    default: null
+  },
+  processingStartedAt: Date,
+  completedAt: Date,
+  // Documents are removed by MongoDB once this date has passed
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// TTL index - MongoDB deletes the event when expiresAt is reached
+webhookEventSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+// Index for finding interrupted or failed runs to resume
+webhookEventSchema.index({ status: 1, updatedAt: 1 });
+
+// Create the model
+const WebhookEvent = mongoose.model('WebhookEvent', webhookEventSchema);
+
+module.exports = WebhookEvent;
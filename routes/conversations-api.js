@@ -0,0 +1,272 @@
+// routes/conversations-api.js
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const rateLimit = require('express-rate-limit');
+const Conversation = require('../models/conversation');
+const sessionManager = require('../services/session-manager');
+const conversationEngine = require('../services/conversation-engine');
+const conversationQueue = require('../services/conversation-queue');
+const apiKeyService = require('../services/api-key-service');
+const logger = require('../utils/logger');
+const config = require('../config');
+
+/**
+ * Middleware that identifies the API client from its key
+ * Sets req.apiClient ({ name }, or null without a valid key) and never
+ * rejects, so the server can run it ahead of the IP rate limiters.
+ */
+function identifyApiClient(req, res, next) {
+    if (req.apiClient === undefined) {
+        req.apiClient = apiKeyService.authenticate(apiKeyService.extractKey(req));
+    }
+    next();
+}
+
+/**
+ * Middleware that rejects requests without a valid API key
+ */
+function requireApiClient(req, res, next) {
+    if (!req.apiClient) {
+        return res.status(401).json({ error: 'Invalid or missing API key' });
+    }
+    next();
+}
+
+// Per-key rate limiter - each client gets its own allowance, whatever IP it calls from
+const apiKeyLimiter = rateLimit({
+    windowMs: config.api.rateLimitWindowMs,
+    max: config.api.rateLimitMax,
+    keyGenerator: (req) => `api-key:${req.apiClient.name}`,
+    standardHeaders: true,
+    legacyHeaders: false,
+    handler: (req, res) => {
+        logger.warn(`[API] Rate limit exceeded for API client: ${req.apiClient.name}`);
+        res.status(429).json({
+            error: 'Rate limit exceeded for this API key',
+            retryAfterSeconds: Math.ceil(config.api.rateLimitWindowMs / 1000)
+        });
+    }
+});
+
+router.use(identifyApiClient, requireApiClient, apiKeyLimiter);
+
+/**
+ * Validate an external user ID
+ * @param {*} userId - Value of `user_id`
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateUserId(userId) {
+    if (typeof userId !== 'string' || userId.trim().length === 0) {
+        return 'user_id must be a non-empty string';
+    }
+    if (userId.length > config.api.maxUserIdLength) {
+        return `user_id too long (max ${config.api.maxUserIdLength} characters)`;
+    }
+    return null;
+}
+
+/**
+ * Validate a chat message
+ * @param {*} message - Value of `message`
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateMessage(message) {
+    if (typeof message !== 'string' || message.trim().length === 0) {
+        return 'message must be a non-empty string';
+    }
+    if (message.length > config.api.maxMessageLength) {
+        return `message too long (max ${config.api.maxMessageLength} characters)`;
+    }
+    return null;
+}
+
+/**
+ * Build the stored identifier for an API client's user ID
+ * User IDs are scoped by client, so two clients using the same ID never share a conversation.
+ * @param {Object} client - API client ({ name })
+ * @param {string} userId - Client's own ID for the user
+ * @returns {string} Identifier value
+ */
+function scopedUserId(client, userId) {
+    return `${client.name}:${userId}`;
+}
+
+/**
+ * Check that a conversation belongs to an API client's user
+ * Conversations without a user_id identifier (WhatsApp, SMS, Telegram and
+ * web chats) never match.
+ * @param {Object} conversation - Conversation document
+ * @param {Object} client - API client ({ name })
+ * @param {string} userId - Client's own ID for the user
+ * @returns {boolean} True if the conversation is the user's
+ */
+function belongsToUser(conversation, client, userId) {
+    const value = scopedUserId(client, userId);
+    return conversation.identifiers.some(id => id.type === 'user_id' && id.value === value);
+}
+
+/**
+ * Check that a conversation was started by an API client, for any of its users
+ * @param {Object} conversation - Conversation document
+ * @param {Object} client - API client ({ name })
+ * @returns {boolean} True if the conversation is the client's
+ */
+function belongsToClient(conversation, client) {
+    const prefix = scopedUserId(client, '');
+    return conversation.identifiers.some(id => id.type === 'user_id' && id.value.startsWith(prefix));
+}
+
+/**
+ * Run a turn for an API message and build the response body
+ * Turns go through the conversation queue, so they never overlap with
+ * messages for the same conversation arriving on other channels.
+ * @param {Object} conversation - Conversation document
+ * @param {string} message - User message
+ * @param {Object} client - API client ({ name })
+ * @returns {Promise<Object>} { status, body, headers }
+ */
+async function runApiTurn(conversation, message, client) {
+    const conversationId = conversation._id.toString();
+    const inbound = { conversationId, text: message, client: client.name };
+
+    const { result: reply } = await conversationQueue.enqueue(
+        conversationId,
+        inbound,
+        () => conversationEngine.runTurn('api', inbound)
+    );
+
+    if (reply.rateLimited) {
+        return {
+            status: 429,
+            body: {
+                error: reply.responseText,
+                reason: reply.reason,
+                retryAfterSeconds: reply.retryAfterSeconds,
+                conversationId
+            },
+            headers: { 'Retry-After': String(reply.retryAfterSeconds) }
+        };
+    }
+
+    if (reply.error) {
+        return {
+            status: 500,
+            body: { error: 'Could not generate a reply', conversationId }
+        };
+    }
+
+    return {
+        status: 200,
+        body: {
+            conversationId,
+            reply: {
+                messageId: reply.messageId,
+                content: reply.responseText
+            },
+            toolCalls: reply.toolCalls || [],
+            sources: reply.sources || [],
+            usage: reply.usage || null,
+            ...(reply.budgetExceeded ? { budgetExceeded: true, reason: reply.reason } : {})
+        }
+    };
+}
+
+/**
+ * POST /api/conversations
+ * Start a conversation for an external user, or return the user's existing one.
+ * Body: { user_id, message? } - with a message, the first turn runs straight away.
+ */
+router.post('/', async (req, res) => {
+    const { user_id: userId, message } = req.body || {};
+
+    const userIdError = validateUserId(userId);
+    if (userIdError) {
+        return res.status(400).json({ error: userIdError });
+    }
+    if (message !== undefined) {
+        const messageError = validateMessage(message);
+        if (messageError) {
+            return res.status(400).json({ error: messageError });
+        }
+    }
+
+    try {
+        const identifier = scopedUserId(req.apiClient, userId);
+        const existing = await Conversation.findByIdentifier('user_id', identifier);
+        const conversation = existing || await sessionManager.getOrCreateConversationByIdentifier('user_id', identifier);
+
+        logger.info(`[API] ${existing ? 'Resumed' : 'Started'} conversation ${conversation._id} for ${req.apiClient.name}`);
+
+        const body = {
+            conversation: {
+                id: conversation._id.toString(),
+                userId,
+                createdAt: conversation.createdAt,
+                created: !existing
+            }
+        };
+
+        if (message !== undefined) {
+            const turn = await runApiTurn(conversation, message, req.apiClient);
+            if (turn.status !== 200) {
+                return res.status(turn.status).set(turn.headers || {}).json({ ...turn.body, conversation: body.conversation });
+            }
+            Object.assign(body, turn.body);
+        }
+
+        res.status(existing ? 200 : 201).json(body);
+    } catch (error) {
+        logger.error(`[API] Error starting conversation for ${req.apiClient.name}:`, error);
+        res.status(500).json({ error: 'Could not start conversation' });
+    }
+});
+
+/**
+ * POST /api/conversations/:id/messages
+ * Send a message and wait for the reply.
+ * Body: { message, user_id } - user_id must be the one the conversation was started with, by the same API client.
+ */
+router.post('/:id/messages', async (req, res) => {
+    const { id } = req.params;
+    const { user_id: userId, message } = req.body || {};
+
+    const userIdError = validateUserId(userId);
+    if (userIdError) {
+        return res.status(400).json({ error: userIdError });
+    }
+    const messageError = validateMessage(message);
+    if (messageError) {
+        return res.status(400).json({ error: messageError });
+    }
+
+    if (!mongoose.isValidObjectId(id)) {
+        return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    try {
+        const conversation = await Conversation.findById(id);
+        if (!conversation) {
+            return res.status(404).json({ error: 'Conversation not found' });
+        }
+
+        if (!belongsToUser(conversation, req.apiClient, userId)) {
+            logger.warn(`[API] ${req.apiClient.name} sent user_id that does not match conversation ${id}`);
+            return res.status(403).json({ error: 'Conversation does not belong to this user_id' });
+        }
+
+        const turn = await runApiTurn(conversation, message, req.apiClient);
+        res.status(turn.status).set(turn.headers || {}).json(turn.body);
+    } catch (error) {
+        logger.error(`[API] Error processing message for conversation ${id}:`, error);
+        res.status(500).json({ error: 'Could not process message' });
+    }
+});
+
+// Exposed so the server can identify API clients before the IP rate limiters
+router.identifyApiClient = identifyApiClient;
+// Exposed so other API routers can share the API key check and conversation ownership
+router.requireApiClient = requireApiClient;
+router.belongsToClient = belongsToClient;
+
+module.exports = router;
@@ -0,0 +1,288 @@
+// routes/telegram-webhook.js
+const express = require('express');
+const router = express.Router();
+const crypto = require('crypto');
+const sessionManager = require('../services/session-manager');
+const conversationEngine = require('../services/conversation-engine');
+const webhookEventService = require('../services/webhook-event-service');
+const conversationQueue = require('../services/conversation-queue');
+const logger = require('../utils/logger');
+const config = require('../config');
+
+/**
+ * Middleware that checks the secret token Telegram sends with each update
+ * The token is the `secret_token` given to setWebhook. Without
+ * TELEGRAM_WEBHOOK_SECRET, updates are rejected in production - anyone could
+ * post fake ones - and accepted elsewhere for local development.
+ */
+function validateTelegramSecret(req, res, next) {
+    const secret = config.telegram.webhookSecret;
+    if (!secret) {
+        if (config.environment === 'production') {
+            logger.error('[Telegram Security] TELEGRAM_WEBHOOK_SECRET is not set - rejecting update');
+            return res.status(403).send('Forbidden - Webhook secret not configured');
+        }
+        return next();
+    }
+
+    const provided = Buffer.from(String(req.headers['x-telegram-bot-api-secret-token'] || ''));
+    const expected = Buffer.from(secret);
+
+    if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+        logger.error('[Telegram Security] Invalid or missing webhook secret token - request rejected');
+        return res.status(403).send('Forbidden - Invalid secret token');
+    }
+
+    next();
+}
+
+/**
+ * POST endpoint for Telegram bot updates
+ * Handles /start, shared contacts and text messages from private chats.
+ * Other updates (edits, stickers, group messages) are acknowledged and ignored.
+ */
+router.post('/webhook', validateTelegramSecret, async (req, res) => {
+    const update = req.body || {};
+    const message = update.message;
+
+    // Acknowledge straight away - Telegram redelivers updates that are not answered with a 2xx
+    res.sendStatus(200);
+
+    if (!update.update_id || !message || !message.chat || !message.from) {
+        logger.debug('[Telegram Webhook] Ignoring update without a message');
+        return;
+    }
+
+    if (message.chat.type !== 'private') {
+        logger.debug(`[Telegram Webhook] Ignoring message from ${message.chat.type} chat ${message.chat.id}`);
+        return;
+    }
+
+    const payload = {
+        chatId: String(message.chat.id),
+        profile: {
+            firstName: message.from.first_name || null,
+            lastName: message.from.last_name || null,
+            username: message.from.username || null
+        }
+    };
+
+    if (message.contact) {
+        // Only accept the user's own number, as sent by the contact request button
+        if (String(message.contact.user_id) !== String(message.from.id)) {
+            logger.warn(`[Telegram Webhook] Ignoring contact for another user in chat ${payload.chatId}`);
+            await sendReply(payload, { responseText: 'Please use the button to share your own phone number.' });
+            return;
+        }
+        payload.type = 'contact';
+        payload.phone = message.contact.phone_number;
+        payload.contactUserId = String(message.contact.user_id);
+        payload.fromId = String(message.from.id);
+    } else if (typeof message.text === 'string' && message.text.trim().length > 0) {
+        let text = message.text;
+        if (text.length > 4096) {
+            logger.warn(`[Telegram Webhook] Message too long: ${text.length} chars from chat ${payload.chatId}`);
+            text = text.substring(0, 4096) + '... [truncated]';
+        }
+        payload.type = /^\/start(@\w+)?(\s|$)/.test(text) ? 'start' : 'text';
+        payload.body = text;
+    } else {
+        logger.info(`[Telegram Webhook] Unsupported message type in chat ${payload.chatId} - ignoring`);
+        await sendReply(payload, { responseText: 'Sorry, I can only read text messages here.' });
+        return;
+    }
+
+    const eventId = `telegram:${update.update_id}`;
+
+    // Record the delivery so Telegram redeliveries of the same update are not processed twice
+    let recorded;
+    try {
+        recorded = await webhookEventService.recordDelivery(eventId, {
+            channel: 'telegram',
+            from: payload.chatId,
+            payload
+        });
+    } catch (recordError) {
+        logger.error(`[Telegram Webhook] Could not record delivery of ${eventId}, processing without dedupe:`, recordError);
+        try {
+            const { result: reply, primary } = await queueResponse(payload);
+            if (primary && reply.responseText) {
+                const delivery = await sendReply(payload, reply);
+                if (!delivery.success) {
+                    throw new Error(`Failed to send telegram reply: ${delivery.error}`);
+                }
+            }
+        } catch (error) {
+            logger.error('[Telegram Webhook] Unhandled error processing incoming message:', error);
+
+            try {
+                await sendReply(payload, {
+                    responseText: "I'm sorry, I encountered an error processing your request. Please try again later."
+                });
+            } catch (sendError) {
+                logger.error('Error sending error message to telegram:', sendError);
+            }
+        }
+        return;
+    }
+
+    if (recorded.isRedelivery && webhookEventService.isFinished(recorded.event)) {
+        logger.info(`[Telegram Webhook] Redelivery of ${eventId} already ${recorded.event.status} - skipping`);
+        return;
+    }
+
+    await handleUpdateEvent(eventId);
+});
+
+/**
+ * Generate the reply for an update through the conversation queue
+ * Text messages arriving within the coalescing window are answered in a
+ * single turn; only the last message of such a batch is `primary`.
+ * @param {Object} payload - Normalised update ({ type, chatId, profile, body, phone })
+ * @returns {Promise<Object>} { result, primary, batchSize, items } - result is { responseText, conversationId, messageId }
+ */
+async function queueResponse(payload) {
+    const conversation = await sessionManager.getOrCreateConversationByIdentifier('telegram_chat', payload.chatId);
+    const conversationId = conversation._id.toString();
+
+    if (payload.type === 'start') {
+        return conversationQueue.enqueue(conversationId, payload, async () => {
+            await sessionManager.addMessage(conversationId, 'user', payload.body, 'telegram');
+            return { responseText: config.telegram.welcomeMessage, conversationId, messageId: null };
+        });
+    }
+
+    if (payload.type === 'contact') {
+        return conversationQueue.enqueue(conversationId, payload, () =>
+            conversationEngine.getAdapter('telegram').linkContact(payload)
+        );
+    }
+
+    return conversationQueue.enqueue(
+        conversationId,
+        payload,
+        (payloads) => conversationEngine.runTurn('telegram', {
+            ...payload,
+            body: payloads.map(item => item.body).join('\n')
+        }),
+        { coalesce: true }
+    );
+}
+
+/**
+ * Send a reply to a Telegram chat
+ * The channel adapter converts the reply to plain text and shows or removes
+ * the contact button depending on the update type.
+ * @param {Object} payload - Normalised update ({ chatId, type })
+ * @param {Object} reply - { responseText }
+ * @returns {Promise<Object>} Delivery result
+ */
+async function sendReply(payload, reply) {
+    return conversationEngine.getAdapter('telegram').deliver(payload, reply);
+}
+
+/**
+ * Process a recorded Telegram update and send the reply
+ * Claims the event first, so redelivered, in-flight, completed or failed
+ * updates are skipped. A reply generated by an interrupted attempt is sent
+ * instead of calling the AI again. Updates coalesced into a later one are left in
+ * progress; the later one completes them once the shared reply is sent.
+ * @param {string} eventId - Event ID ('telegram:<update_id>')
+ * @returns {Promise<void>}
+ */
+async function handleUpdateEvent(eventId) {
+    let event;
+    try {
+        event = await webhookEventService.startProcessing(eventId);
+    } catch (claimError) {
+        logger.error(`[Telegram Webhook] Could not claim ${eventId} for processing:`, claimError);
+        return;
+    }
+
+    if (!event) {
+        logger.info(`[Telegram Webhook] Skipping ${eventId} - already replied, in progress or out of attempts`);
+        return;
+    }
+
+    const payload = event.payload || {};
+    // This event and any coalesced into it, all answered by the same reply
+    let answered = [eventId, ...(event.coalescedMessageSids || [])];
+
+    try {
+        let reply = {
+            responseText: event.responseText,
+            conversationId: event.conversationId,
+            messageId: event.responseMessageId
+        };
+
+        if (reply.responseText) {
+            logger.info(`[Telegram Webhook] Re-sending stored reply for ${eventId} (attempt ${event.attempts})`);
+        } else {
+            const { result, primary, items } = await queueResponse({ ...payload, eventId });
+            if (!primary) {
+                logger.info(`[Telegram Webhook] ${eventId} is answered together with a later message`);
+                return;
+            }
+
+            reply = result;
+            // Items processed without dedupe (store unavailable) have no event
+            answered = items.map(item => item.eventId).filter(Boolean);
+            if (reply.responseText) {
+                await webhookEventService.markResponseGenerated(eventId, reply, answered.filter(id => id !== eventId));
+            }
+        }
+
+        if (reply.responseText) {
+            const delivery = await sendReply(payload, reply);
+            if (!delivery.success) {
+                throw new Error(`Failed to send telegram reply: ${delivery.error}`);
+            }
+            logger.info(`Sent telegram reply to chat ${payload.chatId}`);
+        } else if (reply.rateLimited) {
+            logger.info(`[Telegram Webhook] ${eventId} is over a chat limit - notice already sent`);
+        } else {
+            logger.warn('No response text generated for telegram message');
+        }
+
+        await webhookEventService.markReplied(answered);
+    } catch (error) {
+        logger.error(`[Telegram Webhook] Error processing update ${eventId}:`, error);
+
+        try {
+            await webhookEventService.markFailed(answered, error);
+        } catch (markError) {
+            logger.error(`[Telegram Webhook] Could not mark ${eventId} as failed:`, markError);
+        }
+
+        try {
+            await sendReply(payload, {
+                responseText: "I'm sorry, I encountered an error processing your request. Please try again later."
+            });
+        } catch (sendError) {
+            logger.error('Error sending error message to telegram:', sendError);
+        }
+    }
+}
+
+/**
+ * Resume Telegram updates whose processing was interrupted (e.g. by a crash)
+ * @returns {Promise<number>} Number of events resumed
+ */
+async function resumePendingMessages() {
+    const events = await webhookEventService.findResumable(['telegram']);
+
+    if (events.length > 0) {
+        logger.info(`[Telegram Webhook] Resuming ${events.length} interrupted updates`);
+    }
+
+    for (const event of events) {
+        await handleUpdateEvent(event.messageSid);
+    }
+
+    return events.length;
+}
+
+// Exposed so the server can resume interrupted runs on startup
+router.resumePendingMessages = resumePendingMessages;
+
+module.exports = router;
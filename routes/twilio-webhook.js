@@ -3,38 +3,31 @@ const express = require('express');
 const router = express.Router();
 const twilio = require('twilio');
 const sessionManager = require('../services/session-manager');
-const messageProcessor = require('../services/message-processor');
+const conversationEngine = require('../services/conversation-engine');
+const webhookEventService = require('../services/webhook-event-service');
+const conversationQueue = require('../services/conversation-queue');
+const twilioService = require('../services/twilio-service');
+const deliveryTrackingService = require('../services/delivery-tracking-service');
+const consentService = require('../services/consent-service');
 const logger = require('../utils/logger');
+const { delay } = require('../utils/delay');
 const config = require('../config');
 
 // Twilio TwiML response generator
 const MessagingResponse = twilio.twiml.MessagingResponse;
 
 /**
- * POST endpoint for Twilio WhatsApp webhook
- * This handles incoming WhatsApp messages via Twilio
+ * Create middleware that validates the Twilio webhook signature
+ * Validation runs in production when ENABLE_TWILIO_VALIDATION=true.
+ * @param {string} webhookPath - Public path of the webhook (e.g. '/twilio/whatsapp')
+ * @returns {Function} Express middleware
  */
-router.post('/whatsapp',
-    // Debug logging to help troubleshoot
-    (req, res, next) => {
-        logger.debug('[Twilio Debug] Webhook hit at /twilio/whatsapp');
-        logger.debug('[Twilio Debug] Headers:', JSON.stringify(req.headers, null, 2));
-        logger.debug('[Twilio Debug] URL:', req.originalUrl);
-        next();
-    },
-    // Parse URL-encoded bodies (needed for Twilio webhook)
-    express.urlencoded({ extended: false }),
-    // Debug logging after body parsing
-    (req, res, next) => {
-        logger.debug('[Twilio Debug] Body after parsing:', req.body);
-        next();
-    },
-    // Twilio webhook signature validation
-    (req, res, next) => {
+function validateTwilioSignature(webhookPath) {
+    return (req, res, next) => {
         const enableTwilioValidation = process.env.ENABLE_TWILIO_VALIDATION === 'true';
         
         if (enableTwilioValidation && config.environment === 'production') {
-            logger.debug('[Twilio Security] Validating webhook signature');
+            logger.debug(`[Twilio Security] Validating webhook signature for ${webhookPath}`);
             
             // Extract signature from headers
             const twilioSignature = req.headers['x-twilio-signature'];
@@ -44,14 +37,14 @@ router.post('/whatsapp',
                 return res.status(403).send('Forbidden - Missing signature');
             }
             
-            // Construct webhook URL for validation
-            const webhookUrl = `${config.twilio.baseUrl}/twilio/whatsapp`;
-            
             if (!config.twilio.baseUrl) {
                 logger.error('[Twilio Security] TWILIO_BASE_URL not configured for webhook validation');
                 return res.status(500).send('Server configuration error');
             }
             
+            // Construct webhook URL for validation
+            const webhookUrl = `${config.twilio.baseUrl.replace(/\/+$/, '')}${webhookPath}`;
+            
             try {
                 // Validate the request signature
                 const isValid = twilio.validateRequest(
@@ -80,8 +73,31 @@ router.post('/whatsapp',
             }
         }
         
+        next();
+    };
+}
+
+/**
+ * POST endpoint for Twilio WhatsApp webhook
+ * This handles incoming WhatsApp messages via Twilio
+ */
+router.post('/whatsapp',
+    // Debug logging to help troubleshoot
+    (req, res, next) => {
+        logger.debug('[Twilio Debug] Webhook hit at /twilio/whatsapp');
+        logger.debug('[Twilio Debug] Headers:', JSON.stringify(req.headers, null, 2));
+        logger.debug('[Twilio Debug] URL:', req.originalUrl);
         next();
     },
+    // Parse URL-encoded bodies (needed for Twilio webhook)
+    express.urlencoded({ extended: false }),
+    // Debug logging after body parsing
+    (req, res, next) => {
+        logger.debug('[Twilio Debug] Body after parsing:', req.body);
+        next();
+    },
+    // Twilio webhook signature validation
+    validateTwilioSignature('/twilio/whatsapp'),
     async (req, res) => {
         // Extract and validate basic webhook structure
         const incomingMsg = req.body;
@@ -96,7 +112,7 @@ router.post('/whatsapp',
 
         // Validate required Twilio fields
         const userWpNumberWithPrefix = incomingMsg.From;
-        const userMessage = incomingMsg.Body;
+        let userMessage = incomingMsg.Body;
         const messageSid = incomingMsg.MessageSid;
 
         // Validate phone number
@@ -195,122 +211,408 @@ router.post('/whatsapp',
         }
 
         // --- 2. Process Asynchronously ---
+        // If no media (text-only message) AND no text, then fail
+        if (numMedia === 0 && !userMessage) {
+            logger.error('[Twilio Webhook] Text-only message with missing Body.');
+            return; // Already responded to Twilio
+        }
+
+        // Extract clean phone number
+        const userPhoneNumber = userWpNumberWithPrefix.replace('whatsapp:', ''); // -> +447973629596
+
+        const payload = {
+            from: userPhoneNumber,
+            body: hasValidText ? userMessage : '',
+            mediaItems,
+            // Kept so a resumed run still measures the session window from the original message
+            receivedAt: new Date().toISOString()
+        };
+
+        // Record the delivery so Twilio retries of the same MessageSid are not processed twice
+        let recorded;
         try {
-            // If no media (text-only message) AND no text, then fail
-            if (numMedia === 0 && !userMessage) {
-                logger.error('[Twilio Webhook] Text-only message with missing Body.');
-                return; // Already responded to Twilio
-            }
+            recorded = await webhookEventService.recordDelivery(messageSid, {
+                channel: 'whatsapp',
+                from: userPhoneNumber,
+                payload
+            });
+        } catch (recordError) {
+            // Without the dedupe store, still answer the user rather than drop the message
+            logger.error(`[Twilio Webhook] Could not record delivery of ${messageSid}, processing without dedupe:`, recordError);
+            await processPayload('whatsapp', payload);
+            return;
+        }
 
-            // Extract clean phone number
-            const userPhoneNumber = userWpNumberWithPrefix.replace('whatsapp:', ''); // -> +447973629596
+        if (recorded.isRedelivery && webhookEventService.isFinished(recorded.event)) {
+            logger.info(`[Twilio Webhook] Redelivery of ${messageSid} already ${recorded.event.status} - skipping`);
+            return;
+        }
 
-            let responseText;
+        await handleMessageEvent(messageSid);
+    }
+);
 
-            // Process differently based on message type (text or image)
-            if (numMedia > 0 && mediaItems.length > 0) {
-                // Simple response for images since we don't need image analysis
-                responseText = "I can see you've sent an image, but I'm currently set up to help with text-based questions only. Please describe what you need help with in a text message.";
-            } else {
-                // Process as regular text message
-                responseText = await messageProcessor.processWhatsAppMessage(
-                    userPhoneNumber,
-                    userMessage
-                );
-            }
+/**
+ * POST endpoint for Twilio SMS webhook
+ * Plain SMS to the Twilio number. Senders are matched to their WhatsApp and
+ * web chat history by phone number, and replies are sent as plain text.
+ */
+router.post('/sms',
+    express.urlencoded({ extended: false }),
+    validateTwilioSignature('/twilio/sms'),
+    async (req, res) => {
+        const incomingMsg = req.body || {};
+        const from = incomingMsg.From;
+        const messageSid = incomingMsg.MessageSid;
+        let userMessage = incomingMsg.Body;
 
-            // Send the response back to the user via Twilio
-            if (responseText) {
-                await sendWhatsAppReply(userPhoneNumber, responseText);
-                logger.info(`Sent WhatsApp reply to ${userPhoneNumber}`);
-            } else {
-                logger.warn(`No response text generated for WhatsApp message`);
-            }
-        } catch (error) {
-            // Catch errors in the overall processing block (after Twilio ACK)
-            logger.error('[Twilio Webhook] Unhandled error processing incoming message:', error);
+        // Always acknowledge with empty TwiML - the reply is sent asynchronously
+        const twiml = new MessagingResponse();
+        res.writeHead(200, { 'Content-Type': 'text/xml' });
+        res.end(twiml.toString());
 
-            // Try to send an error message to the user
-            try {
-                await sendWhatsAppReply(userWpNumberWithPrefix, "I'm sorry, I encountered an error processing your request. Please try again later.");
-            } catch (sendError) {
-                logger.error(`Error sending error message to WhatsApp:`, sendError);
-            }
+        if (!from || typeof from !== 'string' || !messageSid || typeof messageSid !== 'string') {
+            logger.error('[Twilio SMS] Missing or invalid From or MessageSid field');
+            return;
+        }
+
+        if (!userMessage || typeof userMessage !== 'string' || userMessage.trim().length === 0) {
+            logger.warn(`[Twilio SMS] Message ${messageSid} has no text content - ignoring`);
+            return;
         }
+
+        if (userMessage.length > 1600) {
+            logger.warn(`[Twilio SMS] Message too long: ${userMessage.length} chars from ${from}`);
+            userMessage = userMessage.substring(0, 1600) + '... [truncated]';
+        }
+
+        logger.info(`[Twilio SMS] Validated message SID ${messageSid} from ${from}`, {
+            textLength: userMessage.length
+        });
+
+        const payload = {
+            from,
+            body: userMessage,
+            mediaItems: [],
+            receivedAt: new Date().toISOString()
+        };
+
+        // Record the delivery so Twilio retries of the same MessageSid are not processed twice
+        let recorded;
+        try {
+            recorded = await webhookEventService.recordDelivery(messageSid, {
+                channel: 'sms',
+                from,
+                payload
+            });
+        } catch (recordError) {
+            logger.error(`[Twilio SMS] Could not record delivery of ${messageSid}, processing without dedupe:`, recordError);
+            await processPayload('sms', payload);
+            return;
+        }
+
+        if (recorded.isRedelivery && webhookEventService.isFinished(recorded.event)) {
+            logger.info(`[Twilio SMS] Redelivery of ${messageSid} already ${recorded.event.status} - skipping`);
+            return;
+        }
+
+        await handleMessageEvent(messageSid);
     }
 );
 
 /**
- * Format phone number to E.164 format
- * @param {string} phoneNumber - Phone number to format
- * @returns {string} Formatted phone number
+ * POST endpoint for Twilio delivery status callbacks
+ * Twilio posts here as outbound messages move through
+ * queued → sent → delivered → read, or fail with an error code.
  */
-function formatPhoneToE164(phoneNumber) {
-    // Remove any 'whatsapp:' prefix
-    let formattedNumber = phoneNumber.replace('whatsapp:', '');
-
-    // Ensure it starts with +
-    if (!formattedNumber.startsWith('+')) {
-        // If it starts with a 0, assume it's a UK number and replace the 0 with +44
-        if (formattedNumber.startsWith('0')) {
-            formattedNumber = '+44' + formattedNumber.substring(1);
-        } else {
-            // Otherwise, just add + if it's missing
-            formattedNumber = '+' + formattedNumber;
+router.post('/status',
+    express.urlencoded({ extended: false }),
+    validateTwilioSignature('/twilio/status'),
+    async (req, res) => {
+        const { MessageSid: messageSid, MessageStatus: messageStatus, ErrorCode: errorCode, ErrorMessage: errorMessage } = req.body || {};
+
+        // Acknowledge straight away - Twilio only needs a 2xx
+        res.sendStatus(204);
+
+        if (!messageSid || !messageStatus) {
+            logger.warn('[Twilio Status] Callback missing MessageSid or MessageStatus');
+            return;
+        }
+
+        try {
+            await deliveryTrackingService.recordStatus({
+                sid: messageSid,
+                status: messageStatus,
+                errorCode,
+                errorMessage
+            });
+        } catch (error) {
+            logger.error(`[Twilio Status] Error recording status ${messageStatus} for ${messageSid}:`, error);
         }
     }
+);
 
-    // Remove any spaces, dashes, or parentheses
-    formattedNumber = formattedNumber.replace(/[\s\-\(\)]/g, '');
+/**
+ * Generate the reply for a message through the conversation queue
+ * Turns for the same conversation run one at a time. The queue is keyed on
+ * the conversation after any cross-channel merge, so a turn never runs on a
+ * merged conversation outside its queue. Text messages arriving within the
+ * coalescing window are answered in a single turn; only the last message of
+ * such a batch is `primary` and carries the reply to send.
+ * @param {string} channel - 'whatsapp' or 'sms'
+ * @param {Object} payload - Normalised message ({ from, body, mediaItems, receivedAt, messageSid })
+ * @returns {Promise<Object>} { result, primary, batchSize, items }
+ */
+async function queueResponse(channel, payload) {
+    const conversation = await conversationEngine.getAdapter(channel).resolveConversation(payload);
 
-    logger.info(`Formatted phone number from ${phoneNumber} to ${formattedNumber}`);
+    // Track when the user last wrote - on WhatsApp this (re)opens the 24-hour session window
+    try {
+        await twilioService.recordInbound(conversation._id, channel, payload.receivedAt || new Date());
+    } catch (inboundError) {
+        logger.error(`[Twilio Webhook] Could not record inbound time for ${conversation._id}:`, inboundError);
+    }
 
-    return formattedNumber;
+    const conversationId = conversation._id.toString();
+
+    // Opt-out keywords, and anything from an opted-out number, never reach the AI.
+    // The consent change applies immediately; the message is stored in turn.
+    const consent = await consentService.handleInbound({
+        channel,
+        phone: payload.from,
+        text: payload.body,
+        conversationId
+    });
+
+    if (consent.handled) {
+        return conversationQueue.enqueue(conversationId, payload, async () => {
+            await sessionManager.addMessage(conversationId, 'user', payload.body || '', channel, {
+                consentStatus: consent.status,
+                consentKeyword: consent.keyword
+            });
+            return { responseText: consent.reply, conversationId, messageId: null, consentNotice: true };
+        });
+    }
+
+    const isTextOnly = !payload.mediaItems || payload.mediaItems.length === 0;
+
+    // The turn reuses the conversation resolved here instead of looking it up again
+    return conversationQueue.enqueue(
+        conversationId,
+        payload,
+        (payloads) => conversationEngine.runTurn(channel, {
+            ...(payloads.length === 1 ? payloads[0] : {
+                from: payload.from,
+                body: payloads.map(item => item.body).join('\n'),
+                mediaItems: [],
+                receivedAt: payloads[0].receivedAt
+            }),
+            conversation
+        }),
+        { coalesce: isTextOnly }
+    );
+}
+
+/**
+ * Send a reply on the message's channel
+ * The channel adapter formats the reply, sends it via Twilio and records the
+ * outbound message SIDs for delivery status callbacks.
+ * @param {string} channel - 'whatsapp' or 'sms'
+ * @param {Object} payload - Normalised message ({ from })
+ * @param {Object} reply - { responseText, conversationId, messageId, consentNotice }
+ * @returns {Promise<Object>} Delivery result from twilioService
+ */
+async function sendReply(channel, payload, reply) {
+    return conversationEngine.getAdapter(channel).deliver(payload, reply);
 }
 
 /**
- * Send a WhatsApp message via Twilio
- * @param {string} phoneNumber - Recipient's phone number
- * @param {string} message - Message to send
- * @returns {Promise<boolean>} Success status
+ * Process a message without dedupe tracking and send the reply
+ * There is no event to retry from later, so a failed send is retried here,
+ * up to the channel's retry attempts (WHATSAPP_ or SMS_RETRY_MAX_ATTEMPTS),
+ * re-sending only the parts that did not go out. If it still fails the user gets the error message.
+ * @param {string} channel - 'whatsapp' or 'sms'
+ * @param {Object} payload - Normalised message ({ from, body, mediaItems })
+ * @returns {Promise<void>}
  */
-async function sendWhatsAppReply(phoneNumber, message) {
+async function processPayload(channel, payload) {
     try {
-        // Get Twilio credentials from config
-        const accountSid = config.twilio.accountSid;
-        const authToken = config.twilio.authToken;
-        const twilioWhatsappNumber = config.twilio.whatsappNumber;
-
-        if (!accountSid || !authToken || !twilioWhatsappNumber) {
-            logger.error('[Twilio] Missing required Twilio credentials');
-            return false;
+        const { result: reply, primary } = await queueResponse(channel, payload);
+        if (!primary) {
+            logger.info(`${channel} message was answered together with a later message`);
+            return;
         }
 
-        // Create a Twilio client
-        const twilioClient = twilio(accountSid, authToken);
+        // Send the response back to the user via Twilio
+        if (reply.responseText) {
+            let delivery = await sendReply(channel, payload, reply);
+            let sentParts = twilioService.getSentParts(delivery);
 
-        // Ensure phone number has WhatsApp prefix
-        const to = phoneNumber.startsWith('whatsapp:') ? phoneNumber : `whatsapp:${phoneNumber}`;
+            const { maxAttempts, delayMs } = config[channel].retry;
+            for (let attempt = 2; attempt <= maxAttempts; attempt++) {
+                if (delivery.success || delivery.suppressed || delivery.windowClosed) break;
 
-        // Send the message
-        logger.info(`Sending WhatsApp message to ${to} using ${twilioWhatsappNumber}`);
+                logger.warn(`[Twilio Webhook] ${channel} reply to ${payload.from} failed (${delivery.error}) - retrying (attempt ${attempt})`, {
+                    alreadySentParts: sentParts
+                });
+                await delay(delayMs);
+                delivery = await sendReply(channel, payload, { ...reply, sentParts });
+                sentParts = [...new Set([...sentParts, ...twilioService.getSentParts(delivery)])];
+            }
 
-        await twilioClient.messages.create({
-            body: message,
-            from: twilioWhatsappNumber,
-            to: to
-        });
+            if (delivery.suppressed) {
+                logger.info(`[Twilio Webhook] ${channel} reply to ${payload.from} not sent - recipient has opted out`);
+                return;
+            }
+            if (delivery.windowClosed && !delivery.success) {
+                // An error message would be refused too
+                logger.warn(`[Twilio Webhook] ${channel} reply to ${payload.from} not sent - WhatsApp session window closed`);
+                return;
+            }
+            if (!delivery.success) {
+                throw new Error(`Failed to send ${channel} reply: ${delivery.error}`);
+            }
+            logger.info(`Sent ${channel} reply to ${payload.from}`);
+        } else {
+            logger.warn(`No response text generated for ${channel} message`);
+        }
+    } catch (error) {
+        logger.error('[Twilio Webhook] Unhandled error processing incoming message:', error);
+
+        // Try to send an error message to the user
+        try {
+            await sendReply(channel, payload, {
+                responseText: "I'm sorry, I encountered an error processing your request. Please try again later."
+            });
+        } catch (sendError) {
+            logger.error(`Error sending error message to ${channel}:`, sendError);
+        }
+    }
+}
+
+/**
+ * Process a recorded WhatsApp or SMS event and send the reply
+ * Claims the event first, so redelivered, in-flight, completed or failed
+ * messages are skipped. A reply generated by an interrupted attempt is sent
+ * instead of calling the AI again - only the parts that attempt did not send.
+ * Messages coalesced into a later one are left in progress; the later one
+ * completes them with its own event once the shared reply is sent.
+ * @param {string} messageSid - Twilio MessageSid
+ * @returns {Promise<void>}
+ */
+async function handleMessageEvent(messageSid) {
+    let event;
+    try {
+        event = await webhookEventService.startProcessing(messageSid);
+    } catch (claimError) {
+        logger.error(`[Twilio Webhook] Could not claim ${messageSid} for processing:`, claimError);
+        return;
+    }
+
+    if (!event) {
+        logger.info(`[Twilio Webhook] Skipping ${messageSid} - already replied, in progress or out of attempts`);
+        return;
+    }
 
-        logger.info(`Successfully sent WhatsApp reply to ${to}`);
-        return true;
+    const channel = event.channel;
+    const payload = event.payload || {};
+    // This event and any coalesced into it, all answered by the same reply
+    let answered = [messageSid, ...(event.coalescedMessageSids || [])];
+
+    try {
+        let reply = {
+            responseText: event.responseText,
+            conversationId: event.conversationId,
+            messageId: event.responseMessageId
+        };
+
+        if (reply.responseText) {
+            reply.sentParts = await deliveryTrackingService.getSentParts(reply.messageId);
+            logger.info(`[Twilio Webhook] Re-sending stored reply for ${messageSid} (attempt ${event.attempts})`, {
+                alreadySentParts: reply.sentParts
+            });
+        } else {
+            const { result, primary, items } = await queueResponse(channel, { ...payload, messageSid });
+            if (!primary) {
+                logger.info(`[Twilio Webhook] ${messageSid} is answered together with a later message`);
+                return;
+            }
+
+            reply = result;
+            // Items processed without dedupe (store unavailable) have no event
+            answered = items.map(item => item.messageSid).filter(Boolean);
+            if (reply.responseText) {
+                await webhookEventService.markResponseGenerated(messageSid, reply, answered.filter(sid => sid !== messageSid));
+            }
+        }
+
+        // Send the response back to the user via Twilio
+        if (reply.responseText) {
+            const delivery = await sendReply(channel, payload, reply);
+            if (delivery.suppressed) {
+                logger.info(`[Twilio Webhook] Reply to ${messageSid} not sent - recipient has opted out`);
+                await webhookEventService.markReplied(answered);
+                return;
+            }
+            if (delivery.windowClosed && !delivery.success) {
+                // Retrying cannot help until the user writes again, and an error message would be refused too
+                logger.warn(`[Twilio Webhook] Reply to ${messageSid} not sent - WhatsApp session window closed`);
+                await webhookEventService.markFailed(answered, delivery.error);
+                return;
+            }
+            if (!delivery.success) {
+                throw new Error(`Failed to send ${channel} reply: ${delivery.error}`);
+            }
+            logger.info(`Sent ${channel} reply to ${payload.from}`);
+        } else if (reply.consentNotice) {
+            logger.info(`[Twilio Webhook] ${messageSid} handled by opt-out processing - no reply`);
+        } else if (reply.rateLimited) {
+            logger.info(`[Twilio Webhook] ${messageSid} is over a chat limit - notice already sent`);
+        } else {
+            logger.warn(`No response text generated for ${channel} message`);
+        }
+
+        await webhookEventService.markReplied(answered);
     } catch (error) {
-        logger.error('[Twilio] Error sending WhatsApp reply:', error);
-        logger.error('[Twilio] Error details:', error.message);
-        if (error.code) {
-            logger.error('[Twilio] Error code:', error.code);
+        // Catch errors in the overall processing block (after Twilio ACK)
+        logger.error(`[Twilio Webhook] Error processing message ${messageSid}:`, error);
+
+        try {
+            await webhookEventService.markFailed(answered, error);
+        } catch (markError) {
+            logger.error(`[Twilio Webhook] Could not mark ${messageSid} as failed:`, markError);
+        }
+
+        // Try to send an error message to the user
+        try {
+            await sendReply(channel, payload, {
+                responseText: "I'm sorry, I encountered an error processing your request. Please try again later."
+            });
+        } catch (sendError) {
+            logger.error(`Error sending error message to ${channel}:`, sendError);
         }
-        return false;
     }
 }
 
+/**
+ * Resume WhatsApp and SMS messages whose processing was interrupted (e.g. by a crash)
+ * @returns {Promise<number>} Number of events resumed
+ */
+async function resumePendingMessages() {
+    const events = await webhookEventService.findResumable(['whatsapp', 'sms']);
+
+    if (events.length > 0) {
+        logger.info(`[Twilio Webhook] Resuming ${events.length} interrupted messages`);
+    }
+
+    for (const event of events) {
+        await handleMessageEvent(event.messageSid);
+    }
+
+    return events.length;
+}
+
+// Exposed so the server can resume interrupted runs on startup
+router.resumePendingMessages = resumePendingMessages;
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,110 @@
+// routes/usage-api.js
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Conversation = require('../models/conversation');
+const usageService = require('../services/usage-service');
+const conversationsApiRouter = require('./conversations-api');
+const logger = require('../utils/logger');
+
+// Longest range served in one request
+const MAX_RANGE_DAYS = 366;
+
+// Days returned when no range is given
+const DEFAULT_RANGE_DAYS = 30;
+
+router.use(conversationsApiRouter.identifyApiClient, conversationsApiRouter.requireApiClient);
+
+/**
+ * Middleware that only lets admin clients (API_ADMIN_CLIENTS) through
+ */
+function requireAdminClient(req, res, next) {
+    if (!req.apiClient.admin) {
+        logger.warn(`[API] ${req.apiClient.name} requested usage totals without admin access`);
+        return res.status(403).json({ error: 'This API key cannot read usage totals' });
+    }
+    next();
+}
+
+/**
+ * Parse a UTC day
+ * @param {*} value - Query value
+ * @returns {Date|null} Midnight UTC of the day, or null if invalid
+ */
+function parseDay(value) {
+    if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        return null;
+    }
+    const date = new Date(`${value}T00:00:00Z`);
+    return isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== value ? null : date;
+}
+
+/**
+ * GET /api/usage
+ * Token and cost totals per day and per channel, plus today's spend against the budget ceilings.
+ * Admin clients only.
+ * Query: from, to - UTC days (YYYY-MM-DD), inclusive; defaults to the last 30 days.
+ */
+router.get('/', requireAdminClient, async (req, res) => {
+    const to = req.query.to === undefined ? new Date() : parseDay(req.query.to);
+    const from = req.query.from === undefined
+        ? new Date((to || new Date()).getTime() - (DEFAULT_RANGE_DAYS - 1) * 86400000)
+        : parseDay(req.query.from);
+
+    if (!from || !to) {
+        return res.status(400).json({ error: '`from` and `to` must be days in YYYY-MM-DD format' });
+    }
+    if (from > to) {
+        return res.status(400).json({ error: '`from` must not be after `to`' });
+    }
+    if ((to - from) / 86400000 >= MAX_RANGE_DAYS) {
+        return res.status(400).json({ error: `The range must be at most ${MAX_RANGE_DAYS} days` });
+    }
+
+    try {
+        const [totals, budget] = await Promise.all([
+            usageService.getTotals({
+                from: from.toISOString().slice(0, 10),
+                to: to.toISOString().slice(0, 10)
+            }),
+            usageService.getBudgetStatus()
+        ]);
+        res.json({ ...totals, budget });
+    } catch (error) {
+        logger.error('[API] Error loading usage totals:', error);
+        res.status(500).json({ error: 'Could not load usage' });
+    }
+});
+
+/**
+ * GET /api/usage/conversations/:id
+ * Token and cost totals for one conversation, summaries included.
+ * Clients can read their own API conversations; admin clients any conversation.
+ */
+router.get('/conversations/:id', async (req, res) => {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({ error: 'Invalid conversation ID' });
+    }
+
+    try {
+        if (!req.apiClient.admin) {
+            const conversation = await Conversation.findById(id);
+            if (!conversation) {
+                return res.status(404).json({ error: 'Conversation not found' });
+            }
+            if (!conversationsApiRouter.belongsToClient(conversation, req.apiClient)) {
+                logger.warn(`[API] ${req.apiClient.name} requested usage for conversation ${id}, which is not its own`);
+                return res.status(403).json({ error: 'Conversation does not belong to this API client' });
+            }
+        }
+
+        res.json(await usageService.getConversationTotals(id));
+    } catch (error) {
+        logger.error(`[API] Error loading usage for conversation ${id}:`, error);
+        res.status(500).json({ error: 'Could not load usage' });
+    }
+});
+
+module.exports = router;
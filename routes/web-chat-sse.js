@@ -0,0 +1,112 @@
+// routes/web-chat-sse.js
+const express = require('express');
+const router = express.Router();
+const sessionManager = require('../services/session-manager');
+const chatProtocol = require('../services/chat-protocol');
+const connectionMonitor = require('../services/connection-monitor');
+const logger = require('../utils/logger');
+const config = require('../config');
+
+/**
+ * Create a socket that writes frames to a Server-Sent Events stream
+ * Has the same send() and close() as a wrapped WebSocket (see
+ * connection-monitor.js), so the rest of the server does not need to know
+ * which transport a session uses. Frames sent after the client disconnected
+ * are dropped, and slow clients get the same backpressure handling.
+ * @param {Object} res - Express response kept open for the stream
+ * @returns {Object} Socket ({ send, close, closed })
+ */
+function createEventStreamSocket(res) {
+    const socket = {
+        closed: false,
+
+        send(data) {
+            if (socket.closed) {
+                return;
+            }
+            if (!connectionMonitor.applyBackpressure(connectionMonitor.checkBackpressure(data, res.writableLength), socket)) {
+                return;
+            }
+            // JSON.stringify never emits newlines, so each frame is a single data line
+            res.write(`data: ${data}\n\n`);
+        },
+
+        // Code and reason are accepted for parity with WebSockets; SSE can only end the stream
+        close() {
+            if (!socket.closed) {
+                socket.closed = true;
+                res.end();
+            }
+        }
+    };
+
+    return socket;
+}
+
+/**
+ * GET /chat/events
+ * Opens a Server-Sent Events stream and creates a chat session for it.
+ * The first event is connection_established with the session ID to POST
+ * messages with; every later frame is the same as on the WebSocket.
+ */
+router.get('/events', (req, res) => {
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no' // Stop nginx from buffering the stream
+    });
+    res.flushHeaders();
+
+    const socket = createEventStreamSocket(res);
+    const session = sessionManager.createSession(socket, 'sse', req.ip);
+    logger.info(`📡 New SSE connection established with session ID: ${session.id}`);
+
+    chatProtocol.sendConnectionEstablished(socket, session);
+
+    // Comment lines are ignored by EventSource but keep proxies from closing an idle stream
+    const keepAlive = setInterval(() => {
+        if (!socket.closed) {
+            res.write(': keep-alive\n\n');
+        }
+    }, config.sse.keepAliveIntervalMs);
+
+    // Fires when the client disconnects and when the server ends the stream (e.g. idle timeout)
+    res.on('close', () => {
+        clearInterval(keepAlive);
+        socket.close();
+        logger.info(`📡 SSE connection closed for session: ${session.id}`);
+        sessionManager.removeSession(session.id);
+    });
+});
+
+/**
+ * POST /chat/messages
+ * Sends a frame for an SSE session - the same frame a client would send over
+ * the WebSocket, plus its sessionId: { sessionId, type, message, stream }.
+ * Replies arrive on the event stream. Invalid frames get an `error` event
+ * there too, as well as a 400 response.
+ */
+router.post('/messages', (req, res) => {
+    const { sessionId, ...data } = req.body || {};
+
+    const session = typeof sessionId === 'string' ? sessionManager.getSession(sessionId) : null;
+    if (!session || session.transport !== 'sse') {
+        logger.warn(`🛡️ SSE message for unknown session: ${sessionId}`);
+        return res.status(404).json({ type: 'error', message: 'Session not found - reconnect to /chat/events' });
+    }
+
+    connectionMonitor.recordActivity(session);
+
+    const error = chatProtocol.validateFrame(data, session.id);
+    if (error) {
+        chatProtocol.sendFrame(session.ws, { type: 'error', message: error });
+        return res.status(400).json({ type: 'error', message: error });
+    }
+
+    // The reply is streamed to the client, so do not hold the request open for the turn
+    chatProtocol.processFrame(session.ws, session.id, data);
+    res.status(202).json({ accepted: true, sessionId: session.id });
+});
+
+module.exports = router;
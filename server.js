@@ -8,8 +8,15 @@ const path = require('path');
 const config = require('./config');
 const sessionManager = require('./services/session-manager');
 const logger = require('./utils/logger');
-const messageProcessor = require('./services/message-processor');
+const chatProtocol = require('./services/chat-protocol');
+const connectionMonitor = require('./services/connection-monitor');
+const llmResilience = require('./services/llm-resilience');
+const deliveryTrackingService = require('./services/delivery-tracking-service');
 const twilioWebhookRouter = require('./routes/twilio-webhook');
+const telegramWebhookRouter = require('./routes/telegram-webhook');
+const conversationsApiRouter = require('./routes/conversations-api');
+const usageApiRouter = require('./routes/usage-api');
+const webChatSseRouter = require('./routes/web-chat-sse');
 
 // Initialize Express app
 const app = express();
@@ -140,6 +147,10 @@ const apiLimiter = rateLimit({
   },
   standardHeaders: true,  // Return rate limit info in headers
   legacyHeaders: false,   // Disable legacy headers
+  // REST API clients with a valid key are limited per key instead (see routes/conversations-api.js).
+  // The SSE chat transport is limited per session and client IP like the WebSocket (see services/chat-limiter.js):
+  // counting its messages here would throttle a whole clinic network sharing one IP.
+  skip: (req) => !!req.apiClient || req.path.startsWith('/chat/'),
   handler: (req, res) => {
     logger.warn(`🛡️ Rate limit exceeded for IP: ${req.ip}`);
     res.status(429).json({ 
@@ -164,7 +175,9 @@ const webhookLimiter = rateLimit({
 });
 
 // Apply rate limiting to different endpoints
+app.use('/api', conversationsApiRouter.identifyApiClient); // Recognise API keys before IP limiting
 app.use('/twilio', webhookLimiter);  // Stricter limits for webhooks
+app.use('/telegram', webhookLimiter);
 app.use('/api', apiLimiter);         // Standard limits for API routes
 app.use(apiLimiter);                 // Apply to all other routes
 
@@ -195,6 +208,18 @@ app.use(express.static(path.join(__dirname, 'public')));
 mongoose.connect(config.mongodb.uri, config.mongodb.options)
   .then(() => {
     logger.info(`✅ Connected to MongoDB database: ${config.mongodb.databaseName}`);
+
+    // Pick up WhatsApp messages whose processing was interrupted by a crash or restart
+    if (config.webhooks.resumeOnStartup) {
+      twilioWebhookRouter.resumePendingMessages()
+        .catch(err => logger.error('❌ Error resuming pending WhatsApp messages:', err));
+      telegramWebhookRouter.resumePendingMessages()
+        .catch(err => logger.error('❌ Error resuming pending Telegram updates:', err));
+    }
+
+    // Re-schedule failed WhatsApp/SMS parts whose retry was pending at shutdown
+    deliveryTrackingService.resumePendingRetries()
+      .catch(err => logger.error('❌ Error resuming pending delivery retries:', err));
   })
   .catch(err => {
     logger.error('❌ MongoDB connection error:', err);
@@ -219,6 +244,24 @@ app.get('/health', (req, res) => {
   });
 });
 
+// Web chat connection counts (WebSocket and SSE) and heartbeat/cleanup counters
+app.get('/health/connections', (req, res) => {
+  res.json({
+    timestamp: new Date().toISOString(),
+    ...connectionMonitor.getStats()
+  });
+});
+
+// LLM provider, model circuit states and retry/fallback counters
+app.get('/health/llm', (req, res) => {
+  res.json({
+    timestamp: new Date().toISOString(),
+    provider: config.llm.provider,
+    models: [config.openai.model, ...config.openai.fallbackModels],
+    ...llmResilience.getStats()
+  });
+});
+
 // ===================================================================
 // 📱 TWILIO WEBHOOK ROUTES
 // ===================================================================
@@ -226,113 +269,63 @@ app.get('/health', (req, res) => {
 app.use('/twilio', twilioWebhookRouter);
 logger.info('📱 Mounted Twilio webhook router at /twilio');
 
+// ===================================================================
+// 🔑 REST CHAT API
+// ===================================================================
+// Server-to-server chat API, authenticated with API keys (API_KEYS)
+app.use('/api/conversations', conversationsApiRouter);
+logger.info('🔑 Mounted REST chat API at /api/conversations');
+
+// Token and cost totals, with the same API keys
+app.use('/api/usage', usageApiRouter);
+logger.info('💸 Mounted usage API at /api/usage');
+
+// Mount the Telegram bot webhook router
+app.use('/telegram', telegramWebhookRouter);
+logger.info('📱 Mounted Telegram webhook router at /telegram');
+
+// ===================================================================
+// 📡 SSE CHAT TRANSPORT
+// ===================================================================
+// Fallback for web clients on networks that block WebSocket upgrades:
+// frames arrive over Server-Sent Events, messages are sent with POST
+app.use('/chat', webChatSseRouter);
+logger.info('📡 Mounted SSE chat transport at /chat');
+
 // ===================================================================
 // 🔌 WEBSOCKET SERVER SETUP
 // ===================================================================
 // WebSocket server for real-time chat communication with web clients
 const wss = new WebSocket.Server({ server });
 
-wss.on('connection', (ws) => {
-  const session = sessionManager.createSession(ws);
+wss.on('connection', (ws, req) => {
+  // Sends through the wrapper skip closed connections and respect backpressure
+  const socket = connectionMonitor.wrapWebSocket(ws);
+  // Same client IP as req.ip with 'trust proxy' set to one hop: the last X-Forwarded-For entry
+  const forwardedFor = String(req.headers['x-forwarded-for'] || '').split(',').map(ip => ip.trim()).filter(Boolean);
+  const clientIp = forwardedFor.length > 0 ? forwardedFor[forwardedFor.length - 1] : req.socket.remoteAddress;
+  const session = sessionManager.createSession(socket, 'websocket', clientIp);
   logger.info(`🔌 New WebSocket connection established with session ID: ${session.id}`);
 
   // Send confirmation to client
-  ws.send(JSON.stringify({
-    type: 'connection_established',
-    sessionId: session.id,
-    message: 'Connected to chat server'
-  }));
+  chatProtocol.sendConnectionEstablished(socket, session);
 
   // Handle incoming WebSocket messages
   ws.on('message', async (message) => {
-    try {
-      // 🛡️ SECURITY: Parse and validate JSON structure
-      let data;
-      try {
-        data = JSON.parse(message);
-      } catch (parseError) {
-        logger.warn(`🛡️ Invalid JSON from session ${session.id}:`, parseError.message);
-        ws.send(JSON.stringify({
-          type: 'error',
-          message: 'Invalid message format'
-        }));
-        return;
-      }
+    connectionMonitor.recordActivity(session);
 
-      // 🛡️ SECURITY: Validate basic message structure
-      if (!data || typeof data !== 'object') {
-        logger.warn(`🛡️ Invalid data structure from session ${session.id}`);
-        ws.send(JSON.stringify({
-          type: 'error',
-          message: 'Invalid message structure'
-        }));
-        return;
-      }
-
-      // 🛡️ SECURITY: Validate message type exists and is valid
-      if (!data.type || typeof data.type !== 'string') {
-        logger.warn(`🛡️ Missing or invalid type from session ${session.id}`);
-        ws.send(JSON.stringify({
-          type: 'error',
-          message: 'Message type required'
-        }));
-        return;
-      }
-
-      // Process different message types
-      if (data.type === 'chat_message') {
-        // 🛡️ SECURITY: Validate chat message content
-        if (!data.message || typeof data.message !== 'string') {
-          logger.warn(`🛡️ Invalid message content from session ${session.id}`);
-          ws.send(JSON.stringify({
-            type: 'error',
-            message: 'Message content must be text'
-          }));
-          return;
-        }
-
-        // 🛡️ SECURITY: Prevent excessively long messages (DoS protection)
-        if (data.message.length > 2000) {
-          logger.warn(`🛡️ Message too long from session ${session.id}: ${data.message.length} chars`);
-          ws.send(JSON.stringify({
-            type: 'error',
-            message: 'Message too long (max 2000 characters)'
-          }));
-          return;
-        }
-
-        // 🛡️ SECURITY: Prevent empty messages (spam protection)
-        if (data.message.trim().length === 0) {
-          logger.warn(`🛡️ Empty message from session ${session.id}`);
-          ws.send(JSON.stringify({
-            type: 'error',
-            message: 'Message cannot be empty'
-          }));
-          return;
-        }
-
-        logger.info(`✅ Valid message from session ${session.id}:`, {
-          type: data.type,
-          messageLength: data.message.length,
-          messagePreview: data.message.substring(0, 50)
-        });
-
-        // Process the validated message
-        await messageProcessor.processWebSocketMessage(ws, session.id, data.message);
-      } else {
-        logger.warn(`🛡️ Unknown message type from session ${session.id}: ${data.type}`);
-        ws.send(JSON.stringify({
-          type: 'error',
-          message: 'Unknown message type'
-        }));
-      }
-    } catch (error) {
-      logger.error(`❌ Error processing WebSocket message from session ${session.id}:`, error);
-      ws.send(JSON.stringify({
-        type: 'error',
-        message: 'Error processing your message'
-      }));
+    // 🛡️ SECURITY: Parse and validate JSON structure
+    let data;
+    try {
+      data = JSON.parse(message);
+    } catch (parseError) {
+      logger.warn(`🛡️ Invalid JSON from session ${session.id}:`, parseError.message);
+      chatProtocol.sendFrame(socket, { type: 'error', message: 'Invalid message format' });
+      return;
     }
+
+    // Validation and processing are shared with the SSE transport (see services/chat-protocol.js)
+    await chatProtocol.handleFrame(socket, session.id, data);
   });
 
   // Handle WebSocket disconnection
@@ -342,13 +335,16 @@ wss.on('connection', (ws) => {
   });
 });
 
+// Heartbeats, idle timeouts and cleanup of sessions whose connection closed
+connectionMonitor.start();
+
 // ===================================================================
 // 🚀 START SERVER (FIXED VERSION)
 // ===================================================================
 server.listen(config.port, () => {
   logger.info(`🚀 Server running on port ${config.port}`);
   logger.info(`🌍 Environment: ${config.environment}`);
-  logger.info(`🤖 OpenAI model: ${config.openai.model || 'default'}`);
+  logger.info(`🤖 LLM provider: ${config.llm.provider}, model: ${config.openai.model || 'default'}`);
   
   // Display ACTUAL security status reading from environment variables
   logger.info('🔒 Current Security Configuration:');
@@ -377,6 +373,7 @@ server.listen(config.port, () => {
 // Handle server shutdown gracefully (close connections, save data, etc.)
 process.on('SIGTERM', () => {
   logger.info('🛑 SIGTERM received, shutting down gracefully');
+  connectionMonitor.stop();
   server.close(() => {
     mongoose.connection.close(false, () => {
       logger.info('✅ Server shut down complete');
@@ -0,0 +1,61 @@
+// services/api-key-service.js
+const crypto = require('crypto');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+/**
+ * Hash a key so keys of different lengths can be compared in constant time
+ * @param {string} key - API key
+ * @returns {Buffer} SHA-256 digest
+ */
+function digest(key) {
+  return crypto.createHash('sha256').update(String(key)).digest();
+}
+
+/**
+ * API Key Service
+ * Authenticates REST API clients against the keys in config.api.keys.
+ */
+const apiKeyService = {
+  /**
+   * Read the API key from a request
+   * Accepts `Authorization: Bearer <key>` or an `X-API-Key` header.
+   * @param {Object} req - Express request
+   * @returns {string|null} API key
+   */
+  extractKey(req) {
+    const authorization = req.headers.authorization || '';
+    if (authorization.startsWith('Bearer ')) {
+      return authorization.slice('Bearer '.length).trim() || null;
+    }
+
+    return req.headers['x-api-key'] || null;
+  },
+
+  /**
+   * Find the client a key belongs to
+   * Every configured key is compared, so timing does not reveal which one matched.
+   * @param {string} key - API key
+   * @returns {Object|null} { name, admin } of the client, or null if the key is unknown
+   */
+  authenticate(key) {
+    if (!key) return null;
+
+    const presented = digest(key);
+    let client = null;
+
+    config.api.keys.forEach(entry => {
+      if (crypto.timingSafeEqual(presented, digest(entry.key))) {
+        client = { name: entry.name, admin: config.api.adminClients.includes(entry.name) };
+      }
+    });
+
+    if (!client) {
+      logger.warn('[API] Request with an unknown API key');
+    }
+
+    return client;
+  }
+};
+
+module.exports = apiKeyService;
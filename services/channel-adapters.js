@@ -0,0 +1,403 @@
+// services/channel-adapters.js
+const sessionManager = require('./session-manager');
+const identificationService = require('./identification-service');
+const mediaService = require('./media-service');
+const transcriptionService = require('./transcription-service');
+const twilioService = require('./twilio-service');
+const deliveryTrackingService = require('./delivery-tracking-service');
+const telegramService = require('./telegram-service');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { PHONE_IDENTIFIER_TYPES, formatPhoneToE164, maskPhoneNumber } = require('../utils/phone');
+const Conversation = require('../models/conversation');
+
+/**
+ * Channel Adapters
+ * Everything channel-specific about a conversation turn. The conversation
+ * engine runs the same pipeline for every channel and calls into an adapter
+ * for the parts that differ:
+ *
+ *   channel                      - Channel name stored on messages
+ *   normalise(inbound)           - Turn the inbound message into { text, storedText, images, metadata, profile },
+ *                                  or { reply } to answer without an AI turn (e.g. an unreadable attachment)
+ *   resolveConversation(inbound) - Find or create the sender's conversation (identity resolution)
+ *   toolContext(inbound)         - Extra context passed to tools (optional)
+ *   limitClient(inbound)         - Client IP the chat limits also apply to (optional)
+ *   deliver(inbound, reply)      - Format the reply for the channel and send it to the sender
+ *   emptyReply / errorReply      - Text sent when the model gives no answer / the turn fails
+ *   sendsWebFrames               - True if deliver() already sends frames to the conversation's
+ *                                  web sockets; otherwise the engine mirrors the turn to them (optional)
+ *   repeatRateLimitNotices       - True to answer every turn over a chat limit; otherwise the
+ *                                  over-limit reply is sent once per notice interval (optional)
+ *
+ * Inbound messages are whatever the channel's route or socket handler
+ * produces: { ws, sessionId, text } for the web chat, { from, body, mediaItems,
+ * receivedAt } for WhatsApp and SMS, { chatId, body, profile, type } for Telegram, and
+ * { conversationId, text, client } for the REST API.
+ */
+
+/**
+ * Find or create the conversation for a phone-number channel
+ * Conversations from the other phone channels and web chats that shared the
+ * same number (matched on the last 9 digits) are merged in, so the history
+ * follows the user across channels.
+ * @param {string} channel - 'whatsapp' or 'sms'
+ * @param {string} from - Sender phone number
+ * @returns {Promise<Object>} Conversation
+ */
+async function resolvePhoneConversation(channel, from) {
+  const phone = formatPhoneToE164(from);
+  const identifierType = `${channel}_phone`;
+
+  let conversation = await sessionManager.getOrCreateConversationByIdentifier(identifierType, phone);
+
+  try {
+    const matchDigits = phone.replace(/\D/g, '').slice(-9);
+
+    const existingConversations = await Conversation.find({
+      _id: { $ne: conversation._id },
+      identifiers: {
+        $elemMatch: {
+          type: { $in: PHONE_IDENTIFIER_TYPES.filter(type => type !== identifierType) },
+          value: { $regex: `${matchDigits}$` }
+        }
+      }
+    });
+
+    if (existingConversations.length > 0) {
+      const mergeResult = await identificationService.mergeConversations(conversation._id, existingConversations);
+      conversation = mergeResult.conversation;
+
+      logger.info(`Auto-merged ${existingConversations.length} conversations with ${mergeResult.mergedMessages} messages`, {
+        conversationId: conversation._id,
+        phone: maskPhoneNumber(phone)
+      });
+    }
+  } catch (autoMergeError) {
+    // Continue with the channel's own conversation if merging fails
+    logger.error('Error in auto-merge process:', autoMergeError);
+  }
+
+  return conversation;
+}
+
+/**
+ * Normalise a WhatsApp or SMS text message
+ * @param {Object} inbound - { from, body }
+ * @returns {Object} Normalised message
+ */
+function normalisePhoneText(inbound) {
+  if (!formatPhoneToE164(inbound.from)) {
+    logger.error(`Invalid 'from' number: ${maskPhoneNumber(inbound.from)}`);
+    return { reply: 'There was an issue processing your sender information.' };
+  }
+
+  return { text: inbound.body, metadata: inbound.metadata || {} };
+}
+
+/**
+ * Send a WhatsApp or SMS reply and record the outbound message SIDs against
+ * the assistant message, so delivery status callbacks can update it. Parts
+ * that were sent are recorded even when a later part failed.
+ * @param {string} channel - 'whatsapp' or 'sms'
+ * @param {Object} inbound - { from }
+ * @param {Object} reply - { responseText, conversationId, messageId, consentNotice }
+ * @returns {Promise<Object>} Delivery result from twilioService
+ */
+async function deliverTwilioReply(channel, inbound, reply) {
+  const to = inbound.from;
+  const options = { conversationId: reply.conversationId, consentNotice: !!reply.consentNotice, sentParts: reply.sentParts || [] };
+
+  const delivery = channel === 'sms'
+    ? await twilioService.sendSmsReply(to, reply.responseText, options)
+    : await twilioService.sendWhatsAppReply(to, reply.responseText, options);
+
+  try {
+    await deliveryTrackingService.recordSent({
+      conversationId: reply.conversationId,
+      messageId: reply.messageId,
+      channel,
+      to: channel === 'whatsapp' && !to.startsWith('whatsapp:') ? `whatsapp:${to}` : to,
+      messages: delivery.messages
+    });
+  } catch (trackingError) {
+    logger.error(`[Channel Adapters] Could not record outbound messages to ${maskPhoneNumber(to)}:`, trackingError);
+  }
+
+  return delivery;
+}
+
+// Web chat over WebSocket or SSE - both transports give the session a socket with send()
+const websiteAdapter = {
+  channel: 'website',
+  // Frames go to every socket of the conversation (see message-processor.js)
+  sendsWebFrames: true,
+  // The client shows the notice next to the message it could not send
+  repeatRateLimitNotices: true,
+  emptyReply: 'I performed an action but have no further response.',
+  errorReply: 'I encountered an error processing your request. Please try again.',
+
+  normalise(inbound) {
+    return { text: inbound.text };
+  },
+
+  resolveConversation(inbound) {
+    // Web chats are merged by the searchPreviousConversations tool, not automatically
+    return sessionManager.getOrCreateConversation(inbound.sessionId);
+  },
+
+  toolContext(inbound) {
+    return { sessionId: inbound.sessionId };
+  },
+
+  limitClient(inbound) {
+    const session = sessionManager.getSession(inbound.sessionId);
+    return session ? session.clientIp : null;
+  },
+
+  async deliver(inbound, reply) {
+    const { ws, sessionId } = inbound;
+
+    if (reply.rateLimited) {
+      ws.send(JSON.stringify({
+        type: 'error',
+        code: 'rate_limited',
+        message: reply.responseText,
+        retryAfterSeconds: reply.retryAfterSeconds
+      }));
+    } else if (reply.error) {
+      ws.send(JSON.stringify({ type: 'error', message: reply.responseText }));
+    } else if (reply.streamed) {
+      ws.send(JSON.stringify({
+        type: 'chat_complete',
+        messageId: reply.messageId,
+        message: reply.responseText,
+        sessionId
+      }));
+    } else {
+      ws.send(JSON.stringify({ type: 'chat_response', message: reply.responseText, sessionId }));
+    }
+
+    return { success: true };
+  }
+};
+
+// WhatsApp via Twilio - text, images and voice notes
+const whatsappAdapter = {
+  channel: 'whatsapp',
+  emptyReply: 'I processed your request but have no specific response.',
+  errorReply: 'I encountered an error processing your message. Please try again.',
+
+  async normalise(inbound) {
+    const { body: message, mediaItems = [] } = inbound;
+
+    const normalised = normalisePhoneText(inbound);
+    if (normalised.reply || mediaItems.length === 0) {
+      return normalised;
+    }
+
+    // Voice notes are transcribed and processed as text, together with any images sent alongside
+    const audioItem = mediaItems.find(item => item.contentType.toLowerCase().startsWith('audio/'));
+    const imageItems = mediaItems.filter(item => item !== audioItem);
+    let text = message || '';
+    let voiceMetadata = {};
+
+    if (audioItem) {
+      const { audio, attachment, reason } = await mediaService.prepareAudio(audioItem);
+      if (!audio) {
+        logger.warn(`Voice note could not be used: ${reason}`);
+        return { reply: "Sorry, I couldn't play that voice note. Could you send it again, or type your question instead?" };
+      }
+
+      const transcript = await transcriptionService.transcribe(audio);
+      if (!transcript.text) {
+        logger.warn(`Empty transcript for voice note ${attachment.mediaSid}`);
+        return { reply: "Sorry, I couldn't make out that voice note. Could you try again, or type your question instead?" };
+      }
+
+      text = message ? `${transcript.text}\n\n${message}` : transcript.text;
+      voiceMetadata = {
+        voiceNote: true,
+        audio: attachment,
+        transcript: {
+          provider: transcript.provider,
+          confidence: transcript.confidence,
+          language: transcript.language,
+          durationSeconds: transcript.durationSeconds
+        }
+      };
+
+      if (imageItems.length === 0) {
+        return { text, metadata: voiceMetadata };
+      }
+    }
+
+    // Images are downloaded with Twilio credentials and analysed by the model
+    const { images, rejected } = await mediaService.prepareImages(imageItems);
+    const rejectedAttachments = rejected.map(item => ({ ...item.attachment, reason: item.reason }));
+    if (images.length === 0) {
+      logger.warn('No usable images in WhatsApp message', {
+        rejectedReasons: rejected.map(item => item.reason)
+      });
+      if (audioItem) {
+        // The voice note is still answered; the model is told the files could not be opened
+        return {
+          text: `${text}\n\n[${rejected.length > 1 ? 'Files' : 'A file'} sent with this voice note could not be opened]`,
+          storedText: text,
+          metadata: { ...voiceMetadata, rejectedAttachments }
+        };
+      }
+      return {
+        reply: "Sorry, I couldn't open that file. I can look at JPEG, PNG, WebP or GIF images up to " +
+          `${Math.round(config.media.maxImageBytes / (1024 * 1024))} MB - please try sending it again.`
+      };
+    }
+
+    const imageLabel = images.length > 1 ? `[${images.length} images sent]` : '[Image sent]';
+    return {
+      text,
+      storedText: `${imageLabel}${text ? `: ${text}` : ''}`,
+      images: images.map(image => image.dataUrl),
+      metadata: {
+        ...voiceMetadata,
+        attachments: images.map(image => image.attachment),
+        rejectedAttachments
+      }
+    };
+  },
+
+  resolveConversation(inbound) {
+    return resolvePhoneConversation('whatsapp', inbound.from);
+  },
+
+  deliver(inbound, reply) {
+    return deliverTwilioReply('whatsapp', inbound, reply);
+  }
+};
+
+// Plain SMS via Twilio - text only
+const smsAdapter = {
+  channel: 'sms',
+  emptyReply: 'I processed your request but have no specific response.',
+  errorReply: 'I encountered an error processing your message. Please try again.',
+
+  normalise(inbound) {
+    return normalisePhoneText(inbound);
+  },
+
+  resolveConversation(inbound) {
+    return resolvePhoneConversation('sms', inbound.from);
+  },
+
+  deliver(inbound, reply) {
+    return deliverTwilioReply('sms', inbound, reply);
+  }
+};
+
+// Telegram bot - private chats, keyed on the chat ID
+const telegramAdapter = {
+  channel: 'telegram',
+  emptyReply: 'I processed your request but have no specific response.',
+  errorReply: 'I encountered an error processing your message. Please try again.',
+
+  normalise(inbound) {
+    // Telegram profiles carry a name; the engine uses it until the user gives one
+    return { text: inbound.body, profile: inbound.profile || {} };
+  },
+
+  resolveConversation(inbound) {
+    return sessionManager.getOrCreateConversationByIdentifier('telegram_chat', String(inbound.chatId));
+  },
+
+  deliver(inbound, reply) {
+    // The contact button is offered after /start and removed once a number is shared
+    let options = {};
+    if (inbound.type === 'start') {
+      options = { replyMarkup: telegramService.contactRequestKeyboard() };
+    } else if (inbound.type === 'contact') {
+      options = { replyMarkup: { remove_keyboard: true } };
+    }
+
+    return telegramService.sendReply(inbound.chatId, reply.responseText, options);
+  },
+
+  /**
+   * Link the chat to the phone number the user shared with the contact button
+   * Conversations with the same number on other channels are merged into the
+   * chat; otherwise the number is saved so later conversations find it.
+   * @param {Object} inbound - { chatId, phone, contactUserId, fromId } - Telegram omits the leading '+'
+   * @returns {Promise<Object>} { responseText, conversationId, messageId }
+   */
+  async linkContact(inbound) {
+    const { chatId } = inbound;
+
+    // Only the user's own contact may link their phone history to this chat
+    if (!inbound.contactUserId || inbound.contactUserId !== inbound.fromId) {
+      logger.warn(`Refusing to link Telegram chat ${chatId} to a contact that is not the sender's`);
+      return { responseText: 'Please use the button to share your own phone number.', conversationId: null, messageId: null };
+    }
+
+    try {
+      const phone = formatPhoneToE164(inbound.phone.startsWith('+') ? inbound.phone : `+${inbound.phone}`);
+      logger.info(`Linking Telegram chat ${chatId} to phone ${maskPhoneNumber(phone)}`);
+
+      const conversation = await this.resolveConversation(inbound);
+      await sessionManager.addMessage(conversation._id, 'user', '[Shared phone number]', 'telegram', { contactShared: true });
+
+      // The number came from Telegram's contact button, so it is the user's own
+      const result = await identificationService.linkPhone(conversation._id, phone);
+
+      const responseText = result.merged
+        ? "Thanks! I've linked this chat to your earlier conversations, so we can pick up where we left off."
+        : "Thanks! I've saved your number, so chats with us on WhatsApp or SMS will continue from here.";
+
+      const updatedConversation = await sessionManager.addMessage(conversation._id, 'assistant', responseText, 'telegram');
+      const savedMessage = updatedConversation.messages[updatedConversation.messages.length - 1];
+
+      logger.info(`Linked Telegram chat ${chatId}`, {
+        conversationId: conversation._id,
+        merged: result.merged,
+        mergedCount: result.mergedCount
+      });
+
+      return {
+        responseText,
+        conversationId: conversation._id.toString(),
+        messageId: savedMessage._id.toString()
+      };
+    } catch (error) {
+      logger.error(`Error linking Telegram chat ${chatId} to a phone number:`, error);
+      return { responseText: 'Sorry, I could not save your number. Please try again.', conversationId: null, messageId: null };
+    }
+  }
+};
+
+// REST chat API - the reply is returned in the HTTP response
+const apiAdapter = {
+  channel: 'api',
+  // Answered with a 429, which every request needs
+  repeatRateLimitNotices: true,
+  emptyReply: 'I processed your request but have no specific response.',
+  errorReply: 'I encountered an error processing your message. Please try again.',
+
+  normalise(inbound) {
+    return { text: inbound.text, metadata: { apiClient: inbound.client } };
+  },
+
+  resolveConversation(inbound) {
+    // The route has already checked that the conversation exists
+    return sessionManager.getConversationById(inbound.conversationId);
+  },
+
+  async deliver() {
+    return { success: true };
+  }
+};
+
+module.exports = {
+  website: websiteAdapter,
+  whatsapp: whatsappAdapter,
+  sms: smsAdapter,
+  telegram: telegramAdapter,
+  api: apiAdapter
+};
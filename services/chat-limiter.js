@@ -0,0 +1,368 @@
+// services/chat-limiter.js
+const RateLimitCounter = require('../models/rate-limit-counter');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { PHONE_IDENTIFIER_TYPES } = require('../utils/phone');
+
+// Limit store registry
+const limitStores = new Map();
+
+// Replies sent to users over a limit, by reason
+const LIMIT_MESSAGES = {
+  burst: "You're sending messages faster than I can answer. Please wait a moment and try again.",
+  daily_messages: "You've reached today's message limit. Please come back tomorrow, or contact us directly if it's urgent.",
+  daily_tokens: "We've talked a lot today and I've reached my limit for this conversation. Please come back tomorrow, or contact us directly if it's urgent."
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Current UTC day, used in daily counter keys
+ * @param {number} now - Time in ms
+ * @returns {string} YYYY-MM-DD
+ */
+function dayOf(now) {
+  return new Date(now).toISOString().slice(0, 10);
+}
+
+/**
+ * Milliseconds until the next UTC midnight, when daily counters reset
+ * @param {number} now - Time in ms
+ * @returns {number} Milliseconds
+ */
+function msUntilTomorrow(now) {
+  return DAY_MS - (now % DAY_MS);
+}
+
+/**
+ * Build the result of a limit check
+ * @param {string|null} reason - Limit hit ('burst', 'daily_messages', 'daily_tokens'), or null if allowed
+ * @param {number} retryAfterMs - When the user can try again
+ * @returns {Object} { allowed, reason, retryAfterSeconds, message }
+ */
+function limitResult(reason = null, retryAfterMs = 0) {
+  if (!reason) {
+    return { allowed: true, reason: null, retryAfterSeconds: 0, message: null };
+  }
+
+  return {
+    allowed: false,
+    reason,
+    retryAfterSeconds: Math.max(1, Math.ceil(retryAfterMs / 1000)),
+    message: LIMIT_MESSAGES[reason]
+  };
+}
+
+/**
+ * Chat Limiter
+ * Limits AI turns so one client cannot run up OpenAI costs, whatever channel
+ * it uses. HTTP rate limits only see IP addresses; these limits are keyed on
+ * who is chatting:
+ * - token buckets per web chat session and per web client IP (checked before
+ *   a message is queued)
+ * - a token bucket per conversation and per verified phone number
+ * - daily message and token caps per conversation and per verified phone
+ *   number, and higher ones per web client IP
+ *
+ * Only verified phone numbers count: a web visitor who types a patient's
+ * number must not use up that patient's limits. The client IP key keeps
+ * anonymous web visitors from getting fresh limits with every connection.
+ *
+ * Counters live in a pluggable store ({ take(key, capacity, refillPerMs, now),
+ * increment(key, amount, expiresAt), get(key) }), so several instances can
+ * share them. Store errors are logged and the turn is allowed.
+ */
+const chatLimiter = {
+  /**
+   * Register a limit store
+   * @param {string} name - Store name
+   * @param {Object} store - Store implementing take(), increment() and get()
+   */
+  registerStore(name, store) {
+    logger.info(`Registering chat limit store: ${name}`);
+    limitStores.set(name, store);
+  },
+
+  /**
+   * Get the configured limit store
+   * @returns {Object} Limit store
+   */
+  getStore() {
+    const name = config.chatLimits.store;
+    const store = limitStores.get(name);
+
+    if (!store) {
+      throw new Error(`No chat limit store registered for: ${name}`);
+    }
+
+    return store;
+  },
+
+  /**
+   * Get the identity keys a conversation's turns are limited by
+   * @param {Object} conversation - Conversation document
+   * @param {string|null} client - Web client IP the turn came from, if any
+   * @returns {Object} { conversationId, phone, client }
+   */
+  identityOf(conversation, client = null) {
+    const phoneIdentifier = conversation.identifiers.find(id => PHONE_IDENTIFIER_TYPES.includes(id.type) && id.verified);
+
+    return {
+      conversationId: conversation._id.toString(),
+      phone: phoneIdentifier ? phoneIdentifier.value.replace(/[^\d+]/g, '') : null,
+      client: client || null
+    };
+  },
+
+  /**
+   * Get the counter keys of an identity with their daily caps
+   * @param {Object} identity - From identityOf ({ conversationId, phone, client })
+   * @returns {Array} [{ key, limits, dailyMessages, dailyTokens }] - limits is null for keys without a bucket here
+   */
+  keysOf(identity) {
+    const { dailyMessages, dailyTokens, client } = config.chatLimits;
+
+    return [
+      { key: `conversation:${identity.conversationId}`, limits: config.chatLimits.conversation, dailyMessages, dailyTokens },
+      ...(identity.phone ? [{ key: `phone:${identity.phone}`, limits: config.chatLimits.phone, dailyMessages, dailyTokens }] : []),
+      // The client bucket is taken by checkSession, before the message is queued
+      ...(identity.client ? [{ key: `client:${identity.client}`, limits: null, dailyMessages: client.dailyMessages, dailyTokens: client.dailyTokens }] : [])
+    ];
+  },
+
+  /**
+   * Take a token from a bucket
+   * @param {string} key - Bucket key
+   * @param {Object} limits - { capacity, refillPerMinute }
+   * @param {number} now - Time in ms
+   * @returns {Promise<Object>} { allowed, retryAfterMs }
+   */
+  async takeToken(key, limits, now) {
+    const refillPerMs = limits.refillPerMinute / 60000;
+    const bucket = await this.getStore().take(`bucket:${key}`, limits.capacity, refillPerMs, now);
+
+    return {
+      allowed: bucket.allowed,
+      retryAfterMs: bucket.allowed ? 0 : (1 - bucket.tokens) / refillPerMs
+    };
+  },
+
+  /**
+   * Check the limits for a web chat session (and the client IP it connected from) before its message is queued
+   * @param {string} sessionId - Session ID
+   * @param {string|null} client - Client IP of the session's connection
+   * @returns {Promise<Object>} { allowed, reason, retryAfterSeconds, message }
+   */
+  async checkSession(sessionId, client = null) {
+    if (!config.chatLimits.enabled) return limitResult();
+
+    const now = Date.now();
+    const keys = [
+      { key: `session:${sessionId}`, limits: config.chatLimits.session },
+      ...(client ? [{ key: `client:${client}`, limits: config.chatLimits.client }] : [])
+    ];
+
+    try {
+      for (const { key, limits } of keys) {
+        const bucket = await this.takeToken(key, limits, now);
+        if (!bucket.allowed) {
+          logger.warn(`🛡️ Chat limit reached for ${key}`);
+          return limitResult('burst', bucket.retryAfterMs);
+        }
+      }
+      return limitResult();
+    } catch (error) {
+      logger.error(`Chat limit check failed for session ${sessionId}, allowing:`, error);
+      return limitResult();
+    }
+  },
+
+  /**
+   * Check the limits for a conversation (and the phone number and web client it belongs to) before a turn
+   * An allowed turn counts towards the daily message caps.
+   * @param {Object} identity - From identityOf ({ conversationId, phone, client })
+   * @returns {Promise<Object>} { allowed, reason, retryAfterSeconds, message }
+   */
+  async checkIdentity(identity) {
+    if (!config.chatLimits.enabled) return limitResult();
+
+    const now = Date.now();
+    const keys = this.keysOf(identity);
+
+    try {
+      const store = this.getStore();
+
+      for (const { key, dailyMessages, dailyTokens } of keys) {
+        if (dailyMessages > 0 && await store.get(`daily:messages:${key}:${dayOf(now)}`) >= dailyMessages) {
+          logger.warn(`🛡️ Daily message limit reached for ${key}`);
+          return limitResult('daily_messages', msUntilTomorrow(now));
+        }
+        if (dailyTokens > 0 && await store.get(`daily:tokens:${key}:${dayOf(now)}`) >= dailyTokens) {
+          logger.warn(`🛡️ Daily token limit reached for ${key}`);
+          return limitResult('daily_tokens', msUntilTomorrow(now));
+        }
+      }
+
+      for (const { key, limits } of keys.filter(entry => entry.limits)) {
+        const bucket = await this.takeToken(key, limits, now);
+        if (!bucket.allowed) {
+          logger.warn(`🛡️ Chat limit reached for ${key}`);
+          return limitResult('burst', bucket.retryAfterMs);
+        }
+      }
+
+      const expiresAt = new Date(now + msUntilTomorrow(now) + DAY_MS);
+      for (const { key } of keys) {
+        await store.increment(`daily:messages:${key}:${dayOf(now)}`, 1, expiresAt);
+      }
+
+      return limitResult();
+    } catch (error) {
+      logger.error(`Chat limit check failed for conversation ${identity.conversationId}, allowing:`, error);
+      return limitResult();
+    }
+  },
+
+  /**
+   * Count the tokens a turn used towards the daily token caps
+   * @param {Object} identity - From identityOf ({ conversationId, phone, client })
+   * @param {number} tokens - Tokens used by the turn
+   * @returns {Promise<void>}
+   */
+  async recordTokens(identity, tokens) {
+    if (!config.chatLimits.enabled || !tokens) return;
+
+    const now = Date.now();
+    const expiresAt = new Date(now + msUntilTomorrow(now) + DAY_MS);
+    try {
+      for (const { key } of this.keysOf(identity)) {
+        await this.getStore().increment(`daily:tokens:${key}:${dayOf(now)}`, tokens, expiresAt);
+      }
+    } catch (error) {
+      logger.error(`Could not record token usage for conversation ${identity.conversationId}:`, error);
+    }
+  },
+
+  /**
+   * Check whether an over-limit reply should be sent, so a user who keeps
+   * messaging gets one reply per interval rather than one per message
+   * @param {Object} identity - From identityOf ({ conversationId, phone, client })
+   * @returns {Promise<boolean>} True if the reply should be sent
+   */
+  async shouldSendNotice(identity) {
+    try {
+      const now = Date.now();
+      const count = await this.getStore().increment(
+        `notice:conversation:${identity.conversationId}`,
+        1,
+        new Date(now + config.chatLimits.noticeIntervalMs)
+      );
+      return count === 1;
+    } catch (error) {
+      logger.error(`Could not check over-limit notice for conversation ${identity.conversationId}:`, error);
+      return true;
+    }
+  }
+};
+
+// In-process store (single instance)
+const memoryEntries = new Map();
+
+/**
+ * Get a memory store entry, dropping it if it has expired
+ * @param {string} key - Entry key
+ * @param {number} now - Time in ms
+ * @returns {Object|undefined} Entry
+ */
+function getMemoryEntry(key, now) {
+  const entry = memoryEntries.get(key);
+  if (entry && entry.expiresAt <= now) {
+    memoryEntries.delete(key);
+    return undefined;
+  }
+  return entry;
+}
+
+// Drop expired entries now and then, so idle sessions do not accumulate
+setInterval(() => {
+  const now = Date.now();
+  for (const [key, entry] of memoryEntries) {
+    if (entry.expiresAt <= now) memoryEntries.delete(key);
+  }
+}, 60 * 1000).unref();
+
+chatLimiter.registerStore('memory', {
+  async take(key, capacity, refillPerMs, now) {
+    const entry = getMemoryEntry(key, now) || { tokens: capacity, refilledAt: now };
+    const tokens = Math.min(capacity, entry.tokens + (now - entry.refilledAt) * refillPerMs);
+    const allowed = tokens >= 1;
+
+    memoryEntries.set(key, {
+      tokens: allowed ? tokens - 1 : tokens,
+      refilledAt: now,
+      // A bucket left alone until it is full again is the same as no bucket
+      expiresAt: now + capacity / refillPerMs
+    });
+
+    return { allowed, tokens };
+  },
+
+  async increment(key, amount, expiresAt) {
+    const now = Date.now();
+    const entry = getMemoryEntry(key, now) || { value: 0, expiresAt: expiresAt.getTime() };
+    entry.value += amount;
+    memoryEntries.set(key, entry);
+    return entry.value;
+  },
+
+  async get(key) {
+    const entry = getMemoryEntry(key, Date.now());
+    return entry ? entry.value : 0;
+  }
+});
+
+// MongoDB store (multi-instance deployments)
+chatLimiter.registerStore('mongo', {
+  async take(key, capacity, refillPerMs, now) {
+    // Refill and take in one pipeline update, so concurrent takes cannot overspend the bucket
+    const refilled = {
+      $min: [
+        capacity,
+        {
+          $add: [
+            { $ifNull: ['$tokens', capacity] },
+            { $multiply: [{ $subtract: [now, { $ifNull: ['$refilledAt', now] }] }, refillPerMs] }
+          ]
+        }
+      ]
+    };
+
+    const bucket = await RateLimitCounter.findOneAndUpdate(
+      { key },
+      [
+        { $set: { tokens: refilled, refilledAt: now, expiresAt: new Date(now + capacity / refillPerMs) } },
+        { $set: { allowed: { $gte: ['$tokens', 1] } } },
+        { $set: { tokens: { $cond: ['$allowed', { $subtract: ['$tokens', 1] }, '$tokens'] } } }
+      ],
+      { upsert: true, new: true }
+    );
+
+    return { allowed: bucket.allowed, tokens: bucket.allowed ? bucket.tokens + 1 : bucket.tokens };
+  },
+
+  async increment(key, amount, expiresAt) {
+    const counter = await RateLimitCounter.findOneAndUpdate(
+      { key },
+      { $inc: { value: amount }, $setOnInsert: { expiresAt } },
+      { upsert: true, new: true }
+    );
+    return counter.value;
+  },
+
+  async get(key) {
+    const counter = await RateLimitCounter.findOne({ key });
+    return counter ? counter.value : 0;
+  }
+});
+
+module.exports = chatLimiter;
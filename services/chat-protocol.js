@@ -0,0 +1,327 @@
+// services/chat-protocol.js
+const messageProcessor = require('./message-processor');
+const sessionManager = require('./session-manager');
+const resumeTokenService = require('./resume-token-service');
+const historyService = require('./history-service');
+const chatLimiter = require('./chat-limiter');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+// Longest chat message accepted from web clients (DoS protection)
+const MAX_MESSAGE_LENGTH = 2000;
+
+// Frame types clients can send
+const CLIENT_FRAME_TYPES = ['chat_message', 'get_history', 'resume_session', 'end_session'];
+
+// Messages sent with resume_failed, by reason
+const RESUME_FAILURE_MESSAGES = {
+  invalid: 'Resume token is not valid',
+  expired: 'Resume token has expired',
+  revoked: 'Resume token has already been used or was revoked',
+  unavailable: 'Sessions cannot be resumed right now'
+};
+
+/**
+ * Web Chat Protocol
+ * Handles frames from web chat clients the same way for every transport
+ * (WebSocket, or Server-Sent Events + POST), so clients can switch transport
+ * without any difference in behaviour.
+ *
+ * A transport provides a socket with a `send(data)` method taking a JSON
+ * string; every frame sent to the client goes through it.
+ */
+const chatProtocol = {
+  /**
+   * Send a frame to a client
+   * @param {Object} socket - Transport socket
+   * @param {Object} frame - Frame ({ type, ... })
+   */
+  sendFrame(socket, frame) {
+    socket.send(JSON.stringify(frame));
+  },
+
+  /**
+   * Issue a resume token for a session and remember it on the session
+   * @param {Object} session - Session object
+   * @returns {Promise<Object>} Token fields for a frame ({ resumeToken, resumeTokenExpiresAt }),
+   *   empty if no token could be issued
+   */
+  async issueResumeToken(session) {
+    try {
+      const { token, tokenId, expiresAt } = await resumeTokenService.issue(session.identifierValue);
+      session.resumeTokenId = tokenId;
+      return { resumeToken: token, resumeTokenExpiresAt: expiresAt.toISOString() };
+    } catch (error) {
+      logger.error(`Could not issue resume token for session ${session.id}:`, error);
+      return {};
+    }
+  },
+
+  /**
+   * Tell a newly connected client its session ID and resume token
+   * The client keeps the token (e.g. in localStorage) and sends it in a
+   * resume_session frame after reconnecting.
+   * @param {Object} socket - Transport socket
+   * @param {Object} session - Session from sessionManager.createSession
+   * @returns {Promise<void>}
+   */
+  async sendConnectionEstablished(socket, session) {
+    const resume = await this.issueResumeToken(session);
+
+    this.sendFrame(socket, {
+      type: 'connection_established',
+      sessionId: session.id,
+      message: 'Connected to chat server',
+      ...resume
+    });
+  },
+
+  /**
+   * Validate a frame from a client
+   * @param {*} data - Parsed frame
+   * @param {string} sessionId - Session ID (for logging)
+   * @returns {string|null} Error message for the client, or null if valid
+   */
+  validateFrame(data, sessionId) {
+    // 🛡️ SECURITY: Validate basic message structure
+    if (!data || typeof data !== 'object') {
+      logger.warn(`🛡️ Invalid data structure from session ${sessionId}`);
+      return 'Invalid message structure';
+    }
+
+    // 🛡️ SECURITY: Validate message type exists and is valid
+    if (!data.type || typeof data.type !== 'string') {
+      logger.warn(`🛡️ Missing or invalid type from session ${sessionId}`);
+      return 'Message type required';
+    }
+
+    if (!CLIENT_FRAME_TYPES.includes(data.type)) {
+      logger.warn(`🛡️ Unknown message type from session ${sessionId}: ${data.type}`);
+      return 'Unknown message type';
+    }
+
+    if (data.type === 'resume_session') {
+      if (!data.token || typeof data.token !== 'string' || data.token.length > config.sessionResume.maxTokenLength) {
+        logger.warn(`🛡️ Invalid resume token from session ${sessionId}`);
+        return 'Resume token must be text';
+      }
+      return null;
+    }
+
+    if (data.type === 'end_session') {
+      return null;
+    }
+
+    if (data.type === 'get_history') {
+      if (data.limit !== undefined && (!Number.isInteger(data.limit) || data.limit < 1)) {
+        return 'limit must be a positive whole number';
+      }
+      if (data.before !== undefined && data.after !== undefined) {
+        return 'Send either before or after, not both';
+      }
+      const cursor = data.before !== undefined ? data.before : data.after;
+      if (cursor !== undefined && !historyService.decodeCursor(cursor)) {
+        logger.warn(`🛡️ Invalid history cursor from session ${sessionId}`);
+        return 'Invalid history cursor';
+      }
+      return null;
+    }
+
+    // 🛡️ SECURITY: Validate chat message content
+    if (!data.message || typeof data.message !== 'string') {
+      logger.warn(`🛡️ Invalid message content from session ${sessionId}`);
+      return 'Message content must be text';
+    }
+
+    // 🛡️ SECURITY: Prevent excessively long messages (DoS protection)
+    if (data.message.length > MAX_MESSAGE_LENGTH) {
+      logger.warn(`🛡️ Message too long from session ${sessionId}: ${data.message.length} chars`);
+      return `Message too long (max ${MAX_MESSAGE_LENGTH} characters)`;
+    }
+
+    // 🛡️ SECURITY: Prevent empty messages (spam protection)
+    if (data.message.trim().length === 0) {
+      logger.warn(`🛡️ Empty message from session ${sessionId}`);
+      return 'Message cannot be empty';
+    }
+
+    return null;
+  },
+
+  /**
+   * Process a validated frame
+   * Errors are reported to the client as an `error` frame.
+   * @param {Object} socket - Transport socket
+   * @param {string} sessionId - Session ID
+   * @param {Object} data - Frame that passed validateFrame
+   * @returns {Promise<void>}
+   */
+  async processFrame(socket, sessionId, data) {
+    if (data.type === 'resume_session') {
+      return this.resumeSession(socket, sessionId, data.token);
+    }
+    if (data.type === 'end_session') {
+      return this.endSession(socket, sessionId);
+    }
+    if (data.type === 'get_history') {
+      return this.sendHistory(socket, sessionId, data);
+    }
+
+    try {
+      logger.info(`✅ Valid message from session ${sessionId}:`, {
+        type: data.type,
+        messageLength: data.message.length,
+        messagePreview: data.message.substring(0, 50)
+      });
+
+      // Checked before queueing, so a flood of messages never reaches the queue
+      const session = sessionManager.getSession(sessionId);
+      const limit = await chatLimiter.checkSession(sessionId, session ? session.clientIp : null);
+      if (!limit.allowed) {
+        this.sendFrame(socket, {
+          type: 'error',
+          code: 'rate_limited',
+          message: limit.message,
+          retryAfterSeconds: limit.retryAfterSeconds
+        });
+        return;
+      }
+
+      // Clients opt in or out of streaming per message; otherwise use the server default
+      const stream = typeof data.stream === 'boolean' ? data.stream : config.streaming.enabled;
+
+      // Process the validated message (serialised per conversation)
+      await messageProcessor.enqueueWebSocketMessage(socket, sessionId, data.message, { stream });
+    } catch (error) {
+      logger.error(`❌ Error processing message from session ${sessionId}:`, error);
+      this.sendFrame(socket, { type: 'error', message: 'Error processing your message' });
+    }
+  },
+
+  /**
+   * Send a page of the session's conversation history
+   * A session without a conversation yet gets an empty page.
+   * @param {Object} socket - Transport socket
+   * @param {string} sessionId - Session ID
+   * @param {Object} data - get_history frame ({ before, after, limit })
+   * @returns {Promise<void>}
+   */
+  async sendHistory(socket, sessionId, data) {
+    try {
+      const conversation = await sessionManager.findConversation(sessionId);
+      const page = historyService.getPage(conversation, {
+        before: data.before,
+        after: data.after,
+        limit: data.limit
+      });
+
+      this.sendFrame(socket, {
+        type: 'history',
+        sessionId,
+        conversationId: conversation ? conversation._id.toString() : null,
+        ...page
+      });
+    } catch (error) {
+      logger.error(`Error fetching history for session ${sessionId}:`, error);
+      this.sendFrame(socket, { type: 'error', message: 'Error fetching your conversation history' });
+    }
+  },
+
+  /**
+   * Re-attach a session to the conversation of the session a resume token was issued for
+   * Answers session_resumed with a replacement token, or resume_failed (the
+   * session then carries on as a new one).
+   * @param {Object} socket - Transport socket
+   * @param {string} sessionId - Session ID
+   * @param {string} token - Resume token
+   * @returns {Promise<void>}
+   */
+  async resumeSession(socket, sessionId, token) {
+    let result;
+    try {
+      result = await resumeTokenService.redeem(token);
+    } catch (error) {
+      logger.error(`Could not redeem resume token for session ${sessionId}:`, error);
+      result = { error: 'unavailable' };
+    }
+
+    if (result.error) {
+      logger.info(`Resume failed for session ${sessionId}: ${result.error}`);
+      this.sendFrame(socket, {
+        type: 'resume_failed',
+        reason: result.error,
+        message: RESUME_FAILURE_MESSAGES[result.error]
+      });
+      return;
+    }
+
+    try {
+      const session = sessionManager.getSession(sessionId);
+
+      // The token issued to this connection is no longer needed
+      if (session && session.resumeTokenId) {
+        await resumeTokenService.revoke(session.resumeTokenId);
+      }
+
+      sessionManager.resumeSession(sessionId, result.identifierValue, result.tokenId);
+
+      // Attach straight away, so the socket gets the conversation's live frames before it sends anything
+      await sessionManager.findConversation(sessionId);
+
+      this.sendFrame(socket, {
+        type: 'session_resumed',
+        sessionId,
+        resumeToken: result.token,
+        resumeTokenExpiresAt: result.expiresAt.toISOString()
+      });
+    } catch (error) {
+      logger.error(`Error resuming session ${sessionId}:`, error);
+      this.sendFrame(socket, { type: 'error', message: 'Error resuming your session' });
+    }
+  },
+
+  /**
+   * End a session at the client's request (e.g. "start a new chat" on a shared computer)
+   * Revokes every resume token for the session and detaches it from its
+   * conversation; answers session_ended with a token for the fresh session.
+   * @param {Object} socket - Transport socket
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<void>}
+   */
+  async endSession(socket, sessionId) {
+    try {
+      const session = sessionManager.getSession(sessionId);
+      if (!session) {
+        throw new Error(`Session not found: ${sessionId}`);
+      }
+
+      await resumeTokenService.revokeAll(session.identifierValue, 'ended');
+      sessionManager.resetSession(sessionId);
+
+      const resume = await this.issueResumeToken(session);
+      this.sendFrame(socket, { type: 'session_ended', sessionId, ...resume });
+    } catch (error) {
+      logger.error(`Error ending session ${sessionId}:`, error);
+      this.sendFrame(socket, { type: 'error', message: 'Error ending your session' });
+    }
+  },
+
+  /**
+   * Validate and process a frame, answering invalid frames with an `error` frame
+   * @param {Object} socket - Transport socket
+   * @param {string} sessionId - Session ID
+   * @param {*} data - Parsed frame
+   * @returns {Promise<void>}
+   */
+  async handleFrame(socket, sessionId, data) {
+    const error = this.validateFrame(data, sessionId);
+    if (error) {
+      this.sendFrame(socket, { type: 'error', message: error });
+      return;
+    }
+
+    await this.processFrame(socket, sessionId, data);
+  }
+};
+
+module.exports = chatProtocol;
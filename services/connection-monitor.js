@@ -0,0 +1,234 @@
+// services/connection-monitor.js
+const WebSocket = require('ws');
+const sessionManager = require('./session-manager');
+const conversationHub = require('./conversation-hub');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+// Frames a slow client can miss without losing anything: chat_complete repeats
+// the full streamed text, and progress frames are superseded by the reply
+const DROPPABLE_FRAME = /^\{"type":"(chat_delta|thinking_update|tool_progress)"/;
+
+// Close code sent to connections closed by the server (idle, too far behind)
+const CLOSE_CODES = {
+  idle: 4000,
+  backpressure: 4001
+};
+
+// Counters reported by getStats()
+const counters = {
+  heartbeatTerminations: 0,
+  idleClosures: 0,
+  backpressureClosures: 0,
+  droppedFrames: 0,
+  sweptSessions: 0
+};
+
+let heartbeatTimer = null;
+let sweepTimer = null;
+let lastSweepAt = null;
+
+/**
+ * Connection Monitor
+ * Keeps web chat connections healthy:
+ * - sockets never write to a closed connection, and slow clients get
+ *   streaming frames dropped (then the connection closed) instead of the
+ *   server buffering without limit
+ * - WebSocket ping/pong heartbeats terminate half-open connections
+ * - connections without client messages are closed after an idle timeout
+ * - a sweeper removes sessions whose connection closed without cleanup
+ */
+const connectionMonitor = {
+  /**
+   * Decide what to do with a frame, given how much is already buffered for the client
+   * @param {string} data - JSON frame
+   * @param {number} bufferedBytes - Bytes queued but not yet sent
+   * @returns {string} 'send', 'drop' or 'close'
+   */
+  checkBackpressure(data, bufferedBytes) {
+    const { maxBufferedBytes, closeBufferedBytes } = config.connections;
+
+    if (bufferedBytes + Buffer.byteLength(data) > closeBufferedBytes) return 'close';
+    if (bufferedBytes > maxBufferedBytes && DROPPABLE_FRAME.test(data)) return 'drop';
+    return 'send';
+  },
+
+  /**
+   * Handle a frame for a client that is too far behind
+   * @param {string} action - Result of checkBackpressure
+   * @param {Object} socket - Socket the frame was for
+   * @returns {boolean} True if the frame should be sent
+   */
+  applyBackpressure(action, socket) {
+    if (action === 'drop') {
+      counters.droppedFrames++;
+      return false;
+    }
+    if (action === 'close') {
+      counters.backpressureClosures++;
+      logger.warn('Closing web chat connection that is too far behind on sends');
+      socket.close(CLOSE_CODES.backpressure, 'Too far behind');
+      return false;
+    }
+    return true;
+  },
+
+  /**
+   * Wrap a WebSocket in a socket that is safe to send to at any time
+   * Sends to a connection that is not open are skipped, and backpressure is
+   * applied using ws.bufferedAmount.
+   * @param {WebSocket} ws - WebSocket connection
+   * @returns {Object} Socket ({ send, close, ping, terminate, closed, isAlive })
+   */
+  wrapWebSocket(ws) {
+    const socket = {
+      isAlive: true,
+
+      get closed() {
+        return ws.readyState !== WebSocket.OPEN;
+      },
+
+      send(data) {
+        if (socket.closed) return;
+        if (!connectionMonitor.applyBackpressure(connectionMonitor.checkBackpressure(data, ws.bufferedAmount), socket)) {
+          return;
+        }
+        ws.send(data);
+      },
+
+      close(code, reason) {
+        if (ws.readyState === WebSocket.OPEN || ws.readyState === WebSocket.CONNECTING) {
+          ws.close(code, reason);
+        }
+      },
+
+      ping() {
+        if (ws.readyState === WebSocket.OPEN) {
+          ws.ping();
+        }
+      },
+
+      terminate() {
+        ws.terminate();
+      }
+    };
+
+    ws.on('pong', () => {
+      socket.isAlive = true;
+    });
+
+    return socket;
+  },
+
+  /**
+   * Record a message from a session's client (resets the idle timeout)
+   * @param {Object} session - Session object
+   */
+  recordActivity(session) {
+    session.lastActivityAt = new Date();
+  },
+
+  /**
+   * Ping every WebSocket, terminating those that missed the previous ping, and
+   * close connections that have been idle too long
+   */
+  heartbeat() {
+    const now = Date.now();
+    const { idleTimeoutMs } = config.connections;
+
+    for (const session of sessionManager.listSessions()) {
+      const socket = session.ws;
+      if (socket.closed) continue;
+
+      if (idleTimeoutMs > 0 && now - session.lastActivityAt.getTime() > idleTimeoutMs) {
+        logger.info(`Closing idle ${session.transport} connection for session ${session.id}`);
+        counters.idleClosures++;
+        socket.close(CLOSE_CODES.idle, 'Idle timeout');
+        continue;
+      }
+
+      if (session.transport !== 'websocket') continue;
+
+      if (!socket.isAlive) {
+        logger.info(`Terminating unresponsive WebSocket for session ${session.id}`);
+        counters.heartbeatTerminations++;
+        socket.terminate();
+        continue;
+      }
+
+      socket.isAlive = false;
+      socket.ping();
+    }
+  },
+
+  /**
+   * Remove sessions whose connection has closed
+   * Normally the close handler removes a session; this catches those it missed.
+   * @returns {number} Number of sessions removed
+   */
+  sweep() {
+    let removed = 0;
+
+    for (const session of sessionManager.listSessions()) {
+      if (session.ws.closed) {
+        sessionManager.removeSession(session.id);
+        removed++;
+      }
+    }
+
+    counters.sweptSessions += removed;
+    lastSweepAt = new Date();
+
+    if (removed > 0) {
+      logger.info(`Swept ${removed} closed web chat sessions`);
+    }
+    return removed;
+  },
+
+  /**
+   * Start the heartbeat and the sweeper
+   */
+  start() {
+    if (heartbeatTimer) return;
+
+    heartbeatTimer = setInterval(() => this.heartbeat(), config.connections.heartbeatIntervalMs);
+    sweepTimer = setInterval(() => this.sweep(), config.connections.sweepIntervalMs);
+    heartbeatTimer.unref();
+    sweepTimer.unref();
+
+    logger.info(`Connection monitor started (heartbeat every ${config.connections.heartbeatIntervalMs}ms)`);
+  },
+
+  /**
+   * Stop the heartbeat and the sweeper
+   */
+  stop() {
+    clearInterval(heartbeatTimer);
+    clearInterval(sweepTimer);
+    heartbeatTimer = null;
+    sweepTimer = null;
+  },
+
+  /**
+   * Connection counts and monitor counters
+   * @returns {Object} Stats
+   */
+  getStats() {
+    const sessions = sessionManager.listSessions();
+    const byTransport = (transport) => sessions.filter(session => session.transport === transport).length;
+
+    return {
+      sessions: {
+        total: sessions.length,
+        websocket: byTransport('websocket'),
+        sse: byTransport('sse'),
+        closedAwaitingSweep: sessions.filter(session => session.ws.closed).length
+      },
+      subscriptions: conversationHub.getStats(),
+      counters: { ...counters },
+      lastSweepAt: lastSweepAt ? lastSweepAt.toISOString() : null
+    };
+  }
+};
+
+module.exports = connectionMonitor;
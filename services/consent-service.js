@@ -0,0 +1,174 @@
+// services/consent-service.js
+const Consent = require('../models/consent');
+const Conversation = require('../models/conversation');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { PHONE_IDENTIFIER_TYPES } = require('../utils/phone');
+
+/**
+ * Normalise a phone number for consent lookups
+ * @param {string} phone - Phone number, optionally with a 'whatsapp:' prefix
+ * @returns {string} Phone number without prefix or separators
+ */
+function normalisePhone(phone) {
+  return String(phone || '').replace('whatsapp:', '').replace(/[\s\-\(\)]/g, '');
+}
+
+/**
+ * Normalise text for keyword matching
+ * Case, accents, surrounding punctuation and repeated spaces are ignored,
+ * so "Stop!", "stop" and "ARRÊT" all match their keywords.
+ * @param {string} text - Message text or keyword
+ * @returns {string} Normalised text
+ */
+function normaliseKeyword(text) {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toUpperCase()
+    .replace(/[^A-Z0-9 ]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Consent Service
+ * Recognises opt-out (STOP) and opt-in (START) keywords on WhatsApp and SMS,
+ * and keeps the consent state for each phone number. The Consent record is
+ * authoritative; conversations with the number carry a copy in `consent`.
+ * Every change is appended to the record's history and logged for audit.
+ */
+const consentService = {
+  /**
+   * Match a message against the configured keywords
+   * Only a message consisting of the keyword alone counts.
+   * @param {string} text - Message text
+   * @returns {Object|null} { action: 'opt_out'|'opt_in', keyword } or null
+   */
+  matchKeyword(text) {
+    const normalised = normaliseKeyword(text);
+    if (!normalised) return null;
+
+    const optOut = config.consent.optOutKeywords.find(keyword => normaliseKeyword(keyword) === normalised);
+    if (optOut) return { action: 'opt_out', keyword: optOut };
+
+    const optIn = config.consent.optInKeywords.find(keyword => normaliseKeyword(keyword) === normalised);
+    if (optIn) return { action: 'opt_in', keyword: optIn };
+
+    return null;
+  },
+
+  /**
+   * Check whether a phone number has opted out
+   * @param {string} phone - Phone number
+   * @returns {Promise<boolean>} True if outbound messages must be suppressed
+   */
+  async isOptedOut(phone) {
+    if (!config.consent.enabled) return false;
+
+    const consent = await Consent.findOne({ phone: normalisePhone(phone) });
+    return !!consent && consent.status === 'opted_out';
+  },
+
+  /**
+   * Set the consent state for a phone number
+   * @param {string} phone - Phone number
+   * @param {string} status - 'opted_in' or 'opted_out'
+   * @param {Object} details - { channel, keyword, conversationId }
+   * @returns {Promise<Object>} { changed, consent }
+   */
+  async setStatus(phone, status, details = {}) {
+    const normalisedPhone = normalisePhone(phone);
+    const now = new Date();
+
+    const current = await Consent.findOne({ phone: normalisedPhone });
+    const currentStatus = current ? current.status : 'opted_in';
+
+    if (currentStatus === status && current) {
+      return { changed: false, consent: current };
+    }
+
+    const change = {
+      status,
+      channel: details.channel || 'unknown',
+      keyword: details.keyword || null,
+      conversationId: details.conversationId ? details.conversationId.toString() : null,
+      at: now
+    };
+
+    const consent = await Consent.findOneAndUpdate(
+      { phone: normalisedPhone },
+      {
+        $set: { status, updatedAt: now },
+        $push: { history: change }
+      },
+      { upsert: true, new: true }
+    );
+
+    // Copy the state onto every conversation with this number
+    await Conversation.updateMany(
+      { identifiers: { $elemMatch: { type: { $in: PHONE_IDENTIFIER_TYPES }, value: normalisedPhone } } },
+      { $set: { 'consent.status': status, 'consent.updatedAt': now, 'consent.channel': change.channel } }
+    );
+
+    logger.info(`[Consent] ${normalisedPhone.slice(0, 5)}***${normalisedPhone.slice(-4)} ${currentStatus} → ${status}`, {
+      channel: change.channel,
+      keyword: change.keyword,
+      conversationId: change.conversationId,
+      at: now.toISOString()
+    });
+
+    return { changed: true, consent };
+  },
+
+  /**
+   * Handle an inbound message before it reaches the AI
+   * Keywords change the consent state; any other message from an opted-out
+   * number is not answered. Opt-in keywords from numbers that never opted out
+   * are ordinary messages (e.g. "yes").
+   * @param {Object} inbound - { channel, phone, text, conversationId }
+   * @returns {Promise<Object>} { handled, status, keyword, changed, reply } - handled messages must not reach the AI
+   */
+  async handleInbound(inbound) {
+    const { channel, phone, text, conversationId } = inbound;
+
+    if (!config.consent.enabled) {
+      return { handled: false };
+    }
+
+    const match = this.matchKeyword(text);
+    const optedOut = await this.isOptedOut(phone);
+    const confirm = config.consent.confirmChannels.includes(channel);
+
+    if (match && match.action === 'opt_out') {
+      const { changed } = await this.setStatus(phone, 'opted_out', { channel, keyword: match.keyword, conversationId });
+      return {
+        handled: true,
+        status: 'opted_out',
+        keyword: match.keyword,
+        changed,
+        reply: confirm && changed ? config.consent.optOutReply : null
+      };
+    }
+
+    if (match && match.action === 'opt_in' && optedOut) {
+      await this.setStatus(phone, 'opted_in', { channel, keyword: match.keyword, conversationId });
+      return {
+        handled: true,
+        status: 'opted_in',
+        keyword: match.keyword,
+        changed: true,
+        reply: confirm ? config.consent.optInReply : null
+      };
+    }
+
+    if (optedOut) {
+      logger.info(`[Consent] Message from opted-out number on ${channel} - not answered`, { conversationId });
+      return { handled: true, status: 'opted_out', keyword: null, changed: false, reply: null };
+    }
+
+    return { handled: false };
+  }
+};
+
+module.exports = consentService;
@@ -0,0 +1,257 @@
+// services/context-builder.js
+const llmProvider = require('./llm-provider');
+const tokenEstimator = require('../utils/token-estimator');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+// Below this many tokens left, a history message that does not fit is dropped rather than shortened
+const MIN_TRUNCATED_MESSAGE_TOKENS = 100;
+
+// Wraps the conversation summary in the history
+const SUMMARY_PREFIX = 'CONVERSATION SUMMARY: ';
+const SUMMARY_SUFFIX = '\n\nThe above is a summary of previous messages. The following are the most recent messages.';
+
+/**
+ * Get the text of a message's content
+ * @param {string|Array} content - String or content parts
+ * @returns {string} Text
+ */
+function contentText(content) {
+  if (!Array.isArray(content)) return content || '';
+  return content.filter(part => part.text).map(part => part.text).join('\n');
+}
+
+/**
+ * Shorten the text of a message to about a number of tokens
+ * Content parts keep their images; only the first text part is shortened.
+ * @param {Object} item - Message ({ role, content })
+ * @param {number} maxTokens - Tokens the content may use
+ * @returns {Object} Shortened message
+ */
+function truncateMessage(item, maxTokens) {
+  if (!Array.isArray(item.content)) {
+    return { ...item, content: tokenEstimator.truncateToTokens(item.content, maxTokens) };
+  }
+
+  const imageTokens = tokenEstimator.estimateContentTokens(item.content.filter(part => part.type === 'input_image'));
+  const textIndex = item.content.findIndex(part => part.text);
+  if (textIndex === -1) return item;
+
+  const content = [...item.content];
+  content[textIndex] = {
+    ...content[textIndex],
+    text: tokenEstimator.truncateToTokens(content[textIndex].text, Math.max(maxTokens - imageTokens, 0))
+  };
+  return { ...item, content };
+}
+
+/**
+ * Context Builder
+ * Decides what the model is sent with each turn, within a token budget for
+ * the model (see config.context):
+ *
+ *   budget = min(context window - reserveOutputTokens, maxInputTokens)
+ *            - tool definitions - knowledgeTokens (kept for knowledge base
+ *              context that tool calls add during the turn; at most a
+ *              quarter of the budget)
+ *
+ * The system prompt (with the user's details) and the current message are
+ * always sent - the message is shortened if it alone is over budget. The
+ * conversation summary comes next, up to summaryTokens, then as many recent
+ * messages as fit, newest first. Tokens are counted locally with the
+ * model's tokenizer (see utils/token-estimator.js).
+ *
+ * Each conversation keeps one context strategy:
+ * - server: the previous turn's response ID carries the conversation, so only
+ *   the system prompt (as instructions, which the server does not keep) and
+ *   messages since that response are sent. The chain is re-seeded with
+ *   history when it is missing, too old, or no longer matches the messages
+ *   (e.g. after a merge).
+ * - client: the history is sent every turn and previous_response_id never is.
+ *
+ * With `auto`, conversations use server state when the provider keeps it
+ * (OpenAI) and stay on the strategy they started with.
+ */
+const contextBuilder = {
+  /**
+   * Get the token budget of a model
+   * @param {string} model - Model name
+   * @returns {Object} { window, input } - context window, and tokens the input may use
+   */
+  budgetFor(model) {
+    const { windows, defaultWindow, maxInputTokens, reserveOutputTokens } = config.context;
+
+    const prefix = Object.keys(windows)
+      .filter(name => model && model.startsWith(name))
+      .sort((a, b) => b.length - a.length)[0];
+    const window = prefix ? windows[prefix] : defaultWindow;
+    const input = window - reserveOutputTokens;
+
+    return {
+      window,
+      input: maxInputTokens > 0 ? Math.min(input, maxInputTokens) : input
+    };
+  },
+
+  /**
+   * Decide a conversation's context strategy
+   * @param {Object} conversation - Conversation document
+   * @returns {string} 'server' or 'client'
+   */
+  resolveStrategy(conversation) {
+    const configured = config.context.strategy;
+
+    if (configured === 'client' || !llmProvider.hasServerState()) return 'client';
+    if (configured === 'server') return 'server';
+    return conversation.contextStrategy || 'server';
+  },
+
+  /**
+   * Check whether the conversation's last response still holds its context
+   * @param {Object} conversation - Conversation document
+   * @returns {boolean} True if the next turn can continue from it
+   */
+  canContinueResponse(conversation) {
+    if (!conversation.previousResponseId || !conversation.previousResponseMessageId || !conversation.previousResponseAt) {
+      return false;
+    }
+
+    const ageMs = Date.now() - new Date(conversation.previousResponseAt).getTime();
+    if (ageMs > config.context.serverStateMaxAgeDays * 24 * 60 * 60 * 1000) {
+      return false;
+    }
+
+    return conversation.messages.some(msg => msg._id.toString() === conversation.previousResponseMessageId);
+  },
+
+  /**
+   * Choose the context of a turn
+   * @param {Object} conversation - Conversation document (with the current message stored)
+   * @param {string} currentMessageId - ID of the stored current message, which is sent separately
+   * @returns {Object} { strategy, previousResponseId, summary, messages: [{ role, content }], continued }
+   */
+  forTurn(conversation, currentMessageId) {
+    const strategy = this.resolveStrategy(conversation);
+    const messages = conversation.messages.filter(msg => msg._id.toString() !== currentMessageId);
+    const toHistory = list => list.map(msg => ({ role: msg.role, content: msg.content }));
+
+    // Continue the response chain, sending only what it has not seen
+    if (strategy === 'server' && this.canContinueResponse(conversation)) {
+      const lastSeen = messages.findIndex(msg => msg._id.toString() === conversation.previousResponseMessageId);
+      return {
+        strategy,
+        previousResponseId: conversation.previousResponseId,
+        summary: null,
+        messages: toHistory(messages.slice(lastSeen + 1)),
+        continued: true
+      };
+    }
+
+    const summary = config.summary && config.summary.enabled && conversation.summary && conversation.summary.text
+      ? conversation.summary.text
+      : null;
+
+    // With a summary, at least every message it does not cover yet
+    let messageLimit = config.conversation.maxHistoryMessages || 50;
+    if (summary) {
+      const summarised = messages.findIndex(msg => msg._id.toString() === conversation.summary.lastMessageId);
+      messageLimit = Math.max(config.summary.recentMessageCount || 20, messages.length - summarised - 1);
+    }
+
+    return {
+      strategy,
+      previousResponseId: null,
+      summary,
+      messages: toHistory(messages.slice(-messageLimit)),
+      continued: false
+    };
+  },
+
+  /**
+   * Fit a turn's input into the model's budget
+   * With `asInstructions` the system prompt is returned as `instructions`
+   * instead of an input message, so a response chain never keeps it.
+   * @param {Object} parts - { model, systemMessage, summary, history, userMessage, tools, asInstructions }
+   * @returns {Object} { input, instructions, report: { budget, estimatedTokens, historyMessages, droppedMessages, summary } }
+   */
+  fit(parts) {
+    const { model, systemMessage, summary, history = [], tools, asInstructions } = parts;
+    let userMessage = parts.userMessage;
+
+    const budget = this.budgetFor(model).input;
+    // At most a quarter of the budget is held back for knowledge base context
+    const knowledgeReserve = tools && tools.length > 0 ? Math.min(config.context.knowledgeTokens, Math.floor(budget / 4)) : 0;
+    let available = budget - knowledgeReserve;
+    if (tools && tools.length > 0) {
+      available -= tokenEstimator.estimateTextTokens(JSON.stringify(tools));
+    }
+
+    // Always sent: the system prompt and the current message
+    available -= tokenEstimator.estimateInputTokens([systemMessage]);
+    const userTokens = tokenEstimator.estimateInputTokens([userMessage]);
+    if (userTokens > available) {
+      logger.warn(`Current message (~${userTokens} tokens) is over the context budget - shortening it`);
+      userMessage = truncateMessage(userMessage, Math.max(available, MIN_TRUNCATED_MESSAGE_TOKENS));
+    }
+    available -= tokenEstimator.estimateInputTokens([userMessage]);
+
+    // Then the summary, up to its own cap
+    const included = [];
+    let summaryStatus = 'none';
+    if (summary) {
+      const framing = tokenEstimator.estimateInputTokens([{ role: 'system', content: `${SUMMARY_PREFIX}${SUMMARY_SUFFIX}` }]);
+      const summaryBudget = Math.min(config.context.summaryTokens, available - framing);
+      const summaryText = tokenEstimator.truncateToTokens(summary, summaryBudget);
+
+      if (summaryBudget >= MIN_TRUNCATED_MESSAGE_TOKENS && summaryText) {
+        const summaryMessage = { role: 'system', content: `${SUMMARY_PREFIX}${summaryText}${SUMMARY_SUFFIX}` };
+        included.push(summaryMessage);
+        available -= tokenEstimator.estimateInputTokens([summaryMessage]);
+        summaryStatus = summaryText === summary ? 'full' : 'truncated';
+      } else {
+        summaryStatus = 'dropped';
+      }
+    }
+
+    // Then recent messages, newest first; the first one that does not fit is shortened if there is room
+    const recent = [];
+    for (let i = history.length - 1; i >= 0; i--) {
+      const tokens = tokenEstimator.estimateInputTokens([history[i]]);
+      if (tokens <= available) {
+        recent.unshift(history[i]);
+        available -= tokens;
+        continue;
+      }
+      if (available >= MIN_TRUNCATED_MESSAGE_TOKENS) {
+        const shortened = truncateMessage(history[i], available - tokenEstimator.estimateInputTokens([{ role: history[i].role, content: '' }]));
+        recent.unshift(shortened);
+        available -= tokenEstimator.estimateInputTokens([shortened]);
+      }
+      break;
+    }
+    included.push(...recent);
+
+    const input = [...included, userMessage];
+    let instructions = null;
+    if (asInstructions) {
+      instructions = contentText(systemMessage.content);
+    } else {
+      input.unshift(systemMessage);
+    }
+
+    const report = {
+      budget,
+      estimatedTokens: budget - knowledgeReserve - available,
+      historyMessages: recent.length,
+      droppedMessages: history.length - recent.length,
+      summary: summaryStatus
+    };
+    if (report.droppedMessages > 0 || summaryStatus === 'truncated' || summaryStatus === 'dropped') {
+      logger.info(`Context trimmed to ~${report.estimatedTokens}/${budget} tokens for ${model}`, report);
+    }
+
+    return { input, instructions, report };
+  }
+};
+
+module.exports = contextBuilder;
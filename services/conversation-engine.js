@@ -0,0 +1,392 @@
+// services/conversation-engine.js
+const sessionManager = require('./session-manager');
+const openaiService = require('./openai-service');
+const toolsExecutor = require('./tools-executor');
+const conversationHub = require('./conversation-hub');
+const chatLimiter = require('./chat-limiter');
+const usageService = require('./usage-service');
+const contextBuilder = require('./context-builder');
+const summaryService = require('./summary-service');
+const builtInAdapters = require('./channel-adapters');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { PHONE_IDENTIFIER_TYPES } = require('../utils/phone');
+
+// Channel adapter registry
+const adapterRegistry = new Map();
+
+/**
+ * Build the user details passed to the model
+ * A phone number from the conversation's identifiers, and a name from the
+ * channel profile (e.g. Telegram), fill in what the user has not given.
+ * @param {Object} conversation - Conversation document
+ * @param {Object} profile - Channel profile ({ firstName, lastName })
+ * @returns {Object} User info
+ */
+function buildUserInfo(conversation, profile = {}) {
+  let userInfo = conversation.userInfo || {};
+
+  if (profile.firstName && !userInfo.firstName) {
+    userInfo = { ...userInfo, firstName: profile.firstName, lastName: userInfo.lastName || profile.lastName };
+  }
+
+  const phoneIdentifier = conversation.identifiers.find(id => PHONE_IDENTIFIER_TYPES.includes(id.type));
+  if (phoneIdentifier && !userInfo.phone) {
+    userInfo = { ...userInfo, phone: phoneIdentifier.value };
+  }
+
+  return userInfo;
+}
+
+/**
+ * List the tool calls made during a turn
+ * @param {Object} toolTrace - Trace from openaiService.processFunctionCalls
+ * @returns {Array} Tool calls ({ name, arguments, status, durationMs })
+ */
+function listToolCalls(toolTrace) {
+  if (!toolTrace) return [];
+
+  return toolTrace.steps.flatMap(step => step.calls.map(call => {
+    let args = call.arguments;
+    try {
+      args = typeof args === 'string' ? JSON.parse(args) : args;
+    } catch (parseError) {
+      // Keep the raw string when the model sent invalid JSON
+    }
+
+    return { name: call.name, arguments: args, status: call.status, durationMs: call.durationMs || 0 };
+  }));
+}
+
+/**
+ * Collect the knowledge sources a tool result refers to
+ * @param {string|Object} result - Tool result
+ * @param {Map} sources - Sources found so far, keyed by ID
+ */
+function collectSources(result, sources) {
+  let parsed = result;
+  try {
+    parsed = typeof result === 'string' ? JSON.parse(result) : result;
+  } catch (parseError) {
+    return;
+  }
+
+  if (parsed && Array.isArray(parsed.sources)) {
+    parsed.sources.forEach(source => sources.set(String(source.id), source));
+  }
+}
+
+/**
+ * Build the metadata stored with a reply: how it was sent, which model answered and what the turn used
+ * @param {Object} response - Final model response of the turn
+ * @param {boolean} streamed - Whether the reply was streamed
+ * @param {Object} usage - Turn usage ({ calls, inputTokens, outputTokens, totalTokens, costUsd })
+ * @param {Object} budget - Budget check result ({ action, reason })
+ * @returns {Object} Message metadata
+ */
+function buildReplyMetadata(response, streamed, usage, budget) {
+  const metadata = streamed ? { streamed: true } : {};
+  metadata.usage = usage;
+  if (budget.action === 'degrade') {
+    metadata.budgetDegraded = budget.reason;
+  }
+
+  // Fallback replies built after a tool-loop error have no model
+  if (response.model) {
+    metadata.model = response.model;
+  }
+  if (response.fallback) {
+    metadata.modelFallback = true;
+    metadata.requestedModel = response.requestedModel;
+  }
+
+  return metadata;
+}
+
+/**
+ * Build the result of a turn
+ * @param {string} responseText - Text to send to the user
+ * @param {string} conversationId - Conversation the reply belongs to (if stored)
+ * @param {string} messageId - ID of the stored assistant message (if stored)
+ * @returns {Object} { responseText, conversationId, messageId }
+ */
+function turnResult(responseText, conversationId = null, messageId = null) {
+  return {
+    responseText,
+    conversationId: conversationId ? conversationId.toString() : null,
+    messageId: messageId ? messageId.toString() : null
+  };
+}
+
+/**
+ * Conversation Engine
+ * Runs a conversation turn the same way for every channel:
+ * normalise inbound → resolve conversation → store user message → build
+ * history → call the model → run tools → store and return the reply.
+ *
+ * Channel differences live in channel adapters (see channel-adapters.js),
+ * registered by channel name. Delivering the reply is left to the caller,
+ * through the adapter's deliver(), so webhook routes can wrap it with their
+ * own idempotency and retry handling.
+ *
+ * Web chat sockets attached to the conversation see every turn live: the
+ * user's message (user_message), and for channels that do not send web
+ * frames themselves, a thinking indicator and the reply (chat_response).
+ */
+const conversationEngine = {
+  /**
+   * Register a channel adapter
+   * @param {string} name - Channel name
+   * @param {Object} adapter - Adapter implementing the channel adapter interface
+   */
+  registerAdapter(name, adapter) {
+    logger.info(`Registering channel adapter: ${name}`);
+    adapterRegistry.set(name, adapter);
+  },
+
+  /**
+   * Get the adapter for a channel
+   * @param {string} name - Channel name
+   * @returns {Object} Channel adapter
+   */
+  getAdapter(name) {
+    const adapter = adapterRegistry.get(name);
+
+    if (!adapter) {
+      throw new Error(`No channel adapter registered for: ${name}`);
+    }
+
+    return adapter;
+  },
+
+  /**
+   * Run one conversation turn
+   * Errors are logged and answered with the adapter's errorReply (flagged
+   * `error: true`), so callers always have something to deliver. Turns over
+   * a budget ceiling are answered with the refusal message (flagged
+   * `budgetExceeded: true`) without storing the message or calling the model.
+   * @param {string} channel - Channel name
+   * @param {Object} inbound - Inbound message, in the adapter's shape; `conversation`, if set, is used instead of resolving it again
+   * @param {Object} options - { stream: { onTextDelta, onToolCall, onToolResult } } - stream the reply as it is generated
+   * @returns {Promise<Object>} { responseText, conversationId, messageId, streamed, toolCalls, sources, usage, error, rateLimited, budgetExceeded, reason, retryAfterSeconds }
+   */
+  async runTurn(channel, inbound, options = {}) {
+    const adapter = this.getAdapter(channel);
+    let conversation = null;
+
+    // Mirror the turn to web clients, unless the channel's own frames already reach them
+    const mirrorToWebClients = (frame) => {
+      if (conversation && !adapter.sendsWebFrames) {
+        conversationHub.publish(conversation._id, { ...frame, channel: adapter.channel });
+      }
+    };
+
+    try {
+      const normalised = await adapter.normalise(inbound);
+      if (normalised.reply) {
+        return turnResult(normalised.reply);
+      }
+
+      const message = normalised.text || '';
+      const images = normalised.images || [];
+
+      conversation = inbound.conversation || await adapter.resolveConversation(inbound);
+
+      // Over a limit: reply without storing the message or calling the model
+      const identity = chatLimiter.identityOf(conversation, adapter.limitClient ? adapter.limitClient(inbound) : null);
+      const limit = await chatLimiter.checkIdentity(identity);
+      if (!limit.allowed) {
+        const notify = adapter.repeatRateLimitNotices || await chatLimiter.shouldSendNotice(identity);
+        return {
+          ...turnResult(notify ? limit.message : null, conversation._id),
+          rateLimited: true,
+          reason: limit.reason,
+          retryAfterSeconds: limit.retryAfterSeconds
+        };
+      }
+
+      // Over a budget ceiling: answer with a cheaper model, or refuse without calling the model
+      const budget = await usageService.checkBudget(conversation._id);
+      if (budget.action === 'refuse') {
+        return { ...turnResult(budget.message, conversation._id), budgetExceeded: true, reason: budget.reason };
+      }
+      const modelOptions = budget.model ? { model: budget.model } : {};
+
+      const withUserMessage = await sessionManager.addMessage(
+        conversation._id,
+        'user',
+        normalised.storedText || message,
+        adapter.channel,
+        normalised.metadata || {}
+      );
+      logger.info(`Added ${adapter.channel} user message to conversation ${conversation._id}`);
+
+      // Echo the message to the conversation's other sockets (other tabs and devices)
+      const userMessage = withUserMessage.messages[withUserMessage.messages.length - 1];
+      conversationHub.publish(conversation._id, {
+        type: 'user_message',
+        messageId: userMessage._id.toString(),
+        message: userMessage.content,
+        channel: adapter.channel
+      }, { excludeSessionId: inbound.sessionId });
+      mirrorToWebClients({ type: 'thinking_started', message: 'Thinking...' });
+
+      // Re-fetch conversation to ensure latest state
+      conversation = await sessionManager.getConversationById(conversation._id);
+
+      const userInfo = buildUserInfo(conversation, normalised.profile);
+      const turnContext = contextBuilder.forTurn(conversation, userMessage._id.toString());
+      const requestOptions = { ...modelOptions, summary: turnContext.summary, strategy: turnContext.strategy };
+
+      // Knowledge base items used to answer, for callers that show citations
+      const sources = new Map();
+
+      const toolExecutor = async (functionCall, toolContext) => {
+        const result = await toolsExecutor.executeTool(functionCall, {
+          conversationId: conversation._id,
+          userMessage: message || (images.length > 0 ? '[Image analysis]' : ''),
+          ...(adapter.toolContext ? adapter.toolContext(inbound) : {}),
+          ...toolContext
+        });
+        collectSources(result, sources);
+
+        if (options.stream && options.stream.onToolResult) {
+          options.stream.onToolResult(functionCall, result);
+        }
+        return result;
+      };
+
+      // Streamed text is collected here, so the stored reply is exactly what was streamed
+      let streamedText = '';
+      let startNewBlock = false;
+      let streamHandlers = null;
+
+      if (options.stream) {
+        streamHandlers = {
+          onTextDelta: (delta) => {
+            // Separate text from consecutive responses (e.g. before and after a tool call)
+            if (startNewBlock && streamedText) {
+              delta = `\n\n${delta}`;
+            }
+            startNewBlock = false;
+
+            streamedText += delta;
+            options.stream.onTextDelta(delta);
+          },
+          onToolCall: (functionCall) => {
+            startNewBlock = true;
+            if (options.stream.onToolCall) {
+              options.stream.onToolCall(functionCall);
+            }
+          }
+        };
+      }
+
+      let openaiResponse;
+      if (images.length > 0) {
+        openaiResponse = await openaiService.processImageMessage(
+          message,
+          images,
+          turnContext.messages,
+          userInfo,
+          turnContext.previousResponseId,
+          config.tools,
+          requestOptions
+        );
+      } else if (streamHandlers) {
+        openaiResponse = await openaiService.streamMessage(
+          message,
+          turnContext.messages,
+          userInfo,
+          turnContext.previousResponseId,
+          config.tools,
+          streamHandlers,
+          requestOptions
+        );
+      } else {
+        openaiResponse = await openaiService.processMessage(
+          message,
+          turnContext.messages,
+          userInfo,
+          turnContext.previousResponseId,
+          config.tools,
+          requestOptions
+        );
+      }
+
+      const firstResponse = openaiResponse;
+      const hasFunctionCalls = openaiResponse.output && openaiResponse.output.some(item => item.type === 'function_call');
+      if (hasFunctionCalls) {
+        openaiResponse = await openaiService.processFunctionCalls(openaiResponse, toolExecutor, {}, streamHandlers);
+      }
+      const usageCalls = usageService.turnCalls(firstResponse, openaiResponse.toolTrace);
+      const usage = usageService.sum(usageCalls);
+      await chatLimiter.recordTokens(identity, usage.totalTokens);
+
+      let responseText;
+      if (streamHandlers) {
+        // Fallback text (e.g. after an error) was never streamed, so send it as a delta
+        if (!streamedText) {
+          streamHandlers.onTextDelta(openaiService.extractResponseText(openaiResponse, adapter.channel) || adapter.emptyReply);
+        }
+        responseText = streamedText;
+      } else {
+        responseText = openaiService.extractResponseText(openaiResponse, adapter.channel);
+      }
+
+      const updatedConversation = await sessionManager.addMessage(
+        conversation._id,
+        'assistant',
+        responseText || '',
+        adapter.channel,
+        buildReplyMetadata(openaiResponse, !!streamHandlers, usage, budget)
+      );
+      const savedMessage = updatedConversation.messages[updatedConversation.messages.length - 1];
+      // A fallback reply built after an error has no response the provider could continue from
+      await sessionManager.updateResponseId(conversation._id, openaiResponse.synthetic ? null : openaiResponse.id, {
+        messageId: savedMessage._id,
+        strategy: turnContext.strategy
+      });
+      await usageService.record({ conversationId: conversation._id, channel: adapter.channel, kind: 'turn', calls: usageCalls });
+
+      // Fold the latest messages into the summary once enough have built up, without waiting for it
+      summaryService.scheduleUpdate(updatedConversation);
+
+      logger.info(`Processed ${adapter.channel} turn for conversation ${conversation._id}`, {
+        messageId: savedMessage._id.toString(),
+        responseLength: responseText ? responseText.length : 0,
+        streamed: !!streamHandlers,
+        images: images.length,
+        hadFunctionCalls: hasFunctionCalls,
+        model: openaiResponse.model || null,
+        modelFallback: !!openaiResponse.fallback,
+        usage,
+        toolTrace: openaiResponse.toolTrace || null,
+        context: { strategy: turnContext.strategy, continued: turnContext.continued, ...firstResponse.context }
+      });
+
+      mirrorToWebClients({
+        type: 'chat_response',
+        messageId: savedMessage._id.toString(),
+        message: responseText || adapter.emptyReply
+      });
+
+      return {
+        ...turnResult(responseText || adapter.emptyReply, conversation._id, savedMessage._id),
+        streamed: !!streamHandlers,
+        toolCalls: listToolCalls(openaiResponse.toolTrace),
+        sources: [...sources.values()],
+        usage
+      };
+    } catch (error) {
+      logger.error(`Error processing ${channel} turn:`, error);
+      mirrorToWebClients({ type: 'chat_response', message: adapter.errorReply });
+      return { ...turnResult(adapter.errorReply), error: true };
+    }
+  }
+};
+
+// Register the built-in channels
+Object.entries(builtInAdapters).forEach(([name, adapter]) => conversationEngine.registerAdapter(name, adapter));
+
+module.exports = conversationEngine;
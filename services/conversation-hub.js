@@ -0,0 +1,161 @@
+// services/conversation-hub.js
+const logger = require('../utils/logger');
+
+// Conversation ID → Map of session ID → socket
+const subscribers = new Map();
+
+// Session ID → conversation ID it is subscribed to
+const sessionConversations = new Map();
+
+/**
+ * Send data to a socket, ignoring sockets that have gone away
+ * @param {Object} socket - WebSocket or SSE socket
+ * @param {string} data - JSON frame
+ * @param {string} sessionId - Session ID (for logging)
+ */
+function sendSafely(socket, data, sessionId) {
+  try {
+    socket.send(data);
+  } catch (error) {
+    logger.warn(`[Conversation Hub] Could not send to session ${sessionId}: ${error.message}`);
+  }
+}
+
+/**
+ * Conversation Hub
+ * Keeps track of the web chat sockets attached to each conversation, so frames
+ * for a conversation reach every socket showing it - several tabs or devices,
+ * sessions redirected by a merge, and web clients watching a conversation that
+ * is also active on WhatsApp, SMS or Telegram.
+ *
+ * Each session is subscribed to at most one conversation. sessionManager keeps
+ * subscriptions in step with session.conversationId; merges move subscribers
+ * to the surviving conversation.
+ */
+const conversationHub = {
+  /**
+   * Subscribe a session's socket to a conversation
+   * Moves the session off any conversation it was subscribed to before.
+   * @param {string} conversationId - Conversation ID
+   * @param {string} sessionId - Session ID
+   * @param {Object} socket - WebSocket or SSE socket
+   */
+  subscribe(conversationId, sessionId, socket) {
+    const id = conversationId.toString();
+    if (sessionConversations.get(sessionId) === id) return;
+
+    this.unsubscribe(sessionId);
+
+    if (!subscribers.has(id)) {
+      subscribers.set(id, new Map());
+    }
+    subscribers.get(id).set(sessionId, socket);
+    sessionConversations.set(sessionId, id);
+
+    logger.debug(`[Conversation Hub] Session ${sessionId} subscribed to ${id} (${subscribers.get(id).size} sockets)`);
+  },
+
+  /**
+   * Unsubscribe a session from its conversation
+   * @param {string} sessionId - Session ID
+   */
+  unsubscribe(sessionId) {
+    const id = sessionConversations.get(sessionId);
+    if (!id) return;
+
+    const sockets = subscribers.get(id);
+    if (sockets) {
+      sockets.delete(sessionId);
+      if (sockets.size === 0) {
+        subscribers.delete(id);
+      }
+    }
+    sessionConversations.delete(sessionId);
+  },
+
+  /**
+   * Get the conversation a session is subscribed to
+   * @param {string} sessionId - Session ID
+   * @returns {string|null} Conversation ID
+   */
+  getConversationId(sessionId) {
+    return sessionConversations.get(sessionId) || null;
+  },
+
+  /**
+   * Number of sockets subscribed to a conversation
+   * @param {string} conversationId - Conversation ID
+   * @returns {number} Socket count
+   */
+  subscriberCount(conversationId) {
+    const sockets = subscribers.get(conversationId.toString());
+    return sockets ? sockets.size : 0;
+  },
+
+  /**
+   * Subscription counts
+   * @returns {Object} { conversations, sockets }
+   */
+  getStats() {
+    return { conversations: subscribers.size, sockets: sessionConversations.size };
+  },
+
+  /**
+   * Send a frame to every socket subscribed to a conversation
+   * @param {string} conversationId - Conversation ID
+   * @param {Object} frame - Frame ({ type, ... })
+   * @param {Object} options - { excludeSessionId } - skip the socket that sent the message
+   * @returns {number} Number of sockets sent to
+   */
+  publish(conversationId, frame, options = {}) {
+    return this.broadcast(conversationId, JSON.stringify(frame), options);
+  },
+
+  /**
+   * Send an already serialised frame to every socket subscribed to a conversation
+   * @param {string} conversationId - Conversation ID
+   * @param {string} data - JSON frame
+   * @param {Object} options - { excludeSessionId }
+   * @returns {number} Number of sockets sent to
+   */
+  broadcast(conversationId, data, options = {}) {
+    const sockets = subscribers.get(conversationId.toString());
+    if (!sockets) return 0;
+
+    let sent = 0;
+    for (const [sessionId, socket] of sockets) {
+      if (sessionId === options.excludeSessionId) continue;
+      sendSafely(socket, data, sessionId);
+      sent++;
+    }
+    return sent;
+  },
+
+  /**
+   * Move every subscriber of merged conversations to the conversation they were merged into
+   * @param {Array} fromConversationIds - IDs of the merged conversations
+   * @param {string} toConversationId - ID of the surviving conversation
+   * @returns {number} Number of sessions moved
+   */
+  moveSubscribers(fromConversationIds, toConversationId) {
+    const target = toConversationId.toString();
+    let moved = 0;
+
+    fromConversationIds.map(id => id.toString()).filter(id => id !== target).forEach(id => {
+      const sockets = subscribers.get(id);
+      if (!sockets) return;
+
+      for (const [sessionId, socket] of [...sockets]) {
+        this.subscribe(target, sessionId, socket);
+        moved++;
+      }
+    });
+
+    if (moved > 0) {
+      logger.info(`[Conversation Hub] Moved ${moved} sockets to merged conversation ${target}`);
+    }
+    return moved;
+  }
+};
+
+module.exports = conversationHub;
@@ -0,0 +1,233 @@
+// services/conversation-queue.js
+const { v4: uuidv4 } = require('uuid');
+const ConversationLock = require('../models/conversation-lock');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { delay } = require('../utils/delay');
+
+// In-process queues, keyed by conversation
+const queues = new Map();
+
+// Lock provider registry
+const lockProviders = new Map();
+
+/**
+ * Conversation Queue
+ * Serialises work per conversation so concurrent messages for the same
+ * conversation run one turn at a time, in arrival order.
+ *
+ * Within one process the in-memory queue provides the ordering. For
+ * multi-instance deployments a lock provider ({ acquire(key, ttlMs), release(key, token) })
+ * additionally guards each turn across processes.
+ *
+ * Items enqueued with `coalesce: true` that arrive within the debounce window
+ * are batched into a single handler call.
+ */
+const conversationQueue = {
+  /**
+   * Register a lock provider
+   * @param {string} name - Provider name
+   * @param {Object} provider - Provider implementing acquire(key, ttlMs) and release(key, token)
+   */
+  registerLockProvider(name, provider) {
+    logger.info(`Registering conversation lock provider: ${name}`);
+    lockProviders.set(name, provider);
+  },
+
+  /**
+   * Get the configured lock provider
+   * @returns {Object} Lock provider
+   */
+  getLockProvider() {
+    const name = config.queue.lockProvider;
+    const provider = lockProviders.get(name);
+
+    if (!provider) {
+      throw new Error(`No conversation lock provider registered for: ${name}`);
+    }
+
+    return provider;
+  },
+
+  /**
+   * Enqueue an item for a conversation
+   * The handler receives an array of items (one, or several when coalesced)
+   * and its result is shared by every item in the batch.
+   * @param {string} key - Queue key (conversation ID)
+   * @param {*} item - Work item
+   * @param {Function} handler - async (items) => result
+   * @param {Object} options - { coalesce } - allow batching with neighbouring items
+   * @returns {Promise<Object>} { result, primary, batchSize, items } - primary is true for the last item in the
+   *   batch; items are the batch's items, so the primary caller can complete the others once it has used the result
+   */
+  enqueue(key, item, handler, options = {}) {
+    const debounceMs = config.queue.coalesceWindowMs;
+    const coalesce = !!options.coalesce && debounceMs > 0;
+
+    let queue = queues.get(key);
+    if (!queue) {
+      queue = { tail: Promise.resolve(), openBatch: null, pending: 0 };
+      queues.set(key, queue);
+    }
+
+    return new Promise((resolve, reject) => {
+      const entry = { item, resolve, reject };
+
+      // Join the batch still collecting messages and restart its debounce timer
+      if (coalesce && queue.openBatch && queue.openBatch.entries.length < config.queue.maxBatchSize) {
+        const batch = queue.openBatch;
+        batch.entries.push(entry);
+        clearTimeout(batch.timer);
+        batch.timer = setTimeout(batch.release, debounceMs);
+        logger.debug(`Coalescing message into pending batch for ${key} (${batch.entries.length} items)`);
+        return;
+      }
+
+      const batch = { entries: [entry], handler, timer: null, release: null };
+
+      if (coalesce) {
+        batch.ready = new Promise(release => {
+          batch.release = release;
+          batch.timer = setTimeout(release, debounceMs);
+        });
+        queue.openBatch = batch;
+      } else {
+        batch.ready = Promise.resolve();
+        queue.openBatch = null;
+      }
+
+      queue.pending++;
+      queue.tail = queue.tail
+        .then(() => batch.ready)
+        .then(() => this.runBatch(key, queue, batch));
+    });
+  },
+
+  /**
+   * Run a batch under the conversation lock
+   * Never rejects, so one failed turn does not break the chain for the conversation.
+   * @param {string} key - Queue key
+   * @param {Object} queue - Queue state
+   * @param {Object} batch - Batch to run
+   * @returns {Promise<void>}
+   */
+  async runBatch(key, queue, batch) {
+    // Stop accepting new items once the batch starts
+    if (queue.openBatch === batch) {
+      queue.openBatch = null;
+    }
+
+    const items = batch.entries.map(entry => entry.item);
+    let lockToken = null;
+
+    try {
+      lockToken = await this.acquireLock(key);
+
+      if (items.length > 1) {
+        logger.info(`Processing ${items.length} coalesced messages for ${key}`);
+      }
+
+      const result = await batch.handler(items);
+
+      batch.entries.forEach((entry, index) => entry.resolve({
+        result,
+        primary: index === batch.entries.length - 1,
+        batchSize: batch.entries.length,
+        items
+      }));
+    } catch (error) {
+      logger.error(`Error processing queued work for ${key}:`, error);
+      batch.entries.forEach(entry => entry.reject(error));
+    } finally {
+      if (lockToken) {
+        try {
+          await this.getLockProvider().release(key, lockToken);
+        } catch (releaseError) {
+          logger.error(`Error releasing conversation lock for ${key}:`, releaseError);
+        }
+      }
+
+      queue.pending--;
+      if (queue.pending === 0 && queues.get(key) === queue) {
+        queues.delete(key);
+      }
+    }
+  },
+
+  /**
+   * Acquire the lock for a key, polling until the wait timeout
+   * @param {string} key - Queue key
+   * @returns {Promise<string>} Lock token
+   */
+  async acquireLock(key) {
+    const provider = this.getLockProvider();
+    const { lockTtlMs, lockWaitMs, lockRetryMs } = config.queue;
+    const deadline = Date.now() + lockWaitMs;
+
+    while (true) {
+      const token = await provider.acquire(key, lockTtlMs);
+      if (token) {
+        return token;
+      }
+
+      if (Date.now() >= deadline) {
+        throw new Error(`Timed out waiting for conversation lock: ${key}`);
+      }
+
+      await delay(lockRetryMs);
+    }
+  },
+
+  /**
+   * Get queue statistics
+   * @returns {Object} { activeQueues, pendingBatches }
+   */
+  getStats() {
+    let pendingBatches = 0;
+    for (const queue of queues.values()) {
+      pendingBatches += queue.pending;
+    }
+
+    return {
+      activeQueues: queues.size,
+      pendingBatches
+    };
+  }
+};
+
+// Register the in-process lock provider (single instance - the queue already serialises)
+conversationQueue.registerLockProvider('local', {
+  async acquire() {
+    return uuidv4();
+  },
+  async release() {}
+});
+
+// Register the MongoDB lock provider (multi-instance deployments)
+conversationQueue.registerLockProvider('mongo', {
+  async acquire(key, ttlMs) {
+    const token = uuidv4();
+    const now = new Date();
+
+    try {
+      // Take the lock if it is free or abandoned; a held lock makes the upsert hit the unique index
+      await ConversationLock.findOneAndUpdate(
+        { key, expiresAt: { $lt: now } },
+        { $set: { token, expiresAt: new Date(now.getTime() + ttlMs) } },
+        { upsert: true }
+      );
+      return token;
+    } catch (error) {
+      if (error.code === 11000) {
+        return null;
+      }
+      throw error;
+    }
+  },
+
+  async release(key, token) {
+    await ConversationLock.deleteOne({ key, token });
+  }
+});
+
+module.exports = conversationQueue;
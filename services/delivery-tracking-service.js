@@ -0,0 +1,359 @@
+// services/delivery-tracking-service.js
+const OutboundMessage = require('../models/outbound-message');
+const Conversation = require('../models/conversation');
+const twilioService = require('./twilio-service');
+const consentService = require('./consent-service');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { delay } = require('../utils/delay');
+
+// Progression of a successful delivery; callbacks can arrive out of order,
+// so a status only replaces one ranked below it
+const STATUS_RANK = {
+  accepted: 0,
+  scheduled: 0,
+  queued: 0,
+  sending: 1,
+  sent: 2,
+  delivered: 3,
+  read: 4
+};
+
+// Terminal failure statuses - never replaced by a later callback
+const FAILED_STATUSES = ['failed', 'undelivered', 'canceled'];
+
+/**
+ * Decide whether a reported status should replace the current one
+ * @param {string} current - Current status
+ * @param {string} next - Reported status
+ * @returns {boolean} True if the status should advance
+ */
+function shouldAdvance(current, next) {
+  if (FAILED_STATUSES.includes(current)) return false;
+  if (FAILED_STATUSES.includes(next)) return true;
+  if (!(next in STATUS_RANK)) return false;
+
+  return !(current in STATUS_RANK) || STATUS_RANK[next] > STATUS_RANK[current];
+}
+
+/**
+ * Delivery Tracking Service
+ * Records the Twilio SID of every outbound part, applies delivery status
+ * callbacks to it, and mirrors the result onto the assistant message
+ * (metadata.outbound / metadata.deliveryStatus). Parts that fail with a
+ * retryable error code are re-sent according to the channel's retry settings
+ * (config.whatsapp.retry or config.sms.retry).
+ */
+const deliveryTrackingService = {
+  /**
+   * Record the parts of a reply that were handed to Twilio
+   * @param {Object} details - { conversationId, messageId, channel, to, messages: [{ sid, status, part, body, contentSid, contentVariables }] }
+   * @returns {Promise<void>}
+   */
+  async recordSent(details) {
+    const { conversationId = null, messageId = null, channel, to, messages = [] } = details;
+
+    if (messages.length === 0) return;
+
+    await OutboundMessage.insertMany(messages.map(sent => ({
+      sid: sent.sid,
+      channel,
+      to,
+      conversationId,
+      messageId,
+      part: sent.part,
+      body: sent.body || '',
+      contentSid: sent.contentSid || null,
+      contentVariables: sent.contentVariables || null,
+      status: sent.status || 'queued',
+      statusHistory: [{ status: sent.status || 'queued', at: new Date() }]
+    })));
+
+    logger.debug(`[Delivery] Tracking ${messages.length} outbound message(s) to ${to}`, {
+      sids: messages.map(sent => sent.sid)
+    });
+
+    if (conversationId && messageId) {
+      await this.syncMessageStatus(conversationId, messageId);
+    }
+  },
+
+  /**
+   * Get the parts of a reply that an earlier attempt already sent
+   * A part counts as sent unless every attempt at it failed with no retry scheduled or in progress.
+   * @param {string} messageId - Assistant message ID
+   * @returns {Promise<Array<number>>} Part numbers (1-based)
+   */
+  async getSentParts(messageId) {
+    if (!messageId) return [];
+
+    const attempts = await OutboundMessage.find({ messageId });
+    const sent = new Set(attempts
+      .filter(item => !FAILED_STATUSES.includes(item.status) || item.retriedBy === 'pending' || item.retryAt)
+      .map(item => item.part));
+
+    return [...sent].sort((a, b) => a - b);
+  },
+
+  /**
+   * Apply a delivery status reported by Twilio
+   * @param {Object} update - { sid, status, errorCode, errorMessage }
+   * @returns {Promise<Object|null>} Updated outbound message, or null if the SID is not tracked
+   */
+  async recordStatus(update) {
+    const { sid, status } = update;
+    const errorCode = update.errorCode ? String(update.errorCode) : null;
+    const errorMessage = update.errorMessage || null;
+
+    const outbound = await OutboundMessage.findOne({ sid });
+    if (!outbound) {
+      logger.debug(`[Delivery] Status ${status} for untracked message ${sid}`);
+      return null;
+    }
+
+    outbound.statusHistory.push({ status, errorCode, at: new Date() });
+
+    if (shouldAdvance(outbound.status, status)) {
+      outbound.status = status;
+    }
+    if (errorCode) {
+      outbound.errorCode = errorCode;
+      outbound.errorMessage = errorMessage;
+    }
+
+    await outbound.save();
+
+    if (FAILED_STATUSES.includes(status)) {
+      logger.error(`[Delivery] ${outbound.channel} message ${sid} to ${outbound.to} ${status}`, {
+        errorCode,
+        errorMessage,
+        part: outbound.part,
+        attempt: outbound.attempts,
+        conversationId: outbound.conversationId
+      });
+    } else {
+      logger.debug(`[Delivery] Message ${sid} is ${outbound.status} (reported ${status})`);
+    }
+
+    if (outbound.conversationId && outbound.messageId) {
+      await this.syncMessageStatus(outbound.conversationId, outbound.messageId);
+    }
+
+    if (FAILED_STATUSES.includes(status) && this.isRetryable(outbound)) {
+      await this.scheduleRetry(outbound);
+    }
+
+    return outbound;
+  },
+
+  /**
+   * Check whether a failed message should be re-sent
+   * @param {Object} outbound - Outbound message
+   * @returns {boolean} True if the error is transient and attempts remain
+   */
+  isRetryable(outbound) {
+    if (!['whatsapp', 'sms'].includes(outbound.channel)) return false;
+    const { maxAttempts, retryableErrorCodes } = config[outbound.channel].retry;
+
+    return !outbound.retriedBy &&
+      outbound.attempts < maxAttempts &&
+      retryableErrorCodes.includes(outbound.errorCode);
+  },
+
+  /**
+   * Schedule the re-send of a failed message after the retry delay
+   * The due time is stored on the message, so a retry pending when the server
+   * stops is picked up by resumePendingRetries on the next start.
+   * @param {Object} outbound - Failed outbound message
+   * @returns {Promise<void>}
+   */
+  async scheduleRetry(outbound) {
+    const { delayMs, maxAttempts } = config[outbound.channel].retry;
+    const retryAt = new Date(Date.now() + delayMs);
+
+    await OutboundMessage.updateOne({ sid: outbound.sid, retriedBy: null }, { $set: { retryAt } });
+    logger.info(`[Delivery] Retrying ${outbound.sid} in ${delayMs}ms (attempt ${outbound.attempts + 1}/${maxAttempts})`);
+
+    this.runRetryAt(outbound.sid, retryAt);
+  },
+
+  /**
+   * Re-send a failed message once its retry is due, without blocking the caller
+   * @param {string} sid - SID of the failed message
+   * @param {Date} retryAt - When the retry is due
+   */
+  runRetryAt(sid, retryAt) {
+    delay(Math.max(new Date(retryAt).getTime() - Date.now(), 0))
+      .then(() => this.retry(sid))
+      .catch(error => logger.error(`[Delivery] Retry of ${sid} failed:`, error));
+  },
+
+  /**
+   * Schedule the retries that were pending when the server stopped
+   * Overdue retries run straight away.
+   * @returns {Promise<number>} Number of retries scheduled
+   */
+  async resumePendingRetries() {
+    const pending = await OutboundMessage.find({ retryAt: { $ne: null }, retriedBy: null });
+
+    if (pending.length > 0) {
+      logger.info(`[Delivery] Resuming ${pending.length} pending retries`);
+    }
+
+    pending.forEach(outbound => this.runRetryAt(outbound.sid, outbound.retryAt));
+
+    return pending.length;
+  },
+
+  /**
+   * Re-send the body (or template) of a failed message as a new Twilio message
+   * The retried part may arrive after later parts of the same reply. WhatsApp
+   * free-form text is only re-sent inside the session window; outside it the
+   * fallback template goes out instead, once per reply.
+   * @param {string} sid - SID of the failed message
+   * @returns {Promise<Object|null>} New outbound message, or null if no retry was made
+   */
+  async retry(sid) {
+    // Claim the failed message so concurrent callbacks cannot re-send it twice
+    const failed = await OutboundMessage.findOneAndUpdate(
+      { sid, retriedBy: null },
+      { $set: { retriedBy: 'pending' } },
+      { new: true }
+    );
+
+    if (!failed) return null;
+
+    const release = () => OutboundMessage.updateOne({ sid }, { $set: { retriedBy: null, retryAt: null } });
+
+    if (await consentService.isOptedOut(failed.to)) {
+      logger.info(`[Delivery] Not retrying ${sid} - recipient has opted out`);
+      await release();
+      return null;
+    }
+
+    let created;
+    try {
+      created = await this.sendRetry(failed);
+    } catch (error) {
+      await release();
+      throw error;
+    }
+
+    if (!created) {
+      await release();
+      return null;
+    }
+
+    const retried = await OutboundMessage.create({
+      sid: created.sid,
+      channel: failed.channel,
+      to: failed.to,
+      conversationId: failed.conversationId,
+      messageId: failed.messageId,
+      part: failed.part,
+      body: created.contentSid ? '' : failed.body,
+      contentSid: created.contentSid || null,
+      contentVariables: created.contentVariables || null,
+      status: created.status || 'queued',
+      statusHistory: [{ status: created.status || 'queued', at: new Date() }],
+      attempts: failed.attempts + 1,
+      retryOf: failed.sid
+    });
+
+    await OutboundMessage.updateOne({ sid }, { $set: { retriedBy: created.sid, retryAt: null } });
+    logger.info(`[Delivery] Re-sent ${sid} as ${created.sid} (attempt ${retried.attempts})`);
+
+    if (failed.conversationId && failed.messageId) {
+      await this.syncMessageStatus(failed.conversationId, failed.messageId);
+    }
+
+    return retried;
+  },
+
+  /**
+   * Send the content of a failed message again, checking the WhatsApp session window
+   * @param {Object} failed - Failed outbound message
+   * @returns {Promise<Object|null>} { sid, status, contentSid, contentVariables }, or null if nothing may be sent
+   */
+  async sendRetry(failed) {
+    if (failed.contentSid) {
+      const content = { contentSid: failed.contentSid, contentVariables: failed.contentVariables };
+      const created = await twilioService.createMessage(failed.to, content);
+      return { sid: created.sid, status: created.status, ...content };
+    }
+
+    if (failed.channel === 'whatsapp') {
+      const sessionWindow = await twilioService.getSessionWindow(failed.to, failed.conversationId);
+
+      if (!sessionWindow.open) {
+        const templateSent = failed.messageId && await OutboundMessage.findOne({
+          messageId: failed.messageId,
+          retryOf: { $ne: null },
+          contentSid: { $ne: null }
+        });
+        if (templateSent) {
+          logger.info(`[Delivery] Not retrying ${failed.sid} - session window closed and the template was already sent`);
+          return null;
+        }
+
+        const result = await twilioService.sendOutsideSessionWindow(failed.to, sessionWindow);
+        if (!result.success) {
+          if (result.template) {
+            throw new Error(`Failed to send template ${result.template}: ${result.error}`);
+          }
+          logger.info(`[Delivery] Not retrying ${failed.sid} - ${result.error}`);
+          return null;
+        }
+        return result.messages[0];
+      }
+    }
+
+    const created = await twilioService.createMessage(failed.to, failed.body);
+    return { sid: created.sid, status: created.status, contentSid: null, contentVariables: null };
+  },
+
+  /**
+   * Rebuild the delivery summary stored on an assistant message
+   * metadata.outbound lists every send attempt; metadata.deliveryStatus is the
+   * failure status if the latest attempt of any part failed, otherwise the
+   * least advanced status across parts.
+   * @param {string} conversationId - Conversation ID
+   * @param {string} messageId - Assistant message ID
+   * @returns {Promise<void>}
+   */
+  async syncMessageStatus(conversationId, messageId) {
+    const attempts = await OutboundMessage.find({ messageId }).sort({ part: 1, attempts: 1 });
+
+    const outbound = attempts.map(item => ({
+      sid: item.sid,
+      part: item.part,
+      status: item.status,
+      errorCode: item.errorCode,
+      errorMessage: item.errorMessage,
+      attempt: item.attempts,
+      retryOf: item.retryOf,
+      updatedAt: item.updatedAt
+    }));
+
+    // The latest attempt of each part decides that part's status
+    const latestByPart = new Map();
+    attempts.forEach(item => latestByPart.set(item.part, item.status));
+    const partStatuses = [...latestByPart.values()];
+
+    const failedStatus = partStatuses.find(status => FAILED_STATUSES.includes(status));
+    const deliveryStatus = failedStatus || partStatuses.reduce((lowest, status) =>
+      (STATUS_RANK[status] ?? 0) < (STATUS_RANK[lowest] ?? 0) ? status : lowest, partStatuses[0]);
+
+    await Conversation.updateOne(
+      { _id: conversationId, 'messages._id': messageId },
+      {
+        $set: {
+          'messages.$.metadata.outbound': outbound,
+          'messages.$.metadata.deliveryStatus': deliveryStatus
+        }
+      }
+    );
+  }
+};
+
+module.exports = deliveryTrackingService;
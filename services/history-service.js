@@ -0,0 +1,120 @@
+// services/history-service.js
+const config = require('../config');
+
+// Roles shown to users - anything else is an internal entry
+const VISIBLE_ROLES = ['user', 'assistant'];
+
+/**
+ * Check whether a stored message is an internal entry rather than part of the chat
+ * Internal entries are non-chat roles, opt-out/opt-in keyword handling and
+ * empty placeholders.
+ * @param {Object} message - Message subdocument
+ * @returns {boolean} True if the message should not be shown
+ */
+function isInternalMessage(message) {
+  if (!VISIBLE_ROLES.includes(message.role)) return true;
+  if (!message.content || message.content.trim().length === 0) return true;
+
+  const metadata = message.metadata;
+  const get = (key) => (metadata instanceof Map ? metadata.get(key) : metadata && metadata[key]);
+  return !!(get('internal') || get('consentKeyword'));
+}
+
+/**
+ * Sort key of a message - timestamp, then ID to order messages with the same timestamp
+ * @param {Object} message - Message subdocument
+ * @returns {Object} { time, id }
+ */
+function positionOf(message) {
+  return { time: new Date(message.timestamp).getTime(), id: message._id.toString() };
+}
+
+/**
+ * Compare two positions
+ * @returns {number} Negative, zero or positive, like Array.prototype.sort
+ */
+function comparePositions(a, b) {
+  return a.time - b.time || (a.id < b.id ? -1 : a.id > b.id ? 1 : 0);
+}
+
+/**
+ * History Service
+ * Pages through a conversation's stored messages for clients showing earlier
+ * chat (reconnects, second tabs). Messages merged in from other channels keep
+ * their channel tag; internal entries are left out.
+ *
+ * Cursors are `<timestamp ms>_<message id>`, so they stay valid when merges
+ * insert older messages into the conversation.
+ */
+const historyService = {
+  /**
+   * Build the cursor for a message
+   * @param {Object} message - Message subdocument
+   * @returns {string} Cursor
+   */
+  encodeCursor(message) {
+    const { time, id } = positionOf(message);
+    return `${time}_${id}`;
+  },
+
+  /**
+   * Parse a cursor
+   * @param {string} cursor - Cursor from encodeCursor
+   * @returns {Object|null} Position ({ time, id }), or null if the cursor is malformed
+   */
+  decodeCursor(cursor) {
+    const match = /^(\d{1,15})_([a-f0-9]{24})$/.exec(String(cursor));
+    return match ? { time: parseInt(match[1], 10), id: match[2] } : null;
+  },
+
+  /**
+   * Get a page of a conversation's history, oldest message first
+   * Without a cursor the most recent messages are returned.
+   * @param {Object|null} conversation - Conversation document (null for a session without one yet)
+   * @param {Object} options - { before, after, limit } - before/after are cursors (at most one)
+   * @returns {Object} { messages: [{ id, role, content, channel, timestamp }], hasMore, cursors: { before, after } } -
+   *   hasMore is true when there are more messages in the direction fetched (older, or newer with `after`)
+   */
+  getPage(conversation, options = {}) {
+    const limit = Math.min(options.limit || config.history.defaultPageSize, config.history.maxPageSize);
+
+    let visible = conversation
+      ? conversation.messages.filter(message => !isInternalMessage(message))
+      : [];
+    visible.sort((a, b) => comparePositions(positionOf(a), positionOf(b)));
+
+    let page;
+    let hasMore;
+    if (options.after) {
+      const after = this.decodeCursor(options.after);
+      visible = visible.filter(message => comparePositions(positionOf(message), after) > 0);
+      page = visible.slice(0, limit);
+      hasMore = visible.length > limit;
+    } else {
+      if (options.before) {
+        const before = this.decodeCursor(options.before);
+        visible = visible.filter(message => comparePositions(positionOf(message), before) < 0);
+      }
+      page = visible.slice(-limit);
+      hasMore = visible.length > limit;
+    }
+
+    return {
+      messages: page.map(message => ({
+        id: message._id.toString(),
+        role: message.role,
+        content: message.content,
+        channel: message.channel,
+        timestamp: new Date(message.timestamp).toISOString()
+      })),
+      hasMore,
+      // `before` fetches older messages, `after` newer ones; an empty page keeps the cursor it was asked with
+      cursors: {
+        before: page.length > 0 ? this.encodeCursor(page[0]) : options.before || options.after || null,
+        after: page.length > 0 ? this.encodeCursor(page[page.length - 1]) : options.after || options.before || null
+      }
+    };
+  }
+};
+
+module.exports = historyService;
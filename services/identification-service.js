@@ -2,7 +2,7 @@
 const Conversation = require('../models/conversation');
 const logger = require('../utils/logger');
 const summaryService = require('./summary-service');
-const config = require('../config');
+const conversationHub = require('./conversation-hub');
 
 /**
  * Extract and normalize phone numbers from text
@@ -121,6 +121,7 @@ async function findConversationsByPhones(phoneNumbers, excludeConversationId = n
   allVariations.forEach(variation => {
     phoneConditions.push(
       { 'identifiers': { $elemMatch: { 'type': 'whatsapp_phone', 'value': variation } } },
+      { 'identifiers': { $elemMatch: { 'type': 'sms_phone', 'value': variation } } },
       { 'identifiers': { $elemMatch: { 'type': 'phone', 'value': variation } } }
     );
   });
@@ -194,6 +195,32 @@ const identificationService = {
     }
   },
   
+  /**
+   * Link a known phone number to a conversation
+   * Used when the number comes from the channel itself (e.g. a Telegram
+   * contact share) rather than from message text. Conversations with the
+   * number are merged in; the number is stored as a verified identifier.
+   * @param {string} conversationId - Current conversation ID
+   * @param {string} phone - Phone number in E.164 format
+   * @returns {Promise<Object>} { merged, mergedCount, conversation }
+   */
+  async linkPhone(conversationId, phone) {
+    const matchingConversations = await findConversationsByPhones([phone], conversationId);
+
+    let mergedCount = 0;
+    if (matchingConversations.length > 0) {
+      logger.info(`Found ${matchingConversations.length} conversations to merge for linked phone`);
+      await this.mergeConversations(conversationId, matchingConversations);
+      mergedCount = matchingConversations.length;
+    }
+
+    const conversation = await Conversation.findById(conversationId);
+    conversation.addIdentifier('phone', phone, identificationService.PRIORITY.PHONE, true);
+    await conversation.save();
+
+    return { merged: mergedCount > 0, mergedCount, conversation };
+  },
+
   /**
    * Merge multiple conversations into one
    * @param {string} primaryConversationId - ID of conversation to keep
@@ -235,6 +262,23 @@ const identificationService = {
           });
         }
         
+        // Keep the most recent inbound time per channel
+        if (conversation.lastInboundAt) {
+          for (const [channel, at] of conversation.lastInboundAt) {
+            const current = primaryConversation.lastInboundAt.get(channel);
+            if (!current || at > current) {
+              primaryConversation.lastInboundAt.set(channel, at);
+            }
+          }
+        }
+        
+        // Keep the most recent consent state
+        if (conversation.consent && conversation.consent.updatedAt &&
+            (!primaryConversation.consent || !primaryConversation.consent.updatedAt ||
+             conversation.consent.updatedAt > primaryConversation.consent.updatedAt)) {
+          primaryConversation.consent = conversation.consent;
+        }
+        
         // Use better user info if available
         if (conversation.userInfo && conversation.userInfo.userId &&
             (!primaryConversation.userInfo || !primaryConversation.userInfo.userId)) {
@@ -248,31 +292,26 @@ const identificationService = {
       // Update primary conversation
       primaryConversation.messages = allMessages;
       primaryConversation.identifiers = allIdentifiers;
+      // The previous response has not seen the merged messages, so the next turn re-seeds it with history
+      primaryConversation.previousResponseMessageId = null;
       primaryConversation.lastUpdated = new Date();
       
       logger.info(`Merged conversation now has ${allMessages.length} total messages`);
       
-      // Generate summary if enabled and we have enough messages
-      if (config.summary && config.summary.enabled && allMessages.length >= (config.summary.minMessageCount || 5)) {
-        try {
-          logger.info('Generating summary for merged conversation');
-          const generatedSummary = await summaryService.generateSummary(primaryConversation);
-          if (generatedSummary) {
-            primaryConversation.summary = generatedSummary;
-            logger.info(`Added summary to merged conversation`);
-          }
-        } catch (summaryError) {
-          logger.error('Error generating summary for merged conversation:', summaryError);
-        }
-      }
+      // The summary does not cover the merged messages: keep it as a past version and summarise again in the background
+      summaryService.retireSummary(primaryConversation);
       
       // Save updated primary conversation
       await primaryConversation.save();
+      summaryService.scheduleUpdate(primaryConversation);
       
       // Delete merged conversations
       const idsToDelete = conversationsToMerge.map(conv => conv._id);
       await Conversation.deleteMany({ _id: { $in: idsToDelete } });
       logger.info(`Deleted ${idsToDelete.length} merged conversations`);
+
+      // Web chat sockets showing a merged conversation now follow the primary one
+      conversationHub.moveSubscribers(idsToDelete, primaryConversation._id);
       
       return {
         conversation: primaryConversation,
@@ -296,7 +335,7 @@ const identificationService = {
     
     // Check if we already have a phone identifier
     const hasPhoneIdentifier = conversation.identifiers.some(
-      id => id.type === 'phone' || id.type === 'whatsapp_phone'
+      id => id.type === 'phone' || id.type === 'whatsapp_phone' || id.type === 'sms_phone'
     );
     
     // If website session without phone identifier, we might want to ask
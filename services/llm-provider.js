@@ -0,0 +1,133 @@
+// services/llm-provider.js
+const { OpenAI } = require('openai');
+const openaiCompatibleProvider = require('./openai-compatible-provider');
+const mockLlmProvider = require('./mock-llm-provider');
+const llmResilience = require('./llm-resilience');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+// Provider registry
+const providerRegistry = new Map();
+
+/**
+ * LLM Provider
+ * Runs model requests through a pluggable provider, so the bot can use
+ * OpenAI, a self-hosted model or the offline mock without changing callers.
+ *
+ * Requests and responses use the OpenAI Responses API shape everywhere -
+ * { model, input, temperature, tools, tool_choice, previous_response_id } in,
+ * { id, model, output, usage } out - covering text, images (input_image
+ * content parts) and tool calls (function_call / function_call_output items).
+ * A provider implements:
+ *
+ *   createResponse(request, { signal })  - Run a request and return the completed response
+ *   streamResponse(request, { signal })  - Run a request and return an async iterable of Responses
+ *                                          stream events (response.output_text.delta,
+ *                                          response.output_item.added, response.completed, ...)
+ *
+ * Providers should not retry themselves: createResponse() and streamResponse()
+ * below add retries, timeouts (the AbortSignal) and model fallback (see
+ * llm-resilience.js) for every provider.
+ *
+ * Providers that keep conversation state set `serverState: true`; they
+ * receive previous_response_id (plus `instructions` and `truncation`, see
+ * context-builder.js). Providers without it ignore previous_response_id and
+ * return the request's `input` and `tools` on the response, so tool-call
+ * follow-ups can resend the whole exchange.
+ */
+const llmProvider = {
+  /**
+   * Register an LLM provider
+   * @param {string} name - Provider name
+   * @param {Object} provider - Provider implementing createResponse() and streamResponse()
+   */
+  registerProvider(name, provider) {
+    logger.info(`Registering LLM provider: ${name}`);
+    providerRegistry.set(name, provider);
+  },
+
+  /**
+   * List registered providers
+   * @returns {Array} List of registered provider names
+   */
+  listRegisteredProviders() {
+    return Array.from(providerRegistry.keys());
+  },
+
+  /**
+   * Get a provider
+   * @param {string} name - Provider name (defaults to the configured provider)
+   * @returns {Object} Provider object
+   */
+  getProvider(name = config.llm.provider) {
+    const provider = providerRegistry.get(name);
+
+    if (!provider) {
+      throw new Error(`No LLM provider registered for: ${name}`);
+    }
+
+    return provider;
+  },
+
+  /**
+   * Check whether a provider keeps conversation state between responses
+   * @param {string} name - Provider name (defaults to the configured provider)
+   * @returns {boolean} True if previous_response_id carries the conversation
+   */
+  hasServerState(name = config.llm.provider) {
+    return !!this.getProvider(name).serverState;
+  },
+
+  /**
+   * Run a request with the configured provider
+   * @param {Object} request - Responses API request
+   * @returns {Promise<Object>} Response, with requestedModel and fallback set
+   */
+  createResponse(request) {
+    return llmResilience.createResponse(this.getProvider(), request);
+  },
+
+  /**
+   * Run a request with the configured provider, streaming the response
+   * @param {Object} request - Responses API request
+   * @returns {Promise<AsyncIterable>} Responses stream events
+   */
+  streamResponse(request) {
+    return llmResilience.streamResponse(this.getProvider(), request);
+  }
+};
+
+// The OpenAI client is created on first use, so other providers run without an API key
+let openaiClient = null;
+
+/**
+ * Get the OpenAI client
+ * @returns {OpenAI} OpenAI client
+ */
+function getOpenAIClient() {
+  if (!openaiClient) {
+    openaiClient = new OpenAI({ apiKey: config.openai.apiKey });
+  }
+  return openaiClient;
+}
+
+// Register the OpenAI provider (Responses API)
+llmProvider.registerProvider('openai', {
+  serverState: true,
+
+  createResponse(request, options = {}) {
+    return getOpenAIClient().responses.create(request, { signal: options.signal, maxRetries: 0 });
+  },
+
+  streamResponse(request, options = {}) {
+    return getOpenAIClient().responses.create({ ...request, stream: true }, { signal: options.signal, maxRetries: 0 });
+  }
+});
+
+// Register the OpenAI-compatible HTTP backend (self-hosted models)
+llmProvider.registerProvider('openai-compatible', openaiCompatibleProvider);
+
+// Register the scripted mock provider (offline development and tests)
+llmProvider.registerProvider('mock', mockLlmProvider);
+
+module.exports = llmProvider;
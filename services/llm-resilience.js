@@ -0,0 +1,385 @@
+// services/llm-resilience.js
+const config = require('../config');
+const logger = require('../utils/logger');
+const { delay } = require('../utils/delay');
+
+// HTTP statuses worth retrying: timeouts, conflicts, rate limits and server errors
+const RETRYABLE_STATUSES = [408, 409, 429, 500, 502, 503, 504];
+
+// Circuit state per provider and model ('<provider>:<model>')
+const circuits = new Map();
+
+// Counters reported by getStats()
+const counters = {
+  calls: 0,
+  retries: 0,
+  timeouts: 0,
+  fallbacks: 0,
+  circuitOpens: 0,
+  failures: 0
+};
+
+/**
+ * Error thrown when a call takes longer than config.llm.timeoutMs
+ */
+class LlmTimeoutError extends Error {
+  constructor(timeoutMs) {
+    super(`LLM call timed out after ${timeoutMs}ms`);
+    this.name = 'LlmTimeoutError';
+    this.timeout = true;
+  }
+}
+
+/**
+ * Error thrown instead of calling a model whose circuit is open
+ */
+class CircuitOpenError extends Error {
+  constructor(key, retryAt) {
+    super(`LLM circuit open for ${key} until ${new Date(retryAt).toISOString()}`);
+    this.name = 'CircuitOpenError';
+    this.circuitOpen = true;
+  }
+}
+
+/**
+ * Check whether a failed call is worth retrying
+ * Network errors and timeouts have no status and are retried.
+ * @param {Error} error - Error from the provider
+ * @returns {boolean} True if retryable
+ */
+function isRetryable(error) {
+  if (error.timeout) return true;
+  if (typeof error.status !== 'number') return !error.circuitOpen;
+  return RETRYABLE_STATUSES.includes(error.status);
+}
+
+/**
+ * Read a header from an error, whether headers are a Headers object or a plain object
+ * @param {Error} error - Error from the provider
+ * @param {string} name - Lowercase header name
+ * @returns {string|null} Header value
+ */
+function getHeader(error, name) {
+  const headers = error.headers;
+  if (!headers) return null;
+  if (typeof headers.get === 'function') return headers.get(name);
+  return headers[name] || null;
+}
+
+/**
+ * Read how long the server asked us to wait (retry-after-ms or Retry-After)
+ * @param {Error} error - Error from the provider
+ * @returns {number|null} Milliseconds, or null if not given
+ */
+function retryAfterMs(error) {
+  const ms = parseFloat(getHeader(error, 'retry-after-ms'));
+  if (Number.isFinite(ms) && ms >= 0) return ms;
+
+  const retryAfter = getHeader(error, 'retry-after');
+  if (!retryAfter) return null;
+
+  const seconds = parseFloat(retryAfter);
+  if (Number.isFinite(seconds) && seconds >= 0) return seconds * 1000;
+
+  // HTTP date form
+  const date = Date.parse(retryAfter);
+  return Number.isFinite(date) ? Math.max(0, date - Date.now()) : null;
+}
+
+/**
+ * Delay before a retry: exponential backoff with full jitter
+ * @param {number} attempt - Retry number (1 for the first retry)
+ * @returns {number} Milliseconds
+ */
+function backoffMs(attempt) {
+  const { retryBaseDelayMs, retryMaxDelayMs } = config.llm;
+  const ceiling = Math.min(retryMaxDelayMs, retryBaseDelayMs * 2 ** (attempt - 1));
+  return Math.round(Math.random() * ceiling);
+}
+
+/**
+ * Run a call with a timeout
+ * The call gets an AbortSignal that fires at the timeout; the timeout also
+ * rejects on its own, for providers that ignore the signal.
+ * @param {Function} call - (signal) => Promise
+ * @param {number} timeoutMs - Timeout
+ * @returns {Promise<*>} Result of the call
+ */
+async function withTimeout(call, timeoutMs) {
+  const controller = new AbortController();
+  let timer;
+
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      controller.abort();
+      reject(new LlmTimeoutError(timeoutMs));
+    }, timeoutMs);
+  });
+
+  try {
+    return await Promise.race([call(controller.signal), timeout]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Get the circuit for a provider and model
+ * @param {string} key - '<provider>:<model>'
+ * @returns {Object} { state: 'closed'|'open'|'half_open', failures, openedAt, retryAt }
+ */
+function getCircuit(key) {
+  if (!circuits.has(key)) {
+    circuits.set(key, { state: 'closed', failures: 0, openedAt: null, retryAt: null });
+  }
+  return circuits.get(key);
+}
+
+/**
+ * Check a circuit before a call, letting one trial call through once the cooldown has passed
+ * @param {string} key - Circuit key
+ * @returns {boolean} True if the call may go ahead
+ */
+function allowCall(key) {
+  const circuit = getCircuit(key);
+  if (circuit.state === 'closed') return true;
+
+  if (circuit.state === 'open' && Date.now() >= circuit.retryAt) {
+    circuit.state = 'half_open';
+    logger.info(`LLM circuit half-open for ${key} - trying one call`);
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Record a successful call
+ * @param {string} key - Circuit key
+ */
+function recordSuccess(key) {
+  const circuit = getCircuit(key);
+  if (circuit.state !== 'closed') {
+    logger.info(`LLM circuit closed for ${key}`);
+  }
+  circuit.state = 'closed';
+  circuit.failures = 0;
+  circuit.openedAt = null;
+  circuit.retryAt = null;
+}
+
+/**
+ * Record a failed call, opening the circuit after too many in a row
+ * @param {string} key - Circuit key
+ */
+function recordFailure(key) {
+  const circuit = getCircuit(key);
+  const { failureThreshold, cooldownMs } = config.llm.circuitBreaker;
+  circuit.failures++;
+
+  if (circuit.state === 'half_open' || circuit.failures >= failureThreshold) {
+    if (circuit.state !== 'open') {
+      counters.circuitOpens++;
+      logger.warn(`LLM circuit open for ${key} after ${circuit.failures} failures - pausing for ${cooldownMs}ms`);
+    }
+    circuit.state = 'open';
+    circuit.openedAt = Date.now();
+    circuit.retryAt = Date.now() + cooldownMs;
+  }
+}
+
+/**
+ * Models to try for a request: the requested model, then the fallbacks
+ * @param {string} model - Requested model
+ * @returns {Array} Model names, without duplicates
+ */
+function modelChain(model) {
+  return [...new Set([model, ...config.openai.fallbackModels].filter(Boolean))];
+}
+
+/**
+ * Run a call against one model, retrying transient failures
+ * @param {string} key - Circuit key
+ * @param {Function} call - (signal) => Promise
+ * @returns {Promise<*>} Result of the call
+ */
+async function callWithRetries(key, call) {
+  const { maxRetries, retryMaxDelayMs, timeoutMs } = config.llm;
+
+  for (let attempt = 0; ; attempt++) {
+    if (!allowCall(key)) {
+      throw new CircuitOpenError(key, getCircuit(key).retryAt);
+    }
+
+    try {
+      counters.calls++;
+      const result = await withTimeout(call, timeoutMs);
+      recordSuccess(key);
+      return result;
+    } catch (error) {
+      if (error.timeout) counters.timeouts++;
+      if (!isRetryable(error)) {
+        // The request itself is at fault (bad request, auth); the model did answer
+        recordSuccess(key);
+        throw error;
+      }
+      recordFailure(key);
+
+      const serverDelay = retryAfterMs(error);
+      if (attempt >= maxRetries) throw error;
+      if (serverDelay !== null && serverDelay > retryMaxDelayMs) {
+        // Waiting that long would stall the user's turn - give up on this model
+        logger.warn(`LLM call to ${key} asked to retry after ${serverDelay}ms - not waiting`);
+        throw error;
+      }
+
+      const waitMs = serverDelay !== null ? serverDelay : backoffMs(attempt + 1);
+      counters.retries++;
+      logger.warn(`LLM call to ${key} failed (${error.status || error.message}) - retry ${attempt + 1}/${maxRetries} in ${waitMs}ms`);
+      await delay(waitMs);
+    }
+  }
+}
+
+/**
+ * Wrap a stream so it fails if no event arrives within the timeout
+ * @param {AsyncIterable} stream - Stream events
+ * @param {number} timeoutMs - Longest wait for the next event
+ * @returns {AsyncGenerator} Stream events
+ */
+async function* withIdleTimeout(stream, timeoutMs) {
+  const iterator = stream[Symbol.asyncIterator]();
+
+  try {
+    while (true) {
+      const next = await withTimeout(() => iterator.next(), timeoutMs);
+      if (next.done) return;
+      yield next.value;
+    }
+  } finally {
+    if (iterator.return) {
+      // Close the underlying stream; it may already be closed or aborted
+      Promise.resolve(iterator.return()).catch(() => {});
+    }
+  }
+}
+
+/**
+ * LLM Resilience
+ * Retry, timeout and fallback policy for LLM provider calls:
+ * - transient failures (429, 5xx, network errors, timeouts) are retried with
+ *   exponential backoff and full jitter, or after the server's Retry-After
+ * - every call has a timeout (streams: the longest wait between events)
+ * - a circuit breaker per provider and model stops calling a model that keeps
+ *   failing, then lets one trial call through after a cooldown
+ * - when a model fails or its circuit is open, the next model in
+ *   OPENAI_FALLBACK_MODELS is tried
+ *
+ * Responses are tagged with `requestedModel` and `fallback`, so callers can
+ * record which model answered. Streams are only retried until they start;
+ * text already streamed to the user cannot be taken back.
+ */
+const llmResilience = {
+  /**
+   * Run a request with retries, timeouts and model fallback
+   * @param {Object} request - Responses API request ({ model, ... })
+   * @param {Function} call - (request, signal) => Promise - one attempt against the provider
+   * @returns {Promise<*>} Result of the first successful call
+   */
+  async run(request, call) {
+    const models = modelChain(request.model);
+    let lastError = null;
+
+    for (const [index, model] of models.entries()) {
+      const key = `${config.llm.provider}:${model}`;
+
+      try {
+        if (index > 0) {
+          counters.fallbacks++;
+          logger.warn(`Falling back to model ${model} after ${models[index - 1]} failed`);
+        }
+        return await callWithRetries(key, (signal) => call({ ...request, model }, signal));
+      } catch (error) {
+        lastError = error;
+        if (!isRetryable(error) && !error.circuitOpen && error.status !== 404) {
+          break;
+        }
+      }
+    }
+
+    counters.failures++;
+    throw lastError;
+  },
+
+  /**
+   * Create a response with the resilience policy
+   * @param {Object} provider - LLM provider
+   * @param {Object} request - Responses API request
+   * @returns {Promise<Object>} Response, with requestedModel and fallback set
+   */
+  async createResponse(provider, request) {
+    let answeredWith = request.model;
+    const response = await this.run(request, (attemptRequest, signal) => {
+      answeredWith = attemptRequest.model;
+      return provider.createResponse(attemptRequest, { signal });
+    });
+
+    return this.tagResponse(response, request.model, answeredWith);
+  },
+
+  /**
+   * Start a streamed response with the resilience policy
+   * The completed response in the stream is tagged like createResponse's.
+   * @param {Object} provider - LLM provider
+   * @param {Object} request - Responses API request
+   * @returns {Promise<AsyncGenerator>} Stream events
+   */
+  async streamResponse(provider, request) {
+    let answeredWith = request.model;
+    const stream = await this.run(request, (attemptRequest, signal) => {
+      answeredWith = attemptRequest.model;
+      return provider.streamResponse(attemptRequest, { signal });
+    });
+
+    const tagResponse = (response) => this.tagResponse(response, request.model, answeredWith);
+    return (async function* () {
+      for await (const event of withIdleTimeout(stream, config.llm.timeoutMs)) {
+        if (event.response) tagResponse(event.response);
+        yield event;
+      }
+    })();
+  },
+
+  /**
+   * Record on a response which model was asked for and whether a fallback answered
+   * @param {Object} response - Provider response
+   * @param {string} requestedModel - Model in the original request
+   * @param {string} answeredWith - Model of the successful call
+   * @returns {Object} The response
+   */
+  tagResponse(response, requestedModel, answeredWith) {
+    if (response && typeof response === 'object') {
+      response.requestedModel = requestedModel;
+      response.fallback = answeredWith !== requestedModel;
+      if (!response.model) response.model = answeredWith;
+    }
+    return response;
+  },
+
+  /**
+   * Circuit states and counters
+   * @returns {Object} Stats
+   */
+  getStats() {
+    const circuitStates = {};
+    for (const [key, circuit] of circuits) {
+      circuitStates[key] = {
+        state: circuit.state,
+        failures: circuit.failures,
+        retryAt: circuit.retryAt ? new Date(circuit.retryAt).toISOString() : null
+      };
+    }
+    return { circuits: circuitStates, counters: { ...counters } };
+  }
+};
+
+module.exports = llmResilience;
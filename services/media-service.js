@@ -0,0 +1,181 @@
+// services/media-service.js
+const axios = require('axios');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+/**
+ * Extract the media SID from a Twilio media URL
+ * .../Messages/MMxxx/Media/MExxx → MExxx
+ * @param {string} url - Twilio media URL
+ * @returns {string|null} Media SID or null if not found
+ */
+function extractMediaSid(url) {
+  const match = typeof url === 'string' ? url.match(/\/Media\/(ME[0-9a-zA-Z]+)/) : null;
+  return match ? match[1] : null;
+}
+
+/**
+ * Normalise a content type header (strip parameters, lowercase)
+ * @param {string} contentType - Raw content type
+ * @returns {string} Normalised content type
+ */
+function normaliseContentType(contentType) {
+  return (contentType || '').split(';')[0].trim().toLowerCase();
+}
+
+/**
+ * Media Service
+ * Downloads inbound Twilio media and prepares it for the model
+ */
+const mediaService = {
+  /**
+   * Check whether a content type is an allowed image type
+   * @param {string} contentType - Content type to check
+   * @returns {boolean} Whether the type is allowed
+   */
+  isAllowedImageType(contentType) {
+    return config.media.allowedImageTypes.includes(normaliseContentType(contentType));
+  },
+
+  /**
+   * Check whether a content type is an allowed audio (voice note) type
+   * @param {string} contentType - Content type to check
+   * @returns {boolean} Whether the type is allowed
+   */
+  isAllowedAudioType(contentType) {
+    return config.media.allowedAudioTypes.includes(normaliseContentType(contentType));
+  },
+
+  /**
+   * Download a Twilio media item using the account credentials
+   * Twilio media URLs require HTTP basic auth with the account SID and auth token.
+   * @param {Object} mediaItem - Media item ({ url, contentType })
+   * @param {number} maxBytes - Maximum allowed size in bytes
+   * @returns {Promise<Object>} Downloaded media ({ buffer, contentType, sizeBytes })
+   */
+  async downloadTwilioMedia(mediaItem, maxBytes) {
+    const { accountSid, authToken } = config.twilio;
+
+    if (!accountSid || !authToken) {
+      throw new Error('Missing Twilio credentials for media download');
+    }
+
+    const response = await axios.get(mediaItem.url, {
+      auth: {
+        username: accountSid,
+        password: authToken
+      },
+      responseType: 'arraybuffer',
+      maxContentLength: maxBytes,
+      timeout: config.media.downloadTimeoutMs
+    });
+
+    const buffer = Buffer.from(response.data);
+    const contentType = normaliseContentType(response.headers['content-type'] || mediaItem.contentType);
+
+    return {
+      buffer,
+      contentType,
+      sizeBytes: buffer.length
+    };
+  },
+
+  /**
+   * Download and validate the images in a WhatsApp message
+   * Items with a disallowed content type, over the size limit or beyond the
+   * per-message limit are skipped and reported in `rejected`.
+   * @param {Array} mediaItems - Media items from the webhook ({ url, contentType })
+   * @returns {Promise<Object>} { images: [{ dataUrl, attachment }], rejected: [{ attachment, reason }] }
+   */
+  async prepareImages(mediaItems) {
+    const images = [];
+    const rejected = [];
+    const { maxImagesPerMessage, maxImageBytes } = config.media;
+
+    for (const mediaItem of mediaItems) {
+      const attachment = {
+        url: mediaItem.url,
+        mediaSid: extractMediaSid(mediaItem.url),
+        contentType: normaliseContentType(mediaItem.contentType)
+      };
+
+      if (!this.isAllowedImageType(attachment.contentType)) {
+        logger.warn(`[Media] Rejected media ${attachment.mediaSid}: content type ${attachment.contentType} not allowed`);
+        rejected.push({ attachment, reason: 'unsupported_type' });
+        continue;
+      }
+
+      if (images.length >= maxImagesPerMessage) {
+        logger.warn(`[Media] Rejected media ${attachment.mediaSid}: more than ${maxImagesPerMessage} images in message`);
+        rejected.push({ attachment, reason: 'too_many_images' });
+        continue;
+      }
+
+      try {
+        const downloaded = await this.downloadTwilioMedia(mediaItem, maxImageBytes);
+
+        // The served type is authoritative - re-check it against the allow-list
+        if (!this.isAllowedImageType(downloaded.contentType)) {
+          logger.warn(`[Media] Rejected media ${attachment.mediaSid}: served as ${downloaded.contentType}`);
+          rejected.push({ attachment, reason: 'unsupported_type' });
+          continue;
+        }
+
+        attachment.contentType = downloaded.contentType;
+        attachment.sizeBytes = downloaded.sizeBytes;
+
+        images.push({
+          dataUrl: `data:${downloaded.contentType};base64,${downloaded.buffer.toString('base64')}`,
+          attachment
+        });
+
+        logger.info(`[Media] Downloaded image ${attachment.mediaSid} (${downloaded.contentType}, ${downloaded.sizeBytes} bytes)`);
+      } catch (error) {
+        const tooLarge = error.message && error.message.includes('maxContentLength');
+        logger.error(`[Media] Failed to download media ${attachment.mediaSid}:`, error.message);
+        rejected.push({ attachment, reason: tooLarge ? 'too_large' : 'download_failed' });
+      }
+    }
+
+    return { images, rejected };
+  },
+
+  /**
+   * Download and validate a voice note from a WhatsApp message
+   * @param {Object} mediaItem - Media item from the webhook ({ url, contentType })
+   * @returns {Promise<Object>} { audio: { buffer, contentType } | null, attachment, reason }
+   */
+  async prepareAudio(mediaItem) {
+    const attachment = {
+      url: mediaItem.url,
+      mediaSid: extractMediaSid(mediaItem.url),
+      contentType: normaliseContentType(mediaItem.contentType)
+    };
+
+    if (!this.isAllowedAudioType(attachment.contentType)) {
+      logger.warn(`[Media] Rejected audio ${attachment.mediaSid}: content type ${attachment.contentType} not allowed`);
+      return { audio: null, attachment, reason: 'unsupported_type' };
+    }
+
+    try {
+      const downloaded = await this.downloadTwilioMedia(mediaItem, config.media.maxAudioBytes);
+
+      attachment.contentType = downloaded.contentType;
+      attachment.sizeBytes = downloaded.sizeBytes;
+
+      logger.info(`[Media] Downloaded audio ${attachment.mediaSid} (${downloaded.contentType}, ${downloaded.sizeBytes} bytes)`);
+
+      return {
+        audio: { buffer: downloaded.buffer, contentType: downloaded.contentType },
+        attachment,
+        reason: null
+      };
+    } catch (error) {
+      const tooLarge = error.message && error.message.includes('maxContentLength');
+      logger.error(`[Media] Failed to download audio ${attachment.mediaSid}:`, error.message);
+      return { audio: null, attachment, reason: tooLarge ? 'too_large' : 'download_failed' };
+    }
+  }
+};
+
+module.exports = mediaService;
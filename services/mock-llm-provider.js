@@ -0,0 +1,206 @@
+// services/mock-llm-provider.js
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+// Used when no script is configured, or no rule matches
+const DEFAULT_RULE = { reply: 'Mock reply: {{message}}' };
+
+// Rules set with setScript(), replacing the configured script file
+let scriptOverride = null;
+let loadedScript = null;
+
+// Counters for deterministic response and call IDs
+let responseCount = 0;
+let callCount = 0;
+
+/**
+ * Get the script rules
+ * Loaded once from the JSON file at LLM_MOCK_SCRIPT (relative to the project root).
+ * @returns {Array} Rules
+ */
+function getScript() {
+  if (scriptOverride) return scriptOverride;
+  if (loadedScript) return loadedScript;
+
+  if (!config.llm.mockScript) {
+    loadedScript = [];
+    return loadedScript;
+  }
+
+  const scriptPath = path.resolve(__dirname, '..', config.llm.mockScript);
+  const rules = JSON.parse(fs.readFileSync(scriptPath, 'utf8'));
+  if (!Array.isArray(rules)) {
+    throw new Error(`Mock LLM script must be a JSON array of rules: ${scriptPath}`);
+  }
+
+  logger.info(`Loaded ${rules.length} mock LLM rules from ${scriptPath}`);
+  loadedScript = rules;
+  return loadedScript;
+}
+
+/**
+ * Get the text and image count of a message's content
+ * @param {string|Array} content - String or content parts
+ * @returns {Object} { text, imageCount }
+ */
+function readContent(content) {
+  if (!Array.isArray(content)) {
+    return { text: content || '', imageCount: 0 };
+  }
+
+  return {
+    text: content.filter(part => part.type === 'input_text').map(part => part.text).join('\n'),
+    imageCount: content.filter(part => part.type === 'input_image').length
+  };
+}
+
+/**
+ * Fill in a template's {{placeholders}}
+ * @param {string} template - Template text
+ * @param {Object} values - Placeholder values
+ * @returns {string} Text
+ */
+function fillTemplate(template, values) {
+  return template.replace(/\{\{(\w+)\}\}/g, (placeholder, name) =>
+    (values[name] !== undefined ? String(values[name]) : placeholder)
+  );
+}
+
+/**
+ * Estimate tokens for the usage report (about four characters per token)
+ * @param {string} text - Text
+ * @returns {number} Tokens
+ */
+function estimateTokens(text) {
+  return Math.ceil(text.length / 4);
+}
+
+/**
+ * Build the output for a request by following the script
+ * @param {Object} request - Responses API request
+ * @returns {Array} Output items
+ */
+function runScript(request) {
+  const input = request.input || [];
+  const lastUser = [...input].reverse().find(item => item.role === 'user');
+  const { text: message, imageCount } = readContent(lastUser ? lastUser.content : '');
+
+  const rule = getScript().find(candidate => !candidate.match || new RegExp(candidate.match, 'i').test(message)) ||
+    DEFAULT_RULE;
+
+  // After tool calls, answer from their outputs
+  const lastItem = [...input].reverse().find(item => item.role !== 'system');
+  if (lastItem && lastItem.type === 'function_call_output') {
+    const outputs = input.filter(item => item.type === 'function_call_output');
+    const names = input.filter(item => item.type === 'function_call').map(item => item.name);
+    const toolOutput = outputs.map(item => String(item.output)).join('\n').substring(0, 500);
+    const template = rule.afterTools || `Mock reply using ${[...new Set(names)].join(', ')}: {{toolOutput}}`;
+    return [textOutput(fillTemplate(template, { message, imageCount, toolOutput }))];
+  }
+
+  const offeredTools = (request.tools || []).map(tool => tool.name);
+  const toolCalls = request.tool_choice === 'none'
+    ? []
+    : (rule.toolCalls || []).filter(call => offeredTools.includes(call.name));
+
+  if (toolCalls.length > 0) {
+    return toolCalls.map(call => {
+      const args = typeof call.arguments === 'string' ? call.arguments : JSON.stringify(call.arguments || {});
+      return {
+        type: 'function_call',
+        call_id: `mock_call_${++callCount}`,
+        name: call.name,
+        // Values are JSON-escaped, since they are filled in after serialising
+        arguments: fillTemplate(args, { message: JSON.stringify(message).slice(1, -1), imageCount })
+      };
+    });
+  }
+
+  return [textOutput(fillTemplate(rule.reply || DEFAULT_RULE.reply, { message, imageCount }))];
+}
+
+/**
+ * Build an assistant message output item
+ * @param {string} text - Message text
+ * @returns {Object} Output item
+ */
+function textOutput(text) {
+  return { type: 'message', role: 'assistant', content: [{ type: 'output_text', text }] };
+}
+
+/**
+ * Mock LLM Provider
+ * Answers deterministically from a script, so the whole bot - tools,
+ * streaming, images, summaries - can be developed and tested offline.
+ *
+ * The script (LLM_MOCK_SCRIPT, or setScript()) is a list of rules, tried in
+ * order against the latest user message:
+ *   { match, reply, toolCalls, afterTools }
+ * - match: regular expression (case-insensitive); a rule without one matches anything
+ * - reply: text to answer with
+ * - toolCalls: [{ name, arguments }] to call instead, when the tools are offered
+ * - afterTools: text to answer with once the tool outputs come back
+ * Templates can use {{message}}, {{imageCount}} and (in afterTools) {{toolOutput}}.
+ * Without a matching rule the reply is "Mock reply: <message>".
+ */
+const mockLlmProvider = {
+  async createResponse(request) {
+    const output = runScript(request);
+    const inputText = JSON.stringify(request.input || []);
+    const outputText = JSON.stringify(output);
+
+    return {
+      id: `mock_resp_${++responseCount}`,
+      model: request.model,
+      status: 'completed',
+      output,
+      // No server-side state: keep the exchange so tool-call follow-ups can resend it
+      input: request.input,
+      tools: request.tools || [],
+      usage: {
+        input_tokens: estimateTokens(inputText),
+        output_tokens: estimateTokens(outputText),
+        total_tokens: estimateTokens(inputText) + estimateTokens(outputText)
+      }
+    };
+  },
+
+  async streamResponse(request) {
+    const response = await this.createResponse(request);
+
+    return (async function* () {
+      for (const item of response.output) {
+        if (item.type === 'function_call') {
+          yield { type: 'response.output_item.added', item };
+        } else {
+          // One delta per word, keeping the whitespace
+          for (const delta of item.content[0].text.match(/\S+\s*|\s+/g) || []) {
+            yield { type: 'response.output_text.delta', delta };
+          }
+        }
+      }
+      yield { type: 'response.completed', response };
+    })();
+  },
+
+  /**
+   * Replace the script (e.g. from a test)
+   * @param {Array|null} rules - Rules, or null to go back to the configured script
+   */
+  setScript(rules) {
+    scriptOverride = rules;
+  },
+
+  /**
+   * Reset the script override and the response and call ID counters
+   */
+  reset() {
+    scriptOverride = null;
+    responseCount = 0;
+    callCount = 0;
+  }
+};
+
+module.exports = mockLlmProvider;
@@ -0,0 +1,291 @@
+// services/openai-compatible-provider.js
+const config = require('../config');
+const logger = require('../utils/logger');
+
+/**
+ * Convert Responses API message content to Chat Completions content
+ * Text-only content is sent as a plain string, which every server accepts.
+ * @param {string|Array} content - String or content parts (input_text, output_text, input_image)
+ * @returns {string|Array} Chat Completions content
+ */
+function toChatContent(content) {
+  if (!Array.isArray(content)) {
+    return content;
+  }
+
+  const parts = content.map(part => {
+    if (part.type === 'input_image') {
+      return { type: 'image_url', image_url: { url: part.image_url } };
+    }
+    return { type: 'text', text: part.text || '' };
+  });
+
+  return parts.every(part => part.type === 'text')
+    ? parts.map(part => part.text).join('\n')
+    : parts;
+}
+
+/**
+ * Convert Responses API input items to Chat Completions messages
+ * Consecutive function_call items become one assistant message with
+ * tool_calls; function_call_output items become tool messages.
+ * @param {Array} input - Responses API input
+ * @returns {Array} Chat Completions messages
+ */
+function toChatMessages(input) {
+  const messages = [];
+
+  for (const item of input || []) {
+    if (item.type === 'function_call') {
+      const toolCall = {
+        id: item.call_id,
+        type: 'function',
+        function: { name: item.name, arguments: item.arguments || '{}' }
+      };
+
+      const last = messages[messages.length - 1];
+      if (last && last.role === 'assistant' && last.tool_calls) {
+        last.tool_calls.push(toolCall);
+      } else {
+        messages.push({ role: 'assistant', content: null, tool_calls: [toolCall] });
+      }
+    } else if (item.type === 'function_call_output') {
+      messages.push({
+        role: 'tool',
+        tool_call_id: item.call_id,
+        content: typeof item.output === 'string' ? item.output : JSON.stringify(item.output)
+      });
+    } else if (item.role) {
+      messages.push({ role: item.role, content: toChatContent(item.content) });
+    }
+  }
+
+  return messages;
+}
+
+/**
+ * Build the Chat Completions request body for a Responses API request
+ * @param {Object} request - Responses API request
+ * @param {boolean} stream - Stream the completion
+ * @returns {Object} Request body
+ */
+function toChatRequest(request, stream) {
+  const body = {
+    model: request.model,
+    messages: toChatMessages(request.input),
+    temperature: request.temperature
+  };
+
+  const tools = (request.tools || []).filter(tool => tool.type === 'function');
+  if (tools.length > 0) {
+    body.tools = tools.map(tool => ({
+      type: 'function',
+      function: { name: tool.name, description: tool.description, parameters: tool.parameters }
+    }));
+    if (request.tool_choice) {
+      body.tool_choice = request.tool_choice;
+    }
+  }
+
+  if (stream) {
+    body.stream = true;
+    body.stream_options = { include_usage: true };
+  }
+
+  return body;
+}
+
+/**
+ * Convert Chat Completions usage to Responses API usage
+ * @param {Object} usage - { prompt_tokens, completion_tokens, total_tokens }
+ * @returns {Object|null} { input_tokens, output_tokens, total_tokens }
+ */
+function toUsage(usage) {
+  if (!usage) return null;
+
+  return {
+    input_tokens: usage.prompt_tokens || 0,
+    output_tokens: usage.completion_tokens || 0,
+    total_tokens: usage.total_tokens || (usage.prompt_tokens || 0) + (usage.completion_tokens || 0)
+  };
+}
+
+/**
+ * Build a Responses API response from an assistant message
+ * @param {Object} request - Responses API request the message answers
+ * @param {Object} completion - { id, model, usage }
+ * @param {Object} message - { content, tool_calls }
+ * @returns {Object} Responses API response
+ */
+function toResponse(request, completion, message) {
+  const output = [];
+
+  if (message.content) {
+    output.push({
+      type: 'message',
+      role: 'assistant',
+      content: [{ type: 'output_text', text: message.content }]
+    });
+  }
+
+  for (const toolCall of message.tool_calls || []) {
+    output.push({
+      type: 'function_call',
+      call_id: toolCall.id,
+      name: toolCall.function.name,
+      arguments: toolCall.function.arguments || '{}'
+    });
+  }
+
+  return {
+    id: completion.id || `chatcmpl_${Date.now()}`,
+    model: completion.model || request.model,
+    status: 'completed',
+    output,
+    // No server-side state: keep the exchange so tool-call follow-ups can resend it
+    input: request.input,
+    tools: request.tools || [],
+    usage: toUsage(completion.usage)
+  };
+}
+
+/**
+ * POST a Chat Completions request to the backend
+ * @param {Object} body - Request body
+ * @param {AbortSignal} signal - Aborts the request (defaults to a config.llm.timeoutMs timeout)
+ * @returns {Promise<Response>} Fetch response (status checked)
+ */
+async function postCompletion(body, signal) {
+  const { baseUrl, apiKey, timeoutMs } = config.llm;
+  const headers = { 'Content-Type': 'application/json' };
+  if (apiKey) {
+    headers.Authorization = `Bearer ${apiKey}`;
+  }
+
+  const response = await fetch(`${baseUrl.replace(/\/+$/, '')}/chat/completions`, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify(body),
+    signal: signal || AbortSignal.timeout(timeoutMs)
+  });
+
+  if (!response.ok) {
+    const detail = await response.text().catch(() => '');
+    const error = new Error(`LLM backend returned ${response.status}: ${detail.substring(0, 200)}`);
+    error.status = response.status;
+    error.headers = Object.fromEntries(response.headers.entries());
+    throw error;
+  }
+
+  return response;
+}
+
+/**
+ * Read the `data:` payloads of a Server-Sent Events body
+ * @param {ReadableStream} body - Response body
+ * @returns {AsyncGenerator<string>} Payloads, up to [DONE]
+ */
+async function* readEventData(body) {
+  const decoder = new TextDecoder();
+  let buffered = '';
+
+  for await (const chunk of body) {
+    buffered += decoder.decode(chunk, { stream: true });
+
+    let newline;
+    while ((newline = buffered.indexOf('\n')) !== -1) {
+      const line = buffered.slice(0, newline).trim();
+      buffered = buffered.slice(newline + 1);
+
+      if (!line.startsWith('data:')) continue;
+      const data = line.slice(5).trim();
+      if (data === '[DONE]') return;
+      yield data;
+    }
+  }
+}
+
+/**
+ * Turn a streamed completion into Responses API stream events
+ * @param {Object} request - Responses API request
+ * @param {Response} response - Fetch response with an event-stream body
+ * @returns {AsyncGenerator<Object>} Stream events
+ */
+async function* toResponseEvents(request, response) {
+  const completion = { id: null, model: null, usage: null };
+  const message = { content: '', tool_calls: [] };
+
+  for await (const data of readEventData(response.body)) {
+    let chunk;
+    try {
+      chunk = JSON.parse(data);
+    } catch (parseError) {
+      logger.warn('Skipping unreadable chunk from LLM backend stream');
+      continue;
+    }
+
+    completion.id = completion.id || chunk.id;
+    completion.model = completion.model || chunk.model;
+    if (chunk.usage) {
+      completion.usage = chunk.usage;
+    }
+
+    const delta = chunk.choices && chunk.choices[0] && chunk.choices[0].delta;
+    if (!delta) continue;
+
+    if (delta.content) {
+      message.content += delta.content;
+      yield { type: 'response.output_text.delta', delta: delta.content };
+    }
+
+    // Tool calls arrive in pieces, by index: the first piece carries the ID and name
+    for (const piece of delta.tool_calls || []) {
+      let toolCall = message.tool_calls[piece.index];
+      if (!toolCall) {
+        toolCall = { id: piece.id, function: { name: '', arguments: '' } };
+        message.tool_calls[piece.index] = toolCall;
+      }
+      if (piece.function && piece.function.name) {
+        toolCall.function.name += piece.function.name;
+        yield {
+          type: 'response.output_item.added',
+          item: { type: 'function_call', call_id: toolCall.id, name: toolCall.function.name, arguments: '' }
+        };
+      }
+      if (piece.function && piece.function.arguments) {
+        toolCall.function.arguments += piece.function.arguments;
+      }
+    }
+  }
+
+  message.tool_calls = message.tool_calls.filter(Boolean);
+  yield { type: 'response.completed', response: toResponse(request, completion, message) };
+}
+
+/**
+ * OpenAI-Compatible Provider
+ * Runs Responses API requests against any server with an OpenAI-style
+ * /chat/completions endpoint (vLLM, Ollama, LM Studio, llama.cpp and
+ * hosted gateways), translating requests, tool calls, images and streamed
+ * chunks in both directions. Configured with LLM_BASE_URL and LLM_API_KEY.
+ */
+const openaiCompatibleProvider = {
+  async createResponse(request, options = {}) {
+    const response = await postCompletion(toChatRequest(request, false), options.signal);
+    const completion = await response.json();
+    const choice = completion.choices && completion.choices[0];
+
+    if (!choice || !choice.message) {
+      throw new Error('LLM backend returned no choices');
+    }
+
+    return toResponse(request, completion, choice.message);
+  },
+
+  async streamResponse(request, options = {}) {
+    const response = await postCompletion(toChatRequest(request, true), options.signal);
+    return toResponseEvents(request, response);
+  }
+};
+
+module.exports = openaiCompatibleProvider;
@@ -1,16 +1,17 @@
 // services/openai-service.js
-const { OpenAI } = require('openai');
+const llmProvider = require('./llm-provider');
+const contextBuilder = require('./context-builder');
+const tokenEstimator = require('../utils/token-estimator');
 const config = require('../config');
 const logger = require('../utils/logger');
 
-// Initialize OpenAI client
-const openai = new OpenAI({
-  apiKey: config.openai.apiKey
-});
-
 /**
  * OpenAI Responses Service
- * Handles interactions with the OpenAI Responses API
+ * Builds Responses API requests for user messages and runs the tool-calling
+ * loop. Requests go through the configured LLM provider (see llm-provider.js),
+ * which may be OpenAI, an OpenAI-compatible backend or the offline mock.
+ * History is fitted into the model's token budget (see context-builder.js);
+ * the first response of a turn carries the fit in `context`.
  */
 const openaiService = {
   /**
@@ -20,9 +21,10 @@ const openaiService = {
    * @param {Object} userInfo - User information (optional)
    * @param {string} previousResponseId - Previous response ID (optional)
    * @param {Array} tools - Tools to make available (optional)
+   * @param {Object} options - { model, summary, strategy } - model to use instead of config.openai.model, conversation summary, context strategy (optional)
    * @returns {Promise<Object>} OpenAI response
    */
-  async processMessage(message, history, userInfo = null, previousResponseId = null, tools = null) {
+  async processMessage(message, history, userInfo = null, previousResponseId = null, tools = null, options = {}) {
     try {
       logger.info('Processing message with OpenAI', {
         messageLength: message.length,
@@ -32,56 +34,11 @@ const openaiService = {
         hasTools: !!tools
       });
 
-      // Construct system prompt with user info if available
-      let systemPrompt = config.prompts.mainSystemPrompt;
-
-      if (userInfo) {
-        const userContext = this.constructUserContext(userInfo);
-        systemPrompt = `${userContext}\n\n${systemPrompt}`;
-      }
-
-      // Build the input messages
-      const input = [
-        {
-          role: "system",
-          content: systemPrompt
-        }
-      ];
-
-      // Add conversation history
-      if (history && history.length > 0) {
-        // Map and add history messages
-        input.push(...history.map(msg => ({
-          role: msg.role,
-          content: msg.content
-        })));
-      }
-
-      // Add the current user message
-      input.push({
-        role: "user",
-        content: message
-      });
-
-      // Build the request options
-      const requestOptions = {
-        model: config.openai.model,
-        input: input,
-        temperature: 0.7
-      };
-
-      // Add previous response ID if available
-      if (previousResponseId) {
-        requestOptions.previous_response_id = previousResponseId;
-      }
-
-      // Add tools if available
-      if (tools && tools.length > 0) {
-        requestOptions.tools = tools;
-      }
+      const { request: requestOptions, contextReport } = this.buildMessageRequest(message, history, userInfo, previousResponseId, tools, options);
 
       // Make the API call
-      const response = await openai.responses.create(requestOptions);
+      const response = await llmProvider.createResponse(requestOptions);
+      response.context = contextReport;
 
       logger.info('Received response from OpenAI', {
         responseId: response.id,
@@ -96,21 +53,197 @@ const openaiService = {
     }
   },
 
+  /**
+   * Process a user message and stream the response as it is generated
+   * @param {string} message - User message
+   * @param {Array} history - Conversation history
+   * @param {Object} userInfo - User information (optional)
+   * @param {string} previousResponseId - Previous response ID (optional)
+   * @param {Array} tools - Tools to make available (optional)
+   * @param {Object} handlers - Stream callbacks ({ onTextDelta, onToolCall })
+   * @param {Object} options - { model, summary, strategy } - model to use instead of config.openai.model, conversation summary, context strategy (optional)
+   * @returns {Promise<Object>} Completed OpenAI response
+   */
+  async streamMessage(message, history, userInfo = null, previousResponseId = null, tools = null, handlers = {}, options = {}) {
+    try {
+      logger.info('Streaming message with OpenAI', {
+        messageLength: message.length,
+        historyLength: history ? history.length : 0,
+        hasUserInfo: !!userInfo,
+        hasPreviousResponseId: !!previousResponseId,
+        hasTools: !!tools
+      });
+
+      const { request: requestOptions, contextReport } = this.buildMessageRequest(message, history, userInfo, previousResponseId, tools, options);
+
+      const response = await this.streamResponse(requestOptions, handlers);
+      response.context = contextReport;
+      return response;
+    } catch (error) {
+      logger.error('Error streaming message with OpenAI:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Build the Responses API request for a text message
+   * @param {string} message - User message
+   * @param {Array} history - Conversation history
+   * @param {Object} userInfo - User information (optional)
+   * @param {string} previousResponseId - Previous response ID (optional)
+   * @param {Array} tools - Tools to make available (optional)
+   * @param {Object} options - { model, summary, strategy } (optional)
+   * @returns {Object} { request, contextReport } - Responses API request, and how the context was fitted
+   */
+  buildMessageRequest(message, history, userInfo = null, previousResponseId = null, tools = null, options = {}) {
+    // Construct system prompt with user info if available
+    let systemPrompt = config.prompts.mainSystemPrompt;
+
+    if (userInfo) {
+      const userContext = this.constructUserContext(userInfo);
+      systemPrompt = `${userContext}\n\n${systemPrompt}`;
+    }
+
+    return this.buildRequest(
+      { role: "system", content: systemPrompt },
+      { role: "user", content: message },
+      history,
+      previousResponseId,
+      tools,
+      options
+    );
+  },
+
+  /**
+   * Build a Responses API request, fitting the history into the model's token budget
+   * @param {Object} systemMessage - System prompt message
+   * @param {Object} userMessage - Current user message
+   * @param {Array} history - Conversation history
+   * @param {string} previousResponseId - Previous response ID (optional)
+   * @param {Array} tools - Tools to make available (optional)
+   * @param {Object} options - { model, summary, strategy } (optional)
+   * @returns {Object} { request, contextReport }
+   */
+  buildRequest(systemMessage, userMessage, history, previousResponseId = null, tools = null, options = {}) {
+    const model = options.model || config.openai.model;
+    const serverState = !!previousResponseId || options.strategy === 'server';
+
+    const { input, instructions, report } = contextBuilder.fit({
+      model,
+      systemMessage,
+      summary: options.summary || null,
+      history: (history || []).map(msg => ({ role: msg.role, content: msg.content })),
+      userMessage,
+      tools,
+      asInstructions: serverState
+    });
+
+    // Build the request options
+    const requestOptions = {
+      model,
+      input,
+      temperature: 0.7
+    };
+
+    // Server-side state: the server holds the conversation and drops its oldest
+    // turns when the window fills; instructions are not kept between responses
+    if (serverState) {
+      requestOptions.instructions = instructions;
+      requestOptions.truncation = 'auto';
+    }
+    if (previousResponseId) {
+      requestOptions.previous_response_id = previousResponseId;
+    }
+
+    // Add tools if available
+    if (tools && tools.length > 0) {
+      requestOptions.tools = tools;
+    }
+
+    return { request: requestOptions, contextReport: report };
+  },
+
+  /**
+   * Run a Responses API request in streaming mode
+   * Text deltas and function calls are forwarded to the handlers as they
+   * arrive; the completed response is returned in the same shape as
+   * createResponse so it can be passed to processFunctionCalls.
+   * @param {Object} requestOptions - Responses API request
+   * @param {Object} handlers - Stream callbacks ({ onTextDelta, onToolCall })
+   * @returns {Promise<Object>} Completed OpenAI response
+   */
+  async streamResponse(requestOptions, handlers = {}) {
+    const stream = await llmProvider.streamResponse(requestOptions);
+
+    let completedResponse = null;
+
+    for await (const event of stream) {
+      switch (event.type) {
+        case 'response.output_text.delta':
+          if (handlers.onTextDelta && event.delta) {
+            handlers.onTextDelta(event.delta);
+          }
+          break;
+
+        case 'response.output_item.added':
+          if (handlers.onToolCall && event.item && event.item.type === 'function_call') {
+            handlers.onToolCall(event.item);
+          }
+          break;
+
+        case 'response.completed':
+          completedResponse = event.response;
+          break;
+
+        case 'response.failed':
+        case 'response.incomplete':
+          completedResponse = event.response;
+          logger.warn(`Streamed response ended with status: ${event.type}`, {
+            responseId: event.response ? event.response.id : null,
+            error: event.response && event.response.error ? event.response.error.message : null
+          });
+          break;
+
+        case 'error':
+          throw new Error(`OpenAI stream error: ${event.message || event.code || 'unknown error'}`);
+
+        default:
+          break;
+      }
+    }
+
+    if (!completedResponse) {
+      throw new Error('OpenAI stream ended without a completed response');
+    }
+
+    logger.info('Received streamed response from OpenAI', {
+      responseId: completedResponse.id,
+      outputLength: completedResponse.output ? completedResponse.output.length : 0,
+      outputTypes: completedResponse.output ? completedResponse.output.map(item => item.type) : []
+    });
+
+    return completedResponse;
+  },
+
   /**
  * Process an image message and generate a response
  * @param {string} message - Text message accompanying the image (optional)
- * @param {string} imageUrl - URL to the image
+ * @param {string|Array<string>} imageUrls - Image URL or data URL, or a list of them
  * @param {Array} history - Conversation history
  * @param {Object} userInfo - User information (optional)
  * @param {string} previousResponseId - Previous response ID (optional)
  * @param {Array} tools - Tools to make available (optional)
+ * @param {Object} options - { model, summary, strategy } - model to use instead of config.openai.model, conversation summary, context strategy (optional)
  * @returns {Promise<Object>} OpenAI response
  */
-  async processImageMessage(message, imageUrl, history, userInfo = null, previousResponseId = null, tools = null) {
+  async processImageMessage(message, imageUrls, history, userInfo = null, previousResponseId = null, tools = null, options = {}) {
     try {
+      const images = (Array.isArray(imageUrls) ? imageUrls : [imageUrls]).filter(Boolean);
+
       logger.info('Processing image message with OpenAI', {
         messageLength: message ? message.length : 0,
-        imageUrlPreview: imageUrl ? `${imageUrl.substring(0, 20)}...` : 'none',
+        imageCount: images.length,
+        imageUrlPreview: images.length > 0 ? `${images[0].substring(0, 20)}...` : 'none',
         historyLength: history ? history.length : 0,
         hasUserInfo: !!userInfo,
         hasPreviousResponseId: !!previousResponseId,
@@ -128,8 +261,8 @@ const openaiService = {
         systemPrompt = `${userContext}\n\n${systemPrompt}`;
       }
 
-      // Build the input messages
-      const input = [
+      // Build the request with the current user message and its images
+      const { request: requestOptions, contextReport } = this.buildRequest(
         {
           role: "system",
           content: [
@@ -138,52 +271,29 @@ const openaiService = {
               text: systemPrompt
             }
           ]
-        }
-      ];
-
-      // Add conversation history
-      if (history && history.length > 0) {
-        // Map and add history messages
-        input.push(...history.map(msg => ({
-          role: msg.role,
-          content: msg.content
-        })));
-      }
-
-      // Add the current user message with image
-      input.push({
-        role: "user",
-        content: [
-          {
-            type: "input_text",
-            text: message || "Please analyze this image."
-          },
-          {
-            type: "input_image",
-            image_url: imageUrl
-          }
-        ]
-      });
-
-      // Build the request options
-      const requestOptions = {
-        model: config.openai.model,
-        input: input,
-        temperature: 0.7
-      };
-
-      // Add previous response ID if available
-      if (previousResponseId) {
-        requestOptions.previous_response_id = previousResponseId;
-      }
-
-      // Add tools if available
-      if (tools && tools.length > 0) {
-        requestOptions.tools = tools;
-      }
+        },
+        {
+          role: "user",
+          content: [
+            {
+              type: "input_text",
+              text: message || (images.length > 1 ? "Please analyze these images." : "Please analyze this image.")
+            },
+            ...images.map(url => ({
+              type: "input_image",
+              image_url: url
+            }))
+          ]
+        },
+        history,
+        previousResponseId,
+        tools,
+        options
+      );
 
       // Make the API call
-      const response = await openai.responses.create(requestOptions);
+      const response = await llmProvider.createResponse(requestOptions);
+      response.context = contextReport;
 
       logger.info('Received response from OpenAI for image message', {
         responseId: response.id,
@@ -200,219 +310,349 @@ const openaiService = {
 
   /**
    * Process function calls and handle the response
+   * Runs an agent loop: tool calls are executed, their outputs sent back in a
+   * follow-up request, and the loop repeats while the model keeps asking for
+   * tools. The loop stops at config.agent.maxSteps rounds, once the per-turn
+   * tool budget is spent, or when the model repeats an identical call; the
+   * last follow-up is then made with tool_choice 'none' to force an answer.
+   * The returned response carries a `toolTrace` ({ steps, toolCallCount, stopReason })
+   * describing every step for logging.
    * @param {Object} response - OpenAI response with function calls
    * @param {Function} toolExecutor - Function to execute tool calls
    * @param {Object} context - Additional context for tool execution
+   * @param {Object} streamHandlers - Stream callbacks for the follow-up calls (optional)
    * @returns {Promise<Object>} Final response after function call handling
    */
-  async processFunctionCalls(response, toolExecutor, context = {}) {
+  async processFunctionCalls(response, toolExecutor, context = {}, streamHandlers = null) {
+    const maxSteps = config.agent.maxSteps;
+    const maxToolCalls = config.agent.maxToolCalls;
+
+    const toolTrace = {
+      steps: [],
+      toolCallCount: 0,
+      stopReason: null
+    };
+
+    // Results of calls already made this turn, keyed by name + arguments
+    const completedCalls = new Map();
+
+    // Track user creation if implemented
+    let hasUserCreation = false;
+    let newUserInfo = null;
+
     try {
-      // Check if there are any function calls
-      if (!response.output || !response.output.length) {
-        return response;
-      }
+      let currentResponse = response;
 
-      // Find function calls in the output
-      const functionCalls = response.output.filter(item =>
-        item.type === "function_call"
-      );
+      while (this.getFunctionCalls(currentResponse).length > 0) {
+        const functionCalls = this.getFunctionCalls(currentResponse);
+        const stepNumber = toolTrace.steps.length + 1;
 
-      logger.info('Processing function calls', {
-        functionCount: functionCalls.length,
-        functionNames: functionCalls.map(call => call.name)
-      });
+        logger.info('Processing function calls', {
+          step: stepNumber,
+          functionCount: functionCalls.length,
+          functionNames: functionCalls.map(call => call.name)
+        });
 
-      // Execute each function call in parallel
-      const functionPromises = functionCalls.map(async functionCall => {
-        try {
-          // Execute the function
-          const result = await toolExecutor(functionCall, context);
+        const step = {
+          step: stepNumber,
+          responseId: currentResponse.id,
+          calls: [],
+          followUpResponseId: null,
+          followUpModel: null,
+          followUpUsage: null,
+          forcedFinal: false
+        };
+        toolTrace.steps.push(step);
 
-          return {
-            call_id: functionCall.call_id,
-            name: functionCall.name,
-            result
-          };
-        } catch (error) {
-          logger.error(`Error executing function ${functionCall.name}:`, error);
+        // Decide for each call whether it runs, repeats an earlier call, or is over budget
+        let loopDetected = false;
+        let budgetExhausted = false;
+        const plannedCalls = functionCalls.map(functionCall => {
+          const signature = `${functionCall.name}:${functionCall.arguments || ''}`;
 
-          // Return error result
-          return {
-            call_id: functionCall.call_id,
+          if (completedCalls.has(signature)) {
+            loopDetected = true;
+            return { functionCall, signature, status: 'duplicate' };
+          }
+
+          if (toolTrace.toolCallCount >= maxToolCalls) {
+            budgetExhausted = true;
+            return { functionCall, signature, status: 'budget_exceeded' };
+          }
+
+          toolTrace.toolCallCount++;
+          return { functionCall, signature, status: 'executed' };
+        });
+
+        // Execute each function call in parallel
+        const functionResults = await Promise.all(plannedCalls.map(async planned => {
+          const { functionCall, signature, status } = planned;
+          const traceEntry = {
             name: functionCall.name,
-            result: JSON.stringify({
-              error: true,
-              message: error.message
-            })
+            call_id: functionCall.call_id,
+            arguments: functionCall.arguments,
+            status
           };
-        }
-      });
+          step.calls.push(traceEntry);
+
+          if (status === 'duplicate') {
+            return {
+              call_id: functionCall.call_id,
+              name: functionCall.name,
+              result: JSON.stringify({
+                error: true,
+                code: 'DUPLICATE_TOOL_CALL',
+                message: `${functionCall.name} was already called with these arguments this turn. Use the earlier result.`,
+                previous_result: completedCalls.get(signature)
+              })
+            };
+          }
 
-      // Wait for all function executions to complete
-      const functionResults = await Promise.all(functionPromises);
+          if (status === 'budget_exceeded') {
+            return {
+              call_id: functionCall.call_id,
+              name: functionCall.name,
+              result: JSON.stringify({
+                error: true,
+                code: 'TOOL_BUDGET_EXCEEDED',
+                message: 'The tool budget for this turn has been used. Answer with the information already gathered.'
+              })
+            };
+          }
 
-      logger.info('Function execution results:', {
-        resultsCount: functionResults.length,
-        functionNames: functionResults.map(result => result.name)
-      });
+          const startedAt = Date.now();
+          try {
+            // Execute the function
+            const result = await toolExecutor(functionCall, context);
+            traceEntry.durationMs = Date.now() - startedAt;
+            completedCalls.set(signature, result);
+
+            return {
+              call_id: functionCall.call_id,
+              name: functionCall.name,
+              result
+            };
+          } catch (error) {
+            logger.error(`Error executing function ${functionCall.name}:`, error);
+            traceEntry.durationMs = Date.now() - startedAt;
+            traceEntry.status = 'error';
+            traceEntry.error = error.message;
+
+            // Return error result
+            return {
+              call_id: functionCall.call_id,
+              name: functionCall.name,
+              result: JSON.stringify({
+                error: true,
+                message: error.message
+              })
+            };
+          }
+        }));
 
-      // Create input with original messages
-      // If response.input is not an array or is undefined, create an empty array
-      const originalInput = Array.isArray(response.input) ? [...response.input] : [];
-      const followUpInput = [...originalInput];
-
-      // Add all function calls and results
-      for (const functionCall of functionCalls) {
-        // Add the function call
-        followUpInput.push({
-          type: "function_call",
-          call_id: functionCall.call_id,
-          name: functionCall.name,
-          arguments: functionCall.arguments
+        logger.info('Function execution results:', {
+          step: stepNumber,
+          resultsCount: functionResults.length,
+          functionNames: functionResults.map(result => result.name),
+          statuses: step.calls.map(call => call.status)
         });
 
-        // Find the corresponding result
-        const resultEntry = functionResults.find(r => r.call_id === functionCall.call_id);
+        // Create input with original messages
+        // If response.input is not an array or is undefined, create an empty array
+        const originalInput = Array.isArray(currentResponse.input) ? [...currentResponse.input] : [];
+        const followUpInput = [...originalInput];
 
-        // Add the function output
-        if (resultEntry) {
+        // Add all function calls and results
+        for (const functionCall of functionCalls) {
+          // Add the function call
           followUpInput.push({
-            type: "function_call_output",
+            type: "function_call",
             call_id: functionCall.call_id,
-            output: resultEntry.result
+            name: functionCall.name,
+            arguments: functionCall.arguments
           });
-        } else {
-          logger.error(`No result found for function call ${functionCall.call_id}`);
+
+          // Find the corresponding result
+          const resultEntry = functionResults.find(r => r.call_id === functionCall.call_id);
+
+          // Add the function output
+          if (resultEntry) {
+            followUpInput.push({
+              type: "function_call_output",
+              call_id: functionCall.call_id,
+              output: resultEntry.result
+            });
+          } else {
+            logger.error(`No result found for function call ${functionCall.call_id}`);
+          }
         }
-      }
 
-      // Add tools if the original request had them
-      const tools = response.tools || null;
+        // Check for system instructions in function results
+        const systemInstructions = [];
 
-      // Check for system instructions in function results
-      const systemInstructions = [];
+        // Process each function result to find system instructions
+        for (const resultEntry of functionResults) {
+          try {
+            // Parse the result if it's a string
+            let resultData;
+            if (typeof resultEntry.result === 'string') {
+              resultData = JSON.parse(resultEntry.result);
+            } else {
+              resultData = resultEntry.result;
+            }
 
-      // Track user creation if implemented
-      let hasUserCreation = false;
-      let newUserInfo = null;
+            // Track user creation if implemented (for example with createUser function)
+            if (resultEntry.name === 'createUser' && resultData && resultData.success) {
+              hasUserCreation = true;
+              // Store the new user info for fallback response
+              if (resultData.user) {
+                newUserInfo = {
+                  userId: resultData.user.userId || resultData.user.id,
+                  firstName: resultData.user.firstName,
+                  lastName: resultData.user.lastName
+                };
+                // Update context with user info
+                if (!context.userInfo) context.userInfo = {};
+                Object.assign(context.userInfo, newUserInfo);
+
+                logger.info('Stored new user info from createUser response', {
+                  userId: newUserInfo.userId,
+                  name: `${newUserInfo.firstName} ${newUserInfo.lastName}`
+                });
+              }
+            }
 
-      // Process each function result to find system instructions
-      for (const resultEntry of functionResults) {
-        try {
-          // Parse the result if it's a string
-          let resultData;
-          if (typeof resultEntry.result === 'string') {
-            resultData = JSON.parse(resultEntry.result);
-          } else {
-            resultData = resultEntry.result;
-          }
+            // Check if the result contains a system_instruction
+            if (resultData && resultData.system_instruction) {
+              logger.info(`Found system instruction in ${resultEntry.name} result:`, {
+                functionName: resultEntry.name,
+                instruction: resultData.system_instruction
+              });
+
+              systemInstructions.push(resultData.system_instruction);
+            }
+
+            // Check if this is a knowledge base result with context
+            if (resultEntry.name === 'queryKnowledgeBase' &&
+              resultData &&
+              resultData.success &&
+              resultData.knowledgeFound &&
+              resultData.context) {
 
-          // Track user creation if implemented (for example with createUser function)
-          if (resultEntry.name === 'createUser' && resultData && resultData.success) {
-            hasUserCreation = true;
-            // Store the new user info for fallback response
-            if (resultData.user) {
-              newUserInfo = {
-                userId: resultData.user.userId || resultData.user.id,
-                firstName: resultData.user.firstName,
-                lastName: resultData.user.lastName
-              };
-              // Update context with user info
-              if (!context.userInfo) context.userInfo = {};
-              Object.assign(context.userInfo, newUserInfo);
-
-              logger.info('Stored new user info from createUser response', {
-                userId: newUserInfo.userId,
-                name: `${newUserInfo.firstName} ${newUserInfo.lastName}`
+              logger.info('Found knowledge base context in function result', {
+                functionName: resultEntry.name,
+                itemCount: resultData.itemCount
+              });
+
+              // Add the knowledge base context as a system message, within the tokens kept for it
+              followUpInput.push({
+                role: "system",
+                content: tokenEstimator.truncateToTokens(resultData.context, config.context.knowledgeTokens)
               });
             }
+          } catch (error) {
+            logger.error(`Error parsing result to check for system_instruction or knowledge context:`, error);
           }
+        }
 
-          // Check if the result contains a system_instruction
-          if (resultData && resultData.system_instruction) {
-            logger.info(`Found system instruction in ${resultEntry.name} result:`, {
-              functionName: resultEntry.name,
-              instruction: resultData.system_instruction
-            });
+        // If we found any system instructions, add them to the followUpInput
+        if (systemInstructions.length > 0) {
+          // Combine all instructions if there are multiple
+          const combinedInstruction = systemInstructions.join("\n\n");
 
-            systemInstructions.push(resultData.system_instruction);
-          }
+          // Add as a system message to guide the AI's next response
+          followUpInput.push({
+            role: "system",
+            content: combinedInstruction
+          });
 
-          // Check if this is a knowledge base result with context
-          if (resultEntry.name === 'queryKnowledgeBase' &&
-            resultData &&
-            resultData.success &&
-            resultData.knowledgeFound &&
-            resultData.context) {
+          // Add a specific user message to prompt a response
+          followUpInput.push({
+            role: "user",
+            content: "Please acknowledge and continue with the conversation."
+          });
 
-            logger.info('Found knowledge base context in function result', {
-              functionName: resultEntry.name,
-              itemCount: resultData.itemCount
-            });
+          logger.info('Added system instruction and prompt to follow-up request', {
+            instructionCount: systemInstructions.length
+          });
+        }
 
-            // Add the knowledge base context as a system message
-            followUpInput.push({
-              role: "system",
-              content: resultData.context
-            });
-          }
-        } catch (error) {
-          logger.error(`Error parsing result to check for system_instruction or knowledge context:`, error);
+        // Stop offering tools once a limit is hit so the model has to answer
+        if (loopDetected) {
+          toolTrace.stopReason = 'loop_detected';
+        } else if (budgetExhausted || toolTrace.toolCallCount >= maxToolCalls) {
+          toolTrace.stopReason = 'tool_budget_exhausted';
+        } else if (stepNumber >= maxSteps) {
+          toolTrace.stopReason = 'max_steps';
         }
-      }
+        step.forcedFinal = !!toolTrace.stopReason;
 
-      // If we found any system instructions, add them to the followUpInput
-      if (systemInstructions.length > 0) {
-        // Combine all instructions if there are multiple
-        const combinedInstruction = systemInstructions.join("\n\n");
+        // Build follow-up request
+        const followUpRequest = {
+          model: currentResponse.model || config.openai.model,
+          input: followUpInput,
+          temperature: 0.7
+        };
 
-        // Add as a system message to guide the AI's next response
-        followUpInput.push({
-          role: "system",
-          content: combinedInstruction
-        });
+        // Add previous response ID if available
+        if (currentResponse.id) {
+          followUpRequest.previous_response_id = currentResponse.id;
+        }
 
-        // Add a specific user message to prompt a response
-        followUpInput.push({
-          role: "user",
-          content: "Please acknowledge and continue with the conversation."
-        });
+        // Instructions are not carried over by previous_response_id, so resend them
+        if (currentResponse.instructions) {
+          followUpRequest.instructions = currentResponse.instructions;
+        }
+        if (currentResponse.truncation === 'auto') {
+          followUpRequest.truncation = 'auto';
+        }
+
+        // Add tools if the original request had them
+        if (currentResponse.tools && currentResponse.tools.length > 0) {
+          followUpRequest.tools = currentResponse.tools;
+          if (step.forcedFinal) {
+            followUpRequest.tool_choice = 'none';
+          }
+        }
 
-        logger.info('Added system instruction and prompt to follow-up request', {
-          instructionCount: systemInstructions.length
+        // Make the follow-up call
+        logger.info('Making follow-up call to OpenAI', {
+          step: stepNumber,
+          inputLength: followUpInput.length,
+          previousResponseId: followUpRequest.previous_response_id,
+          forcedFinal: step.forcedFinal
         });
-      }
 
-      // Build follow-up request
-      const followUpRequest = {
-        model: response.model || config.openai.model,
-        input: followUpInput,
-        temperature: 0.7
-      };
+        currentResponse = streamHandlers
+          ? await this.streamResponse(followUpRequest, streamHandlers)
+          : await llmProvider.createResponse(followUpRequest);
+        step.followUpResponseId = currentResponse.id;
+        step.followUpModel = currentResponse.model || followUpRequest.model;
+        step.followUpUsage = currentResponse.usage || null;
+
+        logger.info('Received follow-up response from OpenAI', {
+          step: stepNumber,
+          responseId: currentResponse.id,
+          outputLength: currentResponse.output ? currentResponse.output.length : 0,
+          outputTypes: currentResponse.output ? currentResponse.output.map(item => item.type) : []
+        });
 
-      // Add previous response ID if available
-      if (response.id) {
-        followUpRequest.previous_response_id = response.id;
+        if (step.forcedFinal) {
+          break;
+        }
       }
 
-      // Add tools if available
-      if (tools) {
-        followUpRequest.tools = tools;
+      if (!toolTrace.stopReason) {
+        toolTrace.stopReason = 'completed';
       }
 
-      // Make the follow-up call
-      logger.info('Making follow-up call to OpenAI', {
-        inputLength: followUpInput.length,
-        previousResponseId: followUpRequest.previous_response_id
+      logger.info('Tool-calling loop finished', {
+        steps: toolTrace.steps.length,
+        toolCallCount: toolTrace.toolCallCount,
+        stopReason: toolTrace.stopReason
       });
 
-      const finalResponse = await openai.responses.create(followUpRequest);
-
-      logger.info('Received final response from OpenAI', {
-        responseId: finalResponse.id,
-        outputLength: finalResponse.output ? finalResponse.output.length : 0,
-        outputTypes: finalResponse.output ? finalResponse.output.map(item => item.type) : []
-      });
+      const finalResponse = currentResponse;
 
       // Check for empty response and provide guaranteed fallback for user creation
       if (hasUserCreation && (!finalResponse.output ||
@@ -439,6 +679,8 @@ const openaiService = {
         // Build a proper response object
         return {
           id: 'user_creation_fallback_' + Date.now(),
+          // Built here, so there is no provider response to continue from
+          synthetic: true,
           output: [
             {
               type: 'message',
@@ -449,17 +691,21 @@ const openaiService = {
                 }
               ]
             }
-          ]
+          ],
+          toolTrace
         };
       }
 
+      finalResponse.toolTrace = toolTrace;
       return finalResponse;
     } catch (error) {
       logger.error('Error processing function calls:', error);
+      toolTrace.stopReason = 'error';
 
       // Return a fallback response if there's an error
       return {
         id: 'error_fallback_' + Date.now(),
+        synthetic: true,
         output: [
           {
             type: 'message',
@@ -470,15 +716,29 @@ const openaiService = {
               }
             ]
           }
-        ]
+        ],
+        toolTrace
       };
     }
   },
 
+  /**
+   * Get the function calls requested in a response
+   * @param {Object} response - OpenAI response object
+   * @returns {Array} Function call output items
+   */
+  getFunctionCalls(response) {
+    if (!response || !response.output || !response.output.length) {
+      return [];
+    }
+
+    return response.output.filter(item => item.type === "function_call");
+  },
+
   /**
    * Extract text content from OpenAI response
    * @param {Object} response - OpenAI response object
-   * @param {string} channel - The channel ('website' or 'whatsapp')
+   * @param {string} channel - The channel ('website', 'whatsapp', 'sms', 'telegram' or 'api')
    * @returns {string} Extracted text content
    */
   extractResponseText(response, channel = 'website') {
@@ -571,15 +831,6 @@ const openaiService = {
     context.push('DO NOT ask for information you already have.');
 
     return context.join(' ');
-  },
-
-  // ADD THIS MISSING METHOD:
-  /**
-   * Get the OpenAI client instance
-   * @returns {Object} OpenAI client instance
-   */
-  getOpenAIClient() {
-    return openai;
   }
 };
 
@@ -0,0 +1,146 @@
+// services/resume-token-service.js
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const ResumeToken = require('../models/resume-token');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+// Signing key - a random key still works, but only until the server restarts
+let signingKey = config.sessionResume.secret;
+if (!signingKey) {
+  logger.warn('SESSION_RESUME_SECRET is not set - using a random key, so resume tokens stop working on restart');
+  signingKey = crypto.randomBytes(32).toString('hex');
+}
+
+/**
+ * Sign a token payload
+ * @param {Object} payload - { jti, sub, exp }
+ * @returns {string} Token (`<payload>.<signature>`, both base64url)
+ */
+function sign(payload) {
+  const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  const signature = crypto.createHmac('sha256', signingKey).update(body).digest('base64url');
+  return `${body}.${signature}`;
+}
+
+/**
+ * Check a token's signature and decode its payload
+ * @param {string} token - Token from the client
+ * @returns {Object|null} Payload, or null if the token is malformed or the signature is wrong
+ */
+function verify(token) {
+  const [body, signature, ...rest] = String(token).split('.');
+  if (!body || !signature || rest.length > 0) return null;
+
+  const expected = crypto.createHmac('sha256', signingKey).update(body).digest();
+  const provided = Buffer.from(signature, 'base64url');
+  if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+    return null;
+  }
+
+  try {
+    const payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+    return payload && typeof payload.jti === 'string' && typeof payload.sub === 'string' ? payload : null;
+  } catch (parseError) {
+    return null;
+  }
+}
+
+/**
+ * Resume Token Service
+ * Issues signed, expiring tokens that let a new web chat socket re-attach to
+ * the session a previous socket had (page reloads, network blips).
+ *
+ * Tokens are single use: redeeming one revokes it and issues a replacement.
+ * Presenting an already rotated token again means it was copied, so every
+ * token for that session is revoked.
+ */
+const resumeTokenService = {
+  /**
+   * Issue a token for a web chat session
+   * @param {string} identifierValue - The session's website_session identifier value
+   * @returns {Promise<Object>} { token, tokenId, expiresAt }
+   */
+  async issue(identifierValue) {
+    const tokenId = uuidv4();
+    const expiresAt = new Date(Date.now() + config.sessionResume.ttlHours * 60 * 60 * 1000);
+
+    await ResumeToken.create({ tokenId, identifierValue, expiresAt });
+
+    return {
+      token: sign({ jti: tokenId, sub: identifierValue, exp: Math.floor(expiresAt.getTime() / 1000) }),
+      tokenId,
+      expiresAt
+    };
+  },
+
+  /**
+   * Redeem a token, rotating it
+   * @param {string} token - Token from the client
+   * @returns {Promise<Object>} { identifierValue, token, tokenId, expiresAt } for the
+   *   replacement token, or { error: 'invalid' | 'expired' | 'revoked' }
+   */
+  async redeem(token) {
+    const payload = verify(token);
+    if (!payload) {
+      logger.warn('[Resume Tokens] Rejected token with an invalid signature or format');
+      return { error: 'invalid' };
+    }
+
+    const now = new Date();
+    if (!payload.exp || payload.exp * 1000 <= now.getTime()) {
+      return { error: 'expired' };
+    }
+
+    // Revoke atomically, so a token can only be redeemed once
+    const record = await ResumeToken.findOneAndUpdate(
+      { tokenId: payload.jti, identifierValue: payload.sub, revokedAt: null, expiresAt: { $gt: now } },
+      { $set: { revokedAt: now, revokedReason: 'rotated' } }
+    );
+
+    if (!record) {
+      const existing = await ResumeToken.findOne({ tokenId: payload.jti });
+      if (existing && existing.revokedReason === 'rotated') {
+        logger.warn(`[Resume Tokens] Rotated token ${payload.jti} was presented again - revoking its session's tokens`);
+        await this.revokeAll(payload.sub, 'reused');
+      }
+      return { error: existing ? 'revoked' : 'expired' };
+    }
+
+    const replacement = await this.issue(record.identifierValue);
+    logger.info(`[Resume Tokens] Rotated token ${record.tokenId} → ${replacement.tokenId}`);
+
+    return { identifierValue: record.identifierValue, ...replacement };
+  },
+
+  /**
+   * Revoke a token
+   * @param {string} tokenId - Token ID
+   * @param {string} reason - Revocation reason
+   * @returns {Promise<void>}
+   */
+  async revoke(tokenId, reason = 'revoked') {
+    await ResumeToken.updateOne(
+      { tokenId, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+  },
+
+  /**
+   * Revoke every token for a web chat session
+   * @param {string} identifierValue - The session's website_session identifier value
+   * @param {string} reason - Revocation reason
+   * @returns {Promise<number>} Number of tokens revoked
+   */
+  async revokeAll(identifierValue, reason = 'revoked') {
+    const result = await ResumeToken.updateMany(
+      { identifierValue, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+
+    logger.info(`[Resume Tokens] Revoked ${result.modifiedCount} tokens for ${identifierValue} (${reason})`);
+    return result.modifiedCount;
+  }
+};
+
+module.exports = resumeTokenService;
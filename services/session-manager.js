@@ -2,30 +2,45 @@
 const { v4: uuidv4 } = require('uuid');
 const Conversation = require('../models/conversation');
 const identificationService = require('./identification-service');
+const conversationHub = require('./conversation-hub');
 const logger = require('../utils/logger');
 
-// In-memory session store for active WebSocket connections
+// In-memory session store for active web chat connections (WebSocket or SSE)
 const sessions = new Map();
 
+// Channel of a conversation started from each identifier type
+const IDENTIFIER_CHANNELS = {
+  whatsapp_phone: 'whatsapp',
+  sms_phone: 'sms',
+  telegram_chat: 'telegram',
+  user_id: 'api'
+};
+
 /**
  * Session Manager
- * Handles WebSocket sessions and links them to conversations
+ * Handles web chat sessions and links them to conversations
  */
 const sessionManager = {
   /**
-   * Create a new session for a WebSocket connection
-   * @param {WebSocket} ws - WebSocket connection
+   * Create a new session for a web chat connection
+   * @param {Object} ws - WebSocket connection, or SSE socket with the same send()
+   * @param {string} transport - 'websocket' or 'sse'
+   * @param {string|null} clientIp - IP address the client connected from
    * @returns {Object} Session object
    */
-  createSession(ws) {
+  createSession(ws, transport = 'websocket', clientIp = null) {
     const sessionId = uuidv4();
     const session = {
       id: sessionId,
       ws,
+      transport,
+      clientIp,
       createdAt: new Date(),
+      lastActivityAt: new Date(),
       identifierType: 'website_session',
       identifierValue: `session_${sessionId}`,
-      conversationId: null
+      conversationId: null,
+      resumeTokenId: null
     };
 
     sessions.set(sessionId, session);
@@ -33,6 +48,14 @@ const sessionManager = {
     return session;
   },
 
+  /**
+   * List all active sessions
+   * @returns {Array} Session objects
+   */
+  listSessions() {
+    return [...sessions.values()];
+  },
+
   /**
    * Get a session by ID
    * @param {string} sessionId - Session ID
@@ -42,21 +65,64 @@ const sessionManager = {
     return sessions.get(sessionId) || null;
   },
 
+  /**
+   * Re-attach a session to a previous session's conversation
+   * The session takes over the previous session's identifier, so its
+   * conversation (and any conversation it was merged into) is found again.
+   * @param {string} sessionId - Session ID of the new connection
+   * @param {string} identifierValue - Previous session's website_session identifier value
+   * @param {string} resumeTokenId - ID of the resume token now held by the client
+   * @returns {Object} Session object
+   */
+  resumeSession(sessionId, identifierValue, resumeTokenId) {
+    const session = this.getSession(sessionId);
+    if (!session) {
+      throw new Error(`Session not found: ${sessionId}`);
+    }
+
+    session.identifierValue = identifierValue;
+    this.detachConversation(session);
+    session.resumeTokenId = resumeTokenId;
+
+    logger.info(`Session ${sessionId} resumed ${identifierValue}`);
+    return session;
+  },
+
+  /**
+   * Give a session a fresh identity, detaching it from its conversation
+   * @param {string} sessionId - Session ID
+   * @returns {Object} Session object
+   */
+  resetSession(sessionId) {
+    const session = this.getSession(sessionId);
+    if (!session) {
+      throw new Error(`Session not found: ${sessionId}`);
+    }
+
+    session.identifierValue = `session_${uuidv4()}`;
+    this.detachConversation(session);
+    session.resumeTokenId = null;
+
+    logger.info(`Session ${sessionId} reset to ${session.identifierValue}`);
+    return session;
+  },
+
   /**
    * Remove a session
    * @param {string} sessionId - Session ID
    */
   removeSession(sessionId) {
+    conversationHub.unsubscribe(sessionId);
     sessions.delete(sessionId);
     logger.info(`Session removed: ${sessionId}`);
   },
 
   /**
-   * Get or create a conversation for a session
+   * Find the conversation for a session without creating one
    * @param {string} sessionId - Session ID
-   * @returns {Promise<Object>} Conversation document
+   * @returns {Promise<Object|null>} Conversation document, or null if the session has none yet
    */
-  async getOrCreateConversation(sessionId) {
+  async findConversation(sessionId) {
     const session = this.getSession(sessionId);
     if (!session) {
       throw new Error(`Session not found: ${sessionId}`);
@@ -66,30 +132,33 @@ const sessionManager = {
     if (session.conversationId) {
       const existingConversation = await Conversation.findById(session.conversationId);
       if (existingConversation) {
-        // Check if the conversation is marked as merged
-        if (existingConversation.metadata.get('merged')) {
-          // Redirect to the merged conversation
-          const mergedIntoId = existingConversation.metadata.get('mergedInto');
-          if (mergedIntoId) {
-            const mergedConversation = await Conversation.findById(mergedIntoId);
-            if (mergedConversation) {
-              // Update session to point to the merged conversation
-              session.conversationId = mergedConversation._id;
-              logger.info(`Session ${sessionId} redirected to merged conversation: ${mergedIntoId}`);
-              return mergedConversation;
-            }
-          }
-        }
-        return existingConversation;
+        return this.followMerge(session, existingConversation);
       }
     }
 
     // Try to find an existing conversation for this identifier
-    let conversation = await Conversation.findByIdentifier(
+    const conversation = await Conversation.findByIdentifier(
       session.identifierType,
       session.identifierValue
     );
 
+    // A resumed session's identifier may still point at a conversation that was merged since
+    return conversation ? this.followMerge(session, conversation) : null;
+  },
+
+  /**
+   * Get or create a conversation for a session
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<Object>} Conversation document
+   */
+  async getOrCreateConversation(sessionId) {
+    const session = this.getSession(sessionId);
+    if (!session) {
+      throw new Error(`Session not found: ${sessionId}`);
+    }
+
+    let conversation = await this.findConversation(sessionId);
+
     // If no conversation found, create a new one
     if (!conversation) {
       // ✅ FIXED: Properly define all required variables before using them
@@ -127,14 +196,59 @@ const sessionManager = {
     }
 
     // Update session to reference this conversation
-    session.conversationId = conversation._id;
+    this.attachConversation(session, conversation._id);
 
     return conversation;
   },
 
   /**
-   * Get or create a conversation by identifier (for WhatsApp)
-   * @param {string} type - Identifier type (e.g., 'whatsapp_phone')
+   * Redirect a session from a merged conversation to the one it was merged into
+   * @param {Object} session - Session object
+   * @param {Object} conversation - Conversation document
+   * @returns {Promise<Object>} The conversation the session now points to
+   */
+  async followMerge(session, conversation) {
+    // Check if the conversation is marked as merged
+    if (conversation.metadata.get('merged')) {
+      // Redirect to the merged conversation
+      const mergedIntoId = conversation.metadata.get('mergedInto');
+      if (mergedIntoId) {
+        const mergedConversation = await Conversation.findById(mergedIntoId);
+        if (mergedConversation) {
+          // Update session to point to the merged conversation
+          this.attachConversation(session, mergedConversation._id);
+          logger.info(`Session ${session.id} redirected to merged conversation: ${mergedIntoId}`);
+          return mergedConversation;
+        }
+      }
+    }
+
+    this.attachConversation(session, conversation._id);
+    return conversation;
+  },
+
+  /**
+   * Point a session at a conversation and subscribe its socket to the conversation's frames
+   * @param {Object} session - Session object
+   * @param {string} conversationId - Conversation ID
+   */
+  attachConversation(session, conversationId) {
+    session.conversationId = conversationId;
+    conversationHub.subscribe(conversationId, session.id, session.ws);
+  },
+
+  /**
+   * Detach a session from its conversation
+   * @param {Object} session - Session object
+   */
+  detachConversation(session) {
+    session.conversationId = null;
+    conversationHub.unsubscribe(session.id);
+  },
+
+  /**
+   * Get or create a conversation by identifier (for WhatsApp, SMS, Telegram and the REST API)
+   * @param {string} type - Identifier type (e.g., 'whatsapp_phone', 'sms_phone', 'telegram_chat')
    * @param {string} value - Identifier value (e.g., phone number)
    * @returns {Promise<Object>} Conversation document
    */
@@ -155,10 +269,14 @@ const sessionManager = {
       let identifierVerified = false;
 
       // ✅ FIXED: Use 'type' parameter instead of 'session.identifierType'
-      if (type === 'whatsapp_phone' || type === 'phone') {
+      if (type === 'whatsapp_phone' || type === 'sms_phone' || type === 'phone') {
         identifierPriority = identificationService.PRIORITY.PHONE;
-        // Phone numbers from WhatsApp are considered verified
-        identifierVerified = type === 'whatsapp_phone';
+        // Phone numbers from WhatsApp and SMS senders are considered verified
+        identifierVerified = type === 'whatsapp_phone' || type === 'sms_phone';
+      } else if (type === 'user_id') {
+        // External user IDs are supplied by authenticated API clients
+        identifierPriority = identificationService.PRIORITY.USER_ID;
+        identifierVerified = true;
       }
 
       conversation = new Conversation({
@@ -169,7 +287,7 @@ const sessionManager = {
           verified: identifierVerified,
           addedAt: new Date()
         }],
-        channel: type === 'whatsapp_phone' ? 'whatsapp' : 'website',
+        channel: IDENTIFIER_CHANNELS[type] || 'website',
         lastActivity: new Date(),
         identificationState
       });
@@ -261,7 +379,7 @@ const sessionManager = {
     for (const [sessionId, session] of sessions.entries()) {
       if (session.conversationId && oldConversationIds.includes(session.conversationId.toString())) {
         // Update this session to point to the primary conversation
-        session.conversationId = primaryConversationId;
+        this.attachConversation(session, primaryConversationId);
         count++;
 
         logger.info(`Redirected session ${sessionId} from old conversation to ${primaryConversationId}`);
@@ -283,7 +401,7 @@ const sessionManager = {
     for (const [sessionId, session] of sessions.entries()) {
       if (session.conversationId && oldConversationIds.includes(session.conversationId.toString())) {
         // Update the session to point to the new conversation
-        session.conversationId = newConversationId;
+        this.attachConversation(session, newConversationId);
         updatedCount++;
 
         logger.info(`Updated session ${sessionId} to use merged conversation ${newConversationId}`);
@@ -302,7 +420,7 @@ const sessionManager = {
    * @param {string} conversationId - Conversation ID
    * @param {string} role - Message role ('user' or 'assistant')
    * @param {string} content - Message content
-   * @param {string} channel - Message channel ('whatsapp' or 'website')
+   * @param {string} channel - Message channel ('whatsapp', 'sms', 'telegram', 'api' or 'website')
    * @param {Object} metadata - Additional metadata
    * @returns {Promise<Object>} Updated conversation
    */
@@ -340,15 +458,25 @@ const sessionManager = {
   /**
    * Update conversation with OpenAI response ID
    * @param {string} conversationId - Conversation ID
-   * @param {string} responseId - OpenAI response ID
+   * @param {string|null} responseId - OpenAI response ID, or null to start the next turn without one
+   * @param {Object} context - { messageId, strategy } - last message the response has seen, and the context strategy (optional)
    * @returns {Promise<Object>} Updated conversation
    */
-  async updateResponseId(conversationId, responseId) {
-    return Conversation.findByIdAndUpdate(
-      conversationId,
-      { previousResponseId: responseId },
-      { new: true }
-    );
+  async updateResponseId(conversationId, responseId, context = {}) {
+    const update = { previousResponseId: responseId };
+
+    if (!responseId) {
+      update.previousResponseMessageId = null;
+      update.previousResponseAt = null;
+    } else if (context.messageId) {
+      update.previousResponseMessageId = context.messageId.toString();
+      update.previousResponseAt = new Date();
+    }
+    if (context.strategy) {
+      update.contextStrategy = context.strategy;
+    }
+
+    return Conversation.findByIdAndUpdate(conversationId, update, { new: true });
   },
 
   /**
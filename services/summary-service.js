@@ -1,131 +1,273 @@
 // services/summary-service.js
 const config = require('../config');
 const logger = require('../utils/logger');
-const openaiService = require('./openai-service');
+const llmProvider = require('./llm-provider');
+const usageService = require('./usage-service');
 const Conversation = require('../models/conversation');
+const tokenEstimator = require('../utils/token-estimator');
+
+// Conversations with a summary update running in the background
+const updatesInProgress = new Set();
+
+/**
+ * Write messages out as a transcript for the summariser
+ * @param {Array} messages - Conversation messages
+ * @returns {string} One "Speaker (channel): text" paragraph per message
+ */
+function formatTranscript(messages) {
+  return messages
+    .map(msg => `${msg.role === 'user' ? 'User' : 'Assistant'}${msg.channel ? ` (${msg.channel})` : ''}: ${msg.content}`)
+    .join('\n\n');
+}
+
+/**
+ * Split messages into batches whose transcripts fit the summariser's input
+ * A single message over the limit gets a batch of its own.
+ * @param {Array} messages - Conversation messages
+ * @param {number} maxTokens - Tokens per batch
+ * @returns {Array<Array>} Batches, oldest first
+ */
+function batchMessages(messages, maxTokens) {
+  const batches = [];
+  let batch = [];
+  let batchTokens = 0;
+
+  for (const msg of messages) {
+    const tokens = tokenEstimator.estimateTextTokens(formatTranscript([msg]));
+    if (batch.length > 0 && batchTokens + tokens > maxTokens) {
+      batches.push(batch);
+      batch = [];
+      batchTokens = 0;
+    }
+    batch.push(msg);
+    batchTokens += tokens;
+  }
+  if (batch.length > 0) {
+    batches.push(batch);
+  }
+
+  return batches;
+}
 
 /**
  * Service for generating conversation summaries
+ * Summaries roll forward in the background: once
+ * config.summary.updateEveryMessages messages have arrived since
+ * summary.lastMessageId, only those messages are folded into the existing
+ * summary. Replaced summaries are kept in summaryHistory (the last
+ * config.summary.historyLimit versions). Transcripts longer than
+ * config.summary.maxInputTokens are folded in batches.
  */
 const summaryService = {
   /**
-   * Generate a summary for a conversation
+   * Generate a summary of a whole conversation
    * @param {mongoose.Document} conversation - Conversation document
-   * @returns {Promise<Object>} Generated summary
+   * @returns {Promise<Object>} Generated summary, or null
    */
   async generateSummary(conversation) {
-    try {
-      logger.info(`=== SUMMARY GENERATION STARTED ===`);
-      logger.info(`Generating summary for conversation ID: ${conversation._id}`);
-      logger.info(`Message count: ${conversation.messages.length}`);
+    const minMessageCount = config.summary?.minMessageCount || 5;
+    if (conversation.messages.length < minMessageCount) {
+      logger.info(`Not summarising conversation ${conversation._id}: ${conversation.messages.length} < ${minMessageCount} messages`);
+      return null;
+    }
+
+    return this.foldMessages(conversation, null, conversation.messages);
+  },
 
-      // Check if we have enough messages to summarize
-      const minMessageCount = config.summary?.minMessageCount || 5;
-      logger.info(`Minimum required messages: ${minMessageCount}`);
+  /**
+   * Get the messages a conversation's summary does not cover yet
+   * @param {Object} conversation - Conversation document
+   * @returns {Array|null} Messages after summary.lastMessageId, or null if
+   *   the summary is missing or its last message is gone (e.g. after a merge)
+   */
+  pendingMessages(conversation) {
+    const summary = conversation.summary;
+    if (!summary || !summary.text || !summary.lastMessageId) return null;
 
-      if (conversation.messages.length < minMessageCount) {
-        logger.info(`NOT ENOUGH MESSAGES: ${conversation.messages.length} < ${minMessageCount}`);
-        return null;
-      }
+    const lastIndex = conversation.messages.findIndex(msg => msg._id && msg._id.toString() === summary.lastMessageId);
+    return lastIndex === -1 ? null : conversation.messages.slice(lastIndex + 1);
+  },
 
-      // Check if OpenAI client is available
-      if (!openaiService.getOpenAIClient) {
-        logger.error(`ERROR: openaiService.getOpenAIClient method is not defined!`);
-        logger.error(`Make sure to add this method to openai-service.js`);
-        return null;
-      }
+  /**
+   * Check whether a conversation's summary should be brought up to date
+   * @param {Object} conversation - Conversation document
+   * @returns {boolean} True once updateEveryMessages messages are not covered
+   */
+  needsUpdate(conversation) {
+    if (!config.summary || !config.summary.enabled) return false;
+    if (conversation.messages.length < (config.summary.minMessageCount || 5)) return false;
 
-      // Format messages for summarization
-      const messages = conversation.messages.map(msg => ({
-        role: msg.role,
-        content: msg.content
-      }));
-      logger.info(`Formatted ${messages.length} messages for summarization`);
-
-      // Create a system prompt for summarization
-      const summaryPrompt = this.createSummaryPrompt(conversation);
-      logger.info(`Created system prompt for summarization (${summaryPrompt.length} chars)`);
-
-      // Use OpenAI to generate the summary
-      const model = config.openai.summaryModel || config.openai.model;
-      logger.info(`Using model for summarization: ${model}`);
-
-      // Prepare the request
-      const input = [
-        { role: "system", content: summaryPrompt },
-        ...messages,
-        {
-          role: "user",
-          content: "Please create a comprehensive summary of this conversation following the guidelines in the system prompt."
-        }
-      ];
-      logger.info(`Prepared input with ${input.length} messages`);
-
-      // Call OpenAI API
-      logger.info(`Calling OpenAI API for summary generation...`);
-      const openai = openaiService.getOpenAIClient();
-
-      if (!openai) {
-        logger.error(`ERROR: openaiService.getOpenAIClient() returned null or undefined`);
-        return null;
-      }
+    const pending = this.pendingMessages(conversation) || conversation.messages;
+    return pending.length >= config.summary.updateEveryMessages;
+  },
 
-      const response = await openai.chat.completions.create({
-        model: model,
-        messages: input,
-        temperature: 0.3
-      });
+  /**
+   * Update a conversation's summary in the background, if it is due
+   * Returns straight away; the turn that triggered it never waits.
+   * @param {Object} conversation - Conversation document (after the turn)
+   * @returns {boolean} True if an update was started
+   */
+  scheduleUpdate(conversation) {
+    const conversationId = conversation._id.toString();
+    if (updatesInProgress.has(conversationId) || !this.needsUpdate(conversation)) {
+      return false;
+    }
 
-      logger.info(`Received OpenAI response with ID: ${response.id}`);
+    updatesInProgress.add(conversationId);
+    setImmediate(() => {
+      this.updateSummary(conversationId)
+        .catch(error => logger.error(`Background summary update failed for conversation ${conversationId}:`, error))
+        .finally(() => updatesInProgress.delete(conversationId));
+    });
 
-      // Extract summary text from the response
-      const summaryText = this.extractSummaryText(response);
+    return true;
+  },
 
-      if (!summaryText) {
-        logger.warn(`Failed to extract summary text from OpenAI response`);
-        logger.warn(`Response structure: ${JSON.stringify(response.output ? {
-          outputLength: response.output.length,
-          types: response.output.map(item => item.type)
-        } : 'No output field')}`);
-        return null;
-      }
+  /**
+   * Fold the messages a conversation's summary does not cover into it, and save it
+   * The save only applies if the summary has not changed meanwhile.
+   * @param {string} conversationId - Conversation ID
+   * @returns {Promise<Object|null>} New summary, or null if none was saved
+   */
+  async updateSummary(conversationId) {
+    const conversation = await Conversation.findById(conversationId);
+    if (!conversation || !this.needsUpdate(conversation)) return null;
 
-      logger.info(`Successfully extracted summary (${summaryText.length} chars)`);
+    const previous = conversation.summary && conversation.summary.text ? conversation.summary.toObject() : null;
+    const pending = this.pendingMessages(conversation);
 
-      // Validate the last message has an _id
-      const lastMessage = conversation.messages[conversation.messages.length - 1];
-      if (!lastMessage || !lastMessage._id) {
-        logger.error(`Last message is missing or has no _id property`);
-        return null;
-      }
+    // Without a usable summary, start again from the whole conversation
+    const summary = pending
+      ? await this.foldMessages(conversation, previous, pending)
+      : await this.foldMessages(conversation, null, conversation.messages);
+    if (!summary) return null;
 
-      // Create the summary object
-      const summary = {
-        text: summaryText,
-        createdAt: new Date(),
-        lastMessageId: lastMessage._id.toString(),
-        messageCount: conversation.messages.length,
-        modelUsed: model
-      };
+    if (previous) {
+      summary.version = (previous.version || 1) + 1;
+    }
 
-      logger.info(`Summary object created with lastMessageId: ${summary.lastMessageId}`);
-      logger.info(`=== SUMMARY GENERATION COMPLETED ===`);
+    const update = { $set: { summary } };
+    if (previous) {
+      update.$push = { summaryHistory: { $each: [previous], $slice: -config.summary.historyLimit } };
+    }
 
-      return summary;
-    } catch (error) {
-      logger.error(`=== SUMMARY GENERATION ERROR ===`);
-      logger.error(`Error generating summary for conversation ${conversation._id}:`, error);
-      logger.error(`Stack trace: ${error.stack}`);
+    const result = await Conversation.updateOne(
+      { _id: conversation._id, 'summary.lastMessageId': previous ? previous.lastMessageId : null },
+      update
+    );
+    if (result.modifiedCount === 0) {
+      logger.info(`Summary of conversation ${conversationId} changed during the update - discarding version ${summary.version}`);
       return null;
     }
+
+    logger.info(`Updated summary of conversation ${conversationId} to version ${summary.version}`, {
+      foldedMessages: pending ? pending.length : conversation.messages.length,
+      messageCount: summary.messageCount
+    });
+    return summary;
+  },
+
+  /**
+   * Retire a conversation's summary, keeping it in summaryHistory
+   * Used when the summary no longer matches the messages (e.g. after a
+   * merge); the next background update summarises the conversation again.
+   * @param {mongoose.Document} conversation - Conversation document (saved by the caller)
+   */
+  retireSummary(conversation) {
+    if (!conversation.summary || !conversation.summary.text) return;
+
+    conversation.summaryHistory.push(conversation.summary.toObject());
+    if (conversation.summaryHistory.length > config.summary.historyLimit) {
+      conversation.summaryHistory.splice(0, conversation.summaryHistory.length - config.summary.historyLimit);
+    }
+    conversation.summary = null;
+  },
+
+  /**
+   * Fold messages into a summary, in batches that fit the summariser's input
+   * If a later batch fails, the summary covers the batches folded so far.
+   * @param {Object} conversation - Conversation document
+   * @param {Object|null} previous - Summary to fold into, or null to start afresh
+   * @param {Array} messages - Messages to fold, oldest first
+   * @returns {Promise<Object|null>} { text, createdAt, lastMessageId, messageCount, modelUsed, version }, or null
+   */
+  async foldMessages(conversation, previous, messages) {
+    const model = config.openai.summaryModel || config.openai.model;
+    let text = previous ? previous.text : null;
+    let lastMessage = null;
+
+    for (const batch of batchMessages(messages, config.summary.maxInputTokens)) {
+      let folded;
+      try {
+        folded = await this.summariseBatch(conversation, text, batch, model);
+      } catch (error) {
+        logger.error(`Error summarising conversation ${conversation._id}:`, error);
+        folded = null;
+      }
+      if (!folded) break;
+
+      text = folded;
+      lastMessage = batch[batch.length - 1];
+    }
+
+    if (!lastMessage || !lastMessage._id) return null;
+
+    const lastIndex = conversation.messages.findIndex(msg => msg._id && msg._id.toString() === lastMessage._id.toString());
+    return {
+      text,
+      createdAt: new Date(),
+      lastMessageId: lastMessage._id.toString(),
+      messageCount: lastIndex + 1,
+      modelUsed: model,
+      version: 1
+    };
+  },
+
+  /**
+   * Summarise one batch of messages, folding it into the previous summary text
+   * @param {Object} conversation - Conversation document
+   * @param {string|null} previousText - Summary so far
+   * @param {Array} batch - Messages
+   * @param {string} model - Summary model
+   * @returns {Promise<string|null>} Summary text
+   */
+  async summariseBatch(conversation, previousText, batch, model) {
+    const transcript = formatTranscript(batch);
+    const request = previousText
+      ? `CURRENT SUMMARY:\n${previousText}\n\nNEW MESSAGES:\n${transcript}\n\nUpdate the summary with the new messages, following the guidelines in the system prompt.`
+      : `CONVERSATION:\n${transcript}\n\nPlease create a comprehensive summary of this conversation following the guidelines in the system prompt.`;
+
+    const response = await llmProvider.createResponse({
+      model,
+      input: [
+        { role: "system", content: this.createSummaryPrompt(conversation, !!previousText) },
+        { role: "user", content: request }
+      ],
+      temperature: 0.3
+    });
+
+    // Summaries count towards the conversation's and the day's usage
+    await usageService.record({
+      conversationId: conversation._id,
+      channel: null,
+      kind: 'summary',
+      calls: [usageService.describeCall(response.model || model, response.usage)].filter(Boolean)
+    });
+
+    const summaryText = this.extractSummaryText(response);
+    if (!summaryText) {
+      logger.warn(`No summary text in LLM response ${response.id} (output types: ${(response.output || []).map(item => item.type).join(', ') || 'none'})`);
+    }
+    return summaryText;
   },
 
   /**
    * Create a system prompt for the summarization
    * @param {mongoose.Document} conversation - Conversation document
+   * @param {boolean} incremental - Whether new messages are folded into an existing summary
    * @returns {string} System prompt
    */
-  createSummaryPrompt(conversation) {
+  createSummaryPrompt(conversation, incremental = false) {
     // Get user info for context
     const userInfo = conversation.userInfo;
     let userContext = '';
@@ -156,20 +298,25 @@ const summaryService = {
     Be specific rather than generic. Instead of "user asked questions" say "user asked about pricing for product X and delivery to London".
 
     Keep under 500 words but prioritize actionable details over generic statements.
-    `;
+    ${incremental ? `
+    You are given the current summary and the messages since it was written. Return the complete updated summary: keep what still matters, add what the new messages change or add, and update the current status. Drop details that the new messages make obsolete.
+    ` : ''}`;
   },
 
   /**
-   * Extract the summary text from an OpenAI response
-   * @param {Object} response - OpenAI API response
+   * Extract the summary text from a Responses API response
+   * @param {Object} response - LLM provider response
    * @returns {string|null} Extracted summary text
    */
   extractSummaryText(response) {
     try {
-      if (response.choices && response.choices.length > 0 && response.choices[0].message) {
-        return response.choices[0].message.content;
-      }
-      return null;
+      const text = (response.output || [])
+        .filter(item => item.type === 'message' && Array.isArray(item.content))
+        .flatMap(item => item.content)
+        .filter(part => part.type === 'output_text')
+        .map(part => part.text)
+        .join('');
+      return text || null;
     } catch (error) {
       logger.error('Error extracting summary text:', error);
       return null;
@@ -0,0 +1,120 @@
+// services/telegram-service.js
+const axios = require('axios');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { toPlainText, splitMessage } = require('../utils/message-formatter');
+
+// Sender registry
+const senderRegistry = new Map();
+
+/**
+ * Telegram Service
+ * Sends bot replies through a pluggable sender.
+ *
+ * A sender is an object with a `send(chatId, text, options)` method that
+ * delivers one message (options: { replyMarkup }) and resolves to
+ * { messageId }. Replies are converted to plain text and split at the Bot API
+ * length limit before reaching the sender.
+ */
+const telegramService = {
+  /**
+   * Register a sender
+   * @param {string} name - Sender name
+   * @param {Object} sender - Sender implementing send(chatId, text, options)
+   */
+  registerSender(name, sender) {
+    logger.info(`Registering Telegram sender: ${name}`);
+    senderRegistry.set(name, sender);
+  },
+
+  /**
+   * Get the configured sender
+   * @returns {Object} Sender object
+   */
+  getSender() {
+    const name = config.telegram.sender;
+    const sender = senderRegistry.get(name);
+
+    if (!sender) {
+      throw new Error(`No Telegram sender registered for: ${name}`);
+    }
+
+    return sender;
+  },
+
+  /**
+   * Send a reply to a Telegram chat
+   * Parts are sent in order; a failed part stops the remaining ones.
+   * @param {string|number} chatId - Telegram chat ID
+   * @param {string} message - Message to send (Markdown allowed)
+   * @param {Object} options - { replyMarkup } - attached to the last part (e.g. a keyboard)
+   * @returns {Promise<Object>} { success, messages: [{ messageId, part }], error }
+   */
+  async sendReply(chatId, message, options = {}) {
+    const sentMessages = [];
+
+    try {
+      const parts = splitMessage(toPlainText(message), config.telegram.maxMessageLength);
+
+      for (let i = 0; i < parts.length; i++) {
+        const isLast = i === parts.length - 1;
+        const result = await this.getSender().send(chatId, parts[i], isLast ? options : {});
+        sentMessages.push({ messageId: result.messageId, part: i + 1 });
+      }
+
+      logger.info(`Sent Telegram reply to chat ${chatId}`, { parts: parts.length });
+      return { success: true, messages: sentMessages, error: null };
+    } catch (error) {
+      logger.error(`[Telegram] Error sending reply to chat ${chatId}:`, error.message);
+      return { success: false, messages: sentMessages, error: error.message };
+    }
+  },
+
+  /**
+   * Keyboard with a single button asking the user to share their phone number
+   * @returns {Object} Bot API reply_markup
+   */
+  contactRequestKeyboard() {
+    return {
+      keyboard: [[{ text: 'Share my phone number', request_contact: true }]],
+      one_time_keyboard: true,
+      resize_keyboard: true
+    };
+  }
+};
+
+// Register the Bot API sender
+telegramService.registerSender('botapi', {
+  async send(chatId, text, options = {}) {
+    const { botToken, apiBaseUrl, requestTimeoutMs } = config.telegram;
+
+    if (!botToken) {
+      throw new Error('TELEGRAM_BOT_TOKEN is not configured');
+    }
+
+    const body = { chat_id: chatId, text };
+    if (options.replyMarkup) {
+      body.reply_markup = options.replyMarkup;
+    }
+
+    const response = await axios.post(`${apiBaseUrl}/bot${botToken}/sendMessage`, body, {
+      timeout: requestTimeoutMs
+    });
+
+    if (!response.data || !response.data.ok) {
+      throw new Error(`Bot API error: ${response.data ? response.data.description : 'empty response'}`);
+    }
+
+    return { messageId: response.data.result.message_id };
+  }
+});
+
+// Register the logging sender (local development without a bot)
+telegramService.registerSender('log', {
+  async send(chatId, text) {
+    logger.info(`[Telegram] (log sender) Reply to chat ${chatId}: ${text}`);
+    return { messageId: null };
+  }
+});
+
+module.exports = telegramService;
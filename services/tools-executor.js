@@ -579,7 +579,13 @@ toolsExecutor.registerTool('queryKnowledgeBase', async (args, context) => {
       itemCount: knowledgeItems.length,
       hasResults: knowledgeItems.length > 0,
       context: formattedContext,
-      knowledgeFound: formattedContext.length > 30 // Basic check that we found something
+      knowledgeFound: formattedContext.length > 30, // Basic check that we found something
+      // Items behind the context, reported to API callers as the answer's sources
+      sources: knowledgeItems.map(item => ({
+        id: item._id.toString(),
+        title: item.title,
+        contentType: item.contentType
+      }))
     };
   } catch (error) {
     logger.error('Error executing queryKnowledgeBase tool:', error);
@@ -630,12 +636,12 @@ toolsExecutor.registerTool('searchPreviousConversations', async (args, context)
       };
     }
 
-    // Search for WhatsApp conversations with matching phone endings
+    // Search for WhatsApp and SMS conversations with matching phone endings
     const matchingConversations = await Conversation.find({
       _id: { $ne: currentConversationId }, // Exclude current conversation
       'identifiers': {
         $elemMatch: {
-          'type': 'whatsapp_phone',
+          'type': { $in: ['whatsapp_phone', 'sms_phone'] },
           'value': { $regex: `${matchDigits}$` } // Ends with these digits
         }
       }
@@ -661,7 +667,7 @@ toolsExecutor.registerTool('searchPreviousConversations', async (args, context)
         found: false,
         phoneAdded: true,
         message: 'No previous conversations found but phone number saved',
-        user_message: "I couldn't find any previous conversations with that phone number. This might be your first time contacting us. I've noted your number so if you contact us through WhatsApp in the future, I'll be able to connect your conversations."
+        user_message: "I couldn't find any previous conversations with that phone number. This might be your first time contacting us. I've noted your number so if you contact us through WhatsApp or SMS in the future, I'll be able to connect your conversations."
       };
     }
 
@@ -681,7 +687,7 @@ toolsExecutor.registerTool('searchPreviousConversations', async (args, context)
       conversationCount: matchingConversations.length,
       messageCount: mergeResult.mergedMessages,
       lastActivity: activityDate,
-      user_message: `Perfect! I found your previous WhatsApp conversation from ${activityDate}. I can now see your full conversation history with ${mergeResult.mergedMessages} previous messages. How can I help you today?`
+      user_message: `Perfect! I found your previous conversation from ${activityDate}. I can now see your full conversation history with ${mergeResult.mergedMessages} previous messages. How can I help you today?`
     };
 
   } catch (error) {
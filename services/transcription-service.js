@@ -0,0 +1,142 @@
+// services/transcription-service.js
+const { OpenAI, toFile } = require('openai');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+// Backend registry
+const backendRegistry = new Map();
+
+// Created on first use, so the stub backend runs without an API key
+let openaiClient = null;
+
+// File extensions for common voice-note content types
+const AUDIO_EXTENSIONS = {
+  'audio/ogg': 'ogg',
+  'audio/mpeg': 'mp3',
+  'audio/mp4': 'm4a',
+  'audio/aac': 'aac',
+  'audio/amr': 'amr',
+  'audio/wav': 'wav',
+  'audio/webm': 'webm'
+};
+
+/**
+ * Transcription Service
+ * Converts voice notes to text through a pluggable backend.
+ *
+ * A backend is an object with a `transcribe(audio)` method, where `audio` is
+ * { buffer, contentType } and the result is
+ * { text, confidence, language, durationSeconds } (confidence 0-1 or null).
+ */
+const transcriptionService = {
+  /**
+   * Register a transcription backend
+   * @param {string} name - Backend name
+   * @param {Object} backend - Backend implementing transcribe(audio)
+   */
+  registerBackend(name, backend) {
+    logger.info(`Registering transcription backend: ${name}`);
+    backendRegistry.set(name, backend);
+  },
+
+  /**
+   * List registered backends
+   * @returns {Array} List of registered backend names
+   */
+  listRegisteredBackends() {
+    return Array.from(backendRegistry.keys());
+  },
+
+  /**
+   * Get the configured backend
+   * @returns {Object} Backend object
+   */
+  getBackend() {
+    const name = config.transcription.provider;
+    const backend = backendRegistry.get(name);
+
+    if (!backend) {
+      throw new Error(`No transcription backend registered for provider: ${name}`);
+    }
+
+    return backend;
+  },
+
+  /**
+   * Transcribe an audio clip with the configured backend
+   * @param {Object} audio - Audio to transcribe ({ buffer, contentType })
+   * @returns {Promise<Object>} { text, confidence, language, durationSeconds, provider }
+   */
+  async transcribe(audio) {
+    const provider = config.transcription.provider;
+    const startedAt = Date.now();
+
+    logger.info(`Transcribing audio with ${provider}`, {
+      contentType: audio.contentType,
+      sizeBytes: audio.buffer ? audio.buffer.length : 0
+    });
+
+    const result = await this.getBackend().transcribe(audio);
+
+    logger.info(`Transcription completed with ${provider}`, {
+      textLength: result.text ? result.text.length : 0,
+      confidence: result.confidence,
+      durationMs: Date.now() - startedAt
+    });
+
+    return {
+      text: (result.text || '').trim(),
+      confidence: typeof result.confidence === 'number' ? result.confidence : null,
+      language: result.language || null,
+      durationSeconds: typeof result.durationSeconds === 'number' ? result.durationSeconds : null,
+      provider
+    };
+  }
+};
+
+// Register the OpenAI transcription backend
+transcriptionService.registerBackend('openai', {
+  async transcribe(audio) {
+    const extension = AUDIO_EXTENSIONS[audio.contentType] || 'ogg';
+    const file = await toFile(audio.buffer, `voice-note.${extension}`, { type: audio.contentType });
+
+    if (!openaiClient) {
+      openaiClient = new OpenAI({ apiKey: config.openai.apiKey });
+    }
+
+    const response = await openaiClient.audio.transcriptions.create({
+      file,
+      model: config.transcription.model,
+      response_format: 'verbose_json'
+    });
+
+    // Whisper reports an average log-probability per segment; average them into a 0-1 confidence
+    let confidence = null;
+    if (Array.isArray(response.segments) && response.segments.length > 0) {
+      const avgLogprob = response.segments.reduce((sum, segment) => sum + (segment.avg_logprob || 0), 0) /
+        response.segments.length;
+      confidence = Math.min(1, Math.max(0, Math.exp(avgLogprob)));
+    }
+
+    return {
+      text: response.text,
+      confidence,
+      language: response.language,
+      durationSeconds: response.duration
+    };
+  }
+});
+
+// Register the local stub backend (offline development and tests)
+transcriptionService.registerBackend('stub', {
+  async transcribe() {
+    return {
+      text: config.transcription.stubText,
+      confidence: 1,
+      language: 'en',
+      durationSeconds: null
+    };
+  }
+});
+
+module.exports = transcriptionService;
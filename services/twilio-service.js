@@ -0,0 +1,461 @@
+// services/twilio-service.js
+const twilio = require('twilio');
+const Conversation = require('../models/conversation');
+const consentService = require('./consent-service');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { delay } = require('../utils/delay');
+const { maskPhoneNumber } = require('../utils/phone');
+const { formatForWhatsApp, formatForSms } = require('../utils/message-formatter');
+
+// Twilio statuses after which a message has left Twilio's queue
+const DISPATCHED_STATUSES = ['sent', 'delivered', 'read'];
+const FAILED_STATUSES = ['failed', 'undelivered', 'canceled'];
+
+// Lazily created Twilio client
+let twilioClient = null;
+
+/**
+ * Ensure a phone number has the WhatsApp address prefix
+ * @param {string} phoneNumber - Phone number, with or without 'whatsapp:'
+ * @returns {string} WhatsApp address
+ */
+function toWhatsAppAddress(phoneNumber) {
+  return phoneNumber.startsWith('whatsapp:') ? phoneNumber : `whatsapp:${phoneNumber}`;
+}
+
+/**
+ * Twilio Service
+ * Handles outbound WhatsApp and SMS messages via Twilio
+ *
+ * Nothing is sent to numbers that have opted out (STOP), except the
+ * confirmation of the opt-out itself (options.consentNotice).
+ *
+ * WhatsApp only accepts free-form messages within 24 hours of the user's last
+ * inbound message. Outside that session window a reply is either replaced by
+ * an approved content template (config.whatsapp.templates) or refused.
+ */
+const twilioService = {
+  /**
+   * Get the Twilio client
+   * @returns {Object|null} Twilio client or null if credentials are missing
+   */
+  getClient() {
+    const { accountSid, authToken } = config.twilio;
+
+    if (!accountSid || !authToken) {
+      return null;
+    }
+
+    if (!twilioClient) {
+      twilioClient = twilio(accountSid, authToken);
+    }
+
+    return twilioClient;
+  },
+
+  /**
+   * Send a WhatsApp reply via Twilio
+   * The reply is converted from Markdown to WhatsApp formatting and split into
+   * parts within the WhatsApp length limit. Parts are sent in order; when
+   * delivery confirmation is enabled each part must leave Twilio's queue
+   * before the next is sent, so they arrive in sequence.
+   * If the session window has closed, the configured fallback template is sent
+   * instead, or the reply is refused when no template is available.
+   * @param {string} phoneNumber - Recipient's phone number
+   * @param {string} message - Message to send (Markdown allowed)
+   * @param {Object} options - { conversationId, consentNotice, sentParts } - conversation used for the session window (looked up by phone if omitted); consentNotice sends even to opted-out numbers; sentParts lists part numbers already sent, which are skipped
+   * @returns {Promise<Object>} { success, messages: [{ sid, status, part, body }], error, windowClosed, template, suppressed }
+   */
+  async sendWhatsAppReply(phoneNumber, message, options = {}) {
+    const sentMessages = [];
+
+    try {
+      const client = this.getClient();
+      const twilioWhatsappNumber = config.twilio.whatsappNumber;
+
+      if (!client || !twilioWhatsappNumber) {
+        logger.error('[Twilio] Missing required Twilio credentials');
+        return { success: false, messages: sentMessages, error: 'Missing Twilio credentials' };
+      }
+
+      const to = toWhatsAppAddress(phoneNumber);
+
+      if (!options.consentNotice && await this.isSuppressed(phoneNumber)) {
+        return { success: false, messages: sentMessages, error: 'Recipient has opted out', suppressed: true };
+      }
+
+      const sessionWindow = await this.getSessionWindow(phoneNumber, options.conversationId);
+      if (!sessionWindow.open) {
+        return this.sendOutsideSessionWindow(to, sessionWindow);
+      }
+
+      const parts = formatForWhatsApp(message, {
+        maxLength: config.whatsapp.maxMessageLength,
+        numberParts: config.whatsapp.numberParts
+      });
+
+      logger.info(`Sending WhatsApp message to ${to} using ${twilioWhatsappNumber}`, {
+        parts: parts.length,
+        length: message.length
+      });
+
+      const failure = await this.sendParts(to, parts, sentMessages, options.sentParts, config.whatsapp);
+      if (failure) {
+        return { success: false, messages: sentMessages, error: failure, windowClosed: false, template: null };
+      }
+
+      logger.info(`Successfully sent WhatsApp reply to ${to}`, {
+        parts: parts.length,
+        sids: sentMessages.map(sent => sent.sid)
+      });
+
+      return { success: true, messages: sentMessages, error: null, windowClosed: false, template: null };
+    } catch (error) {
+      logger.error('[Twilio] Error sending WhatsApp reply:', error);
+      logger.error('[Twilio] Error details:', error.message);
+      if (error.code) {
+        logger.error('[Twilio] Error code:', error.code);
+      }
+      return { success: false, messages: sentMessages, error: error.message };
+    }
+  },
+
+  /**
+   * Send an SMS reply via Twilio
+   * The reply is stripped of Markdown and split into messages of at most
+   * config.sms.maxSegments segments, sent in order like WhatsApp parts.
+   * @param {string} phoneNumber - Recipient's phone number
+   * @param {string} message - Message to send (Markdown allowed)
+   * @param {Object} options - { consentNotice, sentParts } - send even to an opted-out number; part numbers already sent, which are skipped
+   * @returns {Promise<Object>} { success, messages: [{ sid, status, part, body }], error, suppressed }
+   */
+  async sendSmsReply(phoneNumber, message, options = {}) {
+    const sentMessages = [];
+
+    try {
+      if (!this.getClient() || !config.twilio.smsNumber) {
+        logger.error('[Twilio] Missing required Twilio credentials or SMS number');
+        return { success: false, messages: sentMessages, error: 'Missing Twilio credentials' };
+      }
+
+      const to = phoneNumber.replace('whatsapp:', '');
+
+      if (!options.consentNotice && await this.isSuppressed(to)) {
+        return { success: false, messages: sentMessages, error: 'Recipient has opted out', suppressed: true };
+      }
+
+      const parts = formatForSms(message, {
+        maxSegments: config.sms.maxSegments,
+        numberParts: config.sms.numberParts
+      });
+
+      logger.info(`Sending SMS to ${to} using ${config.twilio.smsNumber}`, {
+        parts: parts.length,
+        length: message.length
+      });
+
+      const failure = await this.sendParts(to, parts, sentMessages, options.sentParts, config.sms);
+      if (failure) {
+        return { success: false, messages: sentMessages, error: failure };
+      }
+
+      logger.info(`Successfully sent SMS reply to ${to}`, {
+        parts: parts.length,
+        sids: sentMessages.map(sent => sent.sid)
+      });
+
+      return { success: true, messages: sentMessages, error: null };
+    } catch (error) {
+      logger.error('[Twilio] Error sending SMS reply:', error);
+      if (error.code) {
+        logger.error('[Twilio] Error code:', error.code);
+      }
+      return { success: false, messages: sentMessages, error: error.message };
+    }
+  },
+
+  /**
+   * Check whether sends to a number are suppressed by an opt-out
+   * @param {string} phoneNumber - Recipient's phone number
+   * @returns {Promise<boolean>} True if nothing may be sent
+   */
+  async isSuppressed(phoneNumber) {
+    const optedOut = await consentService.isOptedOut(phoneNumber);
+    if (optedOut) {
+      logger.info(`[Twilio] Not sending to ${maskPhoneNumber(phoneNumber)} - recipient has opted out`);
+    }
+    return optedOut;
+  },
+
+  /**
+   * Send the parts of a reply in order
+   * When delivery confirmation is enabled each part must leave Twilio's queue
+   * before the next is sent, so they arrive in sequence.
+   * @param {string} to - Recipient address
+   * @param {Array<string>} parts - Formatted message parts
+   * @param {Array} sentMessages - Receives { sid, status, part, body } for each part sent
+   * @param {Array<number>} skipParts - Part numbers (1-based) already sent by an earlier attempt
+   * @param {Object} settings - Channel settings ({ confirmDelivery, confirmTimeoutMs, confirmPollMs }) - config.whatsapp or config.sms
+   * @returns {Promise<string|null>} Failure description, or null if every part was sent
+   */
+  async sendParts(to, parts, sentMessages, skipParts = [], settings = config.whatsapp) {
+    for (let i = 0; i < parts.length; i++) {
+      if (skipParts.includes(i + 1)) {
+        logger.info(`[Twilio] Part ${i + 1}/${parts.length} to ${to} was already sent - skipping`);
+        continue;
+      }
+
+      const created = await this.createMessage(to, parts[i]);
+
+      const sentMessage = { sid: created.sid, status: created.status, part: i + 1, body: parts[i] };
+      sentMessages.push(sentMessage);
+
+      // Confirm the part was dispatched before sending the next one
+      if (settings.confirmDelivery && i < parts.length - 1) {
+        sentMessage.status = await this.waitForDispatch(created.sid, created.status, settings);
+
+        if (FAILED_STATUSES.includes(sentMessage.status)) {
+          logger.error(`[Twilio] Part ${i + 1}/${parts.length} to ${to} failed (${sentMessage.status}) - remaining parts not sent`);
+          return `Part ${i + 1} ${sentMessage.status}`;
+        }
+      }
+    }
+
+    return null;
+  },
+
+  /**
+   * List the parts of a reply that a send got out
+   * @param {Object} delivery - Result of sendWhatsAppReply or sendSmsReply
+   * @returns {Array<number>} Part numbers (1-based), for options.sentParts on a retry
+   */
+  getSentParts(delivery) {
+    return (delivery.messages || [])
+      .filter(sent => sent.part && !FAILED_STATUSES.includes(sent.status))
+      .map(sent => sent.part);
+  },
+
+  /**
+   * Send the fallback template in place of a reply once the session window has closed
+   * @param {string} to - Recipient ("whatsapp:+..." form)
+   * @param {Object} sessionWindow - Window state from getSessionWindow
+   * @returns {Promise<Object>} Result in the same shape as sendWhatsAppReply
+   */
+  async sendOutsideSessionWindow(to, sessionWindow) {
+    const templateName = config.whatsapp.sessionWindow.fallbackTemplate;
+    const template = config.whatsapp.templates[templateName];
+    const lastInbound = sessionWindow.lastInboundAt ? sessionWindow.lastInboundAt.toISOString() : 'never';
+
+    if (!template || !template.contentSid) {
+      logger.warn(`[Twilio] Session window closed for ${to} (last inbound ${lastInbound}) and no fallback template configured - reply not sent`);
+      return {
+        success: false,
+        messages: [],
+        error: 'WhatsApp session window closed',
+        windowClosed: true,
+        template: null
+      };
+    }
+
+    logger.info(`[Twilio] Session window closed for ${to} (last inbound ${lastInbound}) - sending template ${templateName}`);
+
+    const result = await this.sendWhatsAppTemplate(to, templateName, {
+      firstName: sessionWindow.firstName
+    });
+
+    return { ...result, windowClosed: true };
+  },
+
+  /**
+   * Send an approved content template
+   * Templates may be sent at any time, so this is the way to start a
+   * conversation proactively.
+   * @param {string} phoneNumber - Recipient's phone number
+   * @param {string} templateName - Name of a template in config.whatsapp.templates
+   * @param {Object} variables - Named values for the template's variables
+   * @returns {Promise<Object>} { success, messages: [{ sid, status, part, body, contentSid, contentVariables }], error, template }
+   */
+  async sendWhatsAppTemplate(phoneNumber, templateName, variables = {}) {
+    const to = toWhatsAppAddress(phoneNumber);
+
+    try {
+      if (!this.getClient() || !config.twilio.whatsappNumber) {
+        logger.error('[Twilio] Missing required Twilio credentials');
+        return { success: false, messages: [], error: 'Missing Twilio credentials', template: templateName };
+      }
+
+      if (await this.isSuppressed(to)) {
+        return { success: false, messages: [], error: 'Recipient has opted out', template: templateName, suppressed: true };
+      }
+
+      const content = this.resolveTemplate(templateName, variables);
+      const created = await this.createMessage(to, content);
+
+      logger.info(`Sent WhatsApp template ${templateName} to ${to}`, { sid: created.sid });
+
+      return {
+        success: true,
+        messages: [{
+          sid: created.sid,
+          status: created.status,
+          part: 1,
+          body: null,
+          contentSid: content.contentSid,
+          contentVariables: content.contentVariables
+        }],
+        error: null,
+        template: templateName
+      };
+    } catch (error) {
+      logger.error(`[Twilio] Error sending WhatsApp template ${templateName}:`, error);
+      return { success: false, messages: [], error: error.message, template: templateName };
+    }
+  },
+
+  /**
+   * Resolve a named template and its variables into Twilio content parameters
+   * @param {string} templateName - Name of a template in config.whatsapp.templates
+   * @param {Object} variables - Named values; missing ones use the template defaults
+   * @returns {Object} { contentSid, contentVariables } - variables keyed '1', '2'...
+   */
+  resolveTemplate(templateName, variables = {}) {
+    const template = config.whatsapp.templates[templateName];
+
+    if (!template) {
+      throw new Error(`Unknown WhatsApp template: ${templateName}`);
+    }
+    if (!template.contentSid) {
+      throw new Error(`WhatsApp template ${templateName} has no contentSid configured`);
+    }
+
+    const contentVariables = {};
+    (template.variables || []).forEach((name, index) => {
+      const value = variables[name] ?? (template.defaults || {})[name];
+      contentVariables[String(index + 1)] = value === undefined || value === null ? '' : String(value);
+    });
+
+    return { contentSid: template.contentSid, contentVariables };
+  },
+
+  /**
+   * Record an inbound message, (re)opening the session window
+   * Only moves the timestamp forward, so late-processed messages cannot shorten the window.
+   * @param {string} conversationId - Conversation ID
+   * @param {string} channel - Inbound channel
+   * @param {Date} at - When the message was received
+   * @returns {Promise<void>}
+   */
+  async recordInbound(conversationId, channel = 'whatsapp', at = new Date()) {
+    await Conversation.updateOne(
+      { _id: conversationId },
+      { $max: { [`lastInboundAt.${channel}`]: new Date(at) } }
+    );
+  },
+
+  /**
+   * Get the WhatsApp session window for a recipient
+   * Conversations recorded before inbound tracking fall back to the last
+   * WhatsApp user message.
+   * @param {string} phoneNumber - Recipient's phone number
+   * @param {string} conversationId - Conversation ID (optional - looked up by phone otherwise)
+   * @returns {Promise<Object>} { open, lastInboundAt, closesAt, firstName }
+   */
+  async getSessionWindow(phoneNumber, conversationId = null) {
+    const { enforce, hours } = config.whatsapp.sessionWindow;
+
+    if (!enforce) {
+      return { open: true, lastInboundAt: null, closesAt: null, firstName: null };
+    }
+
+    const conversation = conversationId
+      ? await Conversation.findById(conversationId)
+      : await Conversation.findByIdentifier('whatsapp_phone', phoneNumber.replace('whatsapp:', ''));
+
+    let lastInboundAt = conversation && conversation.lastInboundAt ? conversation.lastInboundAt.get('whatsapp') : null;
+
+    if (!lastInboundAt && conversation) {
+      const lastInbound = [...conversation.messages].reverse()
+        .find(msg => msg.role === 'user' && msg.channel === 'whatsapp');
+      lastInboundAt = lastInbound ? lastInbound.timestamp : null;
+    }
+
+    const closesAt = lastInboundAt ? new Date(new Date(lastInboundAt).getTime() + hours * 60 * 60 * 1000) : null;
+
+    return {
+      open: !!closesAt && closesAt > new Date(),
+      lastInboundAt: lastInboundAt ? new Date(lastInboundAt) : null,
+      closesAt,
+      firstName: conversation && conversation.userInfo ? conversation.userInfo.firstName : null
+    };
+  },
+
+  /**
+   * Create a single WhatsApp or SMS message
+   * The sender is the WhatsApp number for "whatsapp:" recipients and the SMS
+   * number otherwise. Requests delivery status callbacks when a public base
+   * URL is configured.
+   * @param {string} to - Recipient ("whatsapp:+..." for WhatsApp, "+..." for SMS)
+   * @param {string|Object} content - Message text already formatted for the channel, or { contentSid, contentVariables } for a template
+   * @returns {Promise<Object>} Created Twilio message
+   */
+  async createMessage(to, content) {
+    const params = {
+      from: to.startsWith('whatsapp:') ? config.twilio.whatsappNumber : config.twilio.smsNumber,
+      to
+    };
+
+    if (typeof content === 'string') {
+      params.body = content;
+    } else {
+      params.contentSid = content.contentSid;
+      params.contentVariables = JSON.stringify(content.contentVariables || {});
+    }
+
+    const statusCallback = this.getStatusCallbackUrl();
+    if (statusCallback) {
+      params.statusCallback = statusCallback;
+    }
+
+    return this.getClient().messages.create(params);
+  },
+
+  /**
+   * Get the URL Twilio should post delivery status changes to
+   * @returns {string|null} Callback URL, or null when callbacks are disabled or no base URL is set
+   */
+  getStatusCallbackUrl() {
+    if (!config.twilio.statusCallbacks || !config.twilio.baseUrl) {
+      return null;
+    }
+
+    return `${config.twilio.baseUrl.replace(/\/+$/, '')}/twilio/status`;
+  },
+
+  /**
+   * Poll a message until Twilio has dispatched it, it failed, or the timeout passes
+   * @param {string} sid - Twilio message SID
+   * @param {string} initialStatus - Status returned when the message was created
+   * @param {Object} settings - Channel settings ({ confirmTimeoutMs, confirmPollMs }) - config.whatsapp or config.sms
+   * @returns {Promise<string>} Last known status
+   */
+  async waitForDispatch(sid, initialStatus, settings = config.whatsapp) {
+    const deadline = Date.now() + settings.confirmTimeoutMs;
+    let status = initialStatus;
+
+    while (!DISPATCHED_STATUSES.includes(status) && !FAILED_STATUSES.includes(status)) {
+      if (Date.now() >= deadline) {
+        logger.warn(`[Twilio] Message ${sid} still ${status} after ${settings.confirmTimeoutMs}ms - continuing`);
+        break;
+      }
+
+      await delay(settings.confirmPollMs);
+      const fetched = await this.getClient().messages(sid).fetch();
+      status = fetched.status;
+    }
+
+    return status;
+  }
+};
+
+module.exports = twilioService;
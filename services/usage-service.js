@@ -0,0 +1,299 @@
+// services/usage-service.js
+const UsageTotal = require('../models/usage-total');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+// Counters kept in every usage total
+const COUNTER_FIELDS = ['calls', 'turns', 'summaries', 'inputTokens', 'outputTokens', 'totalTokens', 'costUsd'];
+
+// Models already reported as missing from the price table
+const unpricedModels = new Set();
+
+/**
+ * Current UTC day
+ * @param {Date} date - Date (defaults to now)
+ * @returns {string} YYYY-MM-DD
+ */
+function dayOf(date = new Date()) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Round a cost to a millionth of a dollar, so sums of tiny floats stay readable
+ * @param {number} usd - Cost
+ * @returns {number} Rounded cost
+ */
+function roundUsd(usd) {
+  return Math.round(usd * 1e6) / 1e6;
+}
+
+/**
+ * Pick the counters out of a usage total
+ * @param {Object|null} total - UsageTotal document
+ * @returns {Object} { calls, turns, summaries, inputTokens, outputTokens, totalTokens, costUsd }
+ */
+function countersOf(total) {
+  const counters = {};
+  COUNTER_FIELDS.forEach(field => {
+    counters[field] = total && total[field] ? total[field] : 0;
+  });
+  counters.costUsd = roundUsd(counters.costUsd);
+  return counters;
+}
+
+/**
+ * Usage Service
+ * Counts the tokens every model call uses and what they cost, using the
+ * price table in config.usage.prices:
+ * - each assistant message carries the usage of its turn (the first
+ *   response plus every tool follow-up) in metadata.usage
+ * - running totals are kept per conversation, per channel per day and per
+ *   day; summaries count towards the conversation and the day
+ * - optional budget ceilings switch turns to a cheaper model, then answer
+ *   with a polite refusal instead of calling the model
+ *
+ * Costs are estimates: list prices for the model that answered, with cached
+ * input tokens charged at the cached rate.
+ */
+const usageService = {
+  /**
+   * Find the price of a model
+   * @param {string} model - Model name, as reported by the provider
+   * @returns {Object|null} { input, cachedInput, output } in USD per million tokens, or null if unknown
+   */
+  priceFor(model) {
+    if (!model) return null;
+
+    const prices = config.usage.prices;
+    if (prices[model]) return prices[model];
+
+    const prefix = Object.keys(prices)
+      .filter(name => model.startsWith(name))
+      .sort((a, b) => b.length - a.length)[0];
+    return prefix ? prices[prefix] : null;
+  },
+
+  /**
+   * Describe the usage of one model call
+   * @param {string} model - Model that answered
+   * @param {Object} usage - Responses API usage ({ input_tokens, output_tokens, total_tokens, input_tokens_details })
+   * @returns {Object|null} { model, inputTokens, cachedInputTokens, outputTokens, totalTokens, costUsd }, or null without usage
+   */
+  describeCall(model, usage) {
+    if (!usage) return null;
+
+    const inputTokens = usage.input_tokens || 0;
+    const outputTokens = usage.output_tokens || 0;
+    const cachedInputTokens = (usage.input_tokens_details && usage.input_tokens_details.cached_tokens) || 0;
+
+    const price = this.priceFor(model);
+    if (!price && model && !unpricedModels.has(model)) {
+      unpricedModels.add(model);
+      logger.warn(`No price for model ${model} - its usage is counted at no cost (add it to USAGE_PRICES)`);
+    }
+
+    const costUsd = price
+      ? ((inputTokens - cachedInputTokens) * price.input +
+        cachedInputTokens * (price.cachedInput !== undefined ? price.cachedInput : price.input) +
+        outputTokens * price.output) / 1e6
+      : 0;
+
+    return {
+      model: model || null,
+      inputTokens,
+      cachedInputTokens,
+      outputTokens,
+      totalTokens: usage.total_tokens || inputTokens + outputTokens,
+      costUsd: roundUsd(costUsd)
+    };
+  },
+
+  /**
+   * List the model calls of a turn: the first response and every tool follow-up
+   * @param {Object} firstResponse - First model response of the turn
+   * @param {Object} toolTrace - Trace from openaiService.processFunctionCalls (if tools were called)
+   * @returns {Array} Calls, from describeCall
+   */
+  turnCalls(firstResponse, toolTrace) {
+    const calls = [this.describeCall(firstResponse.model, firstResponse.usage)];
+
+    if (toolTrace) {
+      toolTrace.steps.forEach(step => calls.push(this.describeCall(step.followUpModel, step.followUpUsage)));
+    }
+
+    return calls.filter(Boolean);
+  },
+
+  /**
+   * Add up calls
+   * @param {Array} calls - Calls, from describeCall
+   * @returns {Object} { calls, inputTokens, outputTokens, totalTokens, costUsd }
+   */
+  sum(calls) {
+    return calls.reduce((total, call) => ({
+      calls: total.calls + 1,
+      inputTokens: total.inputTokens + call.inputTokens,
+      outputTokens: total.outputTokens + call.outputTokens,
+      totalTokens: total.totalTokens + call.totalTokens,
+      costUsd: roundUsd(total.costUsd + call.costUsd)
+    }), { calls: 0, inputTokens: 0, outputTokens: 0, totalTokens: 0, costUsd: 0 });
+  },
+
+  /**
+   * Add usage to the running totals of its conversation, channel and day
+   * Errors are logged, never thrown - accounting must not break a turn.
+   * @param {Object} entry - { conversationId, channel, kind: 'turn'|'summary', calls }
+   * @returns {Promise<void>}
+   */
+  async record(entry) {
+    const { conversationId, channel, kind, calls } = entry;
+    if (!calls || calls.length === 0) return;
+
+    const total = this.sum(calls);
+    const day = dayOf();
+    const increments = {
+      calls: total.calls,
+      turns: kind === 'turn' ? 1 : 0,
+      summaries: kind === 'summary' ? 1 : 0,
+      inputTokens: total.inputTokens,
+      outputTokens: total.outputTokens,
+      totalTokens: total.totalTokens,
+      costUsd: total.costUsd
+    };
+
+    const scopes = [
+      { scope: 'conversation', key: conversationId.toString(), day: null },
+      { scope: 'day', key: 'all', day },
+      // Summaries are not answered on a channel
+      ...(channel ? [{ scope: 'channel', key: channel, day }] : [])
+    ];
+
+    try {
+      await Promise.all(scopes.map(filter => UsageTotal.updateOne(
+        filter,
+        { $inc: increments, $set: { updatedAt: new Date() } },
+        { upsert: true }
+      )));
+    } catch (error) {
+      logger.error(`Could not record ${kind} usage for conversation ${conversationId}:`, error);
+    }
+  },
+
+  /**
+   * Check the budget ceilings before a turn
+   * Usage already spent is compared with the ceilings, so the turn that
+   * crosses a ceiling still completes.
+   * @param {string} conversationId - Conversation ID
+   * @returns {Promise<Object>} { action: 'none'|'degrade'|'refuse', reason, model, message }
+   */
+  async checkBudget(conversationId) {
+    const budgets = config.usage.budgets;
+    const none = { action: 'none', reason: null, model: null, message: null };
+
+    const hasDailyCeiling = budgets.dailyDegradeUsd > 0 || budgets.dailyLimitUsd > 0;
+    const hasConversationCeiling = budgets.conversationDegradeUsd > 0 || budgets.conversationLimitUsd > 0;
+    if (!hasDailyCeiling && !hasConversationCeiling) return none;
+
+    try {
+      const [dayTotal, conversationTotal] = await Promise.all([
+        hasDailyCeiling ? UsageTotal.findOne({ scope: 'day', key: 'all', day: dayOf() }) : null,
+        hasConversationCeiling ? UsageTotal.findOne({ scope: 'conversation', key: conversationId.toString(), day: null }) : null
+      ]);
+      const daySpent = countersOf(dayTotal).costUsd;
+      const conversationSpent = countersOf(conversationTotal).costUsd;
+      const over = (spent, ceiling) => ceiling > 0 && spent >= ceiling;
+
+      if (over(daySpent, budgets.dailyLimitUsd) || over(conversationSpent, budgets.conversationLimitUsd)) {
+        const reason = over(daySpent, budgets.dailyLimitUsd) ? 'daily_limit' : 'conversation_limit';
+        logger.warn(`💸 Budget ${reason} reached - refusing turn for conversation ${conversationId}`);
+        return { action: 'refuse', reason, model: null, message: budgets.refusalMessage };
+      }
+
+      if (over(daySpent, budgets.dailyDegradeUsd) || over(conversationSpent, budgets.conversationDegradeUsd)) {
+        const reason = over(daySpent, budgets.dailyDegradeUsd) ? 'daily_degrade' : 'conversation_degrade';
+        logger.info(`💸 Budget ${reason} reached - using ${budgets.degradedModel} for conversation ${conversationId}`);
+        return { action: 'degrade', reason, model: budgets.degradedModel, message: null };
+      }
+
+      return none;
+    } catch (error) {
+      logger.error(`Budget check failed for conversation ${conversationId}, allowing:`, error);
+      return none;
+    }
+  },
+
+  /**
+   * Usage totals for a range of days
+   * @param {Object} range - { from, to } - UTC days (YYYY-MM-DD), inclusive
+   * @returns {Promise<Object>} { from, to, totals, days: [{ day, ... }], channels: [{ channel, ... }] }
+   */
+  async getTotals(range) {
+    const dayRange = { $gte: range.from, $lte: range.to };
+    const [days, channelDays] = await Promise.all([
+      UsageTotal.find({ scope: 'day', key: 'all', day: dayRange }).sort({ day: 1 }).lean(),
+      UsageTotal.find({ scope: 'channel', day: dayRange }).lean()
+    ]);
+
+    // Add up each channel's days
+    const channels = new Map();
+    channelDays.forEach(channelDay => {
+      const total = channels.get(channelDay.key) || countersOf(null);
+      COUNTER_FIELDS.forEach(field => {
+        total[field] += channelDay[field] || 0;
+      });
+      channels.set(channelDay.key, total);
+    });
+
+    const totals = countersOf(null);
+    days.forEach(day => COUNTER_FIELDS.forEach(field => {
+      totals[field] += day[field] || 0;
+    }));
+    totals.costUsd = roundUsd(totals.costUsd);
+
+    return {
+      from: range.from,
+      to: range.to,
+      totals,
+      days: days.map(day => ({ day: day.day, ...countersOf(day) })),
+      channels: [...channels.entries()].map(([channel, total]) => ({
+        channel,
+        ...total,
+        costUsd: roundUsd(total.costUsd)
+      }))
+    };
+  },
+
+  /**
+   * Usage totals for one conversation
+   * @param {string} conversationId - Conversation ID
+   * @returns {Promise<Object>} { conversationId, ...counters }
+   */
+  async getConversationTotals(conversationId) {
+    const total = await UsageTotal.findOne({ scope: 'conversation', key: conversationId.toString(), day: null }).lean();
+    return { conversationId: conversationId.toString(), ...countersOf(total) };
+  },
+
+  /**
+   * Today's spend against the budget ceilings
+   * @returns {Promise<Object>} { day, spentUsd, ceilings }
+   */
+  async getBudgetStatus() {
+    const day = dayOf();
+    const total = await UsageTotal.findOne({ scope: 'day', key: 'all', day }).lean();
+    const budgets = config.usage.budgets;
+
+    return {
+      day,
+      spentUsd: countersOf(total).costUsd,
+      ceilings: {
+        dailyDegradeUsd: budgets.dailyDegradeUsd,
+        dailyLimitUsd: budgets.dailyLimitUsd,
+        conversationDegradeUsd: budgets.conversationDegradeUsd,
+        conversationLimitUsd: budgets.conversationLimitUsd,
+        degradedModel: budgets.degradedModel
+      }
+    };
+  }
+};
+
+module.exports = usageService;
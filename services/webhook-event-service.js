@@ -0,0 +1,175 @@
+// services/webhook-event-service.js
+const WebhookEvent = require('../models/webhook-event');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+/**
+ * Webhook Event Service
+ * Records inbound webhook deliveries by MessageSid so that redelivered
+ * webhooks are recognised, and tracks each message through
+ * received → processing → replied / failed so interrupted runs can be resumed.
+ */
+const webhookEventService = {
+  /**
+   * Record a webhook delivery
+   * The first delivery creates the event in 'received' state; redeliveries
+   * only increment the delivery counter. Two deliveries upserting at once make
+   * one of them fail with a duplicate key error - that one is a redelivery too.
+   * Any other error means the store is unavailable and is thrown.
+   * @param {string} messageSid - Provider message ID
+   * @param {Object} details - Event details ({ channel, from, payload })
+   * @returns {Promise<Object>} { event, isRedelivery }
+   */
+  async recordDelivery(messageSid, details) {
+    const now = new Date();
+    const expiresAt = new Date(now.getTime() + config.webhooks.dedupeTtlHours * 60 * 60 * 1000);
+
+    let previous;
+    try {
+      previous = await WebhookEvent.findOneAndUpdate(
+        { messageSid },
+        {
+          $setOnInsert: {
+            messageSid,
+            channel: details.channel,
+            from: details.from,
+            payload: details.payload || {},
+            status: 'received',
+            attempts: 0,
+            expiresAt
+          },
+          $inc: { deliveries: 1 }
+        },
+        { upsert: true, new: false }
+      );
+    } catch (error) {
+      if (error.code !== 11000) {
+        throw error;
+      }
+      logger.info(`[Webhook Events] Concurrent redelivery of ${messageSid}`);
+      previous = await WebhookEvent.findOneAndUpdate({ messageSid }, { $inc: { deliveries: 1 } }, { new: false });
+    }
+
+    if (previous) {
+      logger.info(`[Webhook Events] Redelivery of ${messageSid} (status: ${previous.status}, deliveries: ${previous.deliveries + 1})`);
+    }
+
+    return {
+      event: previous,
+      isRedelivery: !!previous
+    };
+  },
+
+  /**
+   * Check whether a recorded event needs no more processing
+   * Failed events count as finished: the user was already sent an error reply,
+   * so a redelivery must not answer the message after all.
+   * @param {Object} event - Webhook event
+   * @returns {boolean} True if the event is replied or failed
+   */
+  isFinished(event) {
+    return !!event && (event.status === 'replied' || event.status === 'failed');
+  },
+
+  /**
+   * Claim an event for processing
+   * Succeeds for events that are new, or stuck in 'processing' past the
+   * processing timeout (an interrupted run), and still have attempts left.
+   * Returns null when the event is replied, failed, being processed, or out of
+   * attempts.
+   * @param {string} messageSid - Provider message ID
+   * @returns {Promise<Object|null>} Claimed event or null
+   */
+  async startProcessing(messageSid) {
+    const now = new Date();
+    const staleBefore = new Date(now.getTime() - config.webhooks.processingTimeoutMs);
+
+    return WebhookEvent.findOneAndUpdate(
+      {
+        messageSid,
+        attempts: { $lt: config.webhooks.maxAttempts },
+        $or: [
+          { status: 'received' },
+          { status: 'processing', processingStartedAt: { $lt: staleBefore } }
+        ]
+      },
+      {
+        $set: {
+          status: 'processing',
+          processingStartedAt: now
+        },
+        $inc: { attempts: 1 }
+      },
+      { new: true }
+    );
+  },
+
+  /**
+   * Store the generated reply so an interrupted run can send it without a new AI call
+   * @param {string} messageSid - Provider message ID
+   * @param {Object} reply - { responseText, conversationId, messageId }
+   * @param {Array<string>} coalescedMessageSids - Other messages the reply answers
+   * @returns {Promise<void>}
+   */
+  async markResponseGenerated(messageSid, reply, coalescedMessageSids = []) {
+    await WebhookEvent.updateOne(
+      { messageSid },
+      {
+        $set: {
+          responseText: reply.responseText,
+          conversationId: reply.conversationId || null,
+          responseMessageId: reply.messageId || null,
+          coalescedMessageSids
+        }
+      }
+    );
+  },
+
+  /**
+   * Mark events as replied
+   * @param {string|Array<string>} messageSids - Provider message ID, or several answered by one reply
+   * @returns {Promise<void>}
+   */
+  async markReplied(messageSids) {
+    await WebhookEvent.updateMany(
+      { messageSid: { $in: [].concat(messageSids) } },
+      { $set: { status: 'replied', completedAt: new Date(), lastError: null } }
+    );
+  },
+
+  /**
+   * Mark events as failed
+   * @param {string|Array<string>} messageSids - Provider message ID, or several answered by one reply
+   * @param {Error|string} error - Failure reason
+   * @returns {Promise<void>}
+   */
+  async markFailed(messageSids, error) {
+    const lastError = error instanceof Error ? error.message : String(error);
+    await WebhookEvent.updateMany(
+      { messageSid: { $in: [].concat(messageSids) } },
+      { $set: { status: 'failed', lastError } }
+    );
+  },
+
+  /**
+   * Find events whose processing was interrupted and can be resumed
+   * Failed events are left alone: the user was already sent an error reply,
+   * and answering hours later would be confusing.
+   * @param {Array<string>} channels - Only return events for these channels (optional)
+   * @returns {Promise<Array>} Resumable events, oldest first
+   */
+  async findResumable(channels = null) {
+    const staleBefore = new Date(Date.now() - config.webhooks.processingTimeoutMs);
+
+    return WebhookEvent.find({
+      ...(channels ? { channel: { $in: channels } } : {}),
+      attempts: { $lt: config.webhooks.maxAttempts },
+      $or: [
+        { status: 'received' },
+        { status: 'processing', processingStartedAt: { $lt: staleBefore } }
+      ]
+    }).sort({ createdAt: 1 });
+  }
+};
+
+module.exports = webhookEventService;
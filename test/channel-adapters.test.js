@@ -0,0 +1,191 @@
+// test/channel-adapters.test.js
+const { useMemoryConversations } = require('./support/offline');
+const test = require('node:test');
+const assert = require('node:assert');
+const Conversation = require('../models/conversation');
+const sessionManager = require('../services/session-manager');
+const identificationService = require('../services/identification-service');
+const mediaService = require('../services/media-service');
+const transcriptionService = require('../services/transcription-service');
+const twilioService = require('../services/twilio-service');
+const deliveryTrackingService = require('../services/delivery-tracking-service');
+const adapters = require('../services/channel-adapters');
+
+const store = useMemoryConversations();
+
+/**
+ * Create a socket that records the frames sent to it
+ * @returns {Object} Socket ({ send, frames })
+ */
+function recordingSocket() {
+  const frames = [];
+  return { frames, send: data => frames.push(JSON.parse(data)) };
+}
+
+test('phone channels answer an invalid sender without an AI turn', async () => {
+  const normalised = await adapters.whatsapp.normalise({ from: '', body: 'hello', mediaItems: [] });
+
+  assert.ok(normalised.reply);
+  assert.strictEqual(normalised.text, undefined);
+});
+
+test('SMS passes the text through', () => {
+  const normalised = adapters.sms.normalise({ from: '+447700900123', body: 'What are your hours?' });
+  assert.strictEqual(normalised.text, 'What are your hours?');
+});
+
+/**
+ * Stub the voice note download and transcription
+ * @param {Object} t - Test context
+ */
+function mockVoiceNote(t) {
+  t.mock.method(mediaService, 'prepareAudio', async () => ({
+    audio: { buffer: Buffer.from('audio'), contentType: 'audio/ogg' },
+    attachment: { mediaSid: 'ME1', contentType: 'audio/ogg' }
+  }));
+  t.mock.method(transcriptionService, 'transcribe', async () => ({ text: 'What is in this photo?', provider: 'mock', confidence: 0.9 }));
+}
+
+const voiceNoteWithImage = {
+  from: '+447700900123',
+  body: '',
+  mediaItems: [
+    { url: 'https://api.twilio.com/media/ME1', contentType: 'audio/ogg' },
+    { url: 'https://api.twilio.com/media/ME2', contentType: 'image/jpeg' }
+  ]
+};
+
+test('WhatsApp images sent with a voice note are analysed with the transcript', async (t) => {
+  mockVoiceNote(t);
+  const prepareImages = t.mock.method(mediaService, 'prepareImages', async () => ({
+    images: [{ dataUrl: 'data:image/jpeg;base64,AAAA', attachment: { mediaSid: 'ME2', contentType: 'image/jpeg' } }],
+    rejected: []
+  }));
+
+  const normalised = await adapters.whatsapp.normalise(voiceNoteWithImage);
+
+  assert.deepStrictEqual(prepareImages.mock.calls[0].arguments[0], [voiceNoteWithImage.mediaItems[1]]);
+  assert.strictEqual(normalised.text, 'What is in this photo?');
+  assert.strictEqual(normalised.storedText, '[Image sent]: What is in this photo?');
+  assert.deepStrictEqual(normalised.images, ['data:image/jpeg;base64,AAAA']);
+  assert.strictEqual(normalised.metadata.voiceNote, true);
+  assert.strictEqual(normalised.metadata.attachments[0].mediaSid, 'ME2');
+});
+
+test('WhatsApp voice notes are still answered when the images sent with them cannot be opened', async (t) => {
+  mockVoiceNote(t);
+  t.mock.method(mediaService, 'prepareImages', async () => ({
+    images: [],
+    rejected: [{ attachment: { mediaSid: 'ME2', contentType: 'image/jpeg' }, reason: 'too large' }]
+  }));
+
+  const normalised = await adapters.whatsapp.normalise(voiceNoteWithImage);
+
+  assert.strictEqual(normalised.reply, undefined);
+  assert.strictEqual(normalised.storedText, 'What is in this photo?');
+  assert.match(normalised.text, /A file sent with this voice note could not be opened/);
+  assert.deepStrictEqual(normalised.metadata.rejectedAttachments, [{ mediaSid: 'ME2', contentType: 'image/jpeg', reason: 'too large' }]);
+});
+
+test('phone channels merge conversations from the other phone channels with the same number', async (t) => {
+  const own = store.create({ identifiers: [{ type: 'sms_phone', value: '+447700900123', verified: true }] });
+  const other = store.create({ identifiers: [{ type: 'whatsapp_phone', value: '+447700900123', verified: true }] });
+  const merged = store.create();
+
+  t.mock.method(sessionManager, 'getOrCreateConversationByIdentifier', async () => own);
+  const find = t.mock.method(Conversation, 'find', async () => [other]);
+  const merge = t.mock.method(identificationService, 'mergeConversations', async () => ({ conversation: merged, mergedMessages: 2 }));
+
+  const conversation = await adapters.sms.resolveConversation({ from: '07700900123' });
+
+  assert.strictEqual(conversation, merged);
+  const filter = find.mock.calls[0].arguments[0];
+  assert.deepStrictEqual(filter.identifiers.$elemMatch.type.$in, ['phone', 'whatsapp_phone']);
+  assert.strictEqual(merge.mock.calls[0].arguments[0], own._id);
+});
+
+test('phone channels keep their own conversation when merging fails', async (t) => {
+  const own = store.create();
+  t.mock.method(sessionManager, 'getOrCreateConversationByIdentifier', async () => own);
+  t.mock.method(Conversation, 'find', async () => { throw new Error('database unavailable'); });
+
+  assert.strictEqual(await adapters.whatsapp.resolveConversation({ from: '+447700900123' }), own);
+});
+
+test('Twilio delivery skips parts already sent and records the new ones', async (t) => {
+  const send = t.mock.method(twilioService, 'sendWhatsAppReply', async () => ({
+    success: true,
+    messages: [{ sid: 'SM2', status: 'queued', part: 2, body: 'second' }]
+  }));
+  const recordSent = t.mock.method(deliveryTrackingService, 'recordSent', async () => {});
+
+  const delivery = await adapters.whatsapp.deliver(
+    { from: '+447700900123' },
+    { responseText: 'first second', conversationId: 'c1', messageId: 'm1', sentParts: [1] }
+  );
+
+  assert.strictEqual(delivery.success, true);
+  assert.deepStrictEqual(send.mock.calls[0].arguments[2], { conversationId: 'c1', consentNotice: false, sentParts: [1] });
+  const recorded = recordSent.mock.calls[0].arguments[0];
+  assert.strictEqual(recorded.to, 'whatsapp:+447700900123');
+  assert.deepStrictEqual(recorded.messages.map(sent => sent.sid), ['SM2']);
+});
+
+test('a failed Twilio send lists only the parts that went out for the retry', () => {
+  const delivery = {
+    success: false,
+    messages: [
+      { sid: 'SM1', status: 'sent', part: 1 },
+      { sid: 'SM2', status: 'undelivered', part: 2 }
+    ],
+    error: 'Part 2 undelivered'
+  };
+
+  assert.deepStrictEqual(twilioService.getSentParts(delivery), [1]);
+  assert.deepStrictEqual(twilioService.getSentParts({ success: false, error: 'Missing Twilio credentials' }), []);
+});
+
+test('web chat delivery sends the reply frame for the kind of reply', async () => {
+  const socket = recordingSocket();
+
+  await adapters.website.deliver({ ws: socket, sessionId: 's1' }, { responseText: 'Hello' });
+  await adapters.website.deliver({ ws: socket, sessionId: 's1' }, { responseText: 'Slow down', rateLimited: true, retryAfterSeconds: 5 });
+  await adapters.website.deliver({ ws: socket, sessionId: 's1' }, { responseText: 'Oops', error: true });
+
+  assert.deepStrictEqual(socket.frames, [
+    { type: 'chat_response', message: 'Hello', sessionId: 's1' },
+    { type: 'error', code: 'rate_limited', message: 'Slow down', retryAfterSeconds: 5 },
+    { type: 'error', message: 'Oops' }
+  ]);
+});
+
+test('web chat limits apply to the client IP of the session', () => {
+  const session = sessionManager.createSession(recordingSocket(), 'sse', '203.0.113.7');
+  try {
+    assert.strictEqual(adapters.website.limitClient({ sessionId: session.id }), '203.0.113.7');
+    assert.strictEqual(adapters.website.limitClient({ sessionId: 'gone' }), null);
+  } finally {
+    sessionManager.removeSession(session.id);
+  }
+});
+
+test('Telegram links only the contact the sender shared of themselves', async (t) => {
+  const linkPhone = t.mock.method(identificationService, 'linkPhone', async () => ({ merged: false, mergedCount: 0 }));
+
+  const refused = await adapters.telegram.linkContact({ chatId: 42, phone: '447700900123', contactUserId: '7', fromId: '8' });
+
+  assert.strictEqual(refused.conversationId, null);
+  assert.strictEqual(linkPhone.mock.callCount(), 0);
+});
+
+test('Telegram links a shared contact to the chat', async (t) => {
+  const chat = store.create({ identifiers: [{ type: 'telegram_chat', value: '42', verified: true }] });
+  t.mock.method(sessionManager, 'getOrCreateConversationByIdentifier', async () => chat);
+  const linkPhone = t.mock.method(identificationService, 'linkPhone', async () => ({ merged: false, mergedCount: 0, conversation: chat }));
+
+  const reply = await adapters.telegram.linkContact({ chatId: 42, phone: '447700900123', contactUserId: '8', fromId: '8' });
+
+  assert.strictEqual(linkPhone.mock.calls[0].arguments[1], '+447700900123');
+  assert.strictEqual(reply.conversationId, chat._id.toString());
+  assert.ok(reply.responseText);
+});
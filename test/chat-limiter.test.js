@@ -0,0 +1,110 @@
+// test/chat-limiter.test.js
+require('./support/offline');
+const test = require('node:test');
+const assert = require('node:assert');
+const chatLimiter = require('../services/chat-limiter');
+const config = require('../config');
+
+let nextId = 0;
+
+test.beforeEach((t) => {
+  const limits = config.chatLimits;
+  const saved = { enabled: limits.enabled, conversation: limits.conversation, dailyMessages: limits.dailyMessages, dailyTokens: limits.dailyTokens };
+  t.after(() => Object.assign(config.chatLimits, saved));
+  limits.enabled = true;
+});
+
+/**
+ * Build an identity with keys not used by any other test
+ * @param {Object} fields - { phone, client }
+ * @returns {Object} Identity ({ conversationId, phone, client })
+ */
+function freshIdentity(fields = {}) {
+  nextId += 1;
+  return { conversationId: `conversation-${nextId}`, phone: null, client: null, ...fields };
+}
+
+test('a token bucket allows a burst, then refills at its rate', async () => {
+  const store = chatLimiter.getStore();
+  const refillPerMs = 60 / 60000;
+  const now = Date.now();
+
+  for (let i = 0; i < 3; i++) {
+    assert.strictEqual((await store.take('bucket:burst-test', 3, refillPerMs, now)).allowed, true);
+  }
+  assert.strictEqual((await store.take('bucket:burst-test', 3, refillPerMs, now)).allowed, false);
+  assert.strictEqual((await store.take('bucket:burst-test', 3, refillPerMs, now + 500)).allowed, false);
+  assert.strictEqual((await store.take('bucket:burst-test', 3, refillPerMs, now + 1000)).allowed, true);
+});
+
+test('a conversation over its burst is refused with the wait until the next token', async () => {
+  config.chatLimits.conversation = { capacity: 2, refillPerMinute: 6 };
+  const identity = freshIdentity();
+
+  assert.strictEqual((await chatLimiter.checkIdentity(identity)).allowed, true);
+  assert.strictEqual((await chatLimiter.checkIdentity(identity)).allowed, true);
+  const refused = await chatLimiter.checkIdentity(identity);
+
+  assert.strictEqual(refused.allowed, false);
+  assert.strictEqual(refused.reason, 'burst');
+  assert.strictEqual(refused.retryAfterSeconds, 10);
+  assert.match(refused.message, /faster than I can answer/);
+});
+
+test('daily message and token caps apply until midnight UTC', async (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: Date.UTC(2026, 0, 5, 18, 0, 0) });
+  config.chatLimits.conversation = { capacity: 100, refillPerMinute: 100 };
+  config.chatLimits.dailyMessages = 2;
+  config.chatLimits.dailyTokens = 1000;
+
+  const chatty = freshIdentity();
+  await chatLimiter.checkIdentity(chatty);
+  await chatLimiter.checkIdentity(chatty);
+  const overMessages = await chatLimiter.checkIdentity(chatty);
+  assert.strictEqual(overMessages.reason, 'daily_messages');
+  assert.strictEqual(overMessages.retryAfterSeconds, 6 * 60 * 60);
+
+  const costly = freshIdentity();
+  await chatLimiter.recordTokens(costly, 1200);
+  assert.strictEqual((await chatLimiter.checkIdentity(costly)).reason, 'daily_tokens');
+
+  t.mock.timers.setTime(Date.UTC(2026, 0, 6, 0, 0, 1));
+  assert.strictEqual((await chatLimiter.checkIdentity(chatty)).allowed, true);
+  assert.strictEqual((await chatLimiter.checkIdentity(costly)).allowed, true);
+});
+
+test('a verified phone number shares its caps across conversations, an unverified one does not', async () => {
+  config.chatLimits.conversation = { capacity: 100, refillPerMinute: 100 };
+  config.chatLimits.dailyMessages = 1;
+
+  const verified = chatLimiter.identityOf({ _id: 'c-verified-1', identifiers: [{ type: 'whatsapp_phone', value: '+44 7700 900111', verified: true }] });
+  const sameNumber = chatLimiter.identityOf({ _id: 'c-verified-2', identifiers: [{ type: 'sms_phone', value: '+447700900111', verified: true }] });
+  const unverified = chatLimiter.identityOf({ _id: 'c-unverified', identifiers: [{ type: 'phone', value: '+447700900111', verified: false }] });
+
+  assert.strictEqual(verified.phone, '+447700900111');
+  assert.strictEqual(unverified.phone, null);
+  assert.strictEqual((await chatLimiter.checkIdentity(verified)).allowed, true);
+  assert.strictEqual((await chatLimiter.checkIdentity(sameNumber)).reason, 'daily_messages');
+  assert.strictEqual((await chatLimiter.checkIdentity(unverified)).allowed, true);
+});
+
+test('limits are skipped when disabled and allow the turn when the store fails', async (t) => {
+  config.chatLimits.conversation = { capacity: 1, refillPerMinute: 1 };
+  const identity = freshIdentity();
+  await chatLimiter.checkIdentity(identity);
+
+  config.chatLimits.enabled = false;
+  assert.strictEqual((await chatLimiter.checkIdentity(identity)).allowed, true);
+
+  config.chatLimits.enabled = true;
+  t.mock.method(chatLimiter, 'getStore', () => { throw new Error('store unavailable'); });
+  assert.strictEqual((await chatLimiter.checkIdentity(identity)).allowed, true);
+  assert.strictEqual((await chatLimiter.checkSession('session-1', '203.0.113.5')).allowed, true);
+});
+
+test('the over-limit notice is sent once per interval', async () => {
+  const identity = freshIdentity();
+
+  assert.strictEqual(await chatLimiter.shouldSendNotice(identity), true);
+  assert.strictEqual(await chatLimiter.shouldSendNotice(identity), false);
+});
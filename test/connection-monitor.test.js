@@ -0,0 +1,113 @@
+// test/connection-monitor.test.js
+require('./support/offline');
+const test = require('node:test');
+const assert = require('node:assert');
+const { EventEmitter } = require('events');
+const WebSocket = require('ws');
+const connectionMonitor = require('../services/connection-monitor');
+const sessionManager = require('../services/session-manager');
+const config = require('../config');
+
+const MB = 1024 * 1024;
+
+/**
+ * Create a stand-in for a ws connection
+ * @param {number} bufferedAmount - Bytes queued but not yet sent
+ * @returns {Object} Connection ({ sent, closedWith, readyState, bufferedAmount })
+ */
+function fakeWebSocket(bufferedAmount = 0) {
+  const ws = new EventEmitter();
+  Object.assign(ws, {
+    readyState: WebSocket.OPEN,
+    bufferedAmount,
+    sent: [],
+    closedWith: null,
+    pings: 0,
+    send(data) { ws.sent.push(data); },
+    close(code, reason) { ws.closedWith = { code, reason }; ws.readyState = WebSocket.CLOSING; },
+    ping() { ws.pings++; },
+    terminate() { ws.readyState = WebSocket.CLOSED; }
+  });
+  return ws;
+}
+
+test.beforeEach((t) => {
+  const saved = { ...config.connections };
+  t.after(() => Object.assign(config.connections, saved));
+  Object.assign(config.connections, { maxBufferedBytes: MB, closeBufferedBytes: 8 * MB });
+});
+
+test('streaming frames are dropped for a slow client and the connection closed when far behind', () => {
+  const delta = JSON.stringify({ type: 'chat_delta', delta: 'Hel' });
+  const complete = JSON.stringify({ type: 'chat_complete', message: 'Hello' });
+
+  assert.strictEqual(connectionMonitor.checkBackpressure(delta, 0), 'send');
+  assert.strictEqual(connectionMonitor.checkBackpressure(delta, MB), 'send');
+  assert.strictEqual(connectionMonitor.checkBackpressure(delta, MB + 1), 'drop');
+  assert.strictEqual(connectionMonitor.checkBackpressure(JSON.stringify({ type: 'tool_progress' }), 2 * MB), 'drop');
+  // Frames that carry the reply are never dropped
+  assert.strictEqual(connectionMonitor.checkBackpressure(complete, 2 * MB), 'send');
+  assert.strictEqual(connectionMonitor.checkBackpressure(complete, 8 * MB - 10), 'close');
+  assert.strictEqual(connectionMonitor.checkBackpressure(delta, 8 * MB), 'close');
+});
+
+test('a wrapped socket applies backpressure and skips connections that are not open', () => {
+  const ws = fakeWebSocket(2 * MB);
+  const socket = connectionMonitor.wrapWebSocket(ws);
+  const before = connectionMonitor.getStats().counters;
+
+  socket.send(JSON.stringify({ type: 'chat_delta', delta: 'Hi' }));
+  socket.send(JSON.stringify({ type: 'chat_complete', message: 'Hi' }));
+  assert.deepStrictEqual(ws.sent.map(data => JSON.parse(data).type), ['chat_complete']);
+
+  ws.bufferedAmount = 9 * MB;
+  socket.send(JSON.stringify({ type: 'chat_response', message: 'Hi' }));
+  assert.deepStrictEqual(ws.closedWith, { code: 4001, reason: 'Too far behind' });
+  assert.strictEqual(socket.closed, true);
+
+  socket.send(JSON.stringify({ type: 'chat_response', message: 'Too late' }));
+  assert.strictEqual(ws.sent.length, 1);
+
+  const after = connectionMonitor.getStats().counters;
+  assert.strictEqual(after.droppedFrames - before.droppedFrames, 1);
+  assert.strictEqual(after.backpressureClosures - before.backpressureClosures, 1);
+});
+
+test('the heartbeat closes idle connections and terminates ones that missed a ping', (t) => {
+  config.connections.idleTimeoutMs = 60 * 1000;
+  const session = (id, idleMs) => {
+    const ws = fakeWebSocket();
+    return { id, transport: 'websocket', ws: connectionMonitor.wrapWebSocket(ws), raw: ws, lastActivityAt: new Date(Date.now() - idleMs) };
+  };
+  const active = session('active', 1000);
+  const idle = session('idle', 120 * 1000);
+  t.mock.method(sessionManager, 'listSessions', () => [active, idle]);
+
+  connectionMonitor.heartbeat();
+  assert.deepStrictEqual(idle.raw.closedWith, { code: 4000, reason: 'Idle timeout' });
+  assert.strictEqual(active.raw.pings, 1);
+  assert.strictEqual(active.ws.isAlive, false);
+
+  // No pong before the next heartbeat
+  connectionMonitor.heartbeat();
+  assert.strictEqual(active.raw.readyState, WebSocket.CLOSED);
+
+  const answering = session('answering', 0);
+  sessionManager.listSessions.mock.mockImplementation(() => [answering]);
+  connectionMonitor.heartbeat();
+  answering.raw.emit('pong');
+  connectionMonitor.heartbeat();
+  assert.strictEqual(answering.raw.pings, 2);
+  assert.strictEqual(answering.raw.readyState, WebSocket.OPEN);
+});
+
+test('the sweeper removes sessions whose connection has closed', (t) => {
+  const open = { id: 'open', transport: 'sse', ws: { closed: false } };
+  const closed = { id: 'closed', transport: 'websocket', ws: { closed: true } };
+  t.mock.method(sessionManager, 'listSessions', () => [open, closed]);
+  const removeSession = t.mock.method(sessionManager, 'removeSession', () => {});
+
+  assert.strictEqual(connectionMonitor.sweep(), 1);
+  assert.deepStrictEqual(removeSession.mock.calls.map(call => call.arguments[0]), ['closed']);
+  assert.ok(connectionMonitor.getStats().lastSweepAt);
+});
@@ -0,0 +1,59 @@
+// test/consent-service.test.js
+const { useMemoryModel } = require('./support/offline');
+const test = require('node:test');
+const assert = require('node:assert');
+const Consent = require('../models/consent');
+const Conversation = require('../models/conversation');
+const consentService = require('../services/consent-service');
+const config = require('../config');
+
+let records;
+
+test.beforeEach((t) => {
+  records = useMemoryModel(Consent);
+  t.mock.method(Conversation, 'updateMany', async () => ({ matchedCount: 0 }));
+});
+
+test('keywords match whatever the case, accents, punctuation and spacing', () => {
+  for (const text of ['STOP', 'stop', ' Stop! ', 'stop.', 'Arrêt', 'opt-out', 'Opt   Out', 'désinscrire']) {
+    assert.strictEqual(consentService.matchKeyword(text).action, 'opt_out', text);
+  }
+  assert.deepStrictEqual(consentService.matchKeyword('Start!'), { action: 'opt_in', keyword: 'START' });
+  assert.deepStrictEqual(consentService.matchKeyword('arret'), { action: 'opt_out', keyword: 'ARRET' });
+});
+
+test('keywords only count when they are the whole message', () => {
+  for (const text of ['Please stop sending me reminders', "Don't stop", 'stopping', 'STOP 2', '', '!!!', null]) {
+    assert.strictEqual(consentService.matchKeyword(text), null, String(text));
+  }
+});
+
+test('an opt-out is recorded once, confirmed on WhatsApp, and later messages are not answered', async () => {
+  const phone = 'whatsapp:+44 7700 900123';
+
+  const optOut = await consentService.handleInbound({ channel: 'whatsapp', phone, text: 'Stop', conversationId: 'c1' });
+  assert.deepStrictEqual(optOut, { handled: true, status: 'opted_out', keyword: 'STOP', changed: true, reply: config.consent.optOutReply });
+  assert.strictEqual(records[0].phone, '+447700900123');
+  assert.strictEqual(records[0].history[0].keyword, 'STOP');
+
+  const again = await consentService.handleInbound({ channel: 'whatsapp', phone, text: 'STOP', conversationId: 'c1' });
+  assert.strictEqual(again.changed, false);
+  assert.strictEqual(again.reply, null);
+
+  const ignored = await consentService.handleInbound({ channel: 'whatsapp', phone, text: 'What time is it?', conversationId: 'c1' });
+  assert.deepStrictEqual(ignored, { handled: true, status: 'opted_out', keyword: null, changed: false, reply: null });
+  assert.strictEqual(await consentService.isOptedOut('+447700900123'), true);
+});
+
+test('opt-in keywords only count after an opt-out, and SMS gets no confirmation of its own', async () => {
+
+  assert.deepStrictEqual(await consentService.handleInbound({ channel: 'sms', phone: '+447700900123', text: 'Yes' }), { handled: false });
+
+  const optOut = await consentService.handleInbound({ channel: 'sms', phone: '+447700900123', text: 'stop' });
+  assert.strictEqual(optOut.reply, null);
+
+  const optIn = await consentService.handleInbound({ channel: 'sms', phone: '+447700900123', text: 'start' });
+  assert.deepStrictEqual(optIn, { handled: true, status: 'opted_in', keyword: 'START', changed: true, reply: null });
+  assert.deepStrictEqual(records[0].history.map(change => change.status), ['opted_out', 'opted_in']);
+  assert.strictEqual(await consentService.isOptedOut('+447700900123'), false);
+});
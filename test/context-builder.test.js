@@ -0,0 +1,143 @@
+// test/context-builder.test.js
+require('./support/offline');
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const contextBuilder = require('../services/context-builder');
+const llmProvider = require('../services/llm-provider');
+const tokenEstimator = require('../utils/token-estimator');
+const config = require('../config');
+
+/**
+ * Build stored messages
+ * @param {number} count - Number of messages, alternating user and assistant
+ * @param {string} text - Content of each message
+ * @returns {Array} Messages ({ _id, role, content })
+ */
+function storedMessages(count, text = 'Hello') {
+  return Array.from({ length: count }, (item, index) => ({
+    _id: new mongoose.Types.ObjectId(),
+    role: index % 2 === 0 ? 'user' : 'assistant',
+    content: `${text} ${index}`
+  }));
+}
+
+/**
+ * Override context settings for one test
+ * @param {Object} t - Test context
+ * @param {Object} settings - config.context fields to set
+ */
+function useContextSettings(t, settings) {
+  const saved = { ...config.context };
+  t.after(() => Object.assign(config.context, saved));
+  Object.assign(config.context, settings);
+}
+
+test('the budget is the model window less the reply reserve, capped by the input limit', (t) => {
+  useContextSettings(t, { maxInputTokens: 16000, reserveOutputTokens: 2000, defaultWindow: 8192 });
+
+  assert.deepStrictEqual(contextBuilder.budgetFor('gpt-4o-mini'), { window: 128000, input: 16000 });
+  assert.deepStrictEqual(contextBuilder.budgetFor('gpt-3.5-turbo-0125'), { window: 16385, input: 14385 });
+  assert.deepStrictEqual(contextBuilder.budgetFor('llama3.1'), { window: 8192, input: 6192 });
+
+  config.context.maxInputTokens = 0;
+  assert.strictEqual(contextBuilder.budgetFor('gpt-4o').input, 126000);
+});
+
+test('the strategy follows the setting, the provider and what the conversation started with', (t) => {
+  useContextSettings(t, { strategy: 'auto' });
+  t.mock.method(llmProvider, 'hasServerState', () => true);
+
+  assert.strictEqual(contextBuilder.resolveStrategy({}), 'server');
+  assert.strictEqual(contextBuilder.resolveStrategy({ contextStrategy: 'client' }), 'client');
+
+  config.context.strategy = 'client';
+  assert.strictEqual(contextBuilder.resolveStrategy({ contextStrategy: 'server' }), 'client');
+
+  config.context.strategy = 'server';
+  llmProvider.hasServerState.mock.mockImplementation(() => false);
+  assert.strictEqual(contextBuilder.resolveStrategy({}), 'client');
+});
+
+test('a server-state turn sends only the messages since the last response', (t) => {
+  useContextSettings(t, { strategy: 'server' });
+  t.mock.method(llmProvider, 'hasServerState', () => true);
+  const messages = storedMessages(5);
+  const conversation = {
+    messages,
+    previousResponseId: 'resp_1',
+    previousResponseMessageId: messages[1]._id.toString(),
+    previousResponseAt: new Date()
+  };
+
+  const context = contextBuilder.forTurn(conversation, messages[4]._id.toString());
+
+  assert.strictEqual(context.continued, true);
+  assert.strictEqual(context.previousResponseId, 'resp_1');
+  assert.deepStrictEqual(context.messages.map(msg => msg.content), ['Hello 2', 'Hello 3']);
+});
+
+test('the response chain is re-seeded with history when it is too old or its message is gone', (t) => {
+  useContextSettings(t, { strategy: 'server', serverStateMaxAgeDays: 25 });
+  t.mock.method(llmProvider, 'hasServerState', () => true);
+  const messages = storedMessages(3);
+  const old = {
+    messages,
+    previousResponseId: 'resp_1',
+    previousResponseMessageId: messages[1]._id.toString(),
+    previousResponseAt: new Date(Date.now() - 26 * 24 * 60 * 60 * 1000)
+  };
+  const merged = { ...old, previousResponseAt: new Date(), previousResponseMessageId: new mongoose.Types.ObjectId().toString() };
+
+  for (const conversation of [old, merged]) {
+    const context = contextBuilder.forTurn(conversation, messages[2]._id.toString());
+    assert.strictEqual(context.continued, false);
+    assert.strictEqual(context.previousResponseId, null);
+    assert.deepStrictEqual(context.messages.map(msg => msg.content), ['Hello 0', 'Hello 1']);
+  }
+});
+
+test('history is kept newest first within the budget, shortening the message that does not fit', (t) => {
+  useContextSettings(t, { maxInputTokens: 700, reserveOutputTokens: 0 });
+  const long = 'The clinic is open on weekdays from nine until five. '.repeat(40);
+  const history = [
+    { role: 'user', content: `Oldest ${long}` },
+    { role: 'assistant', content: `Older ${long}` },
+    { role: 'user', content: `Newest ${long}` }
+  ];
+
+  const { input, report } = contextBuilder.fit({
+    model: 'gpt-4o',
+    systemMessage: { role: 'system', content: 'You are a helpful assistant.' },
+    history,
+    userMessage: { role: 'user', content: 'When are you open?' }
+  });
+
+  assert.strictEqual(input[0].role, 'system');
+  assert.strictEqual(input[input.length - 1].content, 'When are you open?');
+  assert.strictEqual(input[input.length - 2], history[2]);
+  assert.strictEqual(report.historyMessages, 2);
+  assert.strictEqual(report.droppedMessages, 1);
+  assert.ok(input[1].content.startsWith('Older') && input[1].content.endsWith('[…]'));
+  assert.ok(tokenEstimator.estimateInputTokens(input) <= report.budget);
+});
+
+test('the summary is capped, and the system prompt can be sent as instructions', (t) => {
+  useContextSettings(t, { maxInputTokens: 16000, summaryTokens: 120 });
+  const summary = 'The patient asked about appointments and parking. '.repeat(40);
+
+  const { input, instructions, report } = contextBuilder.fit({
+    model: 'gpt-4o',
+    systemMessage: { role: 'system', content: 'You are a helpful assistant.' },
+    summary,
+    history: [],
+    userMessage: { role: 'user', content: 'Thanks' },
+    asInstructions: true
+  });
+
+  assert.strictEqual(instructions, 'You are a helpful assistant.');
+  assert.strictEqual(report.summary, 'truncated');
+  assert.match(input[0].content, /^CONVERSATION SUMMARY: /);
+  assert.ok(tokenEstimator.estimateTextTokens(input[0].content) < 200);
+  assert.deepStrictEqual(input.map(item => item.role), ['system', 'user']);
+});
@@ -0,0 +1,185 @@
+// test/conversation-engine.test.js
+const { useMemoryConversations } = require('./support/offline');
+const test = require('node:test');
+const assert = require('node:assert');
+const conversationEngine = require('../services/conversation-engine');
+const chatLimiter = require('../services/chat-limiter');
+const usageService = require('../services/usage-service');
+const mockLlmProvider = require('../services/mock-llm-provider');
+const toolsExecutor = require('../services/tools-executor');
+
+const store = useMemoryConversations();
+
+test.afterEach(() => mockLlmProvider.reset());
+
+test('a turn stores the message and the reply, and returns the reply', async () => {
+  const conversation = store.create();
+
+  const result = await conversationEngine.runTurn('api', { conversationId: conversation._id.toString(), text: 'Do you open on Sundays?', client: 'tests' });
+
+  assert.strictEqual(result.responseText, 'Mock reply: Do you open on Sundays?');
+  assert.strictEqual(result.conversationId, conversation._id.toString());
+  assert.strictEqual(result.streamed, false);
+  assert.ok(result.usage.totalTokens > 0);
+  assert.deepStrictEqual(conversation.messages.map(msg => [msg.role, msg.content, msg.channel]), [
+    ['user', 'Do you open on Sundays?', 'api'],
+    ['assistant', 'Mock reply: Do you open on Sundays?', 'api']
+  ]);
+  assert.strictEqual(result.messageId, conversation.messages[1]._id.toString());
+  assert.strictEqual(conversation.messages[0].metadata.apiClient, 'tests');
+  assert.strictEqual(conversation.previousResponseId, 'mock_resp_1');
+});
+
+test('earlier messages are sent to the model as history', async (t) => {
+  const conversation = store.create();
+  mockLlmProvider.setScript([{ match: 'name', reply: 'You told me before.' }]);
+
+  await conversationEngine.runTurn('api', { conversationId: conversation._id.toString(), text: 'I am Sam' });
+  const createResponse = t.mock.method(mockLlmProvider, 'createResponse');
+  const result = await conversationEngine.runTurn('api', { conversationId: conversation._id.toString(), text: 'What is my name?' });
+
+  assert.strictEqual(result.responseText, 'You told me before.');
+  const input = createResponse.mock.calls[0].arguments[0].input;
+  assert.deepStrictEqual(input.slice(-3).map(item => [item.role, item.content]), [
+    ['user', 'I am Sam'],
+    ['assistant', 'Mock reply: I am Sam'],
+    ['user', 'What is my name?']
+  ]);
+});
+
+test('a turn runs the tools the model calls and reports them', async (t) => {
+  const conversation = store.create();
+  mockLlmProvider.setScript([{
+    match: 'open',
+    toolCalls: [{ name: 'queryKnowledgeBase', arguments: { text: 'opening hours' } }],
+    afterTools: 'We open at 9am.'
+  }]);
+  const executeTool = t.mock.method(toolsExecutor, 'executeTool', async () =>
+    JSON.stringify({ success: true, sources: [{ id: 'kb1', title: 'Opening hours' }] })
+  );
+
+  const result = await conversationEngine.runTurn('api', { conversationId: conversation._id.toString(), text: 'When do you open?' });
+
+  assert.strictEqual(result.responseText, 'We open at 9am.');
+  assert.strictEqual(executeTool.mock.callCount(), 1);
+  assert.strictEqual(executeTool.mock.calls[0].arguments[1].conversationId, conversation._id);
+  assert.deepStrictEqual(result.toolCalls.map(call => [call.name, call.arguments, call.status]), [
+    ['queryKnowledgeBase', { text: 'opening hours' }, 'executed']
+  ]);
+  assert.deepStrictEqual(result.sources, [{ id: 'kb1', title: 'Opening hours' }]);
+  assert.strictEqual(conversation.messages[1].content, 'We open at 9am.');
+  assert.strictEqual(conversation.previousResponseId, 'mock_resp_2');
+});
+
+test('a streamed turn sends the deltas and stores exactly what was streamed', async (t) => {
+  const conversation = store.create();
+  mockLlmProvider.setScript([{ match: 'time', toolCalls: [{ name: 'getCurrentTime' }], afterTools: 'It is noon.' }]);
+  t.mock.method(toolsExecutor, 'executeTool', async () => '"12:00"');
+  const events = [];
+  const stream = {
+    onTextDelta: delta => events.push(['text', delta]),
+    onToolCall: functionCall => events.push(['tool_call', functionCall.name]),
+    onToolResult: (functionCall, result) => events.push(['tool_result', functionCall.name, result])
+  };
+
+  const result = await conversationEngine.runTurn('api', { conversationId: conversation._id.toString(), text: 'What time is it?' }, { stream });
+
+  assert.deepStrictEqual(events, [
+    ['tool_call', 'getCurrentTime'],
+    ['tool_result', 'getCurrentTime', '"12:00"'],
+    ['text', 'It '],
+    ['text', 'is '],
+    ['text', 'noon.']
+  ]);
+  assert.strictEqual(result.streamed, true);
+  assert.strictEqual(result.responseText, 'It is noon.');
+  assert.strictEqual(conversation.messages[1].content, 'It is noon.');
+  assert.strictEqual(conversation.messages[1].metadata.streamed, true);
+});
+
+test('a fallback reply is not continued from by the next turn', async (t) => {
+  const conversation = store.create();
+  mockLlmProvider.serverState = true;
+  t.after(() => delete mockLlmProvider.serverState);
+  mockLlmProvider.setScript([{ match: 'time', toolCalls: [{ name: 'getCurrentTime' }] }]);
+  t.mock.method(toolsExecutor, 'executeTool', async () => '"12:00"');
+  const createResponse = mockLlmProvider.createResponse;
+  const requests = [];
+  t.mock.method(mockLlmProvider, 'createResponse', async function (request) {
+    requests.push(request);
+    // The follow-up after the tool call is rejected, so the reply is built locally
+    if (request.input.some(item => item.type === 'function_call_output')) {
+      throw Object.assign(new Error('Bad request'), { status: 400 });
+    }
+    return createResponse.call(this, request);
+  });
+
+  const failed = await conversationEngine.runTurn('api', { conversationId: conversation._id.toString(), text: 'What time is it?' });
+  assert.match(failed.responseText, /experienced an error/);
+  assert.strictEqual(conversation.previousResponseId, null);
+  assert.strictEqual(conversation.previousResponseMessageId, null);
+
+  requests.length = 0;
+  const result = await conversationEngine.runTurn('api', { conversationId: conversation._id.toString(), text: 'Thanks anyway' });
+
+  assert.strictEqual(result.responseText, 'Mock reply: Thanks anyway');
+  assert.strictEqual(requests[0].previous_response_id, undefined);
+  assert.ok(requests[0].input.some(item => item.role === 'user' && item.content === 'What time is it?'));
+  assert.strictEqual(conversation.previousResponseId, 'mock_resp_2');
+  assert.strictEqual(conversation.previousResponseMessageId, result.messageId);
+});
+
+test('an inbound message the adapter answers itself skips the turn', async () => {
+  const result = await conversationEngine.runTurn('sms', { from: '', body: 'hello' });
+
+  assert.ok(result.responseText);
+  assert.strictEqual(result.conversationId, null);
+});
+
+test('a turn over a chat limit is answered without storing the message', async (t) => {
+  const conversation = store.create();
+  t.mock.method(chatLimiter, 'checkIdentity', async () => ({ allowed: false, reason: 'burst', retryAfterSeconds: 3, message: 'Slow down' }));
+
+  const result = await conversationEngine.runTurn('api', { conversationId: conversation._id.toString(), text: 'Hello' });
+
+  assert.strictEqual(result.rateLimited, true);
+  assert.strictEqual(result.responseText, 'Slow down');
+  assert.strictEqual(result.retryAfterSeconds, 3);
+  assert.strictEqual(conversation.messages.length, 0);
+});
+
+test('a turn over the budget is refused without calling the model', async (t) => {
+  const conversation = store.create();
+  t.mock.method(usageService, 'checkBudget', async () => ({ action: 'refuse', reason: 'daily_limit', model: null, message: 'Come back tomorrow' }));
+
+  const result = await conversationEngine.runTurn('api', { conversationId: conversation._id.toString(), text: 'Hello' });
+
+  assert.strictEqual(result.budgetExceeded, true);
+  assert.strictEqual(result.responseText, 'Come back tomorrow');
+  assert.strictEqual(conversation.messages.length, 0);
+});
+
+test('a failed turn resolves to the adapter error reply', async () => {
+  const result = await conversationEngine.runTurn('api', { conversationId: 'missing', text: 'Hello' });
+
+  assert.strictEqual(result.error, true);
+  assert.strictEqual(result.responseText, conversationEngine.getAdapter('api').errorReply);
+});
+
+test('adapters can be registered for new channels', async () => {
+  const conversation = store.create();
+  conversationEngine.registerAdapter('kiosk', {
+    channel: 'kiosk',
+    emptyReply: 'Nothing to say',
+    errorReply: 'Kiosk error',
+    normalise: inbound => ({ text: inbound.text }),
+    resolveConversation: () => conversation,
+    deliver: async () => ({ success: true })
+  });
+
+  const result = await conversationEngine.runTurn('kiosk', { text: 'Where is reception?' });
+
+  assert.strictEqual(result.responseText, 'Mock reply: Where is reception?');
+  assert.strictEqual(conversation.messages[0].channel, 'kiosk');
+  assert.throws(() => conversationEngine.getAdapter('fax'), /No channel adapter registered for: fax/);
+});
@@ -0,0 +1,79 @@
+// test/conversation-hub.test.js
+require('./support/offline');
+const test = require('node:test');
+const assert = require('node:assert');
+const conversationHub = require('../services/conversation-hub');
+
+let nextId = 0;
+
+/**
+ * Create a socket that records the frames sent to it
+ * @returns {Object} Socket ({ send, frames })
+ */
+function recordingSocket() {
+  const frames = [];
+  return { frames, send: data => frames.push(JSON.parse(data)) };
+}
+
+/**
+ * Subscribe new sessions to a conversation
+ * @param {string} conversationId - Conversation ID
+ * @param {number} count - Number of sessions
+ * @returns {Array} [{ sessionId, socket }]
+ */
+function subscribeSessions(conversationId, count) {
+  return Array.from({ length: count }, () => {
+    nextId += 1;
+    const session = { sessionId: `session-${nextId}`, socket: recordingSocket() };
+    conversationHub.subscribe(conversationId, session.sessionId, session.socket);
+    return session;
+  });
+}
+
+test('frames reach every socket on the conversation except the one excluded', () => {
+  const [sender, otherTab] = subscribeSessions('hub-c1', 2);
+  const [elsewhere] = subscribeSessions('hub-c2', 1);
+
+  const sent = conversationHub.publish('hub-c1', { type: 'chat_response', message: 'Hi' }, { excludeSessionId: sender.sessionId });
+
+  assert.strictEqual(sent, 1);
+  assert.deepStrictEqual(otherTab.socket.frames, [{ type: 'chat_response', message: 'Hi' }]);
+  assert.deepStrictEqual(sender.socket.frames, []);
+  assert.deepStrictEqual(elsewhere.socket.frames, []);
+});
+
+test('merged conversations move their subscribers to the surviving conversation', () => {
+  const fromA = subscribeSessions('hub-merge-a', 2);
+  const fromB = subscribeSessions('hub-merge-b', 1);
+  const [existing] = subscribeSessions('hub-merge-target', 1);
+
+  const moved = conversationHub.moveSubscribers(['hub-merge-a', 'hub-merge-b', 'hub-merge-target', 'hub-merge-empty'], 'hub-merge-target');
+
+  assert.strictEqual(moved, 3);
+  assert.strictEqual(conversationHub.subscriberCount('hub-merge-target'), 4);
+  assert.strictEqual(conversationHub.subscriberCount('hub-merge-a'), 0);
+  assert.strictEqual(conversationHub.subscriberCount('hub-merge-b'), 0);
+  [...fromA, ...fromB].forEach(({ sessionId }) => assert.strictEqual(conversationHub.getConversationId(sessionId), 'hub-merge-target'));
+
+  conversationHub.publish('hub-merge-target', { type: 'chat_response', message: 'After the merge' });
+  [...fromA, ...fromB, existing].forEach(({ socket }) => assert.strictEqual(socket.frames.length, 1));
+  assert.strictEqual(conversationHub.publish('hub-merge-a', { type: 'chat_response' }), 0);
+});
+
+test('a session is subscribed to one conversation at a time, and a closed socket does not stop the others', () => {
+  const [moving] = subscribeSessions('hub-one-a', 1);
+  conversationHub.subscribe('hub-one-b', moving.sessionId, moving.socket);
+
+  assert.strictEqual(conversationHub.subscriberCount('hub-one-a'), 0);
+  assert.strictEqual(conversationHub.getConversationId(moving.sessionId), 'hub-one-b');
+
+  const [closed] = subscribeSessions('hub-one-b', 1);
+  closed.socket.send = () => { throw new Error('socket closed'); };
+  assert.strictEqual(conversationHub.publish('hub-one-b', { type: 'typing' }), 2);
+  assert.deepStrictEqual(moving.socket.frames, [{ type: 'typing' }]);
+
+  conversationHub.unsubscribe(moving.sessionId);
+  conversationHub.unsubscribe(closed.sessionId);
+  assert.strictEqual(conversationHub.getConversationId(moving.sessionId), null);
+  assert.strictEqual(conversationHub.subscriberCount('hub-one-b'), 0);
+});
@@ -0,0 +1,130 @@
+// test/delivery-tracking-service.test.js
+const { useMemoryModel } = require('./support/offline');
+const test = require('node:test');
+const assert = require('node:assert');
+const OutboundMessage = require('../models/outbound-message');
+const deliveryTrackingService = require('../services/delivery-tracking-service');
+const twilioService = require('../services/twilio-service');
+const consentService = require('../services/consent-service');
+const { delay } = require('../utils/delay');
+
+let messages;
+let createMessage;
+
+test.beforeEach((t) => {
+  messages = useMemoryModel(OutboundMessage);
+  let count = 0;
+  createMessage = t.mock.method(twilioService, 'createMessage', async () => ({ sid: `SMR${++count}`, status: 'queued' }));
+  t.mock.method(consentService, 'isOptedOut', async () => false);
+  t.mock.method(deliveryTrackingService, 'syncMessageStatus', async () => {});
+});
+
+/**
+ * Add a failed outbound part
+ * @param {Object} fields - Fields that differ from a failed WhatsApp part
+ * @returns {Promise<Object>} Outbound message
+ */
+function addFailed(fields = {}) {
+  return OutboundMessage.create({
+    sid: 'SM1',
+    channel: 'whatsapp',
+    to: 'whatsapp:+447700900123',
+    conversationId: 'conversation-1',
+    messageId: 'message-1',
+    part: 1,
+    body: 'Hello there',
+    contentSid: null,
+    contentVariables: null,
+    status: 'undelivered',
+    errorCode: '30003',
+    attempts: 1,
+    retryOf: null,
+    retriedBy: null,
+    retryAt: null,
+    ...fields
+  });
+}
+
+/**
+ * Find an outbound message by SID
+ * @param {string} sid - Message SID
+ * @returns {Object} Outbound message
+ */
+function messageFor(sid) {
+  return messages.find(message => message.sid === sid);
+}
+
+test('a scheduled retry stores its due time and counts the part as sent until it runs', async (t) => {
+  t.mock.method(deliveryTrackingService, 'runRetryAt', () => {});
+  const failed = await addFailed();
+
+  await deliveryTrackingService.scheduleRetry(failed);
+
+  assert.ok(messageFor('SM1').retryAt > new Date());
+  assert.deepStrictEqual(await deliveryTrackingService.getSentParts('message-1'), [1]);
+});
+
+test('retries pending when the server stopped are sent on startup', async (t) => {
+  t.mock.method(twilioService, 'getSessionWindow', async () => ({ open: true }));
+  await addFailed({ retryAt: new Date(Date.now() - 1000) });
+  await addFailed({ sid: 'SM2', part: 2, retriedBy: 'SMX' });
+
+  assert.strictEqual(await deliveryTrackingService.resumePendingRetries(), 1);
+  await delay(20);
+
+  assert.deepStrictEqual(createMessage.mock.calls.map(call => call.arguments), [['whatsapp:+447700900123', 'Hello there']]);
+  assert.strictEqual(messageFor('SM1').retriedBy, 'SMR1');
+  assert.strictEqual(messageFor('SM1').retryAt, null);
+  assert.strictEqual(messageFor('SMR1').attempts, 2);
+  assert.strictEqual(messageFor('SMR1').retryOf, 'SM1');
+});
+
+test('outside the session window the fallback template replaces the failed text, once per reply', async (t) => {
+  t.mock.method(twilioService, 'getSessionWindow', async () => ({ open: false, lastInboundAt: null }));
+  const sendOutsideSessionWindow = t.mock.method(twilioService, 'sendOutsideSessionWindow', async () => ({
+    success: true,
+    messages: [{ sid: 'SMT1', status: 'queued', part: 1, body: null, contentSid: 'HX123', contentVariables: { 1: 'Sam' } }],
+    windowClosed: true,
+    template: 'reply_pending'
+  }));
+  await addFailed({ retryAt: new Date() });
+  await addFailed({ sid: 'SM2', part: 2, body: 'Second part', retryAt: new Date() });
+
+  const first = await deliveryTrackingService.retry('SM1');
+  const second = await deliveryTrackingService.retry('SM2');
+
+  assert.strictEqual(first.contentSid, 'HX123');
+  assert.strictEqual(first.body, '');
+  assert.strictEqual(second, null);
+  assert.strictEqual(sendOutsideSessionWindow.mock.callCount(), 1);
+  assert.strictEqual(createMessage.mock.callCount(), 0);
+  assert.strictEqual(messageFor('SM2').retriedBy, null);
+  assert.strictEqual(messageFor('SM2').retryAt, null);
+});
+
+test('outside the session window with no template configured nothing is re-sent', async (t) => {
+  t.mock.method(twilioService, 'getSessionWindow', async () => ({ open: false, lastInboundAt: null }));
+  t.mock.method(twilioService, 'sendOutsideSessionWindow', async () => ({
+    success: false, messages: [], error: 'WhatsApp session window closed', windowClosed: true, template: null
+  }));
+  await addFailed({ retryAt: new Date() });
+
+  assert.strictEqual(await deliveryTrackingService.retry('SM1'), null);
+  assert.strictEqual(createMessage.mock.callCount(), 0);
+  assert.strictEqual(messageFor('SM1').retriedBy, null);
+  assert.deepStrictEqual(await deliveryTrackingService.getSentParts('message-1'), []);
+});
+
+test('SMS retries and template parts are re-sent without a session window check', async (t) => {
+  const getSessionWindow = t.mock.method(twilioService, 'getSessionWindow', async () => ({ open: false }));
+  await addFailed({ channel: 'sms', to: '+447700900123' });
+  await addFailed({ sid: 'SM2', messageId: 'message-2', contentSid: 'HX123', contentVariables: { 1: 'Sam' } });
+
+  const sms = await deliveryTrackingService.retry('SM1');
+  const template = await deliveryTrackingService.retry('SM2');
+
+  assert.strictEqual(sms.body, 'Hello there');
+  assert.strictEqual(template.contentSid, 'HX123');
+  assert.strictEqual(getSessionWindow.mock.callCount(), 0);
+  assert.deepStrictEqual(createMessage.mock.calls[1].arguments[1], { contentSid: 'HX123', contentVariables: { 1: 'Sam' } });
+});
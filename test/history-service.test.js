@@ -0,0 +1,116 @@
+// test/history-service.test.js
+require('./support/offline');
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const historyService = require('../services/history-service');
+const chatProtocol = require('../services/chat-protocol');
+
+const START = Date.UTC(2026, 0, 5, 9, 0, 0);
+
+/**
+ * Build a stored message
+ * @param {number} minute - Minutes after START it was sent
+ * @param {Object} fields - Fields that differ from a web chat user message
+ * @returns {Object} Message subdocument
+ */
+function storedMessage(minute, fields = {}) {
+  return {
+    _id: new mongoose.Types.ObjectId(),
+    role: 'user',
+    content: `Message at ${minute}`,
+    channel: 'web',
+    metadata: {},
+    timestamp: new Date(START + minute * 60 * 1000),
+    ...fields
+  };
+}
+
+/**
+ * Build a conversation of numbered messages, stored out of order as after a merge
+ * @param {number} count - Number of messages
+ * @returns {Object} Conversation ({ messages })
+ */
+function conversationOf(count) {
+  const messages = Array.from({ length: count }, (item, minute) => storedMessage(minute));
+  return { messages: [...messages.slice(count / 2), ...messages.slice(0, count / 2)] };
+}
+
+test('the first page is the most recent messages, oldest first', () => {
+  const page = historyService.getPage(conversationOf(10), { limit: 4 });
+
+  assert.deepStrictEqual(page.messages.map(message => message.content), ['Message at 6', 'Message at 7', 'Message at 8', 'Message at 9']);
+  assert.strictEqual(page.hasMore, true);
+  assert.strictEqual(page.messages[0].timestamp, new Date(START + 6 * 60 * 1000).toISOString());
+});
+
+test('before and after cursors page through older and newer messages without gaps', () => {
+  const conversation = conversationOf(10);
+  const seen = [];
+
+  let page = historyService.getPage(conversation, { limit: 4 });
+  seen.unshift(...page.messages);
+  while (page.hasMore) {
+    page = historyService.getPage(conversation, { before: page.cursors.before, limit: 4 });
+    seen.unshift(...page.messages);
+  }
+  assert.deepStrictEqual(seen.map(message => message.content), Array.from({ length: 10 }, (item, minute) => `Message at ${minute}`));
+
+  const newer = historyService.getPage(conversation, { after: page.cursors.after, limit: 3 });
+  assert.deepStrictEqual(newer.messages.map(message => message.content), ['Message at 2', 'Message at 3', 'Message at 4']);
+  assert.strictEqual(newer.hasMore, true);
+});
+
+test('messages with the same timestamp are ordered by ID, so a page boundary splits them cleanly', () => {
+  const sameTime = new Date(START);
+  const messages = Array.from({ length: 4 }, (item, index) => storedMessage(0, { content: `Same ${index}`, timestamp: sameTime }));
+  const conversation = { messages };
+
+  const newest = historyService.getPage(conversation, { limit: 2 });
+  const oldest = historyService.getPage(conversation, { before: newest.cursors.before, limit: 2 });
+
+  assert.deepStrictEqual([...oldest.messages, ...newest.messages].map(message => message.content), ['Same 0', 'Same 1', 'Same 2', 'Same 3']);
+  assert.strictEqual(oldest.hasMore, false);
+});
+
+test('internal entries are left out and merged messages keep their channel', () => {
+  const conversation = {
+    messages: [
+      storedMessage(0, { role: 'system', content: 'Summary' }),
+      storedMessage(1, { content: 'STOP', channel: 'sms', metadata: { consentKeyword: 'STOP' } }),
+      storedMessage(2, { content: '  ' }),
+      storedMessage(3, { content: 'Hello from WhatsApp', channel: 'whatsapp', metadata: new Map([['voiceNote', true]]) }),
+      storedMessage(4, { role: 'assistant', content: 'Tool result', metadata: new Map([['internal', true]]) }),
+      storedMessage(5, { role: 'assistant', content: 'Hi there' })
+    ]
+  };
+
+  const page = historyService.getPage(conversation);
+
+  assert.deepStrictEqual(page.messages.map(message => [message.channel, message.content]), [
+    ['whatsapp', 'Hello from WhatsApp'],
+    ['web', 'Hi there']
+  ]);
+  assert.strictEqual(page.hasMore, false);
+});
+
+test('an empty page keeps its cursor, and a session without a conversation gets an empty page', () => {
+  const conversation = conversationOf(2);
+  const latest = historyService.getPage(conversation);
+
+  const none = historyService.getPage(conversation, { after: latest.cursors.after });
+  assert.deepStrictEqual(none, { messages: [], hasMore: false, cursors: { before: latest.cursors.after, after: latest.cursors.after } });
+  assert.deepStrictEqual(historyService.getPage(null), { messages: [], hasMore: false, cursors: { before: null, after: null } });
+});
+
+test('page sizes are capped and malformed history requests are refused', () => {
+  const page = historyService.getPage(conversationOf(120), { limit: 500 });
+  assert.strictEqual(page.messages.length, 100);
+
+  assert.strictEqual(historyService.decodeCursor('1767603600000_not-an-id'), null);
+  assert.strictEqual(chatProtocol.validateFrame({ type: 'get_history', before: 'abc' }, 'session-1'), 'Invalid history cursor');
+  assert.strictEqual(chatProtocol.validateFrame({ type: 'get_history', before: page.cursors.before, after: page.cursors.after }, 'session-1'),
+    'Send either before or after, not both');
+  assert.strictEqual(chatProtocol.validateFrame({ type: 'get_history', limit: 0 }, 'session-1'), 'limit must be a positive whole number');
+  assert.strictEqual(chatProtocol.validateFrame({ type: 'get_history', before: page.cursors.before, limit: 20 }, 'session-1'), null);
+});
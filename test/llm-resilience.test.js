@@ -0,0 +1,159 @@
+// test/llm-resilience.test.js
+require('./support/offline');
+const test = require('node:test');
+const assert = require('node:assert');
+const llmResilience = require('../services/llm-resilience');
+const config = require('../config');
+const { delay } = require('../utils/delay');
+
+let nextModel = 0;
+
+test.beforeEach((t) => {
+  const saved = { llm: { ...config.llm }, fallbackModels: config.openai.fallbackModels };
+  t.after(() => {
+    Object.assign(config.llm, saved.llm);
+    config.openai.fallbackModels = saved.fallbackModels;
+  });
+  Object.assign(config.llm, {
+    maxRetries: 2,
+    retryBaseDelayMs: 1,
+    retryMaxDelayMs: 50,
+    timeoutMs: 1000,
+    circuitBreaker: { failureThreshold: 3, cooldownMs: 30 }
+  });
+  config.openai.fallbackModels = [];
+});
+
+/**
+ * Name a model no other test has used, so each test starts with closed circuits
+ * @returns {string} Model name
+ */
+function freshModel() {
+  nextModel += 1;
+  return `test-model-${nextModel}`;
+}
+
+/**
+ * Build a provider error
+ * @param {number} status - HTTP status
+ * @param {Object} headers - Response headers
+ * @returns {Error} Error
+ */
+function providerError(status, headers = {}) {
+  return Object.assign(new Error(`${status} error`), { status, headers });
+}
+
+/**
+ * Build a provider whose calls are answered by a list of results, in order
+ * @param {Array} results - Errors to throw or responses to return
+ * @returns {Object} Provider ({ createResponse, requests })
+ */
+function scriptedProvider(results) {
+  const requests = [];
+  return {
+    requests,
+    async createResponse(request) {
+      requests.push(request.model);
+      const result = results.shift();
+      if (result instanceof Error) throw result;
+      return { ...result };
+    }
+  };
+}
+
+test('transient failures are retried until a call succeeds', async () => {
+  const model = freshModel();
+  const provider = scriptedProvider([providerError(503), providerError(429, { 'retry-after-ms': '5' }), { id: 'resp_1' }]);
+
+  const response = await llmResilience.createResponse(provider, { model });
+
+  assert.strictEqual(response.id, 'resp_1');
+  assert.strictEqual(response.fallback, false);
+  assert.deepStrictEqual(provider.requests, [model, model, model]);
+});
+
+test('a request error is not retried or sent to a fallback model', async () => {
+  const model = freshModel();
+  config.openai.fallbackModels = [freshModel()];
+  const provider = scriptedProvider([providerError(400), { id: 'resp_1' }]);
+
+  await assert.rejects(llmResilience.createResponse(provider, { model }), /400 error/);
+  assert.deepStrictEqual(provider.requests, [model]);
+});
+
+test('the fallback model answers when the requested one keeps failing or asks for too long a wait', async () => {
+  const model = freshModel();
+  const fallback = freshModel();
+  config.openai.fallbackModels = [fallback];
+
+  const exhausted = scriptedProvider([providerError(500), providerError(500), providerError(500), { id: 'resp_1' }]);
+  const response = await llmResilience.createResponse(exhausted, { model });
+  assert.deepStrictEqual(exhausted.requests, [model, model, model, fallback]);
+  assert.strictEqual(response.fallback, true);
+  assert.strictEqual(response.requestedModel, model);
+  assert.strictEqual(response.model, fallback);
+
+  const slow = scriptedProvider([providerError(429, { 'retry-after': '60' }), { id: 'resp_2' }]);
+  await llmResilience.createResponse(slow, { model: freshModel() });
+  assert.strictEqual(slow.requests.length, 2);
+  assert.strictEqual(slow.requests[1], fallback);
+});
+
+test('the circuit opens after repeated failures and lets one trial call through after the cooldown', async () => {
+  const model = freshModel();
+  config.llm.maxRetries = 0;
+  const provider = scriptedProvider([providerError(502), providerError(502), providerError(502), { id: 'resp_1' }]);
+
+  for (let i = 0; i < 3; i++) {
+    await assert.rejects(llmResilience.createResponse(provider, { model }), /502 error/);
+  }
+  await assert.rejects(llmResilience.createResponse(provider, { model }), { name: 'CircuitOpenError' });
+  assert.strictEqual(provider.requests.length, 3);
+  assert.strictEqual(llmResilience.getStats().circuits[`${config.llm.provider}:${model}`].state, 'open');
+
+  await delay(40);
+  const response = await llmResilience.createResponse(provider, { model });
+  assert.strictEqual(response.id, 'resp_1');
+  assert.strictEqual(llmResilience.getStats().circuits[`${config.llm.provider}:${model}`].state, 'closed');
+});
+
+test('a call that does not answer in time is aborted and retried', async () => {
+  const model = freshModel();
+  config.llm.timeoutMs = 20;
+  const signals = [];
+  const provider = {
+    createResponse(request, { signal }) {
+      signals.push(signal);
+      return signals.length === 1 ? new Promise(() => {}) : Promise.resolve({ id: 'resp_1' });
+    }
+  };
+
+  const response = await llmResilience.createResponse(provider, { model });
+
+  assert.strictEqual(response.id, 'resp_1');
+  assert.strictEqual(signals[0].aborted, true);
+  assert.strictEqual(signals[1].aborted, false);
+});
+
+test('streams are tagged with the model that answered and time out between events', async () => {
+  const model = freshModel();
+  config.llm.timeoutMs = 20;
+  const provider = {
+    async streamResponse() {
+      return (async function* () {
+        yield { type: 'response.output_text.delta', delta: 'Hi' };
+        yield { type: 'response.completed', response: { id: 'resp_1' } };
+        await new Promise(() => {});
+      })();
+    }
+  };
+
+  const events = [];
+  const stream = await llmResilience.streamResponse(provider, { model });
+  await assert.rejects((async () => {
+    for await (const event of stream) events.push(event);
+  })(), { name: 'LlmTimeoutError' });
+
+  assert.strictEqual(events.length, 2);
+  assert.deepStrictEqual(events[1].response, { id: 'resp_1', requestedModel: model, fallback: false, model });
+});
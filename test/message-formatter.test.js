@@ -0,0 +1,104 @@
+// test/message-formatter.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const { toWhatsAppText, toPlainText, countSmsSegments, splitMessage, formatForWhatsApp, formatForSms } = require('../utils/message-formatter');
+
+test('WhatsApp text converts Markdown emphasis, headings, bullets and links', () => {
+  const markdown = [
+    '## Opening **hours**',
+    '',
+    '**Monday** to *Friday*, ~~9am~~ 10am',
+    '* Parking is free',
+    '- See [our page](https://example.com/hours)',
+    '',
+    '---',
+    '',
+    'Email [info@example.com](mailto:info@example.com)'
+  ].join('\n');
+
+  assert.strictEqual(toWhatsAppText(markdown), [
+    '*Opening hours*',
+    '',
+    '*Monday* to _Friday_, ~9am~ 10am',
+    '• Parking is free',
+    '• See our page (https://example.com/hours)',
+    '',
+    'Email info@example.com'
+  ].join('\n'));
+});
+
+test('WhatsApp text leaves bare asterisks and snake_case alone', () => {
+  assert.strictEqual(toWhatsAppText('2 * 3 = 6 and my_var_name'), '2 * 3 = 6 and my_var_name');
+  assert.strictEqual(toWhatsAppText(''), '');
+  assert.strictEqual(toWhatsAppText(null), '');
+});
+
+test('long replies are split on paragraphs and numbered', () => {
+  const paragraph = 'This is a sentence about opening hours. '.repeat(10).trim();
+  const parts = splitMessage(`${paragraph}\n\n${paragraph}`, 500);
+
+  assert.strictEqual(parts.length, 2);
+  assert.strictEqual(parts[0], `${paragraph}\n(1/2)`);
+  assert.strictEqual(parts[1], `${paragraph}\n(2/2)`);
+  assert.deepStrictEqual(splitMessage(`${paragraph}\n\n${paragraph}`, 500, { numberParts: false }), [paragraph, paragraph]);
+});
+
+test('WhatsApp parts stay within the length limit, cutting words that do not fit', () => {
+  const url = `https://example.com/${'a'.repeat(120)}`;
+  const parts = formatForWhatsApp(`${'word '.repeat(60)}${url}`, { maxLength: 100 });
+
+  assert.ok(parts.length > 1);
+  parts.forEach(part => assert.ok(part.length <= 100, `part is ${part.length} characters`));
+  // Nothing is lost: without the labels and spacing the parts join back into the text
+  assert.strictEqual(parts.map(part => part.replace(/\n\(\d+\/\d+\)$/, '')).join('').replace(/\s/g, ''), `${'word'.repeat(60)}${url}`);
+  assert.deepStrictEqual(formatForWhatsApp('Short reply'), ['Short reply']);
+});
+
+test('SMS text drops Markdown and replaces typographic characters so it stays GSM-7', () => {
+  assert.strictEqual(toPlainText('# Hours\n\n**Open** `daily`\n* [Map](https://example.com/map)'), 'Hours\n\nOpen daily\n- Map (https://example.com/map)');
+
+  const [sms] = formatForSms('\u201CWe\u2019re open\u201D \u2013 9am\u20265pm');
+  assert.strictEqual(sms, '"We\'re open" - 9am...5pm');
+  assert.strictEqual(countSmsSegments(sms).encoding, 'GSM-7');
+});
+
+test('SMS segments are counted per encoding, with extension characters counting twice', () => {
+  assert.deepStrictEqual(countSmsSegments('a'.repeat(160)), { encoding: 'GSM-7', units: 160, segments: 1 });
+  assert.deepStrictEqual(countSmsSegments('a'.repeat(161)), { encoding: 'GSM-7', units: 161, segments: 2 });
+  assert.deepStrictEqual(countSmsSegments('€'.repeat(80)), { encoding: 'GSM-7', units: 160, segments: 1 });
+  assert.deepStrictEqual(countSmsSegments('€'.repeat(81)), { encoding: 'GSM-7', units: 162, segments: 2 });
+  assert.deepStrictEqual(countSmsSegments(`${'a'.repeat(69)}\u00E7`), { encoding: 'UCS-2', units: 70, segments: 1 });
+  assert.deepStrictEqual(countSmsSegments(`${'a'.repeat(69)}\uD83D\uDE00`), { encoding: 'UCS-2', units: 71, segments: 2 });
+  assert.deepStrictEqual(countSmsSegments(''), { encoding: 'GSM-7', units: 0, segments: 0 });
+});
+
+test('long SMS replies are split into numbered messages of at most three GSM-7 segments', () => {
+  const reply = 'We are open from nine until five on weekdays. '.repeat(30).trim();
+  const parts = formatForSms(reply);
+
+  assert.ok(parts.length > 1);
+  parts.forEach((part, index) => {
+    assert.ok(part.endsWith(`\n(${index + 1}/${parts.length})`));
+    assert.ok(part.length <= 153 * 3, `part is ${part.length} characters`);
+    assert.deepStrictEqual([countSmsSegments(part).encoding, countSmsSegments(part).segments <= 3], ['GSM-7', true]);
+  });
+  assert.ok(formatForSms(reply, { maxSegments: 1 }).every(part => countSmsSegments(part).segments === 1));
+});
+
+test('a character outside GSM-7 switches SMS splitting to UCS-2 lengths', () => {
+  const reply = `Your booking is confirmed \u{1F389}. ${'Please arrive ten minutes early. '.repeat(10).trim()}`;
+  const parts = formatForSms(reply);
+
+  assert.strictEqual(countSmsSegments(reply).encoding, 'UCS-2');
+  assert.ok(parts.length > 1);
+  parts.forEach(part => assert.ok(part.length <= 67 * 3, `part is ${part.length} characters`));
+});
+
+test('SMS parts full of extension characters are shrunk until they fit the segment limit', () => {
+  const reply = 'Prices: {a} [b] ~c~ |d| €5 ^e^ '.repeat(20).trim();
+  const parts = formatForSms(reply);
+
+  // Split by character count the parts would overrun, as each extension character takes two septets
+  assert.ok(splitMessage(reply, 153 * 3).some(part => countSmsSegments(part).segments > 3));
+  parts.forEach(part => assert.ok(countSmsSegments(part).segments <= 3, `part uses ${countSmsSegments(part).segments} segments`));
+});
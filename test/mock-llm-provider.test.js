@@ -0,0 +1,125 @@
+// test/mock-llm-provider.test.js
+require('./support/offline');
+const test = require('node:test');
+const assert = require('node:assert');
+const mockLlmProvider = require('../services/mock-llm-provider');
+const llmProvider = require('../services/llm-provider');
+const openaiService = require('../services/openai-service');
+const config = require('../config');
+
+test.afterEach(() => mockLlmProvider.reset());
+
+/**
+ * Build a request with a single user message
+ * @param {string} text - User message
+ * @param {Object} fields - Other request fields (e.g. tools, tool_choice)
+ * @returns {Object} Responses API request
+ */
+function userRequest(text, fields = {}) {
+  return { model: 'mock-model', input: [{ role: 'user', content: text }], ...fields };
+}
+
+test('the mock provider answers when LLM_PROVIDER is mock', () => {
+  assert.strictEqual(llmProvider.getProvider('mock'), mockLlmProvider);
+});
+
+test('without a matching rule the reply echoes the message', async () => {
+  const response = await mockLlmProvider.createResponse(userRequest('Hello there'));
+
+  assert.strictEqual(response.id, 'mock_resp_1');
+  assert.strictEqual(response.status, 'completed');
+  assert.strictEqual(openaiService.extractResponseText(response), 'Mock reply: Hello there');
+  assert.ok(response.usage.total_tokens > 0);
+});
+
+test('setScript rules are tried in order and reset clears them', async () => {
+  mockLlmProvider.setScript([
+    { match: 'price', reply: 'It costs £5.' },
+    { reply: 'Fallback for: {{message}}' }
+  ]);
+
+  const price = await mockLlmProvider.createResponse(userRequest('What is the PRICE?'));
+  const other = await mockLlmProvider.createResponse(userRequest('Where are you?'));
+  assert.strictEqual(openaiService.extractResponseText(price), 'It costs £5.');
+  assert.strictEqual(openaiService.extractResponseText(other), 'Fallback for: Where are you?');
+
+  mockLlmProvider.reset();
+  const afterReset = await mockLlmProvider.createResponse(userRequest('What is the price?'));
+  assert.strictEqual(afterReset.id, 'mock_resp_1');
+  assert.strictEqual(openaiService.extractResponseText(afterReset), 'Mock reply: What is the price?');
+});
+
+test('tool calls are only made when the tools are offered', async () => {
+  mockLlmProvider.setScript([{ match: 'time', toolCalls: [{ name: 'getCurrentTime', arguments: { timezone: 'Europe/London' } }] }]);
+
+  const offered = await mockLlmProvider.createResponse(userRequest('What time is it?', { tools: config.tools }));
+  assert.deepStrictEqual(offered.output, [{
+    type: 'function_call',
+    call_id: 'mock_call_1',
+    name: 'getCurrentTime',
+    arguments: '{"timezone":"Europe/London"}'
+  }]);
+
+  const notOffered = await mockLlmProvider.createResponse(userRequest('What time is it?'));
+  assert.strictEqual(notOffered.output[0].type, 'message');
+
+  const refused = await mockLlmProvider.createResponse(userRequest('What time is it?', { tools: config.tools, tool_choice: 'none' }));
+  assert.strictEqual(refused.output[0].type, 'message');
+});
+
+test('the tool loop runs the calls and answers from their outputs', async () => {
+  mockLlmProvider.setScript([{
+    match: 'refund',
+    toolCalls: [{ name: 'queryKnowledgeBase', arguments: '{"text":"{{message}}"}' }],
+    afterTools: 'From the knowledge base: {{toolOutput}}'
+  }]);
+  const executed = [];
+  const toolExecutor = async (functionCall) => {
+    executed.push([functionCall.name, JSON.parse(functionCall.arguments)]);
+    return JSON.stringify({ success: true, answer: 'Refunds take 5 days' });
+  };
+
+  const first = await mockLlmProvider.createResponse(userRequest('How long does a "refund" take?', { tools: config.tools }));
+  const final = await openaiService.processFunctionCalls(first, toolExecutor);
+
+  assert.deepStrictEqual(executed, [['queryKnowledgeBase', { text: 'How long does a "refund" take?' }]]);
+  assert.strictEqual(
+    openaiService.extractResponseText(final),
+    'From the knowledge base: {"success":true,"answer":"Refunds take 5 days"}'
+  );
+  assert.strictEqual(final.toolTrace.stopReason, 'completed');
+  assert.strictEqual(final.toolTrace.toolCallCount, 1);
+  assert.deepStrictEqual(final.toolTrace.steps.map(step => [step.responseId, step.followUpResponseId, step.calls[0].status]), [
+    ['mock_resp_1', 'mock_resp_2', 'executed']
+  ]);
+});
+
+test('a failing tool is reported to the model as an error result', async () => {
+  mockLlmProvider.setScript([{ toolCalls: [{ name: 'getCurrentTime' }] }]);
+
+  const first = await mockLlmProvider.createResponse(userRequest('Time?', { tools: config.tools }));
+  const final = await openaiService.processFunctionCalls(first, async () => {
+    throw new Error('Clock unavailable');
+  });
+
+  assert.strictEqual(final.toolTrace.steps[0].calls[0].status, 'error');
+  assert.match(openaiService.extractResponseText(final), /Mock reply using getCurrentTime: .*Clock unavailable/);
+});
+
+test('streamed replies arrive word by word, with tool calls announced', async () => {
+  mockLlmProvider.setScript([{ match: 'time', toolCalls: [{ name: 'getCurrentTime' }], afterTools: 'It is noon.' }]);
+  const deltas = [];
+  const toolCalls = [];
+  const handlers = {
+    onTextDelta: delta => deltas.push(delta),
+    onToolCall: item => toolCalls.push(item.name)
+  };
+
+  const first = await openaiService.streamResponse(userRequest('What time is it?', { tools: config.tools }), handlers);
+  assert.deepStrictEqual(toolCalls, ['getCurrentTime']);
+  assert.deepStrictEqual(deltas, []);
+
+  const final = await openaiService.processFunctionCalls(first, async () => '"12:00"', {}, handlers);
+  assert.deepStrictEqual(deltas, ['It ', 'is ', 'noon.']);
+  assert.strictEqual(openaiService.extractResponseText(final), 'It is noon.');
+});
@@ -0,0 +1,41 @@
+// test/phone.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const { PHONE_IDENTIFIER_TYPES, formatPhoneToE164, maskPhoneNumber } = require('../utils/phone');
+const { delay } = require('../utils/delay');
+
+test('formatPhoneToE164 strips the WhatsApp prefix and separators', () => {
+  assert.strictEqual(formatPhoneToE164('whatsapp:+44 7700 900-123'), '+447700900123');
+  assert.strictEqual(formatPhoneToE164('+1 (555) 010-9999'), '+15550109999');
+});
+
+test('formatPhoneToE164 treats numbers without a country code as UK numbers', () => {
+  assert.strictEqual(formatPhoneToE164('07700900123'), '+447700900123');
+  assert.strictEqual(formatPhoneToE164('7700900123'), '+447700900123');
+});
+
+test('formatPhoneToE164 returns null without a number', () => {
+  assert.strictEqual(formatPhoneToE164(''), null);
+  assert.strictEqual(formatPhoneToE164(undefined), null);
+});
+
+test('maskPhoneNumber keeps only the start and end of a number', () => {
+  assert.strictEqual(maskPhoneNumber('+447700900123'), '+4477***0123');
+  assert.strictEqual(maskPhoneNumber('whatsapp:+447700900123'), '+4477***0123');
+  assert.strictEqual(maskPhoneNumber('123456789'), '12***89');
+});
+
+test('maskPhoneNumber flags missing and short numbers', () => {
+  assert.strictEqual(maskPhoneNumber(null), '[INVALID_PHONE]');
+  assert.strictEqual(maskPhoneNumber('12345'), '[SHORT_PHONE]');
+});
+
+test('PHONE_IDENTIFIER_TYPES lists every identifier type holding a phone number', () => {
+  assert.deepStrictEqual(PHONE_IDENTIFIER_TYPES, ['phone', 'whatsapp_phone', 'sms_phone']);
+});
+
+test('delay waits at least the given time', async () => {
+  const startedAt = Date.now();
+  await delay(20);
+  assert.ok(Date.now() - startedAt >= 15);
+});
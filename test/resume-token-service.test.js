@@ -0,0 +1,69 @@
+// test/resume-token-service.test.js
+const { useMemoryModel } = require('./support/offline');
+const test = require('node:test');
+const assert = require('node:assert');
+const ResumeToken = require('../models/resume-token');
+const resumeTokenService = require('../services/resume-token-service');
+
+let tokens;
+
+test.beforeEach(() => {
+  tokens = useMemoryModel(ResumeToken);
+});
+
+/**
+ * Find a stored token by ID
+ * @param {string} tokenId - Token ID
+ * @returns {Object} Stored token
+ */
+function recordFor(tokenId) {
+  return tokens.find(record => record.tokenId === tokenId);
+}
+
+test('a token is redeemed once, for its session, and replaced by a new one', async () => {
+  const issued = await resumeTokenService.issue('session-1');
+
+  const redeemed = await resumeTokenService.redeem(issued.token);
+
+  assert.strictEqual(redeemed.identifierValue, 'session-1');
+  assert.notStrictEqual(redeemed.tokenId, issued.tokenId);
+  assert.ok(redeemed.expiresAt > new Date());
+  assert.strictEqual(recordFor(issued.tokenId).revokedReason, 'rotated');
+  assert.strictEqual(recordFor(redeemed.tokenId).revokedAt, undefined);
+});
+
+test('a rotated token presented again revokes every token of its session', async () => {
+  const issued = await resumeTokenService.issue('session-1');
+  const replacement = await resumeTokenService.redeem(issued.token);
+  const other = await resumeTokenService.issue('session-2');
+
+  assert.deepStrictEqual(await resumeTokenService.redeem(issued.token), { error: 'revoked' });
+
+  assert.strictEqual(recordFor(replacement.tokenId).revokedReason, 'reused');
+  assert.deepStrictEqual(await resumeTokenService.redeem(replacement.token), { error: 'revoked' });
+  assert.strictEqual((await resumeTokenService.redeem(other.token)).identifierValue, 'session-2');
+});
+
+test('tampered, malformed and expired tokens are refused', async (t) => {
+  const issued = await resumeTokenService.issue('session-1');
+  const [body, signature] = issued.token.split('.');
+  const forgedBody = Buffer.from(JSON.stringify({ jti: issued.tokenId, sub: 'session-2', exp: 9999999999 })).toString('base64url');
+
+  assert.deepStrictEqual(await resumeTokenService.redeem(`${forgedBody}.${signature}`), { error: 'invalid' });
+  assert.deepStrictEqual(await resumeTokenService.redeem(body), { error: 'invalid' });
+  assert.deepStrictEqual(await resumeTokenService.redeem(`${issued.token}.extra`), { error: 'invalid' });
+  assert.deepStrictEqual(await resumeTokenService.redeem(''), { error: 'invalid' });
+
+  t.mock.timers.enable({ apis: ['Date'], now: issued.expiresAt.getTime() + 1000 });
+  assert.deepStrictEqual(await resumeTokenService.redeem(issued.token), { error: 'expired' });
+  assert.strictEqual(recordFor(issued.tokenId).revokedAt, undefined);
+});
+
+test('a revoked token can no longer be redeemed', async () => {
+  const issued = await resumeTokenService.issue('session-1');
+
+  await resumeTokenService.revoke(issued.tokenId, 'session_ended');
+
+  assert.deepStrictEqual(await resumeTokenService.redeem(issued.token), { error: 'revoked' });
+  assert.strictEqual(recordFor(issued.tokenId).revokedReason, 'session_ended');
+});
@@ -0,0 +1,135 @@
+// test/summary-service.test.js
+const { useSummaryScheduling } = require('./support/offline');
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const Conversation = require('../models/conversation');
+const summaryService = require('../services/summary-service');
+const llmProvider = require('../services/llm-provider');
+const config = require('../config');
+
+useSummaryScheduling();
+
+// Background updates start with setImmediate
+const backgroundWork = () => new Promise(resolve => setImmediate(resolve));
+
+test.beforeEach((t) => {
+  const saved = { ...config.summary };
+  t.after(() => Object.assign(config.summary, saved));
+  Object.assign(config.summary, { enabled: true, minMessageCount: 5, updateEveryMessages: 4, maxInputTokens: 12000, historyLimit: 3 });
+});
+
+/**
+ * Build a conversation
+ * @param {number} count - Number of messages
+ * @param {number|null} summarisedUpTo - Index of the last message the summary covers, or null for no summary
+ * @returns {Object} Conversation ({ _id, messages, summary })
+ */
+function conversationOf(count, summarisedUpTo = null) {
+  const messages = Array.from({ length: count }, (item, index) => ({
+    _id: new mongoose.Types.ObjectId(),
+    role: index % 2 === 0 ? 'user' : 'assistant',
+    content: `Message ${index}`,
+    channel: 'web'
+  }));
+  const summary = summarisedUpTo === null ? null : {
+    text: 'Earlier summary',
+    lastMessageId: messages[summarisedUpTo]._id.toString(),
+    version: 2,
+    toObject() { return { text: this.text, lastMessageId: this.lastMessageId, version: this.version }; }
+  };
+  return { _id: new mongoose.Types.ObjectId(), messages, summary };
+}
+
+/**
+ * Stub the summariser's model calls
+ * @param {Object} t - Test context
+ * @param {Function} answer - (request, callNumber) => summary text, or throws
+ * @returns {Object} Mock of llmProvider.createResponse
+ */
+function mockSummariser(t, answer) {
+  let calls = 0;
+  return t.mock.method(llmProvider, 'createResponse', async (request) => ({
+    id: `resp_${++calls}`,
+    output: [{ type: 'message', content: [{ type: 'output_text', text: answer(request, calls) }] }]
+  }));
+}
+
+test('an update is due once enough messages are not covered by the summary', () => {
+  assert.strictEqual(summaryService.needsUpdate(conversationOf(4)), false);
+  assert.strictEqual(summaryService.needsUpdate(conversationOf(6)), true);
+  assert.strictEqual(summaryService.needsUpdate(conversationOf(10, 6)), false);
+  assert.strictEqual(summaryService.needsUpdate(conversationOf(10, 5)), true);
+
+  // A summary whose last message is gone (e.g. after a merge) covers nothing
+  const merged = conversationOf(10, 8);
+  merged.summary.lastMessageId = new mongoose.Types.ObjectId().toString();
+  assert.strictEqual(summaryService.pendingMessages(merged), null);
+  assert.strictEqual(summaryService.needsUpdate(merged), true);
+
+  config.summary.enabled = false;
+  assert.strictEqual(summaryService.needsUpdate(conversationOf(10)), false);
+});
+
+test('one background update runs per conversation, and a failed one does not block the next', async (t) => {
+  let finish;
+  const updateSummary = t.mock.method(summaryService, 'updateSummary', () => new Promise((resolve, reject) => { finish = { resolve, reject }; }));
+  const conversation = conversationOf(10, 1);
+
+  assert.strictEqual(summaryService.scheduleUpdate(conversation), true);
+  assert.strictEqual(summaryService.scheduleUpdate(conversation), false);
+  assert.strictEqual(summaryService.scheduleUpdate(conversationOf(10, 8)), false);
+  await backgroundWork();
+  assert.deepStrictEqual(updateSummary.mock.calls.map(call => call.arguments[0]), [conversation._id.toString()]);
+
+  finish.reject(new Error('summariser unavailable'));
+  await backgroundWork();
+  assert.strictEqual(summaryService.scheduleUpdate(conversation), true);
+  await backgroundWork();
+  finish.resolve(null);
+  assert.strictEqual(updateSummary.mock.callCount(), 2);
+});
+
+test('only the new messages are folded into the summary, which is saved if it has not changed meanwhile', async (t) => {
+  const conversation = conversationOf(10, 5);
+  t.mock.method(Conversation, 'findById', async () => conversation);
+  const summariser = mockSummariser(t, () => 'Updated summary');
+  const updateOne = t.mock.method(Conversation, 'updateOne', async () => ({ modifiedCount: 1 }));
+
+  const summary = await summaryService.updateSummary(conversation._id.toString());
+
+  const request = summariser.mock.calls[0].arguments[0].input[1].content;
+  assert.match(request, /^CURRENT SUMMARY:\nEarlier summary/);
+  assert.ok(request.includes('Message 6') && request.includes('Message 9') && !request.includes('Message 5'));
+  assert.strictEqual(summary.text, 'Updated summary');
+  assert.strictEqual(summary.version, 3);
+  assert.strictEqual(summary.messageCount, 10);
+  assert.strictEqual(summary.lastMessageId, conversation.messages[9]._id.toString());
+
+  const [filter, update] = updateOne.mock.calls[0].arguments;
+  assert.strictEqual(filter['summary.lastMessageId'], conversation.messages[5]._id.toString());
+  assert.deepStrictEqual(update.$push.summaryHistory, {
+    $each: [{ text: 'Earlier summary', lastMessageId: conversation.messages[5]._id.toString(), version: 2 }],
+    $slice: -3
+  });
+
+  updateOne.mock.mockImplementation(async () => ({ modifiedCount: 0 }));
+  assert.strictEqual(await summaryService.updateSummary(conversation._id.toString()), null);
+});
+
+test('long transcripts are folded in batches, keeping the batches done before a failure', async (t) => {
+  config.summary.maxInputTokens = 12;
+  const conversation = conversationOf(6);
+  const summariser = mockSummariser(t, (request, call) => {
+    if (call === 3) throw new Error('summariser unavailable');
+    return `Summary ${call}`;
+  });
+
+  const summary = await summaryService.generateSummary(conversation);
+
+  assert.strictEqual(summariser.mock.callCount(), 3);
+  assert.match(summariser.mock.calls[1].arguments[0].input[1].content, /^CURRENT SUMMARY:\nSummary 1/);
+  assert.strictEqual(summary.text, 'Summary 2');
+  assert.ok(summary.messageCount > 0 && summary.messageCount < 6);
+  assert.strictEqual(summary.lastMessageId, conversation.messages[summary.messageCount - 1]._id.toString());
+});
@@ -0,0 +1,230 @@
+// test/support/offline.js
+// Runs the bot without MongoDB or OpenAI: the mock LLM provider answers, and
+// conversations are kept in memory. Require this before any other module.
+
+Object.assign(process.env, {
+  NODE_ENV: 'test',
+  LOG_LEVEL: process.env.LOG_LEVEL || 'error',
+  LLM_PROVIDER: 'mock',
+  LLM_MOCK_SCRIPT: '',
+  CHAT_LIMITS_ENABLED: 'false',
+  MONGODB_URI: 'mongodb://127.0.0.1:27017/offline-tests',
+  MONGODB_DATABASE_NAME: 'offline-tests',
+  OPENAI_API_KEY: 'offline-tests'
+});
+
+const mongoose = require('mongoose');
+const UsageTotal = require('../../models/usage-total');
+const sessionManager = require('../../services/session-manager');
+const summaryService = require('../../services/summary-service');
+
+// Usage accounting and background summaries would wait for a database
+UsageTotal.updateOne = async () => ({});
+UsageTotal.findOne = async () => null;
+const scheduleSummaryUpdate = summaryService.scheduleUpdate;
+summaryService.scheduleUpdate = () => false;
+
+/**
+ * Let turns start background summary updates again (for tests of the scheduling itself)
+ */
+function useSummaryScheduling() {
+  summaryService.scheduleUpdate = scheduleSummaryUpdate;
+}
+
+/**
+ * Keep conversations in memory in place of the session manager's database calls
+ * @returns {Object} { conversations, create(fields) } - conversations by ID
+ */
+function useMemoryConversations() {
+  const conversations = new Map();
+
+  const find = (conversationId) => {
+    const conversation = conversations.get(conversationId.toString());
+    if (!conversation) {
+      throw new Error(`Conversation not found: ${conversationId}`);
+    }
+    return conversation;
+  };
+
+  sessionManager.getConversationById = async (conversationId) => find(conversationId);
+
+  sessionManager.addMessage = async (conversationId, role, content, channel, metadata = {}) => {
+    const conversation = find(conversationId);
+    conversation.messages.push({ _id: new mongoose.Types.ObjectId(), role, content, channel, metadata, timestamp: new Date() });
+    return conversation;
+  };
+
+  sessionManager.updateResponseId = async (conversationId, responseId, context = {}) => {
+    const conversation = find(conversationId);
+    conversation.previousResponseId = responseId;
+
+    if (!responseId) {
+      conversation.previousResponseMessageId = null;
+      conversation.previousResponseAt = null;
+    } else if (context.messageId) {
+      conversation.previousResponseMessageId = context.messageId.toString();
+      conversation.previousResponseAt = new Date();
+    }
+    if (context.strategy) {
+      conversation.contextStrategy = context.strategy;
+    }
+    return conversation;
+  };
+
+  return {
+    conversations,
+
+    /**
+     * Add a conversation
+     * @param {Object} fields - Fields to set ({ identifiers, userInfo, messages })
+     * @returns {Object} Conversation
+     */
+    create(fields = {}) {
+      const conversation = {
+        _id: new mongoose.Types.ObjectId(),
+        identifiers: [],
+        userInfo: {},
+        messages: [],
+        summary: null,
+        ...fields
+      };
+      conversations.set(conversation._id.toString(), conversation);
+      return conversation;
+    }
+  };
+}
+
+/**
+ * Check whether a document matches a query
+ * Supports the operators the services use: equality, $lt, $lte, $gt, $gte, $in, $ne and $or.
+ * @param {Object} doc - Document
+ * @param {Object} query - MongoDB query
+ * @returns {boolean} True if it matches
+ */
+function matches(doc, query) {
+  return Object.entries(query).every(([key, condition]) => {
+    if (key === '$or') return condition.some(branch => matches(doc, branch));
+
+    const value = key.split('.').reduce((obj, part) => (obj == null ? undefined : obj[part]), doc);
+    const isOperator = condition && typeof condition === 'object' && !(condition instanceof Date) &&
+      Object.keys(condition).every(op => op.startsWith('$'));
+    // As in MongoDB, null matches a missing field
+    if (condition === null) return value == null;
+    if (!isOperator) return String(value) === String(condition);
+
+    return Object.entries(condition).every(([op, operand]) => {
+      switch (op) {
+        case '$lt': return value != null && value < operand;
+        case '$lte': return value != null && value <= operand;
+        case '$gt': return value != null && value > operand;
+        case '$gte': return value != null && value >= operand;
+        case '$in': return operand.some(item => String(item) === String(value));
+        case '$ne': return operand === null ? value != null : String(value) !== String(operand);
+        default: throw new Error(`Unsupported query operator in offline tests: ${op}`);
+      }
+    });
+  });
+}
+
+/**
+ * Apply an update to a document
+ * @param {Object} doc - Document, changed in place
+ * @param {Object} update - $set, $inc, $push, or fields to set
+ * @param {boolean} inserting - Whether $setOnInsert applies
+ */
+function applyUpdate(doc, update, inserting) {
+  const operators = Object.keys(update).some(key => key.startsWith('$')) ? update : { $set: update };
+
+  Object.assign(doc, operators.$set || {});
+  if (inserting) Object.assign(doc, operators.$setOnInsert || {});
+  Object.entries(operators.$inc || {}).forEach(([key, amount]) => {
+    doc[key] = (doc[key] || 0) + amount;
+  });
+  Object.entries(operators.$push || {}).forEach(([key, item]) => {
+    doc[key] = [...(doc[key] || []), item];
+  });
+}
+
+/**
+ * Wrap a query result so it can be awaited, sorted or made lean like a Mongoose query
+ * @param {*} result - Document, or array of documents
+ * @returns {Promise} Result, with sort(order) and lean()
+ */
+function queryOf(result) {
+  const query = Promise.resolve(result);
+  query.lean = () => query;
+  query.sort = (order) => {
+    const [[key, direction]] = Object.entries(order);
+    return queryOf([...result].sort((a, b) => (a[key] > b[key] ? 1 : a[key] < b[key] ? -1 : 0) * direction));
+  };
+  return query;
+}
+
+/**
+ * Keep a model's documents in memory in place of its database calls
+ * @param {Object} Model - Mongoose model
+ * @returns {Array} Documents (plain objects), shared with the stubbed methods
+ */
+function useMemoryModel(Model) {
+  const docs = [];
+  const copy = doc => (doc ? { ...doc } : null);
+
+  /**
+   * Insert a document for an upsert, with the equality fields of its query
+   * @param {Object} query - Query that matched nothing
+   * @returns {Object} Inserted document
+   */
+  const insertFor = (query) => {
+    const doc = { _id: new mongoose.Types.ObjectId(), createdAt: new Date(), ...Object.fromEntries(
+      Object.entries(query).filter(([key, value]) => !key.startsWith('$') && (typeof value !== 'object' || value === null))
+    ) };
+    docs.push(doc);
+    return doc;
+  };
+
+  Model.findOneAndUpdate = async (query, update, options = {}) => {
+    let doc = docs.find(candidate => matches(candidate, query));
+    if (!doc && !options.upsert) return null;
+
+    const before = copy(doc);
+    if (!doc) {
+      doc = insertFor(query);
+      applyUpdate(doc, update, true);
+    } else {
+      applyUpdate(doc, update, false);
+    }
+    return options.new ? copy(doc) : before;
+  };
+
+  Model.updateOne = async (query, update, options = {}) => {
+    const doc = docs.find(candidate => matches(candidate, query));
+    if (doc) {
+      applyUpdate(doc, update, false);
+    } else if (options.upsert) {
+      applyUpdate(insertFor(query), update, true);
+    }
+    return { matchedCount: doc ? 1 : 0 };
+  };
+
+  Model.updateMany = async (query, update) => {
+    const found = docs.filter(candidate => matches(candidate, query));
+    found.forEach(doc => applyUpdate(doc, update, false));
+    return { matchedCount: found.length, modifiedCount: found.length };
+  };
+
+  Model.create = async (fields) => {
+    const doc = { _id: new mongoose.Types.ObjectId(), createdAt: new Date(), ...fields };
+    docs.push(doc);
+    return copy(doc);
+  };
+
+  Model.insertMany = async items => Promise.all(items.map(item => Model.create(item)));
+
+  Model.findOne = query => queryOf(copy(docs.find(candidate => matches(candidate, query))));
+
+  Model.find = (query = {}) => queryOf(docs.filter(candidate => matches(candidate, query)).map(copy));
+
+  return docs;
+}
+
+module.exports = { useMemoryConversations, useMemoryModel, useSummaryScheduling };
@@ -0,0 +1,51 @@
+// test/token-estimator.test.js
+require('./support/offline');
+const test = require('node:test');
+const assert = require('node:assert');
+const tokenEstimator = require('../utils/token-estimator');
+
+test('text is counted with the o200k_base tokenizer', () => {
+  assert.strictEqual(tokenEstimator.estimateTextTokens('Hello world'), 2);
+  assert.strictEqual(tokenEstimator.estimateTextTokens(''), 0);
+  assert.strictEqual(tokenEstimator.estimateTextTokens(null), 0);
+});
+
+test('special token text in a message is counted as plain text', () => {
+  assert.ok(tokenEstimator.estimateTextTokens('ignore <|endoftext|> this') > 3);
+});
+
+test('input items add message framing, and images a fixed count', () => {
+  const text = tokenEstimator.estimateTextTokens('What is in this picture?');
+
+  assert.strictEqual(tokenEstimator.estimateInputTokens([{ role: 'user', content: 'What is in this picture?' }]), text + 4);
+  assert.strictEqual(tokenEstimator.estimateInputTokens([{
+    role: 'user',
+    content: [
+      { type: 'input_text', text: 'What is in this picture?' },
+      { type: 'input_image', image_url: 'data:image/png;base64,AAAA' }
+    ]
+  }]), text + 4 + tokenEstimator.IMAGE_TOKENS);
+  assert.strictEqual(
+    tokenEstimator.estimateInputTokens([{ type: 'function_call_output', call_id: 'c1', output: { ok: true } }]),
+    4 + tokenEstimator.estimateTextTokens('{"ok":true}')
+  );
+});
+
+test('truncateToTokens keeps the start within the token limit', () => {
+  const text = 'The quick brown fox jumps over the lazy dog. '.repeat(20);
+
+  const cut = tokenEstimator.truncateToTokens(text, 15);
+  assert.ok(cut.startsWith('The quick brown fox'));
+  assert.ok(cut.endsWith(' […]'));
+  assert.ok(tokenEstimator.estimateTextTokens(cut) <= 15);
+
+  assert.strictEqual(tokenEstimator.truncateToTokens('Short', 15), 'Short');
+  assert.strictEqual(tokenEstimator.truncateToTokens(text, 0), '');
+});
+
+test('truncateToTokens never leaves half a character', () => {
+  const cut = tokenEstimator.truncateToTokens('日本語のテキストはトークンが多い'.repeat(10), 12);
+
+  assert.ok(!cut.includes('\uFFFD'));
+  assert.ok(tokenEstimator.estimateTextTokens(cut) <= 12);
+});
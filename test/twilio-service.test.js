@@ -0,0 +1,48 @@
+// test/twilio-service.test.js
+require('./support/offline');
+const test = require('node:test');
+const assert = require('node:assert');
+const twilioService = require('../services/twilio-service');
+const config = require('../config');
+
+test.beforeEach((t) => {
+  let count = 0;
+  t.mock.method(twilioService, 'getClient', () => ({}));
+  t.mock.method(twilioService, 'isSuppressed', async () => false);
+  t.mock.method(twilioService, 'createMessage', async () => ({ sid: `SM${++count}`, status: 'queued' }));
+});
+
+test('split SMS replies follow the SMS confirmation setting, not the WhatsApp one', async (t) => {
+  const waitForDispatch = t.mock.method(twilioService, 'waitForDispatch', async () => 'sent');
+  const saved = { sms: config.sms.confirmDelivery, whatsapp: config.whatsapp.confirmDelivery, smsNumber: config.twilio.smsNumber };
+  t.after(() => {
+    config.sms.confirmDelivery = saved.sms;
+    config.whatsapp.confirmDelivery = saved.whatsapp;
+    config.twilio.smsNumber = saved.smsNumber;
+  });
+  config.twilio.smsNumber = '+447700900000';
+  config.whatsapp.confirmDelivery = true;
+  config.sms.confirmDelivery = false;
+
+  const longReply = 'This sentence is long enough to need several text messages. '.repeat(12);
+  const unconfirmed = await twilioService.sendSmsReply('+447700900123', longReply);
+  assert.strictEqual(unconfirmed.success, true);
+  assert.ok(unconfirmed.messages.length > 1);
+  assert.strictEqual(waitForDispatch.mock.callCount(), 0);
+
+  config.sms.confirmDelivery = true;
+  const confirmed = await twilioService.sendSmsReply('+447700900123', longReply);
+  assert.strictEqual(waitForDispatch.mock.callCount(), confirmed.messages.length - 1);
+  assert.strictEqual(waitForDispatch.mock.calls[0].arguments[2], config.sms);
+});
+
+test('a part that fails to dispatch stops the rest of the reply', async (t) => {
+  t.mock.method(twilioService, 'waitForDispatch', async () => 'undelivered');
+  const sent = [];
+
+  const failure = await twilioService.sendParts('+447700900123', ['one', 'two', 'three'], sent, [], { confirmDelivery: true });
+
+  assert.strictEqual(failure, 'Part 1 undelivered');
+  assert.deepStrictEqual(sent.map(item => [item.part, item.status]), [[1, 'undelivered']]);
+  assert.deepStrictEqual(twilioService.getSentParts({ messages: sent }), []);
+});
@@ -0,0 +1,56 @@
+// test/twilio-webhook.test.js
+const { useMemoryConversations, useMemoryModel } = require('./support/offline');
+const test = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const WebhookEvent = require('../models/webhook-event');
+const conversationEngine = require('../services/conversation-engine');
+const consentService = require('../services/consent-service');
+const twilioService = require('../services/twilio-service');
+const config = require('../config');
+const { delay } = require('../utils/delay');
+
+const store = useMemoryConversations();
+
+test('coalesced messages keep the earliest receive time and the conversation the route resolved', async (t) => {
+  const events = useMemoryModel(WebhookEvent);
+  const coalesceWindowMs = config.queue.coalesceWindowMs;
+  config.queue.coalesceWindowMs = 100;
+  t.after(() => { config.queue.coalesceWindowMs = coalesceWindowMs; });
+
+  const conversation = store.create({ identifiers: [{ type: 'sms_phone', value: '+447700900123' }] });
+  const adapter = conversationEngine.getAdapter('sms');
+  const resolveConversation = t.mock.method(adapter, 'resolveConversation', async () => conversation);
+  t.mock.method(consentService, 'handleInbound', async () => ({ handled: false }));
+  t.mock.method(twilioService, 'recordInbound', async () => {});
+  const runTurn = t.mock.method(conversationEngine, 'runTurn');
+  t.mock.method(adapter, 'deliver', async () => ({ success: true, messages: [] }));
+
+  const app = express();
+  app.use('/twilio', require('../routes/twilio-webhook'));
+  const server = app.listen(0);
+  t.after(() => server.close());
+
+  const post = (sid, body) => fetch(`http://127.0.0.1:${server.address().port}/twilio/sms`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: `From=%2B447700900123&MessageSid=${sid}&Body=${body}`
+  });
+
+  await post('SM1', 'Hello');
+  await delay(20);
+  await post('SM2', 'Are+you+open');
+  for (let i = 0; i < 100 && !events.every(event => event.status === 'replied'); i++) {
+    await delay(10);
+  }
+
+  const receivedAt = events.find(event => event.messageSid === 'SM1').payload.receivedAt;
+  assert.strictEqual(runTurn.mock.callCount(), 1);
+  const inbound = runTurn.mock.calls[0].arguments[1];
+  assert.strictEqual(inbound.body, 'Hello\nAre you open');
+  assert.strictEqual(inbound.receivedAt, receivedAt);
+  assert.strictEqual(inbound.conversation, conversation);
+  // Once per message by the route, never again inside the turn
+  assert.strictEqual(resolveConversation.mock.callCount(), 2);
+  assert.strictEqual(conversation.messages[0].content, 'Hello\nAre you open');
+});
@@ -0,0 +1,61 @@
+// test/usage-api.test.js
+require('./support/offline');
+const test = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const mongoose = require('mongoose');
+const Conversation = require('../models/conversation');
+const usageService = require('../services/usage-service');
+const config = require('../config');
+
+config.api.keys = [{ name: 'crm', key: 'crm-key' }, { name: 'ops', key: 'ops-key' }];
+config.api.adminClients = ['ops'];
+
+const app = express();
+app.use('/api/usage', require('../routes/usage-api'));
+const server = app.listen(0);
+test.after(() => server.close());
+
+/**
+ * Call the usage API
+ * @param {string} path - Path below /api/usage
+ * @param {string} key - API key
+ * @returns {Promise<Object>} { status, body }
+ */
+async function get(path, key) {
+  const res = await fetch(`http://127.0.0.1:${server.address().port}/api/usage${path}`, {
+    headers: key ? { Authorization: `Bearer ${key}` } : {}
+  });
+  return { status: res.status, body: await res.json() };
+}
+
+test('global totals are only served to admin clients', async (t) => {
+  t.mock.method(usageService, 'getTotals', async () => ({ totals: { calls: 3 } }));
+  t.mock.method(usageService, 'getBudgetStatus', async () => ({ today: 0 }));
+
+  assert.strictEqual((await get('/')).status, 401);
+  assert.strictEqual((await get('/', 'crm-key')).status, 403);
+
+  const admin = await get('/', 'ops-key');
+  assert.strictEqual(admin.status, 200);
+  assert.deepStrictEqual(admin.body, { totals: { calls: 3 }, budget: { today: 0 } });
+});
+
+test('clients only read the usage of their own API conversations', async (t) => {
+  const own = new mongoose.Types.ObjectId();
+  const other = new mongoose.Types.ObjectId();
+  const conversations = {
+    [own]: { _id: own, identifiers: [{ type: 'user_id', value: 'crm:42' }] },
+    [other]: { _id: other, identifiers: [{ type: 'whatsapp', value: '+447700900123' }] }
+  };
+  t.mock.method(Conversation, 'findById', async id => conversations[id] || null);
+  t.mock.method(usageService, 'getConversationTotals', async id => ({ conversationId: id, costUsd: 0.01 }));
+
+  const mine = await get(`/conversations/${own}`, 'crm-key');
+  assert.strictEqual(mine.status, 200);
+  assert.strictEqual(mine.body.conversationId, own.toString());
+
+  assert.strictEqual((await get(`/conversations/${other}`, 'crm-key')).status, 403);
+  assert.strictEqual((await get(`/conversations/${new mongoose.Types.ObjectId()}`, 'crm-key')).status, 404);
+  assert.strictEqual((await get(`/conversations/${other}`, 'ops-key')).status, 200);
+});
@@ -0,0 +1,97 @@
+// test/usage-service.test.js
+const { useMemoryModel } = require('./support/offline');
+const test = require('node:test');
+const assert = require('node:assert');
+const UsageTotal = require('../models/usage-total');
+const usageService = require('../services/usage-service');
+const config = require('../config');
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+test.beforeEach((t) => {
+  useMemoryModel(UsageTotal);
+  const saved = { ...config.usage.budgets };
+  t.after(() => Object.assign(config.usage.budgets, saved));
+});
+
+test('calls are priced by the longest matching model name, with cached input at its own rate', () => {
+  const call = usageService.describeCall('gpt-4o-mini-2024-07-18', {
+    input_tokens: 1000000,
+    output_tokens: 500000,
+    input_tokens_details: { cached_tokens: 400000 }
+  });
+
+  // 600k input at 0.15, 400k cached at 0.075 and 500k output at 0.60 per million
+  assert.deepStrictEqual(call, {
+    model: 'gpt-4o-mini-2024-07-18',
+    inputTokens: 1000000,
+    cachedInputTokens: 400000,
+    outputTokens: 500000,
+    totalTokens: 1500000,
+    costUsd: 0.42
+  });
+  assert.strictEqual(usageService.describeCall('llama3.1', { input_tokens: 10, output_tokens: 5 }).costUsd, 0);
+  assert.strictEqual(usageService.describeCall('gpt-4o', null), null);
+});
+
+test('a turn counts its first response and every tool follow-up', () => {
+  const calls = usageService.turnCalls(
+    { model: 'gpt-4.1-nano', usage: { input_tokens: 100, output_tokens: 20, total_tokens: 120 } },
+    { steps: [
+      { followUpModel: 'gpt-4.1-nano', followUpUsage: { input_tokens: 300, output_tokens: 40, total_tokens: 340 } },
+      { followUpModel: 'gpt-4.1-nano', followUpUsage: null }
+    ] }
+  );
+
+  const total = usageService.sum(calls);
+  assert.strictEqual(total.calls, 2);
+  assert.strictEqual(total.inputTokens, 400);
+  assert.strictEqual(total.totalTokens, 460);
+});
+
+test('usage is added to the conversation, channel and day totals; summaries to the conversation and day only', async () => {
+  const call = usageService.describeCall('gpt-4o', { input_tokens: 1000, output_tokens: 100 });
+  await usageService.record({ conversationId: 'c1', channel: 'whatsapp', kind: 'turn', calls: [call, call] });
+  await usageService.record({ conversationId: 'c1', channel: 'sms', kind: 'turn', calls: [call] });
+  await usageService.record({ conversationId: 'c2', channel: null, kind: 'summary', calls: [call] });
+
+  const conversation = await usageService.getConversationTotals('c1');
+  assert.strictEqual(conversation.turns, 2);
+  assert.strictEqual(conversation.calls, 3);
+  assert.strictEqual(conversation.costUsd, 0.0105);
+
+  const totals = await usageService.getTotals({ from: today(), to: today() });
+  assert.strictEqual(totals.totals.calls, 4);
+  assert.strictEqual(totals.totals.turns, 2);
+  assert.strictEqual(totals.totals.summaries, 1);
+  assert.deepStrictEqual(totals.channels.map(channel => [channel.channel, channel.calls]).sort(), [['sms', 1], ['whatsapp', 2]]);
+  assert.strictEqual(totals.days.length, 1);
+});
+
+test('recording never throws, so accounting cannot break a turn', async (t) => {
+  t.mock.method(UsageTotal, 'updateOne', async () => { throw new Error('database unavailable'); });
+  const call = usageService.describeCall('gpt-4o', { input_tokens: 10, output_tokens: 1 });
+
+  await usageService.record({ conversationId: 'c1', channel: 'web', kind: 'turn', calls: [call] });
+});
+
+test('budget ceilings degrade to a cheaper model, then refuse', async () => {
+  Object.assign(config.usage.budgets, { dailyDegradeUsd: 0, dailyLimitUsd: 0, conversationDegradeUsd: 0.01, conversationLimitUsd: 0.02, degradedModel: 'gpt-4.1-nano' });
+  const call = usageService.describeCall('gpt-4o', { input_tokens: 2000, output_tokens: 500 });
+
+  assert.strictEqual((await usageService.checkBudget('c1')).action, 'none');
+
+  await usageService.record({ conversationId: 'c1', channel: 'web', kind: 'turn', calls: [call] });
+  assert.deepStrictEqual(await usageService.checkBudget('c1'), { action: 'degrade', reason: 'conversation_degrade', model: 'gpt-4.1-nano', message: null });
+  assert.strictEqual((await usageService.checkBudget('c2')).action, 'none');
+
+  await usageService.record({ conversationId: 'c1', channel: 'web', kind: 'turn', calls: [call] });
+  const refused = await usageService.checkBudget('c1');
+  assert.strictEqual(refused.action, 'refuse');
+  assert.strictEqual(refused.reason, 'conversation_limit');
+  assert.strictEqual(refused.message, config.usage.budgets.refusalMessage);
+
+  Object.assign(config.usage.budgets, { dailyLimitUsd: 0.01 });
+  assert.strictEqual((await usageService.checkBudget('c2')).reason, 'daily_limit');
+  assert.strictEqual((await usageService.getBudgetStatus()).spentUsd, 0.02);
+});
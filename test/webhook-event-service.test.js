@@ -0,0 +1,150 @@
+// test/webhook-event-service.test.js
+const { useMemoryConversations, useMemoryModel } = require('./support/offline');
+const test = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const WebhookEvent = require('../models/webhook-event');
+const webhookEventService = require('../services/webhook-event-service');
+const conversationEngine = require('../services/conversation-engine');
+const consentService = require('../services/consent-service');
+const twilioService = require('../services/twilio-service');
+const config = require('../config');
+const { delay } = require('../utils/delay');
+
+const store = useMemoryConversations();
+let events;
+
+test.beforeEach(() => {
+  events = useMemoryModel(WebhookEvent);
+});
+
+/**
+ * Find an event by its message ID
+ * @param {string} messageSid - Provider message ID
+ * @returns {Object} Event
+ */
+function eventFor(messageSid) {
+  return events.find(event => event.messageSid === messageSid);
+}
+
+test('the first delivery is recorded and later ones count as redeliveries', async () => {
+  const first = await webhookEventService.recordDelivery('SM1', { channel: 'sms', from: '+447700900123', payload: { body: 'Hi' } });
+  const second = await webhookEventService.recordDelivery('SM1', { channel: 'sms', from: '+447700900123', payload: { body: 'Hi' } });
+
+  assert.deepStrictEqual(first, { event: null, isRedelivery: false });
+  assert.strictEqual(second.isRedelivery, true);
+  assert.strictEqual(second.event.status, 'received');
+  assert.strictEqual(eventFor('SM1').deliveries, 2);
+  assert.strictEqual(eventFor('SM1').attempts, 0);
+});
+
+test('a concurrent duplicate key error is a redelivery, other errors are thrown', async (t) => {
+  await webhookEventService.recordDelivery('SM1', { channel: 'sms', from: '+447700900123' });
+  const findOneAndUpdate = WebhookEvent.findOneAndUpdate;
+  let calls = 0;
+  t.mock.method(WebhookEvent, 'findOneAndUpdate', async (...args) => {
+    if (calls++ === 0) throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+    return findOneAndUpdate(...args);
+  });
+
+  const redelivery = await webhookEventService.recordDelivery('SM1', { channel: 'sms', from: '+447700900123' });
+  assert.strictEqual(redelivery.isRedelivery, true);
+  assert.strictEqual(eventFor('SM1').deliveries, 2);
+
+  WebhookEvent.findOneAndUpdate.mock.mockImplementation(async () => {
+    throw new Error('connection refused');
+  });
+  await assert.rejects(webhookEventService.recordDelivery('SM2', { channel: 'sms', from: '+447700900123' }), /connection refused/);
+});
+
+test('an event is claimed once, and again only after the processing timeout', async () => {
+  await webhookEventService.recordDelivery('SM1', { channel: 'sms', from: '+447700900123' });
+
+  const claimed = await webhookEventService.startProcessing('SM1');
+  assert.strictEqual(claimed.status, 'processing');
+  assert.strictEqual(claimed.attempts, 1);
+  assert.strictEqual(await webhookEventService.startProcessing('SM1'), null);
+
+  eventFor('SM1').processingStartedAt = new Date(Date.now() - config.webhooks.processingTimeoutMs - 1000);
+  const resumed = await webhookEventService.startProcessing('SM1');
+  assert.strictEqual(resumed.attempts, 2);
+});
+
+test('replied, failed and exhausted events are never claimed again', async () => {
+  for (const sid of ['SM1', 'SM2', 'SM3']) {
+    await webhookEventService.recordDelivery(sid, { channel: 'sms', from: '+447700900123' });
+    await webhookEventService.startProcessing(sid);
+  }
+  await webhookEventService.markReplied('SM1');
+  await webhookEventService.markFailed(['SM2'], new Error('Send failed'));
+  Object.assign(eventFor('SM3'), {
+    attempts: config.webhooks.maxAttempts,
+    processingStartedAt: new Date(Date.now() - config.webhooks.processingTimeoutMs - 1000)
+  });
+
+  assert.strictEqual(await webhookEventService.startProcessing('SM1'), null);
+  assert.strictEqual(await webhookEventService.startProcessing('SM2'), null);
+  assert.strictEqual(await webhookEventService.startProcessing('SM3'), null);
+  assert.strictEqual(eventFor('SM2').lastError, 'Send failed');
+  assert.strictEqual(webhookEventService.isFinished(eventFor('SM1')), true);
+  assert.strictEqual(webhookEventService.isFinished(eventFor('SM2')), true);
+  assert.strictEqual(webhookEventService.isFinished(eventFor('SM3')), false);
+});
+
+test('only received and interrupted events are resumed', async () => {
+  for (const [sid, channel] of [['SM1', 'sms'], ['SM2', 'whatsapp'], ['SM3', 'sms'], ['SM4', 'sms'], ['TG1', 'telegram']]) {
+    await webhookEventService.recordDelivery(sid, { channel, from: '+447700900123' });
+  }
+  await webhookEventService.startProcessing('SM2');
+  eventFor('SM2').processingStartedAt = new Date(Date.now() - config.webhooks.processingTimeoutMs - 1000);
+  await webhookEventService.startProcessing('SM3');
+  await webhookEventService.markFailed('SM3', 'Send failed');
+  await webhookEventService.startProcessing('SM4');
+
+  const resumable = await webhookEventService.findResumable(['whatsapp', 'sms']);
+
+  assert.deepStrictEqual(resumable.map(event => event.messageSid).sort(), ['SM1', 'SM2']);
+});
+
+test('a redelivery after a failed reply is skipped, so the user gets no reply after the error message', async (t) => {
+  const conversation = store.create({ identifiers: [{ type: 'sms', value: '+447700900123' }] });
+  const adapter = conversationEngine.getAdapter('sms');
+  t.mock.method(adapter, 'resolveConversation', async () => conversation);
+  t.mock.method(consentService, 'handleInbound', async () => ({ handled: false }));
+  t.mock.method(twilioService, 'recordInbound', async () => {});
+  const runTurn = t.mock.method(conversationEngine, 'runTurn');
+  const deliver = t.mock.method(adapter, 'deliver', async (payload, reply) => (
+    /encountered an error/.test(reply.responseText)
+      ? { success: true, messages: [] }
+      : { success: false, messages: [], error: 'Twilio unavailable' }
+  ));
+
+  const app = express();
+  app.use('/twilio', require('../routes/twilio-webhook'));
+  const server = app.listen(0);
+  t.after(() => server.close());
+
+  const post = () => fetch(`http://127.0.0.1:${server.address().port}/twilio/sms`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: 'From=%2B447700900123&MessageSid=SM1&Body=Hello'
+  });
+
+  await post();
+  for (let i = 0; i < 100 && !webhookEventService.isFinished(eventFor('SM1')); i++) {
+    await delay(10);
+  }
+  assert.strictEqual(eventFor('SM1').status, 'failed');
+  assert.deepStrictEqual(deliver.mock.calls.map(call => call.arguments[1].responseText), [
+    'Mock reply: Hello',
+    "I'm sorry, I encountered an error processing your request. Please try again later."
+  ]);
+
+  await post();
+  await delay(50);
+
+  assert.strictEqual(eventFor('SM1').deliveries, 2);
+  assert.strictEqual(eventFor('SM1').attempts, 1);
+  assert.strictEqual(runTurn.mock.callCount(), 1);
+  assert.strictEqual(deliver.mock.callCount(), 2);
+});
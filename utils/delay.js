@@ -0,0 +1,12 @@
+// utils/delay.js
+
+/**
+ * Wait for a number of milliseconds
+ * @param {number} ms - Milliseconds to wait
+ * @returns {Promise<void>}
+ */
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports = { delay };
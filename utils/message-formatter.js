@@ -0,0 +1,320 @@
+// utils/message-formatter.js
+// Converts model Markdown into channel-specific text and splits long replies
+
+// Placeholder used while converting bold so italic conversion does not touch it
+const BOLD_MARKER = '\u0001';
+
+// Room reserved for a part label such as "\n(12/12)"
+const PART_LABEL_RESERVE = 8;
+
+// GSM 03.38 basic character set (one septet each)
+const GSM7_BASIC = '@£$¥èéùìòÇ\nØø\rÅåΔ_ΦΓΛΩΠΨΣΘΞÆæßÉ !"#¤%&\'()*+,-./0123456789:;<=>?' +
+  '¡ABCDEFGHIJKLMNOPQRSTUVWXYZÄÖÑÜ§¿abcdefghijklmnopqrstuvwxyzäöñüà';
+
+// GSM 03.38 extension characters (escape + septet, so they count twice)
+const GSM7_EXTENDED = '^{}\\[~]|€\f';
+
+// SMS segment sizes: single message / per segment of a concatenated message
+const SMS_SEGMENT_LIMITS = {
+  'GSM-7': { single: 160, multi: 153 },
+  'UCS-2': { single: 70, multi: 67 }
+};
+
+// Common typographic characters replaced so replies stay in GSM-7
+const SMS_REPLACEMENTS = [
+  [/[\u2018\u2019\u201A\u2032]/g, "'"],
+  [/[\u201C\u201D\u201E\u2033]/g, '"'],
+  [/[\u2013\u2014\u2212]/g, '-'],
+  [/\u2026/g, '...'],
+  [/[\u2022\u25CF\u25E6]/g, '-'],
+  [/[\u00A0\u2009\u200A\u202F]/g, ' '],
+  [/[\u200B\u200C\u200D\uFEFF]/g, '']
+];
+
+/**
+ * Convert Markdown links to plain "text (url)" form
+ * @param {string} text - Text containing Markdown links
+ * @returns {string} Text with links flattened
+ */
+function flattenLinks(text) {
+  return text.replace(/\[([^\]]+)\]\(([^)\s]+)(?:\s+"[^"]*")?\)/g, (match, label, url) => {
+    const cleanUrl = url.replace(/^mailto:/, '');
+    return label.trim() === cleanUrl ? cleanUrl : `${label} (${cleanUrl})`;
+  });
+}
+
+/**
+ * Convert model Markdown into WhatsApp formatting
+ * **bold** → *bold*, *italic* → _italic_, ~~strike~~ → ~strike~,
+ * headings → bold lines, bullets → •, [text](url) → text (url)
+ * @param {string} markdown - Markdown text from the model
+ * @returns {string} WhatsApp-formatted text
+ */
+function toWhatsAppText(markdown) {
+  if (!markdown || typeof markdown !== 'string') return '';
+
+  let text = markdown.replace(/\r\n/g, '\n');
+
+  // Headings become bold lines
+  text = text.replace(/^#{1,6}[ \t]+(.+?)[ \t]*#*[ \t]*$/gm, (match, heading) =>
+    `${BOLD_MARKER}${heading.replace(/\*\*|__/g, '')}${BOLD_MARKER}`);
+
+  // Bold (protected with a marker until italics are converted)
+  text = text.replace(/\*\*(?=\S)([\s\S]*?\S)\*\*/g, `${BOLD_MARKER}$1${BOLD_MARKER}`);
+  text = text.replace(/__(?=\S)([\s\S]*?\S)__/g, `${BOLD_MARKER}$1${BOLD_MARKER}`);
+
+  // Bullets (before italics so "* item" is not read as emphasis)
+  text = text.replace(/^([ \t]*)[-*+][ \t]+/gm, '$1• ');
+
+  // Italic
+  text = text.replace(/(^|[^\w*])\*(?=\S)([^*\n]*?\S)\*(?![\w*])/g, '$1_$2_');
+
+  // Strikethrough
+  text = text.replace(/~~(?=\S)([\s\S]*?\S)~~/g, '~$1~');
+
+  // Links
+  text = flattenLinks(text);
+
+  // Horizontal rules
+  text = text.replace(/^[ \t]*([-*_])([ \t]*\1){2,}[ \t]*$/gm, '');
+
+  text = text.split(BOLD_MARKER).join('*');
+
+  return text.replace(/\n{3,}/g, '\n\n').trim();
+}
+
+/**
+ * Convert model Markdown into plain text (for SMS)
+ * Emphasis markers, headings and code fences are dropped, bullets become
+ * "- ", and [text](url) becomes text (url).
+ * @param {string} markdown - Markdown text from the model
+ * @returns {string} Plain text
+ */
+function toPlainText(markdown) {
+  if (!markdown || typeof markdown !== 'string') return '';
+
+  let text = markdown.replace(/\r\n/g, '\n');
+
+  // Code fences and inline code
+  text = text.replace(/^[ \t]*```[^\n]*\n?/gm, '');
+  text = text.replace(/`([^`\n]+)`/g, '$1');
+
+  // Headings
+  text = text.replace(/^#{1,6}[ \t]+(.+?)[ \t]*#*[ \t]*$/gm, '$1');
+
+  // Horizontal rules (before bullets, so "---" is not read as one)
+  text = text.replace(/^[ \t]*([-*_])([ \t]*\1){2,}[ \t]*$/gm, '');
+
+  // Bullets and block quotes
+  text = text.replace(/^([ \t]*)[-*+][ \t]+/gm, '$1- ');
+  text = text.replace(/^[ \t]*>[ \t]?/gm, '');
+
+  // Bold, italic and strikethrough
+  text = text.replace(/\*\*(?=\S)([\s\S]*?\S)\*\*/g, '$1');
+  text = text.replace(/__(?=\S)([\s\S]*?\S)__/g, '$1');
+  text = text.replace(/(^|[^\w*])\*(?=\S)([^*\n]*?\S)\*(?![\w*])/g, '$1$2');
+  text = text.replace(/(^|[^\w_])_(?=\S)([^_\n]*?\S)_(?![\w_])/g, '$1$2');
+  text = text.replace(/~~(?=\S)([\s\S]*?\S)~~/g, '$1');
+
+  // Links
+  text = flattenLinks(text);
+
+  return text.replace(/\n{3,}/g, '\n\n').trim();
+}
+
+/**
+ * Replace typographic characters with GSM-7 equivalents
+ * A single character outside GSM-7 switches the whole message to UCS-2,
+ * more than halving the characters per segment.
+ * @param {string} text - Text to normalise
+ * @returns {string} Normalised text
+ */
+function normaliseForSms(text) {
+  return SMS_REPLACEMENTS.reduce((result, [pattern, replacement]) => result.replace(pattern, replacement), text);
+}
+
+/**
+ * Count the SMS segments a message will use
+ * @param {string} text - Message text
+ * @returns {Object} { encoding: 'GSM-7'|'UCS-2', units, segments }
+ */
+function countSmsSegments(text) {
+  if (!text) return { encoding: 'GSM-7', units: 0, segments: 0 };
+
+  let units = 0;
+  let encoding = 'GSM-7';
+
+  for (const char of text) {
+    if (GSM7_BASIC.includes(char)) {
+      units += 1;
+    } else if (GSM7_EXTENDED.includes(char)) {
+      units += 2;
+    } else {
+      encoding = 'UCS-2';
+      break;
+    }
+  }
+
+  if (encoding === 'UCS-2') {
+    // UCS-2 counts UTF-16 code units (emoji take two)
+    units = text.length;
+  }
+
+  const limits = SMS_SEGMENT_LIMITS[encoding];
+  const segments = units <= limits.single ? 1 : Math.ceil(units / limits.multi);
+
+  return { encoding, units, segments };
+}
+
+/**
+ * Split a block of text into sentences, keeping the terminating punctuation
+ * @param {string} text - Text to split
+ * @returns {Array<string>} Sentences
+ */
+function splitSentences(text) {
+  const sentences = text.match(/[^.!?\n]+(?:[.!?]+["')\]]*|\n|$)\s*/g);
+  return sentences ? sentences.filter(sentence => sentence.length > 0) : [text];
+}
+
+/**
+ * Break a single piece of text that exceeds the limit, by words then by characters
+ * @param {string} text - Text to break
+ * @param {number} maxLength - Maximum chunk length
+ * @returns {Array<string>} Chunks
+ */
+function hardWrap(text, maxLength) {
+  const chunks = [];
+  let current = '';
+
+  for (const word of text.split(/(\s+)/)) {
+    if ((current + word).length <= maxLength) {
+      current += word;
+      continue;
+    }
+
+    if (current.trim()) chunks.push(current.trim());
+    current = '';
+
+    // A single word longer than the limit (e.g. a URL) is cut
+    let remaining = word.trim();
+    while (remaining.length > maxLength) {
+      chunks.push(remaining.substring(0, maxLength));
+      remaining = remaining.substring(maxLength);
+    }
+    current = remaining;
+  }
+
+  if (current.trim()) chunks.push(current.trim());
+  return chunks;
+}
+
+/**
+ * Split text into chunks no longer than maxLength
+ * Breaks on paragraph boundaries first, then sentences, then words.
+ * @param {string} text - Text to split
+ * @param {number} maxLength - Maximum chunk length
+ * @returns {Array<string>} Chunks
+ */
+function chunkText(text, maxLength) {
+  if (text.length <= maxLength) return [text];
+
+  // Break into the smallest natural units that fit
+  const units = [];
+  for (const paragraph of text.split(/\n{2,}/)) {
+    if (paragraph.length <= maxLength) {
+      units.push({ text: paragraph, separator: '\n\n' });
+      continue;
+    }
+
+    for (const sentence of splitSentences(paragraph)) {
+      const pieces = sentence.length <= maxLength ? [sentence] : hardWrap(sentence, maxLength);
+      pieces.forEach(piece => units.push({ text: piece, separator: ' ' }));
+    }
+    units[units.length - 1].separator = '\n\n';
+  }
+
+  // Pack units greedily into chunks
+  const chunks = [];
+  let current = '';
+  let pendingSeparator = '';
+
+  for (const unit of units) {
+    const piece = unit.text.trim();
+    if (!piece) continue;
+
+    const candidate = current ? `${current}${pendingSeparator}${piece}` : piece;
+    if (candidate.length <= maxLength) {
+      current = candidate;
+    } else {
+      chunks.push(current);
+      current = piece;
+    }
+    pendingSeparator = unit.separator;
+  }
+
+  if (current) chunks.push(current);
+  return chunks;
+}
+
+/**
+ * Split a message into parts that fit a channel's length limit
+ * @param {string} text - Message text
+ * @param {number} maxLength - Maximum length of each part
+ * @param {Object} options - { numberParts } - append "(n/total)" labels when split
+ * @returns {Array<string>} Message parts, in send order
+ */
+function splitMessage(text, maxLength, options = {}) {
+  if (!text) return [];
+  if (text.length <= maxLength) return [text];
+
+  const numberParts = options.numberParts !== false;
+  const chunks = chunkText(text, numberParts ? maxLength - PART_LABEL_RESERVE : maxLength);
+
+  if (!numberParts || chunks.length === 1) return chunks;
+
+  return chunks.map((chunk, index) => `${chunk}\n(${index + 1}/${chunks.length})`);
+}
+
+/**
+ * Format a model reply for WhatsApp and split it into sendable parts
+ * @param {string} markdown - Model reply (Markdown)
+ * @param {Object} options - { maxLength, numberParts }
+ * @returns {Array<string>} WhatsApp message parts
+ */
+function formatForWhatsApp(markdown, options = {}) {
+  return splitMessage(toWhatsAppText(markdown), options.maxLength || 1600, options);
+}
+
+/**
+ * Format a model reply for SMS and split it into sendable messages
+ * Each message stays within maxSegments segments for its encoding.
+ * @param {string} markdown - Model reply (Markdown)
+ * @param {Object} options - { maxSegments, numberParts }
+ * @returns {Array<string>} SMS messages, in send order
+ */
+function formatForSms(markdown, options = {}) {
+  const text = normaliseForSms(toPlainText(markdown));
+  const maxSegments = options.maxSegments || 3;
+
+  const { encoding } = countSmsSegments(text);
+  const limits = SMS_SEGMENT_LIMITS[encoding];
+  let maxLength = maxSegments === 1 ? limits.single : limits.multi * maxSegments;
+
+  // Extension characters count double, so shrink the limit until every part fits
+  let parts = splitMessage(text, maxLength, options);
+  while (parts.some(part => countSmsSegments(part).segments > maxSegments) && maxLength > limits.multi) {
+    maxLength = Math.floor(maxLength * 0.9);
+    parts = splitMessage(text, maxLength, options);
+  }
+
+  return parts;
+}
+
+module.exports = {
+  toWhatsAppText,
+  toPlainText,
+  countSmsSegments,
+  splitMessage,
+  formatForWhatsApp,
+  formatForSms
+};
@@ -0,0 +1,43 @@
+// utils/phone.js
+// Phone number helpers shared by the channels, limits and consent handling
+
+// Identifier types that hold a user's phone number
+const PHONE_IDENTIFIER_TYPES = ['phone', 'whatsapp_phone', 'sms_phone'];
+
+/**
+ * Format a phone number to E.164
+ * Numbers without a country code are taken to be UK numbers.
+ * @param {string} phoneNumber - Phone number, optionally with a 'whatsapp:' prefix
+ * @returns {string|null} Formatted phone number
+ */
+function formatPhoneToE164(phoneNumber) {
+  if (!phoneNumber) return null;
+  let formattedNumber = phoneNumber.replace('whatsapp:', '');
+  if (!formattedNumber.startsWith('+')) {
+    if (formattedNumber.startsWith('0')) {
+      formattedNumber = '+44' + formattedNumber.substring(1);
+    } else if (/^\d+$/.test(formattedNumber) && formattedNumber.length >= 9) {
+      formattedNumber = '+44' + formattedNumber;
+    }
+  }
+  return formattedNumber.replace(/[\s\-\(\)]/g, '');
+}
+
+/**
+ * Mask a phone number for logs
+ * @param {string} phone - Phone number
+ * @returns {string} Masked phone number
+ */
+function maskPhoneNumber(phone) {
+  if (!phone || typeof phone !== 'string') return '[INVALID_PHONE]';
+  if (phone.length < 8) return '[SHORT_PHONE]';
+  const cleaned = phone.replace(/[^\d+]/g, '');
+  if (cleaned.length <= 9) return cleaned.substring(0, 2) + '***' + cleaned.slice(-2);
+  return cleaned.substring(0, 5) + '***' + cleaned.slice(-4);
+}
+
+module.exports = {
+  PHONE_IDENTIFIER_TYPES,
+  formatPhoneToE164,
+  maskPhoneNumber
+};
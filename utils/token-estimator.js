@@ -0,0 +1,116 @@
+// utils/token-estimator.js
+// Counts how many tokens text and Responses API input items use, without a network call
+const { Tiktoken } = require('js-tiktoken/lite');
+const config = require('../config');
+
+// Encodings that can be configured: o200k_base (gpt-4o, gpt-4.1, o-series), cl100k_base (gpt-4, gpt-3.5)
+const ENCODINGS = ['o200k_base', 'cl100k_base'];
+
+// Tokens each message adds for its role and separators
+const MESSAGE_OVERHEAD_TOKENS = 4;
+
+// Tokens counted for an input image (a high-detail image of about 1024x1024)
+const IMAGE_TOKENS = 765;
+
+// Loaded on first use - building the encoder takes about a second
+let encoder = null;
+
+/**
+ * Get the tokenizer for the configured encoding (CONTEXT_TOKENIZER)
+ * @returns {Tiktoken} Encoder
+ */
+function getEncoder() {
+  if (!encoder) {
+    const encoding = config.context.tokenizer;
+    if (!ENCODINGS.includes(encoding)) {
+      throw new Error(`Unknown tokenizer encoding: ${encoding} (expected ${ENCODINGS.join(' or ')})`);
+    }
+    encoder = new Tiktoken(require(`js-tiktoken/ranks/${encoding}`));
+  }
+  return encoder;
+}
+
+/**
+ * Encode text into tokens
+ * Special tokens such as <|endoftext|> in user text are encoded as plain text.
+ * @param {string} text - Text
+ * @returns {Array<number>} Tokens
+ */
+function encode(text) {
+  return getEncoder().encode(String(text), [], []);
+}
+
+/**
+ * Count the tokens in a piece of text
+ * Exact for OpenAI models using the configured encoding; other models (e.g.
+ * self-hosted) tokenize differently, so for them it is an approximation.
+ * @param {string} text - Text
+ * @returns {number} Tokens
+ */
+function estimateTextTokens(text) {
+  if (!text) return 0;
+  return encode(text).length;
+}
+
+/**
+ * Estimate the tokens in message content
+ * @param {string|Array} content - String or content parts (input_text, output_text, input_image)
+ * @returns {number} Estimated tokens
+ */
+function estimateContentTokens(content) {
+  if (!Array.isArray(content)) {
+    return estimateTextTokens(content);
+  }
+
+  return content.reduce((total, part) => total + (
+    part.type === 'input_image' ? IMAGE_TOKENS : estimateTextTokens(part.text)
+  ), 0);
+}
+
+/**
+ * Estimate the tokens in Responses API input items
+ * Text is counted exactly; message framing and images are estimates.
+ * @param {Array} items - Messages ({ role, content }), function calls and function call outputs
+ * @returns {number} Estimated tokens
+ */
+function estimateInputTokens(items) {
+  return (items || []).reduce((total, item) => {
+    if (item.type === 'function_call') {
+      return total + MESSAGE_OVERHEAD_TOKENS + estimateTextTokens(item.name) + estimateTextTokens(item.arguments);
+    }
+    if (item.type === 'function_call_output') {
+      const output = typeof item.output === 'string' ? item.output : JSON.stringify(item.output);
+      return total + MESSAGE_OVERHEAD_TOKENS + estimateTextTokens(output);
+    }
+    return total + MESSAGE_OVERHEAD_TOKENS + estimateContentTokens(item.content);
+  }, 0);
+}
+
+/**
+ * Cut text down to a number of tokens, keeping the start
+ * @param {string} text - Text
+ * @param {number} maxTokens - Tokens to keep, marker included
+ * @param {string} marker - Appended when text was cut
+ * @returns {string} Text, whole if it already fits
+ */
+function truncateToTokens(text, maxTokens, marker = ' […]') {
+  if (!text) return '';
+
+  const tokens = encode(text);
+  if (tokens.length <= maxTokens) return text;
+  if (maxTokens <= 0) return '';
+
+  const budget = Math.max(maxTokens - estimateTextTokens(marker), 0);
+  // A cut inside a multi-byte character decodes to a replacement character
+  const kept = getEncoder().decode(tokens.slice(0, budget)).replace(/\uFFFD+$/, '');
+
+  return `${kept.trimEnd()}${marker}`;
+}
+
+module.exports = {
+  IMAGE_TOKENS,
+  estimateTextTokens,
+  estimateContentTokens,
+  estimateInputTokens,
+  truncateToTokens
+};